@@ -1,5 +1,10 @@
 import { defineConfig } from '@vscode/test-cli';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 export default defineConfig({
 	files: 'test/**/*.test.js',
+	// An empty folder, so the tests can use Workspace rules without writing settings into the repository
+	workspaceFolder: mkdtempSync(join(tmpdir(), 'ctk-gee-test-')),
 });
@@ -0,0 +1,103 @@
+// Types of the API that CTK GEE returns from activation, for extensions written in TypeScript:
+// const ctk = await vscode.extensions.getExtension<CtkGeeApi>('ctk.ctk-gee')!.activate();
+// They mirror the JSDoc typedefs in extension.js and rule-core.js.
+
+import type { Disposable, Event, WorkspaceFolder } from 'vscode';
+
+/**
+ * A scope: the User settings, the workspace settings, or a workspace folder.
+ */
+export type ApiRuleScope = 'global' | 'workspace' | WorkspaceFolder;
+
+/**
+ * When a rule applies, matched against the active editor. Every property given must match.
+ */
+export interface RuleConditions {
+	/** Language IDs, e.g. "python". */
+	languages?: string[];
+	/** Glob patterns on the workspace-relative path, e.g. "tests/**" or "*.tf". */
+	files?: string[];
+	/** Names of workspace folders. */
+	folders?: string[];
+}
+
+/**
+ * A rule as added through the API or offered by a rule source.
+ */
+export interface RuleLibraryEntry {
+	key: string;
+	value: string;
+	enabled?: boolean;
+	group?: string;
+	tags?: string[];
+	when?: RuleConditions;
+}
+
+/**
+ * A rule as seen through the API.
+ */
+export interface ApiRule {
+	/** Unique within the scope; stays the same when the rule is renamed. */
+	id: number;
+	key: string;
+	/** The raw value, with placeholders unresolved. */
+	value: string;
+	enabled: boolean;
+	/** Whether the rule is written to geminicodeassist.rules right now (enabled and its conditions match). */
+	active: boolean;
+	/** Whether the rule follows the team library, which locks its key and value. */
+	locked: boolean;
+	group?: string;
+	tags?: string[];
+	when?: RuleConditions;
+}
+
+/**
+ * Changes to a rule. Properties left out are unchanged; group, tags and when set to null are removed.
+ */
+export interface ApiRuleChanges {
+	key?: string;
+	value?: string;
+	enabled?: boolean;
+	group?: string | null;
+	tags?: string[] | null;
+	when?: RuleConditions | null;
+}
+
+/**
+ * Rules contributed by another extension, offered by the "Add Rules from Extension..." command.
+ */
+export interface RuleSource {
+	/** Unique among sources, e.g. "publisher.extension.templates". */
+	id: string;
+	/** Shown when picking a source. */
+	label: string;
+	description?: string;
+	provideRules(): RuleLibraryEntry[] | Thenable<RuleLibraryEntry[]>;
+}
+
+/**
+ * The API returned by activate. Writes go through the same code as the sidebar, so keys are kept unique and
+ * geminicodeassist.rules is synced. Methods reject with an Error when a scope is not open, a rule does not exist,
+ * a change is not allowed or the settings cannot be written. They do not show messages.
+ */
+export interface CtkGeeApi {
+	/** Increases when the API gains features; existing members keep working. */
+	readonly version: number;
+	/** Rules in geminicodeassist.rules order. */
+	listRules(scope: ApiRuleScope): Promise<ApiRule[]>;
+	getRule(scope: ApiRuleScope, key: string): Promise<ApiRule | undefined>;
+	/**
+	 * Adds rules at `index` (default: the end). Keys that are taken get a _duplicate_N suffix;
+	 * the returned rules carry the keys they got.
+	 */
+	addRules(scope: ApiRuleScope, rules: RuleLibraryEntry[], index?: number): Promise<ApiRule[]>;
+	updateRule(scope: ApiRuleScope, key: string, changes: ApiRuleChanges): Promise<ApiRule>;
+	/** Resolves to the number of rules deleted. */
+	deleteRules(scope: ApiRuleScope, keys: string[]): Promise<number>;
+	/** `keys` must list every rule of the scope once. */
+	reorderRules(scope: ApiRuleScope, keys: string[]): Promise<void>;
+	/** Fires after the rules of a scope changed, by any means, possibly more than once for one operation. */
+	readonly onDidChangeRules: Event<{ scope: ApiRuleScope }>;
+	registerRuleSource(source: RuleSource): Disposable;
+}
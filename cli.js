@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+// Command line tool to manage CTK GEE rules in a settings.json file without VS Code, e.g. to seed rules
+// in a dev container or to check for drift in CI. It shares its rule logic with the extension through rule-core.js.
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+		CONFIG_SECTION_CTK,
+		CTK_RULE_SET_KEY,
+		GEMINI_CODE_ASSIST_RULES_KEY,
+		RULE_LIBRARY_FORMATS,
+		isRuleEnabled,
+		normalizeGroupPath,
+		normalizeRuleConditions,
+		validateRuleKey,
+		parseGeminiRulesString,
+		cleanCtkRuleSet,
+		computeRuleSync,
+		toRuleLibraryEntry,
+		serializeRuleLibrary
+} = require('./rule-core');
+
+/** @typedef {import('./rule-core').Rule} Rule */
+
+const CTK_RULE_SET_SETTING = `${CONFIG_SECTION_CTK}.${CTK_RULE_SET_KEY}`;
+const DEFAULT_SETTINGS_PATH = path.join('.vscode', 'settings.json');
+
+const EXIT_OK = 0;
+const EXIT_DRIFT = 1; // check found differences
+const EXIT_ERROR = 2; // Bad arguments, an unreadable settings file, or a rule that does not exist
+
+const USAGE = `Usage: ctk-gee <command> [options]
+
+Commands:
+  list                     List the rules with their state and the start of their value.
+  add <key> [value]        Add a rule. Use "-" as value to read it from stdin.
+  remove <key>...          Remove rules.
+  sync                     Rewrite ${GEMINI_CODE_ASSIST_RULES_KEY} from ${CTK_RULE_SET_SETTING}.
+  check                    Report differences between ${CTK_RULE_SET_SETTING} and ${GEMINI_CODE_ASSIST_RULES_KEY}.
+  export                   Print the rules as a rule library (JSON, YAML or Markdown).
+
+Options:
+  -s, --settings <path>    The settings.json to use. Default: ${DEFAULT_SETTINGS_PATH}
+  --value-file <path>      add: read the value from a file.
+  --disabled               add: add the rule disabled.
+  --group <path>           add: put the rule in a group, e.g. "Languages/Python".
+  --tags <tags>            add: comma-separated tags.
+  --replace                add: replace a rule with the same key instead of failing.
+  -f, --format <format>    export: ${Object.keys(RULE_LIBRARY_FORMATS).join(", ")}. Default: json
+  -o, --output <path>      export: write to a file instead of stdout.
+  -h, --help               Show this help.
+
+Exit codes: ${EXIT_OK} success, ${EXIT_DRIFT} check found differences, ${EXIT_ERROR} error.`;
+
+/**
+ * A settings.json file as read by readSettingsFile.
+ * @typedef {object} SettingsFile
+ * @property {string} filePath
+ * @property {string} text The file content, comments included.
+ * @property {Record<string, any>} settings
+ */
+
+/**
+ * Parses JSON with comments and trailing commas, as VS Code accepts in settings.json. Besides the value it returns
+ * where each top-level property's value is in the text, so that it can be replaced without touching the rest.
+ * @param {string} text
+ * @returns {{value: Record<string, any>, properties: Map<string, {start: number, end: number}>, rootEnd: number}}
+ * An empty text gives an empty object with rootEnd -1.
+ * @throws {Error} If the text is not a JSON object.
+ */
+function parseJsonc(text) {
+		let index = 0;
+		const properties = new Map();
+		const fail = message => {
+				const lines = text.substring(0, index).split('\n');
+				throw new Error(`${message} at line ${lines.length}, column ${lines[lines.length - 1].length + 1}.`);
+		};
+		const skipWhitespaceAndComments = () => {
+				for (;;) {
+						while (index < text.length && /\s/.test(text[index])) index++;
+						if (text.startsWith('//', index)) {
+								const lineEnd = text.indexOf('\n', index);
+								index = lineEnd === -1 ? text.length : lineEnd;
+						} else if (text.startsWith('/*', index)) {
+								const commentEnd = text.indexOf('*/', index + 2);
+								if (commentEnd === -1) fail("Unterminated comment");
+								index = commentEnd + 2;
+						} else {
+								return;
+						}
+				}
+		};
+		const parseToken = (pattern, description) => {
+				pattern.lastIndex = index;
+				const match = pattern.exec(text);
+				if (!match) fail(`Expected ${description}`);
+				index += match[0].length;
+				return JSON.parse(match[0]);
+		};
+		const parseValue = depth => {
+				skipWhitespaceAndComments();
+				if (text[index] === '{' || text[index] === '[') {
+						const isObject = text[index] === '{';
+						const closing = isObject ? '}' : ']';
+						const container = isObject ? {} : [];
+						index++;
+						for (;;) {
+								skipWhitespaceAndComments();
+								if (text[index] === closing) {
+										index++;
+										return container;
+								}
+								if (isObject) {
+										const key = parseToken(/"(?:[^"\\\n]|\\.)*"/y, "a property name");
+										skipWhitespaceAndComments();
+										if (text[index] !== ':') fail("Expected ':'");
+										index++;
+										skipWhitespaceAndComments();
+										const start = index;
+										container[key] = parseValue(depth + 1);
+										if (depth === 0) properties.set(key, { start, end: index });
+								} else {
+										container.push(parseValue(depth + 1));
+								}
+								skipWhitespaceAndComments();
+								if (text[index] === ',') index++; // A trailing comma is fine
+								else if (text[index] !== closing) fail(`Expected ',' or '${closing}'`);
+						}
+				}
+				return parseToken(/"(?:[^"\\\n]|\\.)*"|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y, "a value");
+		};
+
+		skipWhitespaceAndComments();
+		if (index >= text.length) return { value: {}, properties, rootEnd: -1 };
+		const value = parseValue(0);
+		const rootEnd = index;
+		skipWhitespaceAndComments();
+		if (index < text.length) fail("Unexpected text after the settings");
+		if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error("The settings must be a JSON object.");
+		return { value, properties, rootEnd };
+}
+
+/**
+ * Sets a top-level property in a settings.json text. Comments, formatting and the other properties stay as they are;
+ * a new property is added after the last one, with the file's indentation.
+ * @param {string} text
+ * @param {string} key
+ * @param {any} value
+ * @returns {string}
+ */
+function setJsoncProperty(text, key, value) {
+		const { properties, rootEnd } = parseJsonc(text);
+		const eol = text.includes('\r\n') ? '\r\n' : '\n';
+		const indent = /^([ \t]+)"/m.exec(text)?.[1] || '\t';
+		const formattedValue = JSON.stringify(value, null, indent).replace(/\n/g, eol + indent);
+		const existing = properties.get(key);
+		if (existing) return text.substring(0, existing.start) + formattedValue + text.substring(existing.end);
+
+		const property = `${JSON.stringify(key)}: ${formattedValue}`;
+		if (rootEnd === -1) return `{${eol}${indent}${property}${eol}}${eol}`;
+		const lastProperty = [...properties.values()].sort((a, b) => a.end - b.end).pop();
+		if (!lastProperty) {
+				const closingIndex = rootEnd - 1;
+				const before = text.substring(0, closingIndex).replace(/[ \t]*$/, '');
+				return `${before}${before.endsWith('\n') ? "" : eol}${indent}${property}${eol}${text.substring(closingIndex)}`;
+		}
+
+		// Add the property on its own line after the last one, leaving a comment at the end of that line where it is
+		let lineEnd = text.indexOf('\n', lastProperty.end);
+		if (lineEnd === -1) lineEnd = text.length;
+		if (text[lineEnd - 1] === '\r') lineEnd--;
+		const restOfLine = text.substring(lastProperty.end, lineEnd);
+		const hasComma = /^\s*,/.test(restOfLine);
+		if (/^\s*,?\s*(\/\/.*|\/\*.*?\*\/\s*)?$/.test(restOfLine)) {
+				return `${text.substring(0, lastProperty.end)}${hasComma ? "" : ","}${restOfLine}${eol}${indent}${property}${hasComma ? "," : ""}${text.substring(lineEnd)}`;
+		}
+		return `${text.substring(0, lastProperty.end)},${eol}${indent}${property}${text.substring(lastProperty.end)}`;
+}
+
+/**
+ * @param {string} filePath
+ * @param {boolean} [create=false] Whether a missing file is read as empty settings instead of failing.
+ * @returns {SettingsFile}
+ */
+function readSettingsFile(filePath, create = false) {
+		let text;
+		try {
+				text = fs.readFileSync(filePath, 'utf8');
+		} catch (error) {
+				if (error.code !== 'ENOENT' || !create) throw new Error(`Could not read ${filePath}: ${error.message}`);
+				text = "";
+		}
+		try {
+				return { filePath, text, settings: parseJsonc(text).value };
+		} catch (error) {
+				throw new Error(`Could not parse ${filePath}: ${error.message}`);
+		}
+}
+
+/**
+ * Gets the rules of a settings file. Without ctk.ruleSet, the keys in geminicodeassist.rules are taken as the rules,
+ * as the extension offers on first start, so that nothing already there is lost.
+ * @param {SettingsFile} file
+ * @returns {Rule[]}
+ */
+function getRuleSet(file) {
+		const ruleSet = file.settings[CTK_RULE_SET_SETTING];
+		if (ruleSet === undefined) {
+				return parseGeminiRulesString(file.settings[GEMINI_CODE_ASSIST_RULES_KEY]).orderedKeyValues.map((kv, index) => ({ id: index + 1, key: kv.key }));
+		}
+		if (!Array.isArray(ruleSet)) throw new Error(`${CTK_RULE_SET_SETTING} in ${file.filePath} is not a list.`);
+		return ruleSet.filter(rule => rule && typeof rule === 'object' && typeof rule.key === 'string');
+}
+
+/**
+ * Syncs rules as the extension does. Without an editor there is nothing to match conditional rules against,
+ * so each stays in or out of geminicodeassist.rules as the extension last wrote it.
+ * @param {SettingsFile} file
+ * @param {Rule[]} ctkRules
+ * @returns {import('./rule-core').RuleSyncResult & {cleaned: boolean}}
+ */
+function computeFileSync(file, ctkRules) {
+		const geminiRules = typeof file.settings[GEMINI_CODE_ASSIST_RULES_KEY] === 'string' ? file.settings[GEMINI_CODE_ASSIST_RULES_KEY] : "";
+		const writtenKeys = new Set(parseGeminiRulesString(geminiRules).orderedKeyValues.map(kv => kv.key));
+		const { cleanedCtkRules, keyRenames, madeChanges } = cleanCtkRuleSet(ctkRules, file.filePath);
+		// ${workspaceFolder} is the folder a .vscode/settings.json belongs to; ${config:...} reads the same file
+		const folderPath = path.basename(path.dirname(path.resolve(file.filePath))) === '.vscode' ? path.dirname(path.dirname(path.resolve(file.filePath))) : undefined;
+		const result = computeRuleSync(cleanedCtkRules, geminiRules, {
+				keyRenames,
+				isActive: rule => isRuleEnabled(rule) && (!normalizeRuleConditions(rule.when) || writtenKeys.has(rule.key)),
+				createSubstitution: ruleValues => ({
+						folder: folderPath ? { name: path.basename(folderPath), uri: { fsPath: folderPath } } : undefined,
+						ruleValues,
+						problems: [],
+						getSetting: name => file.settings[name]
+				})
+		});
+		return { ...result, cleaned: madeChanges };
+}
+
+/**
+ * Writes rules to a settings file: ctk.ruleSet and the geminicodeassist.rules synced from it.
+ * Only settings that change are rewritten, and the file is left alone if neither does.
+ * @param {SettingsFile} file
+ * @param {Rule[]} ctkRules
+ * @returns {boolean} True if the file was written.
+ */
+function writeRules(file, ctkRules) {
+		const { ctkRules: syncedCtkRules, geminiRules, substitutionProblems } = computeFileSync(file, ctkRules);
+		reportSubstitutionProblems(substitutionProblems);
+		let text = file.text;
+		if (JSON.stringify(file.settings[CTK_RULE_SET_SETTING]) !== JSON.stringify(syncedCtkRules)) {
+				text = setJsoncProperty(text, CTK_RULE_SET_SETTING, syncedCtkRules);
+		}
+		if (file.settings[GEMINI_CODE_ASSIST_RULES_KEY] !== geminiRules) {
+				text = setJsoncProperty(text, GEMINI_CODE_ASSIST_RULES_KEY, geminiRules);
+		}
+		if (text === file.text) return false;
+		fs.mkdirSync(path.dirname(file.filePath), { recursive: true });
+		fs.writeFileSync(file.filePath, text);
+		return true;
+}
+
+/**
+ * @param {{key: string, placeholder: string, reason: string}[]} problems
+ */
+function reportSubstitutionProblems(problems) {
+		for (const { key, placeholder, reason } of problems) {
+				console.warn(`Warning: ${placeholder} in "${key}" was left as written: ${reason}.`);
+		}
+}
+
+/**
+ * Gets the raw value of every rule, like the extension's getRuleValueMap.
+ * @param {SettingsFile} file
+ * @param {Rule[]} ctkRules
+ * @returns {Map<string, string>}
+ */
+function getRuleValueMap(file, ctkRules) {
+		const { valueMap } = parseGeminiRulesString(file.settings[GEMINI_CODE_ASSIST_RULES_KEY]);
+		return new Map(ctkRules.map(rule => [
+				rule.key,
+				(rule.value !== undefined ? rule.value : (rule.template !== undefined ? rule.template : valueMap.get(rule.key))) || ""
+		]));
+}
+
+/**
+ * Describes how geminicodeassist.rules differs from what syncing would write.
+ * @param {string} currentGeminiRules
+ * @param {string} expectedGeminiRules
+ * @returns {string[]}
+ */
+function describeGeminiRulesDrift(currentGeminiRules, expectedGeminiRules) {
+		const current = parseGeminiRulesString(currentGeminiRules);
+		const expected = parseGeminiRulesString(expectedGeminiRules);
+		const differences = [];
+		for (const { key, value } of expected.orderedKeyValues) {
+				if (!current.valueMap.has(key)) differences.push(`"${key}" is missing from ${GEMINI_CODE_ASSIST_RULES_KEY}.`);
+				else if (current.valueMap.get(key) !== value) differences.push(`"${key}" has a value in ${GEMINI_CODE_ASSIST_RULES_KEY} that differs from the rule's.`);
+		}
+		for (const { key } of current.orderedKeyValues) {
+				if (!expected.valueMap.has(key)) differences.push(`"${key}" is in ${GEMINI_CODE_ASSIST_RULES_KEY} but is not an active rule in ${CTK_RULE_SET_SETTING}.`);
+		}
+		if (differences.length === 0) {
+				const sameOrder = current.orderedKeyValues.map(kv => kv.key).join('\n') === expected.orderedKeyValues.map(kv => kv.key).join('\n');
+				differences.push(sameOrder ? `${GEMINI_CODE_ASSIST_RULES_KEY} is not formatted as CTK GEE writes it.` : `The rules in ${GEMINI_CODE_ASSIST_RULES_KEY} are not in ${CTK_RULE_SET_SETTING} order.`);
+		}
+		return differences;
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {string}
+ */
+function readValueArgument(value) {
+		return value === '-' ? fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '') : (value ?? "");
+}
+
+/**
+ * Runs a command.
+ * @param {string[]} args Command line arguments, without node and the script.
+ * @returns {number} The exit code.
+ */
+function run(args) {
+		const { values: options, positionals } = parseArgs({
+				args,
+				allowPositionals: true,
+				options: {
+						settings: { type: 'string', short: 's', default: DEFAULT_SETTINGS_PATH },
+						'value-file': { type: 'string' },
+						disabled: { type: 'boolean' },
+						group: { type: 'string' },
+						tags: { type: 'string' },
+						replace: { type: 'boolean' },
+						format: { type: 'string', short: 'f', default: 'json' },
+						output: { type: 'string', short: 'o' },
+						help: { type: 'boolean', short: 'h' }
+				}
+		});
+		const [command, ...operands] = positionals;
+		if (options.help || !command) {
+				console.log(USAGE);
+				return options.help ? EXIT_OK : EXIT_ERROR;
+		}
+
+		switch (command) {
+				case 'list': {
+						const file = readSettingsFile(options.settings);
+						const ctkRules = getRuleSet(file);
+						const valueMap = getRuleValueMap(file, ctkRules);
+						for (const rule of ctkRules) {
+								const details = [
+										isRuleEnabled(rule) ? "" : "disabled",
+										normalizeRuleConditions(rule.when) ? "conditional" : "",
+										normalizeGroupPath(rule.group) ? `group ${normalizeGroupPath(rule.group)}` : "",
+										Array.isArray(rule.tags) && rule.tags.length > 0 ? `tags ${rule.tags.join(", ")}` : ""
+								].filter(Boolean);
+								const preview = (valueMap.get(rule.key) || "").replace(/\s+/g, " ").trim();
+								console.log(`${rule.key}${details.length > 0 ? ` (${details.join("; ")})` : ""}: ${preview.length > 80 ? `${preview.substring(0, 79)}…` : preview}`);
+						}
+						if (ctkRules.length === 0) console.log(`No rules in ${file.filePath}.`);
+						return EXIT_OK;
+				}
+				case 'add': {
+						const [key, valueArgument] = operands;
+						const keyProblem = validateRuleKey(key);
+						if (keyProblem) throw new Error(keyProblem);
+						const value = options['value-file'] !== undefined ? fs.readFileSync(options['value-file'], 'utf8') : readValueArgument(valueArgument);
+						const file = readSettingsFile(options.settings, true);
+						const ctkRules = getRuleSet(file);
+						const existingIndex = ctkRules.findIndex(rule => rule.key === key.trim());
+						if (existingIndex !== -1 && !options.replace) throw new Error(`A rule with key "${key.trim()}" already exists in ${file.filePath}. Use --replace to replace it.`);
+
+						// The value is held in ctk.ruleSet until the sync moves it into geminicodeassist.rules
+						const rule = { id: existingIndex !== -1 ? ctkRules[existingIndex].id : Math.max(0, ...ctkRules.map(r => r.id)) + 1, key: key.trim(), value };
+						if (options.disabled) rule.enabled = false;
+						if (normalizeGroupPath(options.group)) rule.group = normalizeGroupPath(options.group);
+						const tags = (options.tags || "").split(',').map(tag => tag.trim()).filter(Boolean);
+						if (tags.length > 0) rule.tags = tags;
+						if (existingIndex !== -1) ctkRules[existingIndex] = rule;
+						else ctkRules.push(rule);
+						writeRules(file, ctkRules);
+						console.log(`${existingIndex !== -1 ? "Replaced" : "Added"} rule "${rule.key}" in ${file.filePath}.`);
+						return EXIT_OK;
+				}
+				case 'remove': {
+						if (operands.length === 0) throw new Error("Name the keys of the rules to remove.");
+						const file = readSettingsFile(options.settings);
+						const ctkRules = getRuleSet(file);
+						const missingKeys = operands.filter(key => !ctkRules.some(rule => rule.key === key));
+						if (missingKeys.length > 0) throw new Error(`No rule with key ${missingKeys.map(key => `"${key}"`).join(", ")} in ${file.filePath}.`);
+						writeRules(file, ctkRules.filter(rule => !operands.includes(rule.key)));
+						console.log(`Removed ${operands.length} rule(s) from ${file.filePath}.`);
+						return EXIT_OK;
+				}
+				case 'sync': {
+						const file = readSettingsFile(options.settings);
+						console.log(writeRules(file, getRuleSet(file)) ? `Synced the rules in ${file.filePath}.` : `The rules in ${file.filePath} are already in sync.`);
+						return EXIT_OK;
+				}
+				case 'check': {
+						const file = readSettingsFile(options.settings);
+						const ctkRules = getRuleSet(file);
+						const currentGeminiRules = typeof file.settings[GEMINI_CODE_ASSIST_RULES_KEY] === 'string' ? file.settings[GEMINI_CODE_ASSIST_RULES_KEY] : "";
+						const { geminiRules, heldValuesChanged, substitutionProblems, cleaned } = computeFileSync(file, ctkRules);
+						reportSubstitutionProblems(substitutionProblems);
+
+						const problems = [...parseGeminiRulesString(currentGeminiRules).problems];
+						if (file.settings[CTK_RULE_SET_SETTING] === undefined && ctkRules.length > 0) problems.push(`${CTK_RULE_SET_SETTING} is not set.`);
+						if (cleaned) problems.push(`${CTK_RULE_SET_SETTING} has duplicate IDs or keys.`);
+						if (geminiRules !== currentGeminiRules) problems.push(...describeGeminiRulesDrift(currentGeminiRules, geminiRules));
+						else if (heldValuesChanged) problems.push(`${CTK_RULE_SET_SETTING} holds values that have not been written to ${GEMINI_CODE_ASSIST_RULES_KEY}.`);
+						if (problems.length === 0) {
+								console.log(`${file.filePath}: ${ctkRules.length} rule(s), in sync.`);
+								return EXIT_OK;
+						}
+						console.log(`${file.filePath}: the rules are out of sync. Run "ctk-gee sync" or open the folder in VS Code to fix this.`);
+						for (const problem of [...new Set(problems)]) console.log(`  - ${problem}`);
+						return EXIT_DRIFT;
+				}
+				case 'export': {
+						if (!RULE_LIBRARY_FORMATS[options.format]) throw new Error(`Unknown format "${options.format}". Use ${Object.keys(RULE_LIBRARY_FORMATS).join(", ")}.`);
+						const file = readSettingsFile(options.settings);
+						const ctkRules = getRuleSet(file);
+						const valueMap = getRuleValueMap(file, ctkRules);
+						const library = serializeRuleLibrary(ctkRules.map(rule => toRuleLibraryEntry(rule, valueMap.get(rule.key) || "")), options.format);
+						if (options.output === undefined) {
+								process.stdout.write(library);
+						} else {
+								fs.writeFileSync(options.output, library);
+								console.log(`Exported ${ctkRules.length} rule(s) to ${options.output}.`);
+						}
+						return EXIT_OK;
+				}
+				default:
+						throw new Error(`Unknown command "${command}". Run "ctk-gee --help" for the commands.`);
+		}
+}
+
+try {
+		process.exitCode = run(process.argv.slice(2));
+} catch (error) {
+		console.error(`ctk-gee: ${error.message}`);
+		process.exitCode = EXIT_ERROR;
+}
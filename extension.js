@@ -1,20 +1,86 @@
 // The module 'vscode' contains the VS Code extensibility API
 // Import the module and reference it with the alias vscode in your code below
 const vscode = require('vscode');
+const crypto = require('crypto');
+const os = require('os');
+const {
+		CONFIG_SECTION_CTK,
+		CTK_RULE_SET_KEY,
+		GEMINI_CODE_ASSIST_RULES_KEY,
+		GEMINI_RULES_SEPARATOR,
+		RULE_LIBRARY_FORMATS,
+		RULE_LIBRARY_MARKDOWN_MARKER,
+		isRuleEnabled,
+		asEnabledRule,
+		isRuleLocked,
+		getTeamRuleVersion,
+		normalizeGroupPath,
+		isRuleInGroup,
+		normalizeRuleConditions,
+		validateRuleKey,
+		parseGeminiRulesString,
+		getReferencedSettingNames,
+		resolveRuleValue,
+		buildGeminiRulesString,
+		withRuleTemplate,
+		cleanCtkRuleSet,
+		computeRuleSync,
+		isRuleSetInSync,
+		findRoundTripProblems,
+		computeRuleDifferences,
+		mergeRuleOrders,
+		estimateTokenCount,
+		formatTokenCount,
+		formatRuleSize,
+		measureRuleSizes,
+		findTextRanges,
+		getSearchSnippet,
+		searchRuleSet,
+		getRuleLibraryFormat,
+		toRuleLibraryEntry,
+		serializeRuleLibrary,
+		validateRuleLibraryEntry,
+		parseRuleLibrary,
+		parseRuleFile,
+		serializeRuleFile,
+		isSameRuleFileContent,
+		lintRuleSets,
+		hashSyncTargetText,
+		mergeSyncTargets,
+		renderSyncTarget,
+		placeSyncTargetBlock
+} = require('./rule-core');
+
+/** @typedef {import('./rule-core').Rule} Rule */
+/** @typedef {import('./rule-core').RuleConditions} RuleConditions */
+/** @typedef {import('./rule-core').TeamRuleLink} TeamRuleLink */
+/** @typedef {import('./rule-core').RuleLibraryEntry} RuleLibraryEntry */
+/** @typedef {import('./rule-core').RuleSubstitutionContext} RuleSubstitutionContext */
+/** @typedef {import('./rule-core').SyncTarget} SyncTarget */
+/** @typedef {import('./rule-core').RuleDifference} RuleDifference */
+/** @typedef {import('./rule-core').RuleSearchMatch} RuleSearchMatch */
+/** @typedef {import('./rule-core').RuleFileContent} RuleFileContent */
+/** @typedef {import('./rule-core').RuleLintFix} RuleLintFix */
+
+const CTK_PROFILES_KEY = 'profiles'; // Saved rule profiles of a scope
+const CTK_ACTIVE_PROFILE_KEY = 'activeProfile'; // Name of the profile last switched to in a scope
 
-const CONFIG_SECTION_CTK = 'ctk'; // The configuration section identifier
-const CTK_RULE_SET_KEY = 'ruleSet';	 // The key for the ruleSet *within* the CONFIG_SECTION_CTK
-const GEMINI_CODE_ASSIST_RULES_KEY = 'geminicodeassist.rules';
-// For geminicodeassist.rules, since it's defined as a root property in package.json,
-// we use getConfiguration() without a section or getConfiguration(null)
-// and update it directly.
+/**
+ * A named selection and ordering over the rules of a scope, applied with the Switch Profile commands.
+ * @typedef {object} RuleProfile
+ * @property {string} name
+ * @property {{key: string, enabled: boolean}[]} rules Rule keys in profile order, with whether each is active.
+ */
 
 /**
- * @typedef {object} Rule
- * @property {number} id
- * @property {string} key
+ * Where a set of rules lives: ConfigurationTarget.Global (User settings), ConfigurationTarget.Workspace,
+ * or a workspace folder, whose rules are stored with ConfigurationTarget.WorkspaceFolder.
+ * Folder scopes only exist in multi-root workspaces; in a single-folder workspace the folder settings are the workspace settings.
+ * @typedef {vscode.ConfigurationTarget | vscode.WorkspaceFolder} RuleScope
  */
 
+const RULE_URI_SCHEME = 'ctk-rule'; // Scheme for URIs that identify a single rule (e.g. ctk-rule:/workspace/3)
+
 // --- Helper Functions ---
 
 /**
@@ -25,13 +91,190 @@ function isWorkspaceOpen() {
 		return !!(vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0);
 }
 
+/**
+ * Checks if a multi-root workspace (a .code-workspace with its own settings) is open.
+ * @returns {boolean}
+ */
+function isMultiRootWorkspace() {
+		return isWorkspaceOpen() && vscode.workspace.workspaceFile !== undefined;
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {scope is vscode.WorkspaceFolder} True if the scope is a workspace folder.
+ */
+function isFolderScope(scope) {
+		return typeof scope === 'object' && scope !== null;
+}
+
+/**
+ * Returns the folder scopes of the open multi-root workspace.
+ * @returns {vscode.WorkspaceFolder[]}
+ */
+function getWorkspaceFolderScopes() {
+		return isMultiRootWorkspace() ? [...vscode.workspace.workspaceFolders] : [];
+}
+
+/**
+ * Returns every scope that currently holds rules: Global, Workspace (if open) and each folder of a multi-root workspace.
+ * @returns {RuleScope[]}
+ */
+function getAllRuleScopes() {
+		const scopes = [vscode.ConfigurationTarget.Global];
+		if (isWorkspaceOpen()) scopes.push(vscode.ConfigurationTarget.Workspace);
+		return scopes.concat(getWorkspaceFolderScopes());
+}
+
+/**
+ * Checks whether a scope can currently be read and written.
+ * @param {RuleScope} scope
+ * @returns {boolean}
+ */
+function isScopeAvailable(scope) {
+		if (isFolderScope(scope)) return getWorkspaceFolderScopes().some(folder => folder.uri.toString() === scope.uri.toString());
+		return scope === vscode.ConfigurationTarget.Global || (scope === vscode.ConfigurationTarget.Workspace && isWorkspaceOpen());
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {string} A user-facing name such as "Global", "Workspace" or "Folder 'api'".
+ */
+function getScopeNameProper(scope) {
+		if (isFolderScope(scope)) return `Folder '${scope.name}'`;
+		return scope === vscode.ConfigurationTarget.Global ? "Global" : "Workspace";
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {string} A stable identifier for the scope, used in tree item IDs and drag-and-drop payloads.
+ */
+function getScopeId(scope) {
+		if (isFolderScope(scope)) return `folder:${scope.uri.toString()}`;
+		return scope === vscode.ConfigurationTarget.Global ? 'global' : 'workspace';
+}
+
+/**
+ * Resolves an identifier created by getScopeId.
+ * @param {string} scopeId
+ * @returns {RuleScope | undefined} The scope, or undefined if its folder is no longer open.
+ */
+function getScopeFromId(scopeId) {
+		if (scopeId === 'global') return vscode.ConfigurationTarget.Global;
+		if (scopeId === 'workspace') return vscode.ConfigurationTarget.Workspace;
+		return getWorkspaceFolderScopes().find(folder => `folder:${folder.uri.toString()}` === scopeId);
+}
+
+/**
+ * Resolves the folder a folder-scoped command acts on: the folder node it was invoked from in the sidebar,
+ * the only folder, or one picked by the user.
+ * @param {any} [item] The tree item the command was invoked from, if any.
+ * @returns {Promise<vscode.WorkspaceFolder | undefined>} Undefined if there is no multi-root workspace or the pick was cancelled.
+ */
+async function resolveFolderScope(item) {
+		if (!isMultiRootWorkspace()) {
+				vscode.window.showInformationMessage("CTK GEE: Folder rules are only available in a multi-root workspace.");
+				return undefined;
+		}
+		if (item && isFolderScope(item.scope) && isScopeAvailable(item.scope)) return item.scope;
+		const folders = getWorkspaceFolderScopes();
+		if (folders.length === 1) return folders[0];
+		return vscode.window.showWorkspaceFolderPick({ placeHolder: "Select the workspace folder whose rules to use" });
+}
+
+/**
+ * @param {RuleScope} a
+ * @param {RuleScope} b
+ * @returns {boolean} True if both refer to the same scope.
+ */
+function isSameScope(a, b) {
+		return getScopeId(a) === getScopeId(b);
+}
+
+/**
+ * Gets the configuration section to read and write for a scope. Folder scopes need the folder as resource.
+ * @param {string | null} section
+ * @param {RuleScope} scope
+ * @returns {vscode.WorkspaceConfiguration}
+ */
+function getConfigurationForScope(section, scope) {
+		return isFolderScope(scope) ? vscode.workspace.getConfiguration(section, scope.uri) : vscode.workspace.getConfiguration(section);
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {vscode.ConfigurationTarget} The target to pass to WorkspaceConfiguration.update.
+ */
+function getScopeConfigurationTarget(scope) {
+		return isFolderScope(scope) ? vscode.ConfigurationTarget.WorkspaceFolder : scope;
+}
+
+/**
+ * Builds the URI identifying a rule, used for tree item decorations.
+ * Folder rules carry the folder URI in the query, e.g. ctk-rule:/folder/3?file:///repo/api.
+ * @param {RuleScope} scope
+ * @param {number | string} id
+ * @returns {vscode.Uri}
+ */
+function getRuleUri(scope, id) {
+		if (isFolderScope(scope)) {
+				return vscode.Uri.from({ scheme: RULE_URI_SCHEME, path: `/folder/${id}`, query: scope.uri.toString() });
+		}
+		const scopeSegment = scope === vscode.ConfigurationTarget.Global ? 'global' : 'workspace';
+		return vscode.Uri.from({ scheme: RULE_URI_SCHEME, path: `/${scopeSegment}/${id}` });
+}
+
+/**
+ * Parses a URI created by getRuleUri or getRuleDocumentUri.
+ * @param {vscode.Uri} uri
+ * @returns {{scope: RuleScope, id: number} | undefined} Undefined if the URI is malformed or its folder is no longer open.
+ */
+function parseRuleUri(uri) {
+		if (uri.scheme !== RULE_URI_SCHEME) return undefined;
+		const match = /^\/(global|workspace|folder)\/(\d+)(?:\/[^/]*)?$/.exec(uri.path);
+		if (!match) return undefined;
+		const scope = getScopeFromId(match[1] === 'folder' ? `folder:${uri.query}` : match[1]);
+		if (scope === undefined) return undefined;
+		return { scope, id: Number(match[2]) };
+}
+
+/**
+ * Builds the URI of the editor document holding a rule's value, e.g. ctk-rule:/workspace/3/my_key.md.
+ * Only the scope and ID identify the rule; the file name makes the tab readable and selects markdown.
+ * @param {RuleScope} scope
+ * @param {number | string} id The rule ID, or `new-<n>` for a rule added on first save (see RuleFileSystemProvider).
+ * @param {string} key
+ * @returns {vscode.Uri}
+ */
+function getRuleDocumentUri(scope, id, key) {
+		const fileName = key.replace(/[^\w.-]+/g, '_') || 'rule';
+		return vscode.Uri.joinPath(getRuleUri(scope, id), `${fileName}.md`);
+}
+
+/**
+ * Applies a set of property changes to a rule. Properties set to undefined are removed.
+ * @param {Rule} rule
+ * @param {Partial<Rule>} changes
+ * @returns {Rule} The updated copy.
+ */
+function applyRuleChanges(rule, changes) {
+		const updatedRule = { ...rule };
+		for (const [property, value] of Object.entries(changes)) {
+				if (value === undefined) {
+						delete updatedRule[property];
+				} else {
+						updatedRule[property] = value;
+				}
+		}
+		return updatedRule;
+}
+
 /**
  * Retrieves the current rule set from the specified configuration scope.
- * @param {vscode.ConfigurationTarget} scope The configuration scope (Global or Workspace).
+ * @param {RuleScope} scope The configuration scope (Global, Workspace or a workspace folder).
  * @returns {Rule[]} The current set of rules from the specified scope.
  */
 function getCtkRuleSet(scope) {
-		const config = vscode.workspace.getConfiguration(CONFIG_SECTION_CTK);
+		const config = getConfigurationForScope(CONFIG_SECTION_CTK, scope);
 		const inspection = config.inspect(CTK_RULE_SET_KEY);
 
 		let rulesToConsider;
@@ -39,8 +282,10 @@ function getCtkRuleSet(scope) {
 				rulesToConsider = inspection?.globalValue;
 		} else if (scope === vscode.ConfigurationTarget.Workspace && isWorkspaceOpen()) {
 				rulesToConsider = inspection?.workspaceValue;
+		} else if (isFolderScope(scope) && isScopeAvailable(scope)) {
+				rulesToConsider = inspection?.workspaceFolderValue;
 		} else {
-				// For WorkspaceFolder or if workspace not open for Workspace scope
+				// If workspace not open for Workspace scope, a folder that is no longer open
 				// or an unsupported scope, return empty.
 				return [];
 		}
@@ -50,104 +295,188 @@ function getCtkRuleSet(scope) {
 /**
  * Updates the rule set in the specified configuration scope.
  * @param {Rule[]} rules The new set of rules to save.
- * @param {vscode.ConfigurationTarget} scope The configuration scope to update.
+ * @param {RuleScope} scope The configuration scope to update.
+ * @throws {Error} If the scope is not open or the settings could not be written.
  */
 async function updateCtkRuleSet(rules, scope) {
-		if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
-				vscode.window.showErrorMessage("CTK GEE: Cannot update workspace rules as no workspace is open.");
-				return;
+		if (!isScopeAvailable(scope)) {
+				throw new Error(`Cannot update ${getScopeNameProper(scope)} rules as it is not open.`);
+		}
+		const config = getConfigurationForScope(CONFIG_SECTION_CTK, scope);
+		try {
+				await config.update(CTK_RULE_SET_KEY, rules, getScopeConfigurationTarget(scope));
+		} catch (error) {
+				throw new Error(`${getScopeNameProper(scope)} ctk.ruleSet could not be updated: ${error.message}`);
 		}
-		const config = vscode.workspace.getConfiguration(CONFIG_SECTION_CTK);
-		await config.update(CTK_RULE_SET_KEY, rules, scope);
 }
 
 /**
  * Retrieves the geminicodeassist.rules string from the specified configuration scope.
- * @param {vscode.ConfigurationTarget} scope
+ * @param {RuleScope} scope
  * @returns {Promise<string>}
  */
 async function getGeminiRulesStringFromConfig(scope) {
-		const rootConfig = vscode.workspace.getConfiguration();
+		if (!isScopeAvailable(scope)) {
+				// If asking for a workspace or folder that is not open, effectively it's an empty string for our purposes
+				return "";
+		}
+		const rootConfig = getConfigurationForScope(null, scope);
 		const inspection = rootConfig.inspect(GEMINI_CODE_ASSIST_RULES_KEY);
-		let actualGeminiStringInScope = "";
+		let actualGeminiStringInScope;
 
 		if (scope === vscode.ConfigurationTarget.Global) {
-				actualGeminiStringInScope = typeof inspection?.globalValue === 'string' ? inspection.globalValue : "";
-		} else if (scope === vscode.ConfigurationTarget.Workspace && isWorkspaceOpen()) {
-				actualGeminiStringInScope = typeof inspection?.workspaceValue === 'string' ? inspection.workspaceValue : "";
-		} else if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
-				// If asking for workspace but none is open, effectively it's an empty string for our purposes
-				return "";
+				actualGeminiStringInScope = inspection?.globalValue;
+		} else if (scope === vscode.ConfigurationTarget.Workspace) {
+				actualGeminiStringInScope = inspection?.workspaceValue;
+		} else {
+				actualGeminiStringInScope = inspection?.workspaceFolderValue;
 		}
-		return actualGeminiStringInScope;
+		return typeof actualGeminiStringInScope === 'string' ? actualGeminiStringInScope : "";
 }
 
 /**
  * Updates the geminicodeassist.rules string in the specified configuration scope.
  * @param {string} newString
- * @param {vscode.ConfigurationTarget} scope
+ * @param {RuleScope} scope
+ * @throws {Error} If the scope is not open or the settings could not be written.
  */
 async function updateGeminiRulesStringInConfig(newString, scope) {
-		if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
-				return;
+		const scopeNameProper = getScopeNameProper(scope);
+		if (!isScopeAvailable(scope)) {
+				throw new Error(`Cannot update ${scopeNameProper} geminicodeassist.rules as it is not open.`);
 		}
-		const rootConfig = vscode.workspace.getConfiguration();
-		const scopeNameProper = scope === vscode.ConfigurationTarget.Global ? "Global" : "Workspace";
+		const rootConfig = getConfigurationForScope(null, scope);
 		try {
-				await rootConfig.update(GEMINI_CODE_ASSIST_RULES_KEY, newString, scope);
+				await rootConfig.update(GEMINI_CODE_ASSIST_RULES_KEY, newString, getScopeConfigurationTarget(scope));
 				console.log(`CTK GEE: Successfully updated ${scopeNameProper} geminicodeassist.rules`);
 		} catch (error) {
-				vscode.window.showErrorMessage(`CTK GEE: Error updating ${scopeNameProper} geminicodeassist.rules: ${error.message}`);
-				console.error(`CTK GEE: Error updating ${scopeNameProper} geminicodeassist.rules:`, error);
+				throw new Error(`${scopeNameProper} geminicodeassist.rules could not be updated: ${error.message}`);
 		}
 }
 
 /**
- * Parses the geminicodeassist.rules string.
- * @param {string} rulesString
- * @returns {{orderedKeyValues: {key: string, value: string}[], valueMap: Map<string, string>}}
+ * Warns about rules found by findRoundTripProblems, offering to open the original geminicodeassist.rules text.
+ * @param {RuleScope} scope
+ * @param {string[]} problems
+ * @param {string} originalGeminiRules geminicodeassist.rules as it was before this session rewrote it.
  */
-function parseGeminiRulesString(rulesString) {
-		const orderedKeyValues = [];
-		const valueMap = new Map();
-		if (typeof rulesString !== 'string' || rulesString.trim() === "") {
-				return { orderedKeyValues, valueMap };
+async function reportRoundTripProblems(scope, problems, originalGeminiRules) {
+		if (problems.length === 0) return;
+		const scopeNameProper = getScopeNameProper(scope);
+		console.warn(`CTK GEE: ${scopeNameProper} geminicodeassist.rules was not stored safely: ${problems.join(" ")}`);
+		const selection = await vscode.window.showWarningMessage(
+				`CTK GEE: ${problems.length} rule(s) in ${scopeNameProper} geminicodeassist.rules were stored in a way that does not read back unchanged. ${problems.join(" ")}`,
+				"Show Original"
+		);
+		if (selection === "Show Original") {
+				const document = await vscode.workspace.openTextDocument({ content: originalGeminiRules, language: 'markdown' });
+				await vscode.window.showTextDocument(document);
 		}
+}
 
-		const ruleEntries = rulesString.split(/\n\n\n\n/);
-		for (const entry of ruleEntries) {
-				if (entry.trim() === "") continue;
-				const colonIndex = entry.indexOf(':');
-				if (colonIndex > 0) { // Ensure colon is present and not the first character
-						const key = entry.substring(0, colonIndex).trim();
-						const value = entry.substring(colonIndex + 1).trimStart(); // trimStart to preserve leading spaces in value if intended
-						if (key) { // Ensure key is not empty
-								orderedKeyValues.push({ key, value });
-								valueMap.set(key, value);
-						}
-				} else {
-						// Handle entries without a colon as a key with an empty value
-						const key = entry.trim();
-						if (key) {
-								orderedKeyValues.push({ key, value: "" });
-								valueMap.set(key, "");
-								console.warn(`CTK GEE: Rule entry "${key}" in geminicodeassist.rules has no value. Treating as empty value.`);
-						}
-				}
+/**
+ * Builds a key -> value map for every rule in ctk.ruleSet, including disabled and inactive conditional rules
+ * whose values are held in ctk.ruleSet rather than geminicodeassist.rules.
+ * @param {RuleScope} scope
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getRuleValueMap(scope) {
+		const { valueMap } = parseGeminiRulesString(await getGeminiRulesStringFromConfig(scope));
+		const ruleValueMap = new Map();
+		for (const rule of getCtkRuleSet(scope)) {
+				// Rules with placeholders are stored resolved in geminicodeassist.rules; callers want the raw template
+				const value = rule.value !== undefined ? rule.value : (rule.template !== undefined ? rule.template : valueMap.get(rule.key));
+				ruleValueMap.set(rule.key, value || "");
 		}
-		return { orderedKeyValues, valueMap };
+		return ruleValueMap;
 }
 
 /**
- * Builds the geminicodeassist.rules string from ordered key-value pairs.
- * @param {{key: string, value: string}[]} orderedKeyValues
- * @returns {string}
+ * Builds the context to resolve the placeholders of a scope's rules. Folder scopes use their own folder;
+ * other scopes use the first folder of the window, as VS Code does for ${workspaceFolder}.
+ * @param {RuleScope} scope
+ * @param {Map<string, string>} ruleValues Raw values by key of the scope's rules.
+ * @returns {RuleSubstitutionContext}
  */
-function buildGeminiRulesString(orderedKeyValues) {
-		if (!Array.isArray(orderedKeyValues) || orderedKeyValues.length === 0) {
-				return "";
+function createRuleSubstitutionContext(scope, ruleValues) {
+		const folder = isFolderScope(scope) ? scope : vscode.workspace.workspaceFolders?.[0];
+		return { folder, ruleValues, problems: [], getSetting: name => vscode.workspace.getConfiguration(undefined, folder?.uri).get(name) };
+}
+
+/**
+ * Measures a scope's geminicodeassist.rules as written, i.e. with placeholders resolved.
+ * @param {RuleScope} scope
+ * @returns {Promise<{total: number, ruleSizes: Map<string, number>}>} Characters in total and per rule key.
+ */
+async function getRuleSizes(scope) {
+		return measureRuleSizes(isScopeAvailable(scope) ? await getGeminiRulesStringFromConfig(scope) : "");
+}
+
+/**
+ * Returns the scopes whose geminicodeassist.rules are sent together with the given scope's:
+ * Global plus the workspace or folder scope.
+ * @param {RuleScope} scope
+ * @returns {RuleScope[]}
+ */
+function getCombinedRuleScopes(scope) {
+		if (scope !== vscode.ConfigurationTarget.Global) return [vscode.ConfigurationTarget.Global, scope];
+		return isWorkspaceOpen() ? [scope, vscode.ConfigurationTarget.Workspace] : [scope];
+}
+
+/**
+ * Counts the characters of the combined geminicodeassist.rules of a scope and Global, including the separator between them.
+ * @param {RuleScope} scope
+ * @returns {Promise<number>}
+ */
+async function getCombinedRuleSize(scope) {
+		const totals = [];
+		for (const combinedScope of getCombinedRuleScopes(scope)) {
+				const { total } = await getRuleSizes(combinedScope);
+				if (total > 0) totals.push(total);
+		}
+		return totals.reduce((sum, total) => sum + total, 0) + Math.max(0, totals.length - 1) * GEMINI_RULES_SEPARATOR.length;
+}
+
+/**
+ * Warns when the combined rules of a scope exceed ctk.tokenBudget, offering the largest rules report.
+ * Called after a sync made geminicodeassist.rules longer.
+ * @param {RuleScope} scope
+ */
+async function checkRuleBudget(scope) {
+		const budget = vscode.workspace.getConfiguration(CONFIG_SECTION_CTK).get('tokenBudget', 8000);
+		if (!budget || budget <= 0) return;
+		const combinedSize = await getCombinedRuleSize(scope);
+		const tokens = estimateTokenCount(combinedSize);
+		if (tokens <= budget) return;
+
+		const scopeNames = getCombinedRuleScopes(scope).map(getScopeNameProper).join(" and ");
+		console.warn(`CTK GEE: ${scopeNames} rules take ~${tokens} tokens, over the budget of ${budget}.`);
+		const selection = await vscode.window.showWarningMessage(
+				`CTK GEE: ${scopeNames} rules now take ${formatRuleSize(combinedSize)}, over the budget of ${budget.toLocaleString('en-US')} tokens (ctk.tokenBudget).`,
+				"Show Largest Rules"
+		);
+		if (selection === "Show Largest Rules") await vscode.commands.executeCommand('ctk.showLargestRules');
+}
+
+/**
+ * A rule whose key or value matched a search.
+ * @typedef {RuleSearchMatch & {scope: RuleScope}} RuleSearchResult
+ */
+
+/**
+ * Searches the keys and raw values of all rules, including disabled ones.
+ * @param {string} query Matched case-insensitively as plain text.
+ * @param {RuleScope[]} [scopes] Defaults to every available scope.
+ * @returns {Promise<RuleSearchResult[]>} In scope order, then ctk.ruleSet order.
+ */
+async function searchRules(query, scopes = getAllRuleScopes()) {
+		const results = [];
+		if (!query) return results;
+		for (const scope of scopes) {
+				const matches = searchRuleSet(query, getCtkRuleSet(scope), await getRuleValueMap(scope));
+				results.push(...matches.map(match => ({ scope, ...match })));
 		}
-		return orderedKeyValues.map(kv => `${kv.key}: ${kv.value}`).join('\n\n\n\n');
+		return results;
 }
 
 /**
@@ -192,21 +521,23 @@ async function performInitialGlobalImport() {
 		}
 }
 /**
- * Handles initial import of existing workspace geminicodeassist.rules content.
- * This is designed to run once or if workspace ctk.ruleSet is empty.
+ * Handles initial import of existing workspace (or workspace folder) geminicodeassist.rules content.
+ * This is designed to run once or if the scope's ctk.ruleSet is empty.
+ * @param {RuleScope} [scope=vscode.ConfigurationTarget.Workspace] Workspace or a workspace folder.
  */
-async function performInitialWorkspaceImport() {
-		if (!isWorkspaceOpen()) return;
+async function performInitialWorkspaceImport(scope = vscode.ConfigurationTarget.Workspace) {
+		if (!isScopeAvailable(scope)) return;
 
-		let ctkRules = getCtkRuleSet(vscode.ConfigurationTarget.Workspace);
+		let ctkRules = getCtkRuleSet(scope);
+		const scopeLabel = isFolderScope(scope) ? `folder '${scope.name}'` : "workspace";
 
 		if (ctkRules.length === 0) {
-				const geminiString = await getGeminiRulesStringFromConfig(vscode.ConfigurationTarget.Workspace);
+				const geminiString = await getGeminiRulesStringFromConfig(scope);
 				const { orderedKeyValues } = parseGeminiRulesString(geminiString);
 
 				if (orderedKeyValues.length > 0) {
 						const userChoice = await vscode.window.showInformationMessage(
-								`CTK GEE: Found existing content in workspace 'geminicodeassist.rules'. Would you like to import its keys into workspace 'ctk.ruleSet'?`,
+								`CTK GEE: Found existing content in ${scopeLabel} 'geminicodeassist.rules'. Would you like to import its keys into ${scopeLabel} 'ctk.ruleSet'?`,
 								{ modal: true },
 								"Yes, import keys",
 								"No, start fresh"
@@ -217,14 +548,14 @@ async function performInitialWorkspaceImport() {
 										id: index + 1,
 										key: kv.key
 								}));
-								const { cleanedCtkRules, keyRenames } = await ensureAndCleanCtkRuleSet(newCtkRules, "Workspace", false);
-								await updateCtkRuleSet(cleanedCtkRules, vscode.ConfigurationTarget.Workspace);
+								const { cleanedCtkRules, keyRenames } = await ensureAndCleanCtkRuleSet(newCtkRules, getScopeNameProper(scope), false);
+								await updateCtkRuleSet(cleanedCtkRules, scope);
 
 								if (keyRenames.size > 0) {
-										await syncRules(vscode.ConfigurationTarget.Workspace);
-										vscode.window.showWarningMessage("CTK GEE: Imported workspace keys and cleaned them. geminicodeassist.rules was updated.");
+										await syncRules(scope);
+										vscode.window.showWarningMessage(`CTK GEE: Imported ${scopeLabel} keys and cleaned them. geminicodeassist.rules was updated.`);
 								} else {
-										vscode.window.showInformationMessage("CTK GEE: Imported keys from workspace geminicodeassist.rules into workspace ctk.ruleSet.");
+										vscode.window.showInformationMessage(`CTK GEE: Imported keys from ${scopeLabel} geminicodeassist.rules into ${scopeLabel} ctk.ruleSet.`);
 								}
 						}
 				}
@@ -232,269 +563,4102 @@ async function performInitialWorkspaceImport() {
 }
 
 /**
- * Syncs ctk.ruleSet (keys and order) with geminicodeassist.rules (values).
- * @param {vscode.ConfigurationTarget} scope
+ * Imports, cleans and syncs the rules of the workspace or a workspace folder, as done on activation.
+ * @param {RuleScope} scope Workspace or a workspace folder.
+ */
+async function initializeWorkspaceScope(scope) {
+		await performInitialWorkspaceImport(scope);
+		const { cleanedCtkRules, keyRenames } = await ensureAndCleanCtkRuleSet(getCtkRuleSet(scope), getScopeNameProper(scope));
+		await updateCtkRuleSet(cleanedCtkRules, scope);
+		await syncRules(scope, keyRenames);
+}
+
+/**
+ * Last seen ctk.ruleSet and geminicodeassist.rules values per scope ID. A configuration change event
+ * only says which settings changed, so comparing against these tells which scope (and which folder) changed.
+ * @type {Map<string, {ruleSet: string, geminiRules: string}>}
+ */
+const scopeSettingSnapshots = new Map();
+
+/**
+ * Compares ctk.ruleSet and geminicodeassist.rules in every scope with the last snapshot and records the current values.
+ * Scopes seen for the first time are recorded but not reported.
+ * @returns {Promise<{scope: RuleScope, ruleSetChanged: boolean, geminiRulesChanged: boolean, previousGeminiRules: string}[]>}
+ */
+async function detectChangedRuleScopes() {
+		const changedScopes = [];
+		const currentScopeIds = new Set();
+		for (const scope of getAllRuleScopes()) {
+				const scopeId = getScopeId(scope);
+				currentScopeIds.add(scopeId);
+				const snapshot = { ruleSet: JSON.stringify(getCtkRuleSet(scope)), geminiRules: await getGeminiRulesStringFromConfig(scope) };
+				const previous = scopeSettingSnapshots.get(scopeId);
+				scopeSettingSnapshots.set(scopeId, snapshot);
+				if (!previous) continue;
+
+				const ruleSetChanged = previous.ruleSet !== snapshot.ruleSet;
+				const geminiRulesChanged = previous.geminiRules !== snapshot.geminiRules;
+				if (ruleSetChanged || geminiRulesChanged) changedScopes.push({ scope, ruleSetChanged, geminiRulesChanged, previousGeminiRules: previous.geminiRules });
+		}
+		for (const scopeId of [...scopeSettingSnapshots.keys()]) {
+				if (!currentScopeIds.has(scopeId)) scopeSettingSnapshots.delete(scopeId); // Folder removed or workspace closed
+		}
+		return changedScopes;
+}
+
+/**
+ * Syncs ctk.ruleSet (keys and order) with geminicodeassist.rules (values), then the scope's active sync targets.
+ * Disabled rules, and conditional rules that do not match the active editor, are left out of geminicodeassist.rules;
+ * their values are moved into ctk.ruleSet and moved back when the rule is enabled or matches again.
+ * @param {RuleScope} scope
  * @param {Map<string, string>} [keyRenames=new Map()] Optional map of oldKey -> newKey.
+ * @param {{quiet?: boolean}} [options] quiet: only log problems instead of showing messages, for the extension API.
+ * @throws {Error} If a setting could not be written.
  */
-async function syncRules(scope, keyRenames = new Map()) {
+async function syncRules(scope, keyRenames = new Map(), { quiet = false } = {}) {
 		if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) return;
 
-		const ctkRules = getCtkRuleSet(scope); // These are [{id, key}]
 		const currentGeminiString = await getGeminiRulesStringFromConfig(scope);
-		const { valueMap: currentGeminiValueMap } = parseGeminiRulesString(currentGeminiString);
-
-		const newOrderedKeyValues = ctkRules.map(ctkRule => {
-				let valueToUse = currentGeminiValueMap.get(ctkRule.key);
-
-				// If ctkRule.key might be a renamed key, try to find its original value
-				if (valueToUse === undefined) {
-						for (const [originalKey, renamedKey] of keyRenames.entries()) {
-								if (renamedKey === ctkRule.key) {
-										valueToUse = currentGeminiValueMap.get(originalKey);
-										break;
-								}
-						}
-				}
-				return { key: ctkRule.key, value: valueToUse || "" }; // Default to empty string if no value found
+		const { ctkRules: updatedCtkRules, geminiRules: newGeminiString, heldValuesChanged, substitutionProblems } = computeRuleSync(getCtkRuleSet(scope), currentGeminiString, {
+				keyRenames,
+				isActive: isRuleActive,
+				createSubstitution: ruleValues => createRuleSubstitutionContext(scope, ruleValues)
 		});
-
-		const newGeminiString = buildGeminiRulesString(newOrderedKeyValues);
+		reportUnresolvedPlaceholders(scope, substitutionProblems, quiet);
 
 		if (newGeminiString !== currentGeminiString) {
 				await updateGeminiRulesStringInConfig(newGeminiString, scope);
-				console.log(`CTK GEE: Synced rules for ${scope === vscode.ConfigurationTarget.Global ? "Global" : "Workspace"} scope.`);
+				console.log(`CTK GEE: Synced rules for ${getScopeNameProper(scope)} scope.`);
+				if (newGeminiString.length > currentGeminiString.length && !quiet) {
+						checkRuleBudget(scope).catch(error => console.error("CTK GEE: Error checking the rule budget:", error));
+				}
+		}
+		if (heldValuesChanged) {
+				await updateCtkRuleSet(updatedCtkRules, scope);
 		}
+		await syncRuleTargets(scope, quiet);
 }
 
 /**
- * Reconciles ctk.ruleSet with external changes in geminicodeassist.rules.
- * @param {vscode.ConfigurationTarget} scope
+ * Last reported unresolved placeholders per scope ID, so a sync only warns when they change.
+ * @type {Map<string, string>}
  */
-async function reconcileCtkWithExternalGeminiChange(scope) {
-		if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) return;
-
-		const scopeNameProper = scope === vscode.ConfigurationTarget.Global ? "Global" : "Workspace";
-		const geminiString = await getGeminiRulesStringFromConfig(scope);
-		const { orderedKeyValues: geminiKeyValues, valueMap: geminiValueMap } = parseGeminiRulesString(geminiString);
-		let currentCtkRules = getCtkRuleSet(scope);
-
-		// Construct what gemini.rules *should* look like based on current ctk.ruleSet and current gemini values
-		const ctkDerivedGeminiString = buildGeminiRulesString(
-				currentCtkRules.map(r => ({ key: r.key, value: geminiValueMap.get(r.key) || "" }))
-		);
+const reportedPlaceholderProblems = new Map();
 
-		if (ctkDerivedGeminiString === geminiString) {
-				console.log(`CTK GEE: ${scopeNameProper} geminicodeassist.rules matches ctk.ruleSet derived content. No reconciliation needed.`);
+/**
+ * Logs placeholders that could not be resolved and warns about them once per distinct set.
+ * @param {RuleScope} scope
+ * @param {{key: string, placeholder: string, reason: string}[]} problems
+ * @param {boolean} [quiet=false] Only log them; the next sync that is not quiet warns.
+ */
+function reportUnresolvedPlaceholders(scope, problems, quiet = false) {
+		const descriptions = [...new Set(problems.map(p => `"${p.key}": ${p.placeholder} (${p.reason})`))];
+		const signature = descriptions.join("; ");
+		if (quiet) {
+				if (descriptions.length > 0) console.warn(`CTK GEE: Unresolved placeholders in ${getScopeNameProper(scope)} rules: ${signature}`);
 				return;
 		}
+		const scopeId = getScopeId(scope);
+		if (reportedPlaceholderProblems.get(scopeId) === signature) return;
+		reportedPlaceholderProblems.set(scopeId, signature);
+		if (descriptions.length === 0) return;
+
+		const scopeNameProper = getScopeNameProper(scope);
+		console.warn(`CTK GEE: Unresolved placeholders in ${scopeNameProper} rules: ${signature}`);
+		vscode.window.showWarningMessage(`CTK GEE: ${descriptions.length} placeholder(s) in ${scopeNameProper} rules could not be resolved and were left as written: ${signature}`);
+}
 
-		const choice = await vscode.window.showWarningMessage(
-				`CTK GEE: ${scopeNameProper} 'geminicodeassist.rules' appears to have been modified externally or is out of sync.`,
-				{ modal: true },
-				`Update ${scopeNameProper} ctk.ruleSet from geminicodeassist.rules`,
-				`Overwrite ${scopeNameProper} geminicodeassist.rules with ctk.ruleSet content`
-		);
-
-		if (choice === `Update ${scopeNameProper} ctk.ruleSet from geminicodeassist.rules`) {
-				let nextId = currentCtkRules.length > 0 ? Math.max(0, ...currentCtkRules.map(r => r.id)) + 1 : 1;
-				const newCtkRules = geminiKeyValues.map(kv => {
-						const existingRule = currentCtkRules.find(r => r.key === kv.key);
-						return { id: existingRule ? existingRule.id : nextId++, key: kv.key };
-				});
+/**
+ * Inserts rules, with their values, into a scope's ctk.ruleSet and syncs geminicodeassist.rules.
+ * Incoming rules get new IDs; key collisions are resolved by ensureAndCleanCtkRuleSet.
+ * @param {Rule[]} incomingRules Rules to insert. Each must carry its value in `value`.
+ * @param {RuleScope} scope
+ * @param {number} [insertIndex] Position in ctk.ruleSet. Defaults to the end.
+ * @param {{quiet?: boolean}} [syncOptions] Passed to syncRules.
+ * @returns {Promise<Map<string, string>>} Map of oldKey -> newKey for keys that had to be renamed.
+ */
+async function addRulesToScope(incomingRules, scope, insertIndex, syncOptions) {
+		const scopeNameProper = getScopeNameProper(scope);
+		const currentRules = getCtkRuleSet(scope);
+		const valueMap = await getRuleValueMap(scope);
+
+		let nextId = currentRules.length > 0 ? Math.max(0, ...currentRules.map(r => r.id)) + 1 : 1;
+		const combinedRules = [...currentRules];
+		combinedRules.splice(insertIndex ?? combinedRules.length, 0, ...incomingRules.map(r => Object.assign({ id: 0 }, r, { id: nextId++ })));
+
+		const { cleanedCtkRules, keyRenames } = await ensureAndCleanCtkRuleSet(combinedRules, scopeNameProper, false);
+		// Hold the value of every renamed rule, so syncRules writes it under its new key
+		cleanedCtkRules.forEach((rule, index) => {
+				if (rule.key !== combinedRules[index].key && rule.value === undefined) {
+						rule.value = valueMap.get(combinedRules[index].key) || "";
+				}
+		});
 
-				const { cleanedCtkRules, keyRenames } = await ensureAndCleanCtkRuleSet(newCtkRules, scopeNameProper, false);
-				await updateCtkRuleSet(cleanedCtkRules, scope);
+		noteRuleOperation(scope, `Add ${incomingRules.length === 1 ? `rule "${incomingRules[0].key}"` : `${incomingRules.length} rules`}`);
+		await updateCtkRuleSet(cleanedCtkRules, scope);
+		await syncRules(scope, undefined, syncOptions);
+		return keyRenames;
+}
 
-				if (keyRenames.size > 0) { // Duplicates in gemini.rules forced key changes in ctk.ruleSet
-						const finalGeminiValues = new Map(geminiKeyValues.map(item => [item.key, item.value])); // Use original values from geminiString
-						const correctedOrderedKeyValues = cleanedCtkRules.map(ctkRule => {
-								let valueToUse, originalKeyForValue = ctkRule.key;
-								 for (const [originalInputKey, newlyCleanedKey] of keyRenames.entries()) { // Find original key if ctkRule.key was renamed
-										if (newlyCleanedKey === ctkRule.key) { originalKeyForValue = originalInputKey; break; }
-								}
-								valueToUse = finalGeminiValues.get(originalKeyForValue);
-								return { key: ctkRule.key, value: valueToUse || "" };
-						});
-						await updateGeminiRulesStringInConfig(buildGeminiRulesString(correctedOrderedKeyValues), scope);
-						vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} ctk.ruleSet and geminicodeassist.rules updated and cleaned from external changes.`);
-				} else {
-						vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} ctk.ruleSet updated from geminicodeassist.rules.`);
-				}
-		} else if (choice === `Overwrite ${scopeNameProper} geminicodeassist.rules with ctk.ruleSet content`) {
-				await syncRules(scope); // This will use current ctk.ruleSet to rebuild gemini.rules
-				vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} geminicodeassist.rules overwritten by ctk.ruleSet content.`);
-		}
+/**
+ * Replaces all rules of a scope with the given rules, with their values, and syncs geminicodeassist.rules.
+ * IDs are reassigned and key collisions are resolved by ensureAndCleanCtkRuleSet.
+ * @param {Rule[]} newRules Rules to store. Each must carry its value in `value`.
+ * @param {RuleScope} scope
+ * @returns {Promise<Map<string, string>>} Map of oldKey -> newKey for keys that had to be renamed.
+ */
+async function replaceRulesInScope(newRules, scope) {
+		const scopeNameProper = getScopeNameProper(scope);
+		const numberedRules = newRules.map((r, index) => Object.assign({ id: 0 }, r, { id: index + 1 }));
+		const { cleanedCtkRules, keyRenames } = await ensureAndCleanCtkRuleSet(numberedRules, scopeNameProper, false);
+		noteRuleOperation(scope, "Replace all rules");
+		await updateCtkRuleSet(cleanedCtkRules, scope);
+		await syncRules(scope);
+		return keyRenames;
 }
 
 /**
- * Ensures unique IDs and keys in a ctk.ruleSet array.
- * @param {Rule[]} ctkRulesArray The array of ctk rules ({id, key}) to process.
- * @param {string} scopeNameProper User-friendly scope name (e.g., "Global", "Workspace").
- * @param {boolean} [showMessage=true] Whether to show a warning message.
- * @returns {Promise<{cleanedCtkRules: Rule[], keyRenames: Map<string, string>, madeChanges: boolean}>}
+ * Removes rules from a scope's ctk.ruleSet and syncs geminicodeassist.rules.
+ * @param {number[]} ruleIds
+ * @param {RuleScope} scope
+ * @param {{quiet?: boolean}} [syncOptions] Passed to syncRules.
  */
-async function ensureAndCleanCtkRuleSet(ctkRulesArray, scopeNameProper, showMessage = true) {
-		if (!Array.isArray(ctkRulesArray)) return { cleanedCtkRules: [], keyRenames: new Map(), madeChanges: false };
-
-		const rules = JSON.parse(JSON.stringify(ctkRulesArray)); // Deep copy
-		let madeChanges = false;
-		const keyRenames = new Map(); // Map<originalKey, newKey>
-
-		// 1. Ensure unique and sequential IDs
-		const idSet = new Set();
-		let reassignIds = false;
-		for (const rule of rules) {
-				if (typeof rule.id !== 'number' || idSet.has(rule.id) || rule.id <= 0) {
-						reassignIds = true;
-						break;
-				}
-				idSet.add(rule.id);
-		}
+async function removeRulesFromScope(ruleIds, scope, syncOptions) {
+		const idsToRemove = new Set(ruleIds);
+		noteRuleOperation(scope, `Delete ${ruleIds.length === 1 ? "rule" : `${ruleIds.length} rules`}`);
+		await updateCtkRuleSet(getCtkRuleSet(scope).filter(r => !idsToRemove.has(r.id)), scope);
+		await syncRules(scope, undefined, syncOptions);
+}
 
-		if (reassignIds) {
-				madeChanges = true;
-				console.warn(`CTK GEE: Re-assigning IDs for ${scopeNameProper} ctk.ruleSet.`);
-				rules.forEach((rule, index) => {
-						rule.id = index + 1;
-				});
+/**
+ * Copies or moves rules, with their values and metadata, from one scope to another. Incoming rules are appended,
+ * or take the place of the rules they replace. If any step fails, both scopes are restored to where they were.
+ * @param {number[]} ruleIds IDs of the rules in the source scope.
+ * @param {RuleScope} sourceScope
+ * @param {RuleScope} targetScope
+ * @param {object} options
+ * @param {boolean} options.move Whether to remove the rules from the source scope.
+ * @param {'rename' | 'replace' | 'skip'} options.onCollision What to do with rules whose key the target scope already has:
+ * rename them as ensureAndCleanCtkRuleSet does, replace the target's rule, or leave them out.
+ * @returns {Promise<{transferredCount: number, skippedCount: number, keyRenames: Map<string, string>}>}
+ * @throws {Error} If a step fails. The message says whether both scopes could be restored.
+ */
+async function transferRules(ruleIds, sourceScope, targetScope, { move, onCollision }) {
+		const sourceValueMap = await getRuleValueMap(sourceScope);
+		const targetRules = getCtkRuleSet(targetScope);
+		const targetKeys = new Set(targetRules.map(r => r.key));
+		const selectedRules = getCtkRuleSet(sourceScope).filter(r => ruleIds.includes(r.id));
+		const transferredRules = onCollision === 'skip' ? selectedRules.filter(r => !targetKeys.has(r.key)) : selectedRules;
+		const skippedCount = selectedRules.length - transferredRules.length;
+		if (transferredRules.length === 0) return { transferredCount: 0, skippedCount, keyRenames: new Map() };
+
+		// Raw values travel as held values; syncRules in the target scope writes them and derives templates again
+		const incomingRules = transferredRules.map(r => ({ ...withRuleTemplate(r, undefined), value: sourceValueMap.get(r.key) || "" }));
+		const savedStates = [];
+		for (const scope of move ? [targetScope, sourceScope] : [targetScope]) {
+				savedStates.push({ scope, ctkRules: getCtkRuleSet(scope), geminiRules: await getGeminiRulesStringFromConfig(scope) });
 		}
+		const verb = move ? "Move" : "Copy";
 
-		// 2. Ensure unique keys in ctk.ruleSet
-		const finalKeySet = new Set(); // Tracks keys already processed and finalized
-
-		for (const rule of rules) {
-				const originalRuleKey = rule.key; // Keep track of the key as it was when this rule was first encountered in this loop
-				let currentKey = rule.key;
-				let occurrences = 0;
-				// Count occurrences of this key *before* potential renaming
-				for(const r of rules) {
-						if (r.key === currentKey) occurrences++;
-				}
-				
-				if (finalKeySet.has(currentKey) || occurrences > 1) { // If it's a duplicate among remaining rules or conflicts with an already processed one
-						madeChanges = true;
-						let newKey;
-						let duplicateIndex = 0;
-						// Find a unique name based on the original key to avoid long chains like key_dup_1_dup_1
-						const baseKeyForDuplicates = originalRuleKey; 
-						do {
-								duplicateIndex++;
-								newKey = `${baseKeyForDuplicates}_duplicate_${duplicateIndex}`;
-						} while (rules.some(r => r.key === newKey && r !== rule) || finalKeySet.has(newKey) ); // Check against other rules and already finalized keys
-						
-						console.warn(`CTK GEE: Modifying duplicate key "${currentKey}" to "${newKey}" in ${scopeNameProper} ctk.ruleSet.`);
-						rule.key = newKey;
-						if (originalRuleKey !== newKey) {
-								 // If originalRuleKey was already a renamed key, we need to trace back
-								let ultimateOriginalKey = originalRuleKey;
-								for(const [o, n] of keyRenames.entries()){
-										if(n === originalRuleKey) {
-												ultimateOriginalKey = o;
-												break;
-										}
-								}
-								keyRenames.set(ultimateOriginalKey, newKey);
+		try {
+				let keyRenames = new Map();
+				if (onCollision === 'replace') {
+						let nextId = targetRules.length > 0 ? Math.max(0, ...targetRules.map(r => r.id)) + 1 : 1;
+						const incomingByKey = new Map(incomingRules.map(r => [r.key, { ...r, id: nextId++ }]));
+						const combinedRules = targetRules.map(r => incomingByKey.get(r.key) || r);
+						combinedRules.push(...[...incomingByKey.values()].filter(r => !targetKeys.has(r.key)));
+						noteRuleOperation(targetScope, `${verb} ${transferredRules.length} rule(s) from ${getScopeNameProper(sourceScope)}`);
+						await updateCtkRuleSet(combinedRules, targetScope);
+						await syncRules(targetScope);
+				} else {
+						noteRuleOperation(targetScope, `${verb} ${transferredRules.length} rule(s) from ${getScopeNameProper(sourceScope)}`);
+						keyRenames = await addRulesToScope(incomingRules, targetScope);
+				}
+				if (move) {
+						noteRuleOperation(sourceScope, `Move ${transferredRules.length} rule(s) to ${getScopeNameProper(targetScope)}`);
+						await removeRulesFromScope(transferredRules.map(r => r.id), sourceScope);
+				}
+				return { transferredCount: transferredRules.length, skippedCount, keyRenames };
+		} catch (error) {
+				console.error(`CTK GEE: ${verb} of rules failed, rolling back:`, error);
+				const unrestoredScopeNames = [];
+				for (const { scope, ctkRules, geminiRules } of savedStates) {
+						// The operation did not happen, so neither it nor the rollback belongs in the rule history
+						notedRuleOperations.delete(getScopeId(scope));
+						try {
+								// ctk.ruleSet first: restoring geminicodeassist.rules then leaves both in sync, so nothing asks to reconcile.
+								// Settings the failed operation did not get to write are left alone.
+								if (JSON.stringify(getCtkRuleSet(scope)) !== JSON.stringify(ctkRules)) await updateCtkRuleSet(ctkRules, scope);
+								if (await getGeminiRulesStringFromConfig(scope) !== geminiRules) await updateGeminiRulesStringInConfig(geminiRules, scope);
+						} catch (rollbackError) {
+								console.error(`CTK GEE: Could not restore ${getScopeNameProper(scope)} rules:`, rollbackError);
+								unrestoredScopeNames.push(getScopeNameProper(scope));
 						}
 				}
-				finalKeySet.add(rule.key);
+				const scopeNames = savedStates.map(({ scope }) => getScopeNameProper(scope)).join(" and ");
+				throw new Error(unrestoredScopeNames.length === 0
+						? `${error.message} The ${scopeNames} rules were restored.`
+						: `${error.message} The ${unrestoredScopeNames.join(" and ")} rules could not be restored either; use the Rule History view to restore an earlier state.`, { cause: error });
 		}
+}
 
-		if (madeChanges && showMessage) {
-				vscode.window.showWarningMessage(`CTK GEE: Rules in ${scopeNameProper} ctk.ruleSet were adjusted to ensure unique IDs and/or keys. Review if necessary.`);
-		}
-		return { cleanedCtkRules: rules, keyRenames, madeChanges };
+/**
+ * Moves rules to a new position within a scope's ctk.ruleSet, which also sets their order in geminicodeassist.rules.
+ * @param {number[]} ruleIds IDs of the rules to move, kept in their current relative order.
+ * @param {RuleScope} scope
+ * @param {number} [beforeId] ID of the rule to place them before. Defaults to the end.
+ * @param {Partial<Rule>} [changes] Property changes (such as a new group) to apply to the moved rules.
+ */
+async function moveRulesWithinScope(ruleIds, scope, beforeId, changes = {}) {
+		const idsToMove = new Set(ruleIds);
+		const ctkRules = getCtkRuleSet(scope);
+		const movingRules = ctkRules.filter(r => idsToMove.has(r.id)).map(r => applyRuleChanges(r, changes));
+		const remainingRules = ctkRules.filter(r => !idsToMove.has(r.id));
+		const targetIndex = remainingRules.findIndex(r => r.id === beforeId);
+		remainingRules.splice(targetIndex === -1 ? remainingRules.length : targetIndex, 0, ...movingRules);
+
+		if (JSON.stringify(remainingRules) === JSON.stringify(ctkRules)) return; // Nothing moved or changed
+		noteRuleOperation(scope, "Reorder rules");
+		await updateCtkRuleSet(remainingRules, scope);
+		await syncRules(scope);
 }
 
-// --- TreeView Classes ---
+/**
+ * Applies property changes (group, tags, ...) to rules in a scope's ctk.ruleSet and syncs geminicodeassist.rules.
+ * @param {number[]} ruleIds
+ * @param {RuleScope} scope
+ * @param {Partial<Rule>} changes Properties to set. Properties set to undefined are removed.
+ */
+async function updateRules(ruleIds, scope, changes) {
+		const idsToUpdate = new Set(ruleIds);
+		noteRuleOperation(scope, "Update rule properties");
+		await updateCtkRuleSet(getCtkRuleSet(scope).map(r => (idsToUpdate.has(r.id) ? applyRuleChanges(r, changes) : r)), scope);
+		await syncRules(scope);
+}
 
-class RuleTreeItem extends vscode.TreeItem {
-	/**
-	 * @param {object} ruleSpec The specification for the rule.
-	 * @param {number} ruleSpec.id Unique ID for the rule.
-	 * @param {string} ruleSpec.key The key for the rule.
-	 * @param {string} ruleSpec.value The value of the rule.
-	 * @param {vscode.ConfigurationTarget} ruleSpec.scope The scope of the rule.
-	 * @param {vscode.TreeItemCollapsibleState} [collapsibleState=vscode.TreeItemCollapsibleState.None] The collapsible state of the tree item.
-	 */
-	constructor(
-		ruleSpec,
-		collapsibleState = vscode.TreeItemCollapsibleState.None
-	) {
-		super(`${ruleSpec.key}`, collapsibleState);
-		this.ruleSpec = ruleSpec; // Assign to instance property
+/**
+ * Returns a copy of a rule with the given enabled state. A rule being disabled holds its current value,
+ * since it is about to be left out of geminicodeassist.rules.
+ * @param {Rule} rule
+ * @param {boolean} enabled
+ * @param {Map<string, string>} valueMap Current values by key, from getRuleValueMap.
+ * @returns {Rule}
+ */
+function withRuleEnabled(rule, enabled, valueMap) {
+		if (enabled === isRuleEnabled(rule)) return rule;
+		// Enabling keeps the held value so syncRules can move it back into geminicodeassist.rules
+		return enabled ? { ...rule, enabled: true } : { ...rule, enabled: false, value: valueMap.get(rule.key) || "" };
+}
 
-		// Remove or comment out the description to hide the value preview
-		// const valueSnippet = ruleSpec.value.substring(0, 70);
-		// this.description = `${valueSnippet}${ruleSpec.value.length > 70 ? '...' : ''}`;
-		this.tooltip = new vscode.MarkdownString(`**Key:** \`${ruleSpec.key}\`\n\n**Value:**\n\`\`\`\n${ruleSpec.value}\n\`\`\``);
-		this.id = `${ruleSpec.scope === vscode.ConfigurationTarget.Global ? 'global' : 'workspace'}-${ruleSpec.id}`; // Unique ID for the tree item
-		this.contextValue = 'ctkRuleItem'; // Used in package.json for menu contributions
-	}
+/**
+ * Enables or disables rules and syncs geminicodeassist.rules.
+ * @param {Map<number, boolean>} enabledById Desired state per rule ID. Rules not in the map are unchanged.
+ * @param {RuleScope} scope
+ * @returns {Promise<number>} The number of rules whose state changed.
+ */
+async function setRulesEnabled(enabledById, scope) {
+		const ctkRules = getCtkRuleSet(scope);
+		const valueMap = await getRuleValueMap(scope);
+		let changedCount = 0;
+		const updatedCtkRules = ctkRules.map(r => {
+				const shouldBeEnabled = enabledById.get(r.id);
+				if (shouldBeEnabled === undefined || shouldBeEnabled === isRuleEnabled(r)) return r;
+				changedCount++;
+				return withRuleEnabled(r, shouldBeEnabled, valueMap);
+		});
+		if (changedCount === 0) return 0;
+
+		noteRuleOperation(scope, `Enable or disable ${changedCount} rule(s)`);
+		await updateCtkRuleSet(updatedCtkRules, scope);
+		await syncRules(scope);
+		return changedCount;
 }
 
-class MessageTreeItem extends vscode.TreeItem {
-	constructor(message) {
-		super(message, vscode.TreeItemCollapsibleState.None);
-		this.contextValue = 'ctkMessageItem';
-	}
+/**
+ * Reads a ctk setting as stored in exactly the given scope, ignoring values inherited from other scopes.
+ * @param {string} key Key within the ctk section.
+ * @param {RuleScope} scope
+ * @returns {any} The value, or undefined if the scope does not set it or is not open.
+ */
+function getCtkScopeSetting(key, scope) {
+		if (!isScopeAvailable(scope)) return undefined;
+		const inspection = getConfigurationForScope(CONFIG_SECTION_CTK, scope).inspect(key);
+		if (isFolderScope(scope)) return inspection?.workspaceFolderValue;
+		return scope === vscode.ConfigurationTarget.Global ? inspection?.globalValue : inspection?.workspaceValue;
 }
 
-class CtkRulesProvider { // implements vscode.TreeDataProvider<RuleTreeItem | MessageTreeItem>
-	_onDidChangeTreeData = new vscode.EventEmitter();
-	onDidChangeTreeData = this._onDidChangeTreeData.event;
+/**
+ * @param {string} key Key within the ctk section.
+ * @param {any} value The value to store, or undefined to remove it from the scope.
+ * @param {RuleScope} scope
+ */
+async function updateCtkScopeSetting(key, value, scope) {
+		if (!isScopeAvailable(scope)) return;
+		await getConfigurationForScope(CONFIG_SECTION_CTK, scope).update(key, value, getScopeConfigurationTarget(scope));
+}
 
-	constructor(scope) {
-		this.scope = scope;
-		this.scopeNameProper = scope === vscode.ConfigurationTarget.Global ? "User" : "Workspace";
-	}
+/**
+ * @param {RuleScope} scope
+ * @returns {RuleProfile[]} The saved profiles of the scope, skipping malformed entries.
+ */
+function getRuleProfiles(scope) {
+		const profiles = getCtkScopeSetting(CTK_PROFILES_KEY, scope);
+		if (!Array.isArray(profiles)) return [];
+		return profiles.filter(p => p && typeof p.name === 'string' && p.name.trim() !== "" && Array.isArray(p.rules))
+				.map(p => ({ name: p.name, rules: p.rules.filter(r => r && typeof r.key === 'string').map(r => ({ key: r.key, enabled: r.enabled !== false })) }));
+}
 
-	refresh() {
-		this._onDidChangeTreeData.fire();
-	}
+/**
+ * @param {RuleScope} scope
+ * @returns {string | undefined} The name of the profile last switched to, if it still exists.
+ */
+function getActiveProfileName(scope) {
+		const name = getCtkScopeSetting(CTK_ACTIVE_PROFILE_KEY, scope);
+		return typeof name === 'string' && getRuleProfiles(scope).some(p => p.name === name) ? name : undefined;
+}
 
-	getTreeItem(element) {
-		return element;
-	}
+/**
+ * Captures the current order and enabled state of rules as a profile.
+ * @param {string} name
+ * @param {Rule[]} ctkRules
+ * @returns {RuleProfile}
+ */
+function createRuleProfile(name, ctkRules) {
+		return { name, rules: ctkRules.map(r => ({ key: r.key, enabled: isRuleEnabled(r) })) };
+}
 
-	async getChildren(element) {
-		// If an element is provided, it means it's a RuleTreeItem or MessageTreeItem.
-		// These are leaf nodes and have no children.
-		if (element) {
-			return [];
+/**
+ * Works out the rule order and enabled states a profile gives: the profile's rules first, in profile order,
+ * then the rules it does not mention, disabled, so no value is lost.
+ * @param {RuleProfile} profile
+ * @param {Rule[]} ctkRules
+ * @returns {{entries: {rule: Rule, enabled: boolean}[], missingKeys: string[]}} missingKeys are profile keys no longer in ctkRules.
+ */
+function resolveRuleProfile(profile, ctkRules) {
+		const rulesByKey = new Map(ctkRules.map(r => [r.key, r]));
+		const entries = [];
+		const missingKeys = [];
+		for (const { key, enabled } of profile.rules) {
+				const rule = rulesByKey.get(key);
+				if (!rule) {
+						missingKeys.push(key);
+						continue;
+				}
+				rulesByKey.delete(key);
+				entries.push({ rule, enabled });
 		}
+		for (const rule of ctkRules) {
+				if (rulesByKey.has(rule.key)) entries.push({ rule, enabled: false });
+		}
+		return { entries, missingKeys };
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {boolean} True if the order or enabled state of the scope's rules no longer match its active profile.
+ */
+function isActiveProfileModified(scope) {
+		const name = getActiveProfileName(scope);
+		if (!name) return false;
+		const ctkRules = getCtkRuleSet(scope);
+		const { entries } = resolveRuleProfile(getRuleProfiles(scope).find(p => p.name === name), ctkRules);
+		return entries.some(({ rule, enabled }, index) => ctkRules[index] !== rule || isRuleEnabled(rule) !== enabled);
+}
+
+/**
+ * Saves a profile in a scope, replacing any profile with the same name, and makes it the active profile.
+ * @param {RuleProfile} profile
+ * @param {RuleScope} scope
+ */
+async function saveRuleProfile(profile, scope) {
+		const profiles = getRuleProfiles(scope);
+		const index = profiles.findIndex(p => p.name === profile.name);
+		if (index === -1) profiles.push(profile);
+		else profiles[index] = profile;
+		await updateCtkScopeSetting(CTK_PROFILES_KEY, profiles, scope);
+		await updateCtkScopeSetting(CTK_ACTIVE_PROFILE_KEY, profile.name, scope);
+}
+
+/**
+ * Deletes a profile from a scope. The rules themselves are not changed.
+ * @param {string} name
+ * @param {RuleScope} scope
+ */
+async function deleteRuleProfile(name, scope) {
+		await updateCtkScopeSetting(CTK_PROFILES_KEY, getRuleProfiles(scope).filter(p => p.name !== name), scope);
+		if (getCtkScopeSetting(CTK_ACTIVE_PROFILE_KEY, scope) === name) await updateCtkScopeSetting(CTK_ACTIVE_PROFILE_KEY, undefined, scope);
+}
+
+/**
+ * Rewrites ctk.ruleSet and geminicodeassist.rules of a scope from a profile (see resolveRuleProfile)
+ * and makes it the active profile.
+ * @param {RuleProfile} profile
+ * @param {RuleScope} scope
+ * @returns {Promise<string[]>} Keys of the profile that are no longer in the scope.
+ */
+async function applyRuleProfile(profile, scope) {
+		const valueMap = await getRuleValueMap(scope);
+		const { entries, missingKeys } = resolveRuleProfile(profile, getCtkRuleSet(scope));
+
+		noteRuleOperation(scope, `Switch to profile "${profile.name}"`);
+		await updateCtkRuleSet(entries.map(({ rule, enabled }) => withRuleEnabled(rule, enabled, valueMap)), scope);
+		await syncRules(scope);
+		await updateCtkScopeSetting(CTK_ACTIVE_PROFILE_KEY, profile.name, scope);
+		return missingKeys;
+}
+
+/**
+ * Changes a rule with a single ctk.ruleSet write and sync, so that no other window or history step sees part of the
+ * change. Profiles that refer to the rule by key follow a new key.
+ * @param {RuleScope} scope
+ * @param {number} id
+ * @param {Partial<Rule>} changes Key, value, enabled state and other properties to set. Properties set to undefined
+ * are removed, except key, value and enabled, which are then left as they are.
+ * @param {{quiet?: boolean}} [syncOptions] Passed to syncRules.
+ * @returns {Promise<boolean>} False if the rule no longer exists.
+ */
+async function changeRule(scope, id, changes, syncOptions) {
+		const { key, value, enabled, ...properties } = changes;
+		const ctkRules = getCtkRuleSet(scope);
+		const index = ctkRules.findIndex(r => r.id === id);
+		if (index === -1) return false;
+		const oldKey = ctkRules[index].key;
+		const valueMap = await getRuleValueMap(scope);
+		let rule = applyRuleChanges(ctkRules[index], properties);
+		// Held values; syncRules moves them into geminicodeassist.rules, under the new key, if the rule is enabled
+		if (key !== undefined && key !== oldKey) rule = { ...rule, key, value: rule.value !== undefined ? rule.value : valueMap.get(oldKey) || "" };
+		if (value !== undefined) rule = { ...rule, value };
+		if (enabled !== undefined && enabled !== isRuleEnabled(rule)) {
+				rule = enabled ? { ...rule, enabled: true } : { ...rule, enabled: false, value: rule.value !== undefined ? rule.value : valueMap.get(oldKey) || "" };
+		}
+		ctkRules[index] = rule;
+		await updateCtkRuleSet(ctkRules, scope);
+		await syncRules(scope, undefined, syncOptions);
+
+		// Profiles refer to rules by key
+		const profiles = getRuleProfiles(scope);
+		if (rule.key !== oldKey && profiles.some(p => p.rules.some(r => r.key === oldKey))) {
+				profiles.forEach(p => p.rules.forEach(r => { if (r.key === oldKey) r.key = rule.key; }));
+				await updateCtkScopeSetting(CTK_PROFILES_KEY, profiles, scope);
+		}
+		return true;
+}
+
+/**
+ * Sets the value of a rule and syncs geminicodeassist.rules.
+ * @param {RuleScope} scope
+ * @param {number} id
+ * @param {string} value
+ * @returns {Promise<boolean>} False if the rule no longer exists.
+ */
+async function setRuleValue(scope, id, value) {
+		const rule = getCtkRuleSet(scope).find(r => r.id === id);
+		if (!rule) return false;
+		noteRuleOperation(scope, `Edit rule "${rule.key}"`);
+		return changeRule(scope, id, { value });
+}
+
+/**
+ * Changes the key of a rule, keeping its value, and syncs geminicodeassist.rules.
+ * @param {RuleScope} scope
+ * @param {number} id
+ * @param {string} newKey Must not collide with another key in the scope.
+ * @returns {Promise<boolean>} False if the rule no longer exists.
+ */
+async function renameRule(scope, id, newKey) {
+		const rule = getCtkRuleSet(scope).find(r => r.id === id);
+		if (!rule) return false;
+		if (rule.key === newKey) return true;
+		noteRuleOperation(scope, `Rename rule "${rule.key}" to "${newKey}"`);
+		return changeRule(scope, id, { key: newKey });
+}
+
+/**
+ * Asks for a format and file name, then writes rules to a library file.
+ * @param {RuleLibraryEntry[]} entries Rules to export, in order.
+ * @param {string} defaultBaseName File name without extension suggested in the save dialog.
+ */
+async function exportRuleLibrary(entries, defaultBaseName) {
+		const formatItems = Object.entries(RULE_LIBRARY_FORMATS).map(([format, { label, extensions }]) => ({ label, description: `.${extensions[0]}`, format }));
+		const selectedFormat = await vscode.window.showQuickPick(formatItems, { placeHolder: "Select an export format" });
+		if (!selectedFormat) return;
+
+		const { label, extensions } = RULE_LIBRARY_FORMATS[selectedFormat.format];
+		const defaultFolder = isWorkspaceOpen() ? vscode.workspace.workspaceFolders[0].uri : undefined;
+		const targetUri = await vscode.window.showSaveDialog({
+				defaultUri: defaultFolder ? vscode.Uri.joinPath(defaultFolder, `${defaultBaseName}.${extensions[0]}`) : undefined,
+				filters: { [label]: extensions }
+		});
+		if (!targetUri) return;
+
+		await vscode.workspace.fs.writeFile(targetUri, new TextEncoder().encode(serializeRuleLibrary(entries, selectedFormat.format)));
+		vscode.window.showInformationMessage(`CTK GEE: Exported ${entries.length} rule(s) to ${targetUri.fsPath}.`);
+}
+
+/**
+ * Asks for a library file, previews its rules and imports the selected ones into a scope
+ * using the merge, replace or skip-duplicates strategy the user picks.
+ * @param {RuleScope} scope
+ */
+async function importRuleLibrary(scope) {
+		const scopeNameProper = getScopeNameProper(scope);
+		const filters = Object.fromEntries(Object.values(RULE_LIBRARY_FORMATS).map(({ label, extensions }) => [label, extensions]));
+		const selectedUris = await vscode.window.showOpenDialog({ canSelectMany: false, filters, openLabel: "Import Rules" });
+		if (!selectedUris || selectedUris.length === 0) return;
+		const sourceUri = selectedUris[0];
+
+		const format = getRuleLibraryFormat(sourceUri.path);
+		if (!format) {
+				vscode.window.showErrorMessage("CTK GEE: Unsupported file type. Use .json, .yaml, .yml, .md or .markdown.");
+				return;
+		}
+
+		let parsed;
+		try {
+				parsed = parseRuleLibrary(new TextDecoder().decode(await vscode.workspace.fs.readFile(sourceUri)), format);
+		} catch (error) {
+				vscode.window.showErrorMessage(`CTK GEE: Could not read rules from ${sourceUri.fsPath}: ${error.message}`);
+				return;
+		}
+		if (parsed.invalidCount > 0) {
+				vscode.window.showWarningMessage(`CTK GEE: Skipped ${parsed.invalidCount} entry(ies) without a key in ${sourceUri.fsPath}.`);
+		}
+		if (parsed.entries.length === 0) {
+				vscode.window.showInformationMessage("CTK GEE: The file contains no rules to import.");
+				return;
+		}
+
+		// Preview: every incoming rule, marked when its key already exists in the scope
+		const existingKeys = new Set(getCtkRuleSet(scope).map(r => r.key));
+		const previewItems = parsed.entries.map(entry => ({
+				label: entry.key,
+				description: [existingKeys.has(entry.key) ? "$(warning) key exists" : "$(add) new", entry.enabled === false ? "disabled" : "", entry.group || ""].filter(Boolean).join(' · '),
+				detail: entry.value.substring(0, 100),
+				picked: true,
+				entry
+		}));
+		const selectedItems = await vscode.window.showQuickPick(previewItems, {
+				placeHolder: `Select the rules to import into ${scopeNameProper} rules`,
+				canPickMany: true,
+				matchOnDetail: true
+		});
+		if (!selectedItems || selectedItems.length === 0) return;
+		const selectedEntries = selectedItems.map(item => item.entry);
+
+		const strategy = await vscode.window.showQuickPick([
+				{ label: "Merge", description: "Add all selected rules; duplicate keys get a _duplicate_N suffix", strategy: 'merge' },
+				{ label: "Skip Duplicates", description: "Add only rules whose keys do not exist yet", strategy: 'skip' },
+				{ label: "Replace", description: `Replace all ${scopeNameProper} rules with the selected rules`, strategy: 'replace' }
+		], { placeHolder: "How should the rules be imported?" });
+		if (!strategy) return;
+
+		let keyRenames;
+		let importedCount = selectedEntries.length;
+		noteRuleOperation(scope, `Import rules (${strategy.label})`);
+		if (strategy.strategy === 'replace') {
+				keyRenames = await replaceRulesInScope(selectedEntries, scope);
+		} else {
+				const entriesToAdd = strategy.strategy === 'skip' ? selectedEntries.filter(entry => !existingKeys.has(entry.key)) : selectedEntries;
+				importedCount = entriesToAdd.length;
+				keyRenames = entriesToAdd.length > 0 ? await addRulesToScope(entriesToAdd, scope) : new Map();
+		}
+
+		const renameNote = keyRenames.size > 0 ? ` ${keyRenames.size} key(s) were renamed to stay unique.` : "";
+		vscode.window.showInformationMessage(`CTK GEE: Imported ${importedCount} rule(s) into ${scopeNameProper} rules.${renameNote}`);
+		refreshProviderForScope(scope);
+}
+
+/**
+ * A repository rule file and the rule it holds.
+ * @typedef {RuleFileContent & {uri: vscode.Uri}} RuleFileEntry
+ */
+
+/**
+ * Returns the folder whose rule files feed a scope: the folder itself for a folder scope, or the only folder of a
+ * single-folder workspace for the Workspace scope. Global rules and multi-root workspace rules have no rule files.
+ * @param {RuleScope} scope
+ * @returns {vscode.WorkspaceFolder | undefined}
+ */
+function getRuleFilesFolder(scope) {
+		if (isFolderScope(scope)) return isScopeAvailable(scope) ? scope : undefined;
+		if (scope === vscode.ConfigurationTarget.Workspace && isWorkspaceOpen() && !isMultiRootWorkspace()) return vscode.workspace.workspaceFolders[0];
+		return undefined;
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {vscode.Uri | undefined} The rule files directory of the scope, if rule files are enabled for it.
+ */
+function getRuleFilesDirectory(scope) {
+		const folder = getRuleFilesFolder(scope);
+		if (!folder) return undefined;
+		const config = vscode.workspace.getConfiguration(CONFIG_SECTION_CTK, folder.uri);
+		if (!config.get('ruleFiles.enabled', false)) return undefined;
+		const directory = (config.get('ruleFiles.directory', '.gemini/rules') || '.gemini/rules').replace(/^[/\\]+|[/\\]+$/g, '');
+		return vscode.Uri.joinPath(folder.uri, ...directory.split(/[/\\]+/));
+}
+
+/**
+ * @returns {RuleScope[]} The scopes that currently have rule files enabled.
+ */
+function getRuleFileScopes() {
+		return getAllRuleScopes().filter(scope => getRuleFilesDirectory(scope) !== undefined);
+}
+
+/**
+ * Reads the rule files of a directory, sorted by order and then file name. Files that cannot be parsed and files
+ * repeating an earlier key are skipped and reported.
+ * @param {vscode.Uri} directory
+ * @param {string} scopeNameProper
+ * @returns {Promise<RuleFileEntry[]>} An empty array if the directory does not exist.
+ */
+async function readRuleFiles(directory, scopeNameProper) {
+		let directoryEntries;
+		try {
+				directoryEntries = await vscode.workspace.fs.readDirectory(directory);
+		} catch {
+				return [];
+		}
+		const fileNames = directoryEntries.filter(([name, type]) => type === vscode.FileType.File && /\.md$/i.test(name)).map(([name]) => name).sort();
+
+		const entries = [];
+		const problems = [];
+		for (const fileName of fileNames) {
+				const uri = vscode.Uri.joinPath(directory, fileName);
+				try {
+						const entry = parseRuleFile(new TextDecoder().decode(await vscode.workspace.fs.readFile(uri)), fileName);
+						if (entries.some(e => e.key === entry.key)) {
+								problems.push(`${fileName}: key "${entry.key}" is already used by another file`);
+								continue;
+						}
+						entries.push({ uri, ...entry });
+				} catch (error) {
+						problems.push(`${fileName}: ${error.message}`);
+				}
+		}
+		if (problems.length > 0) {
+				console.warn(`CTK GEE: Skipped ${scopeNameProper} rule files: ${problems.join("; ")}`);
+				vscode.window.showWarningMessage(`CTK GEE: Skipped ${problems.length} ${scopeNameProper} rule file(s): ${problems.join("; ")}`);
+		}
+		// Array.prototype.sort is stable, so equal orders keep file name order
+		return entries.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Feeds the rule files of a scope into its ctk.ruleSet and geminicodeassist.rules. The files are the source of truth:
+ * rules without a file are removed. Existing rules keep their IDs. Does nothing if the settings already match.
+ * @param {RuleScope} scope
+ */
+async function importRuleFilesIntoScope(scope) {
+		const directory = getRuleFilesDirectory(scope);
+		if (!directory) return;
+		const scopeNameProper = getScopeNameProper(scope);
+		const entries = await readRuleFiles(directory, scopeNameProper);
+		const ctkRules = getCtkRuleSet(scope);
+		const valueMap = await getRuleValueMap(scope);
+
+		const upToDate = entries.length === ctkRules.length && entries.every((entry, index) => isSameRuleFileContent(entry, {
+				key: ctkRules[index].key,
+				enabled: isRuleEnabled(ctkRules[index]),
+				group: normalizeGroupPath(ctkRules[index].group),
+				tags: ctkRules[index].tags,
+				when: normalizeRuleConditions(ctkRules[index].when),
+				value: valueMap.get(ctkRules[index].key) || ""
+		}));
+		if (upToDate) return;
+
+		let nextId = ctkRules.length > 0 ? Math.max(0, ...ctkRules.map(r => r.id)) + 1 : 1;
+		const detachedKeys = [];
+		const newCtkRules = entries.map(entry => {
+				const existingRule = ctkRules.find(r => r.key === entry.key);
+				const rule = { id: existingRule ? existingRule.id : nextId++, key: entry.key };
+				if (!entry.enabled) rule.enabled = false;
+				rule.value = entry.value; // Held value; syncRules writes it into geminicodeassist.rules if the rule is enabled
+				if (entry.group) rule.group = entry.group;
+				if (entry.tags) rule.tags = entry.tags;
+				if (entry.when) rule.when = entry.when;
+				if (existingRule && existingRule.team) {
+						rule.team = existingRule.team; // Rule files do not carry the team link
+						if (detachChangedTeamRule(rule, existingRule, entry.value)) detachedKeys.push(rule.key);
+				}
+				return rule;
+		});
+		noteRuleOperation(scope, "Rule files changed");
+		await updateCtkRuleSet(newCtkRules, scope);
+		await syncRules(scope);
+		console.log(`CTK GEE: Updated ${scopeNameProper} rules from ${entries.length} rule file(s).`);
+		reportDetachedTeamRules(scope, detachedKeys, "their rule files");
+		refreshProviderForScope(scope);
+}
+
+/**
+ * Writes the rules of a scope back to its rule files. Only files whose content changed are written, existing
+ * orders are kept while they still match the rule order, and files of rules that no longer exist are deleted.
+ * @param {RuleScope} scope
+ */
+async function writeRuleFilesFromScope(scope) {
+		const directory = getRuleFilesDirectory(scope);
+		if (!directory) return;
+		const scopeNameProper = getScopeNameProper(scope);
+		const existingEntries = await readRuleFiles(directory, scopeNameProper);
+		const existingByKey = new Map(existingEntries.map(entry => [entry.key, entry]));
+		const ctkRules = getCtkRuleSet(scope);
+		const valueMap = await getRuleValueMap(scope);
+
+		// Keep the orders in the files if they still increase along ctk.ruleSet, giving new rules the next free number
+		let orders = [];
+		for (const rule of ctkRules) {
+				const previousOrder = orders.length > 0 ? orders[orders.length - 1] : 0;
+				const existingOrder = existingByKey.get(rule.key)?.order;
+				const order = existingOrder !== undefined && existingOrder !== Number.MAX_SAFE_INTEGER ? existingOrder : previousOrder + 10;
+				if (order <= previousOrder) {
+						orders = ctkRules.map((r, index) => (index + 1) * 10);
+						break;
+				}
+				orders.push(order);
+		}
+
+		await vscode.workspace.fs.createDirectory(directory);
+		const usedFileNames = new Set();
+		for (const [index, rule] of ctkRules.entries()) {
+				const entry = { key: rule.key, order: orders[index], enabled: isRuleEnabled(rule), value: valueMap.get(rule.key) || "" };
+				if (normalizeGroupPath(rule.group)) entry.group = normalizeGroupPath(rule.group);
+				if (Array.isArray(rule.tags) && rule.tags.length > 0) entry.tags = rule.tags;
+				if (normalizeRuleConditions(rule.when)) entry.when = normalizeRuleConditions(rule.when);
+
+				const existingEntry = existingByKey.get(rule.key);
+				if (existingEntry) {
+						usedFileNames.add(existingEntry.uri.path);
+						if (existingEntry.order === entry.order && isSameRuleFileContent(existingEntry, entry)) continue;
+				}
+				let uri = existingEntry ? existingEntry.uri : undefined;
+				if (!uri) {
+						const baseName = rule.key.replace(/[^\w.-]+/g, '_') || 'rule';
+						let suffix = 1;
+						do {
+								uri = vscode.Uri.joinPath(directory, `${baseName}${suffix > 1 ? `_${suffix}` : ""}.md`);
+								suffix++;
+						} while (usedFileNames.has(uri.path) || existingEntries.some(e => e.uri.path === uri.path));
+						usedFileNames.add(uri.path);
+				}
+				await vscode.workspace.fs.writeFile(uri, new TextEncoder().encode(serializeRuleFile(entry)));
+		}
+
+		const ruleKeys = new Set(ctkRules.map(r => r.key));
+		for (const entry of existingEntries) {
+				if (!ruleKeys.has(entry.key)) await vscode.workspace.fs.delete(entry.uri);
+		}
+}
+
+/**
+ * Brings rule files and settings together when rule files are turned on or the extension starts:
+ * existing files win, and an empty or missing directory is filled from the current rules.
+ * @param {RuleScope} scope
+ */
+async function initializeRuleFiles(scope) {
+		const directory = getRuleFilesDirectory(scope);
+		if (!directory) return;
+		const entries = await readRuleFiles(directory, getScopeNameProper(scope));
+		if (entries.length > 0) await importRuleFilesIntoScope(scope);
+		else await writeRuleFilesFromScope(scope);
+}
+
+/**
+ * File watchers on rule file directories, by scope ID.
+ * @type {Map<string, vscode.FileSystemWatcher>}
+ */
+const ruleFileWatchers = new Map();
+
+/**
+ * Pending debounced imports of rule files, by scope ID.
+ * @type {Map<string, NodeJS.Timeout>}
+ */
+const pendingRuleFileImports = new Map();
+
+/**
+ * Creates or removes the watchers so that every scope with rule files enabled, and only those, is watched.
+ * File changes are debounced, since editors and git checkouts often touch several files at once.
+ */
+function updateRuleFileWatchers() {
+		const wantedScopes = new Map(getRuleFileScopes().map(scope => [getScopeId(scope), scope]));
+		for (const [scopeId, watcher] of ruleFileWatchers) {
+				if (!wantedScopes.has(scopeId)) {
+						watcher.dispose();
+						ruleFileWatchers.delete(scopeId);
+				}
+		}
+		for (const [scopeId, scope] of wantedScopes) {
+				if (ruleFileWatchers.has(scopeId)) continue;
+				const folder = getRuleFilesFolder(scope);
+				const relativeDirectory = getRuleFilesDirectory(scope).path.slice(folder.uri.path.length + 1);
+				const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, `${relativeDirectory}/*.md`));
+				const scheduleImport = () => {
+						clearTimeout(pendingRuleFileImports.get(scopeId));
+						pendingRuleFileImports.set(scopeId, setTimeout(() => {
+								pendingRuleFileImports.delete(scopeId);
+								const currentScope = getScopeFromId(scopeId);
+								if (currentScope !== undefined) importRuleFilesIntoScope(currentScope).catch(error => reportRuleError("Importing rule files", error));
+						}, 300));
+				};
+				watcher.onDidChange(scheduleImport);
+				watcher.onDidCreate(scheduleImport);
+				watcher.onDidDelete(scheduleImport);
+				ruleFileWatchers.set(scopeId, watcher);
+		}
+}
+
+/**
+ * What a sync target holds compared with the rules it is generated from.
+ * @typedef {object} SyncTargetStatus
+ * @property {SyncTarget} target
+ * @property {'inSync' | 'outdated' | 'edited' | 'missing' | 'unavailable'} state `edited` means changed since CTK GEE last wrote it (drift).
+ * @property {string} [reason] Why the target cannot be used in the scope, for `unavailable`.
+ * @property {vscode.Uri} [uri] The file of a file target.
+ * @property {string | undefined} [currentText] The file or setting as it is now, undefined if it does not exist.
+ * @property {string} [nextText] The file or setting as CTK GEE would write it.
+ * @property {string} [generatedText] The generated part of nextText.
+ */
+
+const CTK_SYNC_TARGETS_KEY = 'syncTargets'; // Sync target definitions, merged over the built-in ones by mergeSyncTargets
+const CTK_ACTIVE_SYNC_TARGETS_KEY = 'activeSyncTargets'; // IDs of the targets a scope's rules are written to
+const SYNC_TARGET_HASHES_STATE_KEY = 'ctk.syncTargetHashes'; // Hashes of what was last written to setting targets
+
+/**
+ * Invalid sync target definitions and unknown active IDs last reported, so each is only reported once.
+ * @type {Set<string>}
+ */
+const reportedSyncTargetProblems = new Set();
+
+/**
+ * Last reported drift per scope and target, as the hash of the edited content.
+ * @type {Map<string, string>}
+ */
+const reportedSyncTargetDrift = new Map();
+
+/**
+ * @param {string} message
+ * @param {boolean} [quiet=false] Only log it; the next sync that is not quiet warns.
+ */
+function reportSyncTargetProblem(message, quiet = false) {
+		if (quiet) {
+				console.warn(`CTK GEE: ${message}`);
+				return;
+		}
+		if (reportedSyncTargetProblems.has(message)) return;
+		reportedSyncTargetProblems.add(message);
+		console.warn(`CTK GEE: ${message}`);
+		vscode.window.showWarningMessage(`CTK GEE: ${message}`);
+}
+
+/**
+ * Returns the sync targets available to a scope: the built-in ones, with definitions from `ctk.syncTargets` added
+ * or merged over them by ID. User rules only use definitions from the User settings, so a workspace cannot
+ * direct them to files outside it.
+ * @param {RuleScope} scope
+ * @returns {SyncTarget[]}
+ */
+function getSyncTargets(scope) {
+		const definitions = scope === vscode.ConfigurationTarget.Global
+				? getCtkScopeSetting(CTK_SYNC_TARGETS_KEY, scope)
+				: getConfigurationForScope(CONFIG_SECTION_CTK, scope).get(CTK_SYNC_TARGETS_KEY);
+		const { targets, problems } = mergeSyncTargets(definitions);
+		problems.forEach(problem => reportSyncTargetProblem(problem));
+		return targets;
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {string[]} IDs of the sync targets turned on in exactly this scope.
+ */
+function getActiveSyncTargetIds(scope) {
+		const ids = getCtkScopeSetting(CTK_ACTIVE_SYNC_TARGETS_KEY, scope);
+		return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+}
+
+/**
+ * Finds where a target is written for a scope. Relative paths belong to the scope's folder (the same folder as rule
+ * files), so they need a folder scope or a single-folder workspace, and may not leave the folder.
+ * @param {SyncTarget} target
+ * @param {RuleScope} scope
+ * @returns {{uri?: vscode.Uri, setting?: string, reason?: string}} `reason` if the target cannot be used in the scope.
+ */
+function resolveSyncTargetLocation(target, scope) {
+		if (typeof target.setting === 'string') {
+				if (target.setting === GEMINI_CODE_ASSIST_RULES_KEY || target.setting.startsWith(`${CONFIG_SECTION_CTK}.`)) {
+						return { reason: `${target.setting} is managed by CTK GEE` };
+				}
+				return { setting: target.setting };
+		}
+		if (scope === vscode.ConfigurationTarget.Global) {
+				if (typeof target.userPath !== 'string') return { reason: "it has no file for User rules (userPath)" };
+				const homeRelative = /^~[/\\]/.test(target.userPath);
+				const userPath = homeRelative ? target.userPath.slice(2) : target.userPath;
+				if (!homeRelative && !/^([a-zA-Z]:)?[/\\]/.test(userPath)) return { reason: "userPath must start with ~/ or be absolute" };
+				return { uri: homeRelative ? vscode.Uri.joinPath(vscode.Uri.file(os.homedir()), ...userPath.split(/[/\\]+/)) : vscode.Uri.file(userPath) };
+		}
+		const folder = getRuleFilesFolder(scope);
+		if (!folder) return { reason: "workspace rules of a multi-root workspace have no folder; use folder rules" };
+		if (typeof target.path !== 'string') return { reason: "it has no folder file (path)" };
+		const segments = target.path.split(/[/\\]+/).filter(segment => segment !== "" && segment !== ".");
+		if (segments.length === 0 || segments.includes("..") || /^([a-zA-Z]:)?[/\\]/.test(target.path)) {
+				return { reason: "path must be relative to the folder and stay inside it" };
+		}
+		return { uri: vscode.Uri.joinPath(folder.uri, ...segments) };
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {vscode.Memento | undefined} Where the hashes of the scope's setting targets are kept.
+ */
+function getSyncTargetHashStore(scope) {
+		if (!extensionContext) return undefined;
+		return scope === vscode.ConfigurationTarget.Global ? extensionContext.globalState : extensionContext.workspaceState;
+}
+
+/**
+ * Compares a target with the rules of a scope. File targets carry the hash of the generated block in its begin
+ * marker (see placeSyncTargetBlock); setting targets keep it in extension state.
+ * @param {SyncTarget} target
+ * @param {RuleScope} scope
+ * @param {{key: string, value: string}[]} orderedKeyValues
+ * @returns {Promise<SyncTargetStatus>}
+ */
+async function getSyncTargetStatus(target, scope, orderedKeyValues) {
+		const location = resolveSyncTargetLocation(target, scope);
+		if (location.reason) return { target, state: 'unavailable', reason: location.reason };
+		const generatedText = renderSyncTarget(target, getScopeNameProper(scope), orderedKeyValues);
+
+		if (location.setting) {
+				const currentValue = getConfigurationForScope(null, scope).inspect(location.setting);
+				const scopeValue = isFolderScope(scope) ? currentValue?.workspaceFolderValue
+						: scope === vscode.ConfigurationTarget.Global ? currentValue?.globalValue : currentValue?.workspaceValue;
+				const currentText = typeof scopeValue === 'string' ? scopeValue : undefined;
+				const status = { target, currentText, nextText: generatedText, generatedText };
+				if (currentText === undefined || currentText === "") return { ...status, state: currentText === generatedText ? 'inSync' : 'missing' };
+				if (currentText === generatedText) return { ...status, state: 'inSync' };
+				const writtenHash = (getSyncTargetHashStore(scope)?.get(SYNC_TARGET_HASHES_STATE_KEY) || {})[`${getScopeId(scope)}/${target.id}`];
+				return { ...status, state: writtenHash === hashSyncTargetText(currentText) ? 'outdated' : 'edited' };
+		}
+
+		let currentText;
+		try {
+				currentText = new TextDecoder().decode(await vscode.workspace.fs.readFile(location.uri));
+		} catch {
+				currentText = undefined;
+		}
+		return { target, uri: location.uri, currentText, generatedText, ...placeSyncTargetBlock(currentText, generatedText, getScopeNameProper(scope)) };
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {Promise<SyncTargetStatus[]>} The status of each active target of the scope, generated from its enabled
+ * rules as written to geminicodeassist.rules. Conditional rules are included whatever the active editor, so that
+ * the targets do not change with every editor switch.
+ */
+async function getSyncTargetStatuses(scope) {
+		const activeIds = getActiveSyncTargetIds(scope);
+		if (activeIds.length === 0 || !isScopeAvailable(scope)) return [];
+		const targets = getSyncTargets(scope);
+		const ruleValues = await getRuleValueMap(scope);
+		const substitution = createRuleSubstitutionContext(scope, ruleValues);
+		const orderedKeyValues = getCtkRuleSet(scope).filter(isRuleEnabled)
+				.map(rule => ({ key: rule.key, value: resolveRuleValue(ruleValues.get(rule.key) || "", substitution, [rule.key]) }));
+		const statuses = [];
+		for (const id of activeIds) {
+				const target = targets.find(t => t.id === id);
+				if (!target) {
+						reportSyncTargetProblem(`${getScopeNameProper(scope)} rules are synced to "${id}", but there is no sync target with this ID.`);
+						continue;
+				}
+				statuses.push(await getSyncTargetStatus(target, scope, orderedKeyValues));
+		}
+		return statuses;
+}
+
+/**
+ * Writes a target as CTK GEE would generate it.
+ * @param {RuleScope} scope
+ * @param {SyncTargetStatus} status
+ */
+async function writeSyncTarget(scope, status) {
+		if (status.uri) {
+				await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(status.uri, '..'));
+				await vscode.workspace.fs.writeFile(status.uri, new TextEncoder().encode(status.nextText));
+		} else {
+				const location = resolveSyncTargetLocation(status.target, scope);
+				await getConfigurationForScope(null, scope).update(location.setting, status.nextText, getScopeConfigurationTarget(scope));
+				const store = getSyncTargetHashStore(scope);
+				if (store) {
+						const hashes = { ...(store.get(SYNC_TARGET_HASHES_STATE_KEY) || {}), [`${getScopeId(scope)}/${status.target.id}`]: hashSyncTargetText(status.nextText) };
+						await store.update(SYNC_TARGET_HASHES_STATE_KEY, hashes);
+				}
+		}
+		reportedSyncTargetDrift.delete(`${getScopeId(scope)}/${status.target.id}`);
+		console.log(`CTK GEE: Synced ${getScopeNameProper(scope)} rules to ${status.target.label}.`);
+}
+
+/**
+ * Opens a diff of a target as it is and as CTK GEE would write it.
+ * @param {SyncTargetStatus} status
+ */
+async function showSyncTargetDifferences(status) {
+		const language = status.uri ? 'markdown' : 'plaintext';
+		const current = status.uri && status.currentText !== undefined
+				? status.uri
+				: (await vscode.workspace.openTextDocument({ content: status.currentText || "", language })).uri;
+		const next = await vscode.workspace.openTextDocument({ content: status.nextText, language });
+		await vscode.commands.executeCommand('vscode.diff', current, next.uri, `${status.target.label}: Current ↔ From Rules`);
+}
+
+/**
+ * Turns a sync target off for a scope.
+ * @param {RuleScope} scope
+ * @param {string} targetId
+ */
+async function deactivateSyncTarget(scope, targetId) {
+		const remainingIds = getActiveSyncTargetIds(scope).filter(id => id !== targetId);
+		await updateCtkScopeSetting(CTK_ACTIVE_SYNC_TARGETS_KEY, remainingIds.length > 0 ? remainingIds : undefined, scope);
+}
+
+/**
+ * Warns once per edit that a target was changed outside CTK GEE and was left as it is.
+ * @param {RuleScope} scope
+ * @param {SyncTargetStatus} status
+ */
+async function reportSyncTargetDrift(scope, status) {
+		const driftKey = `${getScopeId(scope)}/${status.target.id}`;
+		const editHash = hashSyncTargetText(status.currentText || "");
+		if (reportedSyncTargetDrift.get(driftKey) === editHash) return;
+		reportedSyncTargetDrift.set(driftKey, editHash);
+
+		const scopeNameProper = getScopeNameProper(scope);
+		console.warn(`CTK GEE: ${status.target.label} (${scopeNameProper} rules) was edited outside CTK GEE and was not updated.`);
+		const choice = await vscode.window.showWarningMessage(
+				`CTK GEE: ${status.target.label} was edited outside CTK GEE since the ${scopeNameProper} rules were last written to it, so it was not updated.`,
+				"Overwrite", "Show Differences", "Stop Syncing"
+		);
+		if (choice === "Overwrite") {
+				// Recompute, the rules or the target may have changed while the message was shown
+				const current = (await getSyncTargetStatuses(scope)).find(s => s.target.id === status.target.id);
+				if (current && current.state !== 'inSync' && current.state !== 'unavailable') await writeSyncTarget(scope, current);
+		} else if (choice === "Show Differences") {
+				await showSyncTargetDifferences(status);
+		} else if (choice === "Stop Syncing") {
+				await deactivateSyncTarget(scope, status.target.id);
+		}
+}
+
+/**
+ * Brings the active sync targets of a scope up to date. Targets edited outside CTK GEE are reported as drift and
+ * left alone; unusable targets are reported. A failing target does not stop the others.
+ * @param {RuleScope} scope
+ * @param {boolean} [quiet=false] Only log problems and drift, as syncRules does for the extension API.
+ */
+async function syncRuleTargets(scope, quiet = false) {
+		for (const status of await getSyncTargetStatuses(scope)) {
+				try {
+						if (status.state === 'unavailable') {
+								reportSyncTargetProblem(`${status.target.label} is not synced for ${getScopeNameProper(scope)} rules: ${status.reason}.`, quiet);
+						} else if (status.state === 'edited') {
+								if (quiet) console.warn(`CTK GEE: ${status.target.label} of ${getScopeNameProper(scope)} rules was edited outside CTK GEE and is left alone.`);
+								else reportSyncTargetDrift(scope, status).catch(error => console.error("CTK GEE: Error reporting sync target drift:", error));
+						} else if (status.state !== 'inSync') {
+								await writeSyncTarget(scope, status);
+						}
+				} catch (error) {
+						console.error(`CTK GEE: Error syncing ${getScopeNameProper(scope)} rules to ${status.target.label}:`, error);
+						if (!quiet) vscode.window.showErrorMessage(`CTK GEE: Error syncing ${getScopeNameProper(scope)} rules to ${status.target.label}: ${error.message}`);
+				}
+		}
+}
+
+/**
+ * A rule in the team library, read from a rule file or a library file in the team library directory.
+ * @typedef {object} TeamRuleEntry
+ * @property {string} key
+ * @property {string} value
+ * @property {boolean} [enabled]
+ * @property {string} [group]
+ * @property {string[]} [tags]
+ * @property {RuleConditions} [when]
+ * @property {string} version Hash of the value; a subscribed rule with another version has an update waiting.
+ * @property {vscode.Uri} uri The file the rule was read from.
+ */
+
+/**
+ * A subscribed rule whose team library entry changed or disappeared.
+ * @typedef {object} TeamRuleUpdate
+ * @property {RuleScope} scope
+ * @property {Rule} rule
+ * @property {TeamRuleEntry} [entry] The new version; undefined if the entry was removed from the library.
+ */
+
+const TEAM_RULE_URI_SCHEME = 'ctk-team'; // Read-only documents with the value of a team library entry
+
+/**
+ * The team library as last read. `directory` is undefined when no library is configured.
+ * @type {{directory: vscode.Uri | undefined, entries: TeamRuleEntry[], error?: string}}
+ */
+let teamLibrary = { directory: undefined, entries: [] };
+
+/** @type {vscode.FileSystemWatcher | undefined} */
+let teamLibraryWatcher;
+
+/** @type {NodeJS.Timeout | undefined} */
+let pendingTeamLibraryReload;
+
+/**
+ * The updates already announced, so only new ones are announced again.
+ * @type {Set<string>}
+ */
+let reportedTeamRuleUpdates = new Set();
+
+/**
+ * @returns {vscode.Uri | undefined} The directory from ctk.teamLibrary.path. `~/` is the home directory; relative
+ * paths belong to the first workspace folder.
+ */
+function getTeamLibraryDirectory() {
+		const configuredPath = (vscode.workspace.getConfiguration(CONFIG_SECTION_CTK).get('teamLibrary.path') || "").trim();
+		if (configuredPath === "") return undefined;
+		if (/^~[/\\]/.test(configuredPath)) return vscode.Uri.joinPath(vscode.Uri.file(os.homedir()), ...configuredPath.slice(2).split(/[/\\]+/));
+		if (/^([a-zA-Z]:)?[/\\]/.test(configuredPath)) return vscode.Uri.file(configuredPath);
+		const folder = vscode.workspace.workspaceFolders?.[0];
+		return folder ? vscode.Uri.joinPath(folder.uri, ...configuredPath.split(/[/\\]+/)) : undefined;
+}
+
+/**
+ * Reads the rules of a team library directory: markdown rule files (one rule each, as with repository rule files),
+ * and JSON, YAML or Markdown files exported with the Export commands. Files are read in name order and a key
+ * repeated in a later file is skipped.
+ * @param {vscode.Uri} directory
+ * @returns {Promise<{entries: TeamRuleEntry[], problems: string[]}>}
+ * @throws {Error} If the directory cannot be read.
+ */
+async function readTeamLibrary(directory) {
+		const directoryEntries = await vscode.workspace.fs.readDirectory(directory);
+		const fileNames = directoryEntries.filter(([name, type]) => type === vscode.FileType.File && getRuleLibraryFormat(name)).map(([name]) => name).sort();
+		const entries = [];
+		const problems = [];
+		for (const fileName of fileNames) {
+				const uri = vscode.Uri.joinPath(directory, fileName);
+				let fileEntries;
+				try {
+						const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+						const format = getRuleLibraryFormat(fileName);
+						if (format === 'markdown' && !text.includes(`<!-- ${RULE_LIBRARY_MARKDOWN_MARKER}`)) {
+								fileEntries = [parseRuleFile(text, fileName)];
+						} else {
+								const { entries: libraryEntries, invalidCount } = parseRuleLibrary(text, format);
+								if (invalidCount > 0) problems.push(`${fileName}: ${invalidCount} invalid rule(s)`);
+								fileEntries = libraryEntries;
+						}
+				} catch (error) {
+						problems.push(`${fileName}: ${error.message}`);
+						continue;
+				}
+				for (const entry of fileEntries) {
+						if (entries.some(e => e.key === entry.key)) {
+								problems.push(`${fileName}: key "${entry.key}" is already used by another file`);
+								continue;
+						}
+						const teamEntry = { key: entry.key, value: entry.value, version: getTeamRuleVersion(entry.value), uri };
+						if (entry.enabled === false) teamEntry.enabled = false;
+						if (entry.group) teamEntry.group = entry.group;
+						if (entry.tags && entry.tags.length > 0) teamEntry.tags = entry.tags;
+						if (entry.when) teamEntry.when = entry.when;
+						entries.push(teamEntry);
+				}
+		}
+		return { entries, problems };
+}
+
+/**
+ * @param {Rule} rule
+ * @returns {'current' | 'updated' | 'removed' | undefined} How a subscribed rule compares with the team library,
+ * or undefined for other rules and while the library cannot be read.
+ */
+function getTeamRuleState(rule) {
+		if (!isRuleLocked(rule) || !teamLibrary.directory || teamLibrary.error) return undefined;
+		const entry = teamLibrary.entries.find(e => e.key === rule.team.key);
+		if (!entry) return 'removed';
+		return entry.version === rule.team.version ? 'current' : 'updated';
+}
+
+/**
+ * @returns {TeamRuleUpdate[]} Subscribed rules of all scopes whose team library entry changed or was removed.
+ */
+function findTeamRuleUpdates() {
+		const updates = [];
+		for (const scope of getAllRuleScopes()) {
+				for (const rule of getCtkRuleSet(scope)) {
+						const state = getTeamRuleState(rule);
+						if (state === 'updated' || state === 'removed') {
+								updates.push({ scope, rule, entry: teamLibrary.entries.find(e => e.key === rule.team.key) });
+						}
+				}
+		}
+		return updates;
+}
+
+/**
+ * Updates the context key for the review button and tells the user about updates they have not been told about.
+ */
+async function notifyTeamRuleUpdates() {
+		const updates = findTeamRuleUpdates();
+		await vscode.commands.executeCommand('setContext', 'ctk.teamRuleUpdates', updates.length > 0);
+		const updateIds = new Set(updates.map(u => `${getScopeId(u.scope)}/${u.rule.team.key}/${u.entry ? u.entry.version : "removed"}`));
+		const hasNewUpdates = [...updateIds].some(id => !reportedTeamRuleUpdates.has(id));
+		reportedTeamRuleUpdates = updateIds;
+		if (!hasNewUpdates) return;
+
+		console.log(`CTK GEE: ${updates.length} subscribed team rule(s) changed in the team library.`);
+		const choice = await vscode.window.showInformationMessage(`CTK GEE: ${updates.length} subscribed team rule(s) changed in the team library.`, "Review Updates");
+		if (choice === "Review Updates") await vscode.commands.executeCommand('ctk.team.reviewUpdates');
+}
+
+/**
+ * Reads the configured team library again and refreshes everything that shows it.
+ */
+async function loadTeamLibrary() {
+		const directory = getTeamLibraryDirectory();
+		if (!directory) {
+				teamLibrary = { directory: undefined, entries: [] };
+		} else {
+				try {
+						const { entries, problems } = await readTeamLibrary(directory);
+						teamLibrary = { directory, entries };
+						if (problems.length > 0) {
+								console.warn(`CTK GEE: Skipped team library files: ${problems.join("; ")}`);
+								vscode.window.showWarningMessage(`CTK GEE: Skipped ${problems.length} team library problem(s): ${problems.join("; ")}`);
+						}
+				} catch (error) {
+						console.error(`CTK GEE: Error reading the team library ${directory.fsPath}:`, error);
+						teamLibrary = { directory, entries: [], error: `Cannot read ${directory.fsPath}: ${error.message}` };
+				}
+		}
+		if (teamRulesProvider) teamRulesProvider.refresh();
+		if (teamRuleDocumentProvider) teamRuleDocumentProvider.notifyLibraryChanged();
+		if (userRulesProvider) userRulesProvider.refresh();
+		if (workspaceRulesProvider) workspaceRulesProvider.refresh();
+		await notifyTeamRuleUpdates();
+}
+
+/**
+ * Watches the team library directory, if one is configured, and reloads it shortly after files change,
+ * since a git pull touches many files at once.
+ */
+function updateTeamLibraryWatcher() {
+		if (teamLibraryWatcher) teamLibraryWatcher.dispose();
+		teamLibraryWatcher = undefined;
+		const directory = getTeamLibraryDirectory();
+		if (!directory) return;
+		teamLibraryWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(directory, '*'));
+		const scheduleReload = () => {
+				clearTimeout(pendingTeamLibraryReload);
+				pendingTeamLibraryReload = setTimeout(() => {
+						pendingTeamLibraryReload = undefined;
+						loadTeamLibrary().catch(error => console.error("CTK GEE: Error reloading the team library:", error));
+				}, 500);
+		};
+		teamLibraryWatcher.onDidChange(scheduleReload);
+		teamLibraryWatcher.onDidCreate(scheduleReload);
+		teamLibraryWatcher.onDidDelete(scheduleReload);
+}
+
+/**
+ * @param {string} key Key of a team library entry.
+ * @returns {vscode.Uri} A read-only document with the entry's value.
+ */
+function getTeamRuleUri(key) {
+		return vscode.Uri.from({ scheme: TEAM_RULE_URI_SCHEME, path: `/${key.replace(/[\\/]/g, '_')}.md`, query: new URLSearchParams({ key }).toString() });
+}
+
+/**
+ * Subscribes a scope to team library entries: they are added as locked rules that follow the library.
+ * Entries the scope is already subscribed to are skipped.
+ * @param {TeamRuleEntry[]} entries
+ * @param {RuleScope} scope
+ * @param {'rename' | 'replace' | 'skip'} onCollision What to do with entries whose key a local rule of the scope has:
+ * rename them as ensureAndCleanCtkRuleSet does, replace the local rule, or leave them out.
+ * @returns {Promise<{pulledCount: number, skippedCount: number, keyRenames: Map<string, string>}>}
+ */
+async function pullTeamRules(entries, scope, onCollision) {
+		const ctkRules = getCtkRuleSet(scope);
+		const subscribedKeys = new Set(ctkRules.filter(isRuleLocked).map(r => r.team.key));
+		const localKeys = new Set(ctkRules.filter(r => !isRuleLocked(r)).map(r => r.key));
+		const pulledEntries = entries.filter(e => !subscribedKeys.has(e.key) && !(onCollision === 'skip' && localKeys.has(e.key)));
+		const skippedCount = entries.length - pulledEntries.length;
+		if (pulledEntries.length === 0) return { pulledCount: 0, skippedCount, keyRenames: new Map() };
+
+		const incomingRules = pulledEntries.map(entry => {
+				const rule = { key: entry.key, value: entry.value, team: { key: entry.key, version: entry.version } };
+				if (entry.enabled === false) rule.enabled = false;
+				if (entry.group) rule.group = entry.group;
+				if (entry.tags) rule.tags = entry.tags;
+				if (entry.when) rule.when = entry.when;
+				return rule;
+		});
+		noteRuleOperation(scope, `Pull ${pulledEntries.length === 1 ? `team rule "${pulledEntries[0].key}"` : `${pulledEntries.length} team rules`}`);
+		if (onCollision !== 'replace') {
+				return { pulledCount: pulledEntries.length, skippedCount, keyRenames: await addRulesToScope(incomingRules, scope) };
+		}
+		// Replaced rules keep their ID and position
+		let nextId = ctkRules.length > 0 ? Math.max(0, ...ctkRules.map(r => r.id)) + 1 : 1;
+		const incomingByKey = new Map(incomingRules.map(r => [r.key, r]));
+		const combinedRules = ctkRules.map(r => incomingByKey.has(r.key) && !isRuleLocked(r) ? { ...incomingByKey.get(r.key), id: r.id } : r);
+		combinedRules.push(...incomingRules.filter(r => !localKeys.has(r.key)).map(r => ({ ...r, id: nextId++ })));
+		await updateCtkRuleSet(combinedRules, scope);
+		await syncRules(scope);
+		return { pulledCount: pulledEntries.length, skippedCount, keyRenames: new Map() };
+}
+
+/**
+ * Accepts team library updates: changed entries replace the value of the subscribed rule, and rules whose entry
+ * was removed are detached and kept as local rules. Each scope is written once.
+ * @param {TeamRuleUpdate[]} updates
+ */
+async function applyTeamRuleUpdates(updates) {
+		const scopes = [];
+		for (const update of updates) {
+				if (!scopes.some(scope => isSameScope(scope, update.scope))) scopes.push(update.scope);
+		}
+		for (const scope of scopes) {
+				const scopeUpdates = updates.filter(u => isSameScope(u.scope, scope));
+				const updatedRules = getCtkRuleSet(scope).map(rule => {
+						const update = scopeUpdates.find(u => u.rule.id === rule.id);
+						if (!update) return rule;
+						if (!update.entry) return applyRuleChanges(rule, { team: undefined });
+						// Held value; syncRules writes it into geminicodeassist.rules if the rule is enabled
+						return { ...withRuleTemplate(rule, undefined), value: update.entry.value, team: { key: update.entry.key, version: update.entry.version } };
+				});
+				noteRuleOperation(scope, `Update ${scopeUpdates.length} team rule(s)`);
+				await updateCtkRuleSet(updatedRules, scope);
+				await syncRules(scope);
+		}
+}
+
+/**
+ * Drops the team link of a rule whose key or value was changed outside its locked editor, in its rule file or in
+ * geminicodeassist.rules. A locked rule thus always holds the library version it links to.
+ * @param {Rule} rule The rule with its new key, changed in place.
+ * @param {Rule} existingRule The rule before the change.
+ * @param {string} value The rule's new raw value.
+ * @returns {boolean} True if the rule was detached.
+ */
+function detachChangedTeamRule(rule, existingRule, value) {
+		if (!isRuleLocked(existingRule) || (rule.key === existingRule.key && getTeamRuleVersion(value) === existingRule.team.version)) return false;
+		delete rule.team;
+		return true;
+}
+
+/**
+ * @param {RuleScope} scope
+ * @param {string[]} keys Keys of the rules detachChangedTeamRule detached.
+ * @param {string} source Where they were changed, e.g. "their rule files".
+ */
+function reportDetachedTeamRules(scope, keys, source) {
+		if (keys.length === 0) return;
+		const message = `${keys.length} ${getScopeNameProper(scope)} team rule(s) were changed in ${source} and detached from the team library: ${keys.map(key => `"${key}"`).join(", ")}`;
+		console.warn(`CTK GEE: ${message}`);
+		vscode.window.showWarningMessage(`CTK GEE: ${message}. Pull them again to return to the library version.`);
+}
+
+/**
+ * Detaches rules from the team library. They keep their key and value and can be edited again.
+ * @param {number[]} ruleIds
+ * @param {RuleScope} scope
+ */
+async function detachTeamRules(ruleIds, scope) {
+		noteRuleOperation(scope, `Detach ${ruleIds.length === 1 ? "rule" : `${ruleIds.length} rules`} from the team library`);
+		await updateRules(ruleIds, scope, { team: undefined });
+}
+
+/**
+ * Guards an edit of a rule's key or value. Subscribed rules are locked, so this asks whether to detach the rule first.
+ * @param {RuleScope} scope
+ * @param {Rule} rule
+ * @returns {Promise<boolean>} True if the rule can be edited.
+ */
+async function confirmRuleEdit(scope, rule) {
+		if (!isRuleLocked(rule)) return true;
+		const choice = await vscode.window.showWarningMessage(
+				`"${rule.key}" is subscribed from Team Rules and follows the team library. Detach it to edit it locally? It then no longer receives team updates.`,
+				{ modal: true }, "Detach and Edit"
+		);
+		if (choice !== "Detach and Edit") return false;
+		await detachTeamRules([rule.id], scope);
+		return true;
+}
+
+/**
+ * Opens a rule's value in an editor tab. Saving the tab writes the value back through RuleFileSystemProvider.
+ * @param {RuleScope} scope
+ * @param {number} id
+ */
+async function openRuleEditor(scope, id) {
+		const rule = getCtkRuleSet(scope).find(r => r.id === id);
+		if (!rule) {
+				vscode.window.showErrorMessage(`CTK GEE: Rule ID ${id} not found.`);
+				return;
+		}
+		const document = await vscode.workspace.openTextDocument(getRuleDocumentUri(scope, id, rule.key));
+		await vscode.window.showTextDocument(document, { preview: false });
+}
+
+/**
+ * The state of a scope's rule settings after a change, as kept in the rule history.
+ * @typedef {object} RuleSnapshot
+ * @property {string} id Unique within the scope's history.
+ * @property {number} timestamp Milliseconds since the epoch.
+ * @property {string} operation What caused the change, e.g. "Delete rule" or "Changed outside CTK GEE".
+ * @property {Rule[]} ruleSet
+ * @property {string} geminiRules
+ */
+
+const RULE_HISTORY_GLOBAL_STATE_KEY = 'ctk.ruleHistory'; // Global scope history in context.globalState
+const RULE_HISTORY_FILE_NAME = 'rule-history.json'; // Workspace and folder histories in context.storageUri, by scope ID
+const RULE_HISTORY_URI_SCHEME = 'ctk-history'; // Read-only documents rendering a snapshot, for vscode.diff
+
+/**
+ * Operations noted by the code about to change a scope's settings, by scope ID, used to label the next snapshot.
+ * @type {Map<string, {operation: string, time: number}>}
+ */
+const notedRuleOperations = new Map();
+
+/**
+ * Pending debounced snapshots, by scope ID.
+ * @type {Map<string, NodeJS.Timeout>}
+ */
+const pendingRuleSnapshots = new Map();
+
+/**
+ * Notes what is about to change a scope's rules, so the history snapshot taken after the change can say so.
+ * Until that snapshot is taken, an earlier note is kept. A note is forgotten after a few seconds.
+ * @param {RuleScope} scope
+ * @param {string} operation
+ */
+function noteRuleOperation(scope, operation) {
+		const scopeId = getScopeId(scope);
+		const noted = notedRuleOperations.get(scopeId);
+		if (noted && Date.now() - noted.time < 10000) return; // The caller's more specific note wins over helpers it calls
+		notedRuleOperations.set(scopeId, { operation, time: Date.now() });
+}
+
+/**
+ * @returns {vscode.Uri | undefined} The file holding workspace and folder histories, if a workspace is open.
+ */
+function getRuleHistoryFileUri() {
+		return extensionContext?.storageUri ? vscode.Uri.joinPath(extensionContext.storageUri, RULE_HISTORY_FILE_NAME) : undefined;
+}
+
+/**
+ * Reads the workspace and folder histories from context.storageUri.
+ * @returns {Promise<Record<string, RuleSnapshot[]>>} Snapshots by scope ID, oldest first.
+ */
+async function readWorkspaceRuleHistories() {
+		const fileUri = getRuleHistoryFileUri();
+		if (!fileUri) return {};
+		try {
+				const histories = JSON.parse(new TextDecoder().decode(await vscode.workspace.fs.readFile(fileUri)));
+				return histories && typeof histories === 'object' && !Array.isArray(histories) ? histories : {};
+		} catch {
+				return {}; // No history yet
+		}
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {Promise<RuleSnapshot[]>} The scope's snapshots, oldest first.
+ */
+async function getRuleSnapshots(scope) {
+		if (!extensionContext) return [];
+		const snapshots = scope === vscode.ConfigurationTarget.Global
+				? extensionContext.globalState.get(RULE_HISTORY_GLOBAL_STATE_KEY)
+				: (await readWorkspaceRuleHistories())[getScopeId(scope)];
+		return Array.isArray(snapshots) ? snapshots : [];
+}
+
+/**
+ * @param {RuleScope} scope
+ * @param {RuleSnapshot[]} snapshots Oldest first.
+ */
+async function saveRuleSnapshots(scope, snapshots) {
+		if (!extensionContext) return;
+		if (scope === vscode.ConfigurationTarget.Global) {
+				await extensionContext.globalState.update(RULE_HISTORY_GLOBAL_STATE_KEY, snapshots);
+				return;
+		}
+		const fileUri = getRuleHistoryFileUri();
+		if (!fileUri) return;
+		const histories = await readWorkspaceRuleHistories();
+		histories[getScopeId(scope)] = snapshots;
+		await vscode.workspace.fs.createDirectory(extensionContext.storageUri);
+		await vscode.workspace.fs.writeFile(fileUri, new TextEncoder().encode(JSON.stringify(histories)));
+}
+
+/**
+ * Describes a snapshot by its rules and their raw values, ignoring where the values are stored. Conditional rules move
+ * in and out of geminicodeassist.rules as the active editor changes, which is not worth a snapshot.
+ * @param {Pick<RuleSnapshot, 'ruleSet' | 'geminiRules'>} snapshot
+ * @returns {string}
+ */
+function getRuleSnapshotSignature(snapshot) {
+		const valueMap = getSnapshotValueMap(snapshot);
+		return JSON.stringify(snapshot.ruleSet.map(rule => ({ ...asEnabledRule(withRuleTemplate(rule, undefined)), enabled: isRuleEnabled(rule), value: valueMap.get(rule.key) })));
+}
+
+/**
+ * Records the current state of a scope's settings, unless its rules equal those of the latest snapshot.
+ * Only the newest ctk.history.maxSnapshots snapshots are kept.
+ * @param {RuleScope} scope
+ * @param {string} [fallbackOperation="Changed outside CTK GEE"] Label used when no operation was noted.
+ * @returns {Promise<boolean>} True if a snapshot was recorded.
+ */
+async function recordRuleSnapshot(scope, fallbackOperation = "Changed outside CTK GEE") {
+		if (!isScopeAvailable(scope)) return false;
+		const scopeId = getScopeId(scope);
+		const snapshots = await getRuleSnapshots(scope);
+		const ruleSet = getCtkRuleSet(scope);
+		const geminiRules = await getGeminiRulesStringFromConfig(scope);
+		const latest = snapshots[snapshots.length - 1];
+		// The noted operation has settled either way, even if the settings ended where they started
+		const noted = notedRuleOperations.get(scopeId);
+		notedRuleOperations.delete(scopeId);
+		if (latest && getRuleSnapshotSignature(latest) === getRuleSnapshotSignature({ ruleSet, geminiRules })) return false;
+
+		const operation = noted && Date.now() - noted.time < 10000 ? noted.operation : fallbackOperation;
+		const timestamp = Math.max(Date.now(), latest ? latest.timestamp + 1 : 0); // Keeps IDs unique and in order
+		snapshots.push({ id: String(timestamp), timestamp, operation, ruleSet, geminiRules });
+
+		const maxSnapshots = Math.max(1, vscode.workspace.getConfiguration(CONFIG_SECTION_CTK).get('history.maxSnapshots', 50));
+		await saveRuleSnapshots(scope, snapshots.slice(-maxSnapshots));
+		if (ruleHistoryProvider) ruleHistoryProvider.refresh();
+		return true;
+}
+
+/**
+ * Records a snapshot of a scope once its settings have settled. A single operation usually writes both settings,
+ * sometimes more than once, and should show up as one snapshot.
+ * @param {RuleScope} scope
+ */
+function scheduleRuleSnapshot(scope) {
+		const scopeId = getScopeId(scope);
+		clearTimeout(pendingRuleSnapshots.get(scopeId));
+		pendingRuleSnapshots.set(scopeId, setTimeout(() => {
+				pendingRuleSnapshots.delete(scopeId);
+				const currentScope = getScopeFromId(scopeId);
+				if (currentScope !== undefined) recordRuleSnapshot(currentScope).catch(error => console.error("CTK GEE: Error recording rule history:", error));
+		}, 500));
+}
+
+/**
+ * Gets the raw rule values stored in a snapshot, like getRuleValueMap does for the current settings.
+ * @param {RuleSnapshot} snapshot
+ * @returns {Map<string, string>}
+ */
+function getSnapshotValueMap(snapshot) {
+		const { valueMap } = parseGeminiRulesString(snapshot.geminiRules);
+		return new Map(snapshot.ruleSet.map(rule => [
+				rule.key,
+				(rule.value !== undefined ? rule.value : (rule.template !== undefined ? rule.template : valueMap.get(rule.key))) || ""
+		]));
+}
+
+/**
+ * Builds the URI of a read-only document showing a snapshot (or the current rules) as Markdown.
+ * @param {RuleScope} scope
+ * @param {string} snapshotId A snapshot ID, or 'current' for the current settings.
+ * @param {string} [ruleKey] Limits the document to the value of one rule.
+ * @returns {vscode.Uri}
+ */
+function getRuleHistoryUri(scope, snapshotId, ruleKey) {
+		const query = new URLSearchParams({ scope: getScopeId(scope) });
+		if (ruleKey !== undefined) query.set('rule', ruleKey);
+		return vscode.Uri.from({ scheme: RULE_HISTORY_URI_SCHEME, path: `/${snapshotId}.md`, query: query.toString() });
+}
+
+/**
+ * Restores a whole snapshot: the scope's rules, their order, values and states are replaced by the snapshot's.
+ * @param {RuleScope} scope
+ * @param {RuleSnapshot} snapshot
+ */
+async function restoreRuleSnapshot(scope, snapshot) {
+		const valueMap = getSnapshotValueMap(snapshot);
+		// Every rule holds its value, so syncRules rebuilds geminicodeassist.rules from the snapshot
+		const restoredRules = snapshot.ruleSet.map(rule => ({ ...withRuleTemplate(rule, undefined), value: valueMap.get(rule.key) }));
+		const { cleanedCtkRules } = await ensureAndCleanCtkRuleSet(restoredRules, getScopeNameProper(scope), false);
+		noteRuleOperation(scope, `Restore snapshot from ${new Date(snapshot.timestamp).toLocaleString()}`);
+		await updateCtkRuleSet(cleanedCtkRules, scope);
+		await syncRules(scope);
+}
+
+/**
+ * Restores one rule from a snapshot. An existing rule with the same key gets the snapshot's value, state, group and tags;
+ * otherwise the rule is added back at its position in the snapshot.
+ * @param {RuleScope} scope
+ * @param {RuleSnapshot} snapshot
+ * @param {string} ruleKey
+ * @returns {Promise<boolean>} False if the snapshot has no such rule.
+ */
+async function restoreRuleFromSnapshot(scope, snapshot, ruleKey) {
+		const snapshotIndex = snapshot.ruleSet.findIndex(r => r.key === ruleKey);
+		if (snapshotIndex === -1) return false;
+		const snapshotRule = snapshot.ruleSet[snapshotIndex];
+		const restored = { key: ruleKey, value: getSnapshotValueMap(snapshot).get(ruleKey) };
+		if (!isRuleEnabled(snapshotRule)) restored.enabled = false;
+		if (snapshotRule.group) restored.group = snapshotRule.group;
+		if (snapshotRule.tags) restored.tags = snapshotRule.tags;
+		if (snapshotRule.when) restored.when = snapshotRule.when;
+
+		noteRuleOperation(scope, `Restore rule "${ruleKey}"`);
+		const ctkRules = getCtkRuleSet(scope);
+		const existingIndex = ctkRules.findIndex(r => r.key === ruleKey);
+		if (existingIndex === -1) {
+				await addRulesToScope([restored], scope, Math.min(snapshotIndex, ctkRules.length));
+				return true;
+		}
+		const existingRule = withRuleTemplate(ctkRules[existingIndex], undefined);
+		delete existingRule.enabled;
+		delete existingRule.group;
+		delete existingRule.tags;
+		ctkRules[existingIndex] = { ...existingRule, ...restored, id: existingRule.id };
+		await updateCtkRuleSet(ctkRules, scope);
+		await syncRules(scope);
+		return true;
+}
+
+/**
+ * Captures the current rule settings of scopes, so that an operation on them can be undone as one change.
+ * @param {RuleScope[]} scopes
+ * @returns {Promise<Array<{scope: RuleScope, snapshot: Omit<RuleSnapshot, 'id'>}>>}
+ */
+async function captureRuleStates(scopes) {
+		const states = [];
+		for (const scope of scopes) {
+				states.push({ scope, snapshot: { timestamp: Date.now(), operation: "", ruleSet: getCtkRuleSet(scope), geminiRules: await getGeminiRulesStringFromConfig(scope) } });
+		}
+		return states;
+}
+
+/**
+ * Undoes an operation by restoring the states captured before it. A scope whose rules changed again after the
+ * operation is left alone, since restoring it would also discard the later change.
+ * @param {Array<{scope: RuleScope, snapshot: Omit<RuleSnapshot, 'id'>}>} before States captured before the operation.
+ * @param {Array<{scope: RuleScope, snapshot: Omit<RuleSnapshot, 'id'>}>} after States captured right after it, in the same order.
+ * @param {string} operation What is undone, for the rule history.
+ * @returns {Promise<RuleScope[]>} The scopes that were left alone.
+ */
+async function undoRuleOperation(before, after, operation) {
+		const changedScopes = [];
+		for (const [index, { scope, snapshot }] of before.entries()) {
+				const [current] = await captureRuleStates([scope]);
+				if (!isScopeAvailable(scope) || getRuleSnapshotSignature(current.snapshot) !== getRuleSnapshotSignature(after[index].snapshot)) {
+						changedScopes.push(scope);
+						continue;
+				}
+				notedRuleOperations.delete(getScopeId(scope)); // The undo is noted even if the operation's snapshot is still pending
+				noteRuleOperation(scope, `Undo ${operation}`);
+				await restoreRuleSnapshot(scope, snapshot);
+		}
+		return changedScopes;
+}
+
+
+/**
+ * Differences between the sidebar rules and geminicodeassist.rules of a scope, and the states they were computed from.
+ * @typedef {object} RuleReconciliation
+ * @property {RuleScope} scope
+ * @property {Rule[]} ctkRules
+ * @property {string} geminiRules
+ * @property {string | undefined} baseGeminiRules geminicodeassist.rules before the external change, if known.
+ * @property {RuleDifference[]} differences
+ */
+
+/**
+ * Compares a scope's ctk.ruleSet with geminicodeassist.rules, as computeRuleDifferences does.
+ * @param {RuleScope} scope
+ * @param {Rule[]} ctkRules
+ * @param {string} geminiRules
+ * @param {string} [baseGeminiRules]
+ * @returns {RuleReconciliation}
+ */
+function computeRuleReconciliation(scope, ctkRules, geminiRules, baseGeminiRules) {
+		const differences = computeRuleDifferences(ctkRules, geminiRules, baseGeminiRules, isRuleActive, ruleValues => createRuleSubstitutionContext(scope, ruleValues));
+		return { scope, ctkRules, geminiRules, baseGeminiRules, differences };
+}
+
+/**
+ * Applies the chosen side (or a merged value) of every difference, writing ctk.ruleSet once with the resulting values
+ * held and then syncing geminicodeassist.rules from it.
+ * @param {RuleReconciliation} reconciliation
+ * @param {Map<string, {side: 'ours' | 'theirs' | 'merged', mergedValue?: string}>} choices By difference ID. Missing ones use the default side.
+ */
+async function applyRuleReconciliation(reconciliation, choices) {
+		const { scope, ctkRules, differences } = reconciliation;
+		const theirs = parseGeminiRulesString(reconciliation.geminiRules);
+		const choiceFor = difference => choices.get(difference.id) || { side: difference.defaultSide };
+		const valueFor = (difference, choice) => choice.side === 'merged' ? (choice.mergedValue || "") : difference[choice.side].value;
+		const outcomeFor = (difference, choice) => ({ key: difference.ours.key, value: valueFor(difference, choice), keepsOurs: choice.side === 'ours' });
+
+		// Identities: an existing rule is "ours:<key>", a rule only in geminicodeassist.rules is "theirs:<key>"
+		/** @type {Map<string, {key: string, value?: string, keepsOurs?: boolean, enabled?: boolean, remove?: boolean}>} */
+		const outcomes = new Map();
+		const theirKeyToIdentity = new Map();
+		for (const difference of differences) {
+				const choice = choiceFor(difference);
+				if (difference.kind === 'renamed') {
+						theirKeyToIdentity.set(difference.theirs.key, `ours:${difference.ours.key}`);
+						outcomes.set(`ours:${difference.ours.key}`, choice.side === 'theirs' ? { key: difference.theirs.key, value: difference.theirs.value } : outcomeFor(difference, choice));
+				} else if (difference.kind === 'changed') {
+						outcomes.set(`ours:${difference.ours.key}`, outcomeFor(difference, choice));
+				} else if (difference.ours) { // Only the sidebar has it
+						outcomes.set(`ours:${difference.ours.key}`, choice.side === 'theirs' ? { key: difference.ours.key, remove: true } : outcomeFor(difference, choice));
+				} else if (difference.theirs) { // Only geminicodeassist.rules has it, maybe as a disabled sidebar rule
+						const existing = ctkRules.some(r => r.key === difference.theirs.key);
+						const identity = existing ? `ours:${difference.theirs.key}` : `theirs:${difference.theirs.key}`;
+						theirKeyToIdentity.set(difference.theirs.key, identity);
+						if (choice.side === 'ours') outcomes.set(identity, existing ? { key: difference.theirs.key } : { key: difference.theirs.key, remove: true });
+						else outcomes.set(identity, { key: difference.theirs.key, value: valueFor(difference, choice), enabled: true });
+				}
+		}
+
+		const orderDifference = differences.find(d => d.kind === 'reordered');
+		const ourOrder = ctkRules.map(r => `ours:${r.key}`);
+		const theirOrder = theirs.orderedKeyValues.map(kv => theirKeyToIdentity.get(kv.key) || `ours:${kv.key}`);
+		const order = orderDifference && choiceFor(orderDifference).side === 'theirs' ? mergeRuleOrders(theirOrder, ourOrder) : mergeRuleOrders(ourOrder, theirOrder);
+
+		let nextId = ctkRules.length > 0 ? Math.max(0, ...ctkRules.map(r => r.id)) + 1 : 1;
+		const newCtkRules = [];
+		const detachedKeys = [];
+		for (const identity of order) {
+				const outcome = outcomes.get(identity);
+				if (outcome && outcome.remove) continue;
+				const existingRule = identity.startsWith('ours:') ? ctkRules.find(r => `ours:${r.key}` === identity) : undefined;
+				if (!existingRule) {
+						if (outcome) newCtkRules.push({ id: nextId++, key: outcome.key, value: outcome.value });
+						continue;
+				}
+				if (!outcome || outcome.value === undefined) {
+						newCtkRules.push(outcome && outcome.enabled ? asEnabledRule(existingRule) : existingRule);
+						continue;
+				}
+				let rule = { ...existingRule, key: outcome.key };
+				if (outcome.enabled) rule = asEnabledRule(rule);
+				if (outcome.keepsOurs && rule.template !== undefined) {
+						newCtkRules.push(rule); // Keeping the sidebar's value of a rule with placeholders: the template stays the source
+						continue;
+				}
+				if (detachChangedTeamRule(rule, existingRule, outcome.value)) detachedKeys.push(rule.key);
+				// Held value; syncRules writes it into geminicodeassist.rules (and derives a new template if it has placeholders)
+				newCtkRules.push({ ...withRuleTemplate(rule, undefined), value: outcome.value });
+		}
+
+		const { cleanedCtkRules } = await ensureAndCleanCtkRuleSet(newCtkRules, getScopeNameProper(scope), false);
+		noteRuleOperation(scope, "Reconcile with geminicodeassist.rules");
+		await updateCtkRuleSet(cleanedCtkRules, scope);
+		await syncRules(scope);
+		reportDetachedTeamRules(scope, detachedKeys, "geminicodeassist.rules");
+}
+
+/**
+ * Checks whether a scope's geminicodeassist.rules is what its ctk.ruleSet would write, taking the values
+ * currently in geminicodeassist.rules. Only keys and order are compared, since values live there.
+ * Conditional rules follow the editor of whichever window wrote geminicodeassist.rules last, so they are in sync
+ * both in and out of it.
+ * @param {RuleScope} scope
+ * @returns {Promise<boolean>}
+ */
+async function isScopeInSync(scope) {
+		const geminiRules = await getGeminiRulesStringFromConfig(scope);
+		const { valueMap } = parseGeminiRulesString(geminiRules);
+		const isWritten = rule => isRuleEnabled(rule) && (!normalizeRuleConditions(rule.when) || valueMap.has(rule.key));
+		return isRuleSetInSync(getCtkRuleSet(scope), geminiRules, isWritten, ruleValues => createRuleSubstitutionContext(scope, ruleValues));
+}
+
+/**
+ * Reconciles ctk.ruleSet with external changes in geminicodeassist.rules. When the two differ, the reconciliation
+ * view lists each differing rule so that either side, or a merged value, can be taken per rule.
+ * @param {RuleScope} scope
+ * @param {string} [baseGeminiRules] geminicodeassist.rules before the external change, used as the merge base.
+ */
+async function reconcileCtkWithExternalGeminiChange(scope, baseGeminiRules) {
+		if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) return;
+
+		const scopeNameProper = getScopeNameProper(scope);
+		const geminiString = await getGeminiRulesStringFromConfig(scope);
+		const currentCtkRules = getCtkRuleSet(scope);
+
+		if (await isScopeInSync(scope)) {
+				console.log(`CTK GEE: ${scopeNameProper} geminicodeassist.rules matches ctk.ruleSet derived content. No reconciliation needed.`);
+				RuleReconciliationPanel.closeForScope(scope);
+				return;
+		}
+
+		const reconciliation = computeRuleReconciliation(scope, currentCtkRules, geminiString, baseGeminiRules);
+		if (reconciliation.differences.length === 0) {
+				// Only formatting differs (e.g. separators or duplicate keys); rewrite it from ctk.ruleSet
+				noteRuleOperation(scope, "Normalize geminicodeassist.rules");
+				await syncRules(scope);
+				return;
+		}
+		console.log(`CTK GEE: ${scopeNameProper} geminicodeassist.rules differs from ctk.ruleSet in ${reconciliation.differences.length} place(s). Opening reconciliation view.`);
+		RuleReconciliationPanel.show(reconciliation);
+}
+
+/**
+ * Ensures unique IDs and keys in a ctk.ruleSet array, as cleanCtkRuleSet does, and warns if anything had to change.
+ * @param {Rule[]} ctkRulesArray The array of ctk rules ({id, key}) to process.
+ * @param {string} scopeNameProper User-friendly scope name (e.g., "Global", "Workspace").
+ * @param {boolean} [showMessage=true] Whether to show a warning message.
+ * @returns {Promise<{cleanedCtkRules: Rule[], keyRenames: Map<string, string>, madeChanges: boolean}>}
+ */
+async function ensureAndCleanCtkRuleSet(ctkRulesArray, scopeNameProper, showMessage = true) {
+		const { cleanedCtkRules, keyRenames, madeChanges } = cleanCtkRuleSet(ctkRulesArray, scopeNameProper);
+		if (madeChanges && showMessage) {
+				vscode.window.showWarningMessage(`CTK GEE: Rules in ${scopeNameProper} ctk.ruleSet were adjusted to ensure unique IDs and/or keys. Review if necessary.`);
+		}
+		return { cleanedCtkRules, keyRenames, madeChanges };
+}
+
+// --- Rule conditions ---
+
+const RULE_CONDITION_DELAY_MS = 300; // Editors switched through within this time rewrite geminicodeassist.rules once
+
+/**
+ * The document conditional rules are matched against: the last file in an editor, kept while focus is elsewhere
+ * (e.g. in the Gemini chat). Undefined until a file was opened.
+ * @type {vscode.TextDocument | undefined}
+ */
+let ruleConditionDocument;
+
+/**
+ * Pending debounced condition update, see scheduleRuleConditionUpdate.
+ * @type {NodeJS.Timeout | undefined}
+ */
+let pendingRuleConditionUpdate;
+
+/**
+ * @param {vscode.TextDocument} document
+ * @returns {boolean} True for files; output panels, rule editors and other virtual documents do not change which rules apply.
+ */
+function isRuleConditionDocument(document) {
+		return ['file', 'untitled', 'vscode-remote'].includes(document.uri.scheme);
+}
+
+/**
+ * @param {RuleConditions} conditions
+ * @param {vscode.TextDocument | undefined} document
+ * @returns {boolean}
+ */
+function matchesRuleConditions(conditions, document) {
+		if (!document) return false;
+		const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+		if (conditions.languages && !conditions.languages.includes(document.languageId)) return false;
+		if (conditions.folders && !(folder && conditions.folders.includes(folder.name))) return false;
+		// Globs are relative to the document's folder; files outside the workspace are matched on their full path
+		if (conditions.files && !conditions.files.some(glob => vscode.languages.match({ pattern: folder ? new vscode.RelativePattern(folder, glob) : glob }, document) > 0)) {
+				return false;
+		}
+		return true;
+}
+
+/**
+ * Checks whether a rule is written to geminicodeassist.rules: it is enabled and its conditions, if any, match the
+ * active editor.
+ * @param {Rule} rule
+ * @returns {boolean}
+ */
+function isRuleActive(rule) {
+		if (!isRuleEnabled(rule)) return false;
+		const conditions = normalizeRuleConditions(rule.when);
+		return conditions === undefined || matchesRuleConditions(conditions, ruleConditionDocument);
+}
+
+/**
+ * @param {RuleConditions} conditions
+ * @returns {string} E.g. "python · tests/** · folder api".
+ */
+function describeRuleConditions(conditions) {
+		return [
+				(conditions.languages || []).join(", "),
+				(conditions.files || []).join(", "),
+				(conditions.folders || []).map(name => `folder ${name}`).join(", ")
+		].filter(Boolean).join(" · ");
+}
+
+/**
+ * Matches the conditional rules of all scopes against a document, and syncs the scopes where a rule starts or stops
+ * applying. Conditional rules hold their value in ctk.ruleSet, so only geminicodeassist.rules is rewritten.
+ * @param {vscode.TextDocument | undefined} document
+ */
+async function applyRuleConditionDocument(document) {
+		ruleConditionDocument = document;
+		for (const scope of getAllRuleScopes()) {
+				const ctkRules = getCtkRuleSet(scope);
+				const { valueMap } = parseGeminiRulesString(await getGeminiRulesStringFromConfig(scope));
+				const changedRules = ctkRules.filter(r => isRuleEnabled(r) && normalizeRuleConditions(r.when) && isRuleActive(r) !== valueMap.has(r.key));
+				if (changedRules.length === 0) continue;
+
+				// Rules synced before conditional rules held their value get it now, before geminicodeassist.rules may drop them
+				const unheldRules = ctkRules.filter(r => isRuleEnabled(r) && normalizeRuleConditions(r.when) && r.value === undefined);
+				if (unheldRules.length > 0) {
+						await updateCtkRuleSet(ctkRules.map(r => unheldRules.includes(r) ? { ...withRuleTemplate(r, undefined), value: valueMap.get(r.key) || "" } : r), scope);
+				}
+				await syncRules(scope);
+				console.log(`CTK GEE: ${changedRules.length} conditional ${getScopeNameProper(scope)} rule(s) changed state for ${document ? document.uri.toString() : "no editor"}.`);
+		}
+}
+
+/**
+ * Applies the conditional rules for a newly active document once the editors have settled.
+ * @param {vscode.TextDocument} document
+ */
+function scheduleRuleConditionUpdate(document) {
+		clearTimeout(pendingRuleConditionUpdate);
+		pendingRuleConditionUpdate = setTimeout(() => {
+				pendingRuleConditionUpdate = undefined;
+				// An unfocused window leaves the rules to the focused one, whose editor they follow, and catches up once focused
+				if (!vscode.window.state.focused) {
+						ruleConditionDocument = document;
+						return;
+				}
+				applyRuleConditionDocument(document).catch(error => reportRuleError("Applying conditional rules", error));
+		}, RULE_CONDITION_DELAY_MS);
+}
+
+// --- Rule linting ---
+
+/**
+ * @typedef {object} RuleLintProblem
+ * @property {string} check ID of the check, as in RULE_LINT_CHECKS and ctk.lint.severity.
+ * @property {RuleScope} scope
+ * @property {Rule} rule
+ * @property {string} message
+ * @property {vscode.DiagnosticSeverity} severity
+ * @property {[number, number]} [range] Start and end offset in the rule's value; the first line if not given.
+ * @property {RuleLintFix[]} fixes
+ */
+
+const RULE_LINT_CHECKS = { // Check IDs with their default severity
+		emptyValue: 'warning',
+		duplicateKey: 'warning',
+		similarValue: 'information',
+		largeValue: 'warning',
+		leftoverPlaceholder: 'warning',
+		todoMarker: 'hint'
+};
+const RULE_LINT_SOURCE = 'CTK GEE';
+
+/**
+ * Lint problems of the last run, by rule URI (getRuleUri).
+ * @type {Map<string, RuleLintProblem[]>}
+ */
+const ruleLintProblems = new Map();
+
+/** @type {vscode.DiagnosticCollection | undefined} */
+let ruleDiagnostics;
+
+/**
+ * @param {string} check
+ * @returns {vscode.DiagnosticSeverity | undefined} The configured severity of a check, or undefined if it is off.
+ */
+function getRuleLintSeverity(check) {
+		const configured = vscode.workspace.getConfiguration(CONFIG_SECTION_CTK).get('lint.severity') || {};
+		const severity = typeof configured[check] === 'string' ? configured[check] : RULE_LINT_CHECKS[check];
+		return {
+				error: vscode.DiagnosticSeverity.Error,
+				warning: vscode.DiagnosticSeverity.Warning,
+				information: vscode.DiagnosticSeverity.Information,
+				hint: vscode.DiagnosticSeverity.Hint
+		}[severity];
+}
+
+/**
+ * Runs every check over the rules of all scopes, as lintRuleSets does, with the configured severities.
+ * @returns {Promise<RuleLintProblem[]>}
+ */
+async function findRuleLintProblems() {
+		const scopes = getAllRuleScopes();
+		const ruleSets = [];
+		for (const scope of scopes) {
+				const valueMap = await getRuleValueMap(scope);
+				ruleSets.push({ scopeName: getScopeNameProper(scope), ctkRules: getCtkRuleSet(scope), valueMap, substitution: createRuleSubstitutionContext(scope, valueMap) });
+		}
+		const maxRuleTokens = vscode.workspace.getConfiguration(CONFIG_SECTION_CTK).get('lint.maxRuleTokens', 2000);
+		const problems = [];
+		for (const { ruleSetIndex, ...finding } of lintRuleSets(ruleSets, maxRuleTokens)) {
+				const severity = getRuleLintSeverity(finding.check);
+				if (severity !== undefined) problems.push({ ...finding, scope: scopes[ruleSetIndex], severity });
+		}
+		return problems;
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {vscode.Position}
+ */
+function getPositionAtOffset(text, offset) {
+		const lines = text.slice(0, offset).split('\n');
+		return new vscode.Position(lines.length - 1, lines[lines.length - 1].length);
+}
+
+/**
+ * Lints all rules and publishes the problems as diagnostics on the rule documents, which the Problems panel lists
+ * and which open the rule when clicked, and as decorations in the rule views.
+ */
+async function lintRules() {
+		const problems = await findRuleLintProblems();
+		const previousMessages = [...ruleLintProblems.values()].flat().map(p => p.message).join('\n');
+		ruleLintProblems.clear();
+		const diagnosticsByUri = new Map();
+		for (const problem of problems) {
+				const ruleUriString = getRuleUri(problem.scope, problem.rule.id).toString();
+				if (!ruleLintProblems.has(ruleUriString)) ruleLintProblems.set(ruleUriString, []);
+				ruleLintProblems.get(ruleUriString).push(problem);
+
+				const documentUri = getRuleDocumentUri(problem.scope, problem.rule.id, problem.rule.key);
+				if (!diagnosticsByUri.has(documentUri.toString())) diagnosticsByUri.set(documentUri.toString(), { uri: documentUri, diagnostics: [], value: (await getRuleValueMap(problem.scope)).get(problem.rule.key) || "" });
+				const entry = diagnosticsByUri.get(documentUri.toString());
+				const [start, end] = problem.range || [0, entry.value.split('\n')[0].length];
+				const diagnostic = new vscode.Diagnostic(new vscode.Range(getPositionAtOffset(entry.value, start), getPositionAtOffset(entry.value, end)), problem.message, problem.severity);
+				diagnostic.source = RULE_LINT_SOURCE;
+				diagnostic.code = problem.check;
+				entry.diagnostics.push(diagnostic);
+		}
+		if (ruleDiagnostics) {
+				ruleDiagnostics.clear();
+				for (const { uri, diagnostics } of diagnosticsByUri.values()) ruleDiagnostics.set(uri, diagnostics);
+		}
+		if (ruleDecorationProvider) ruleDecorationProvider.refresh();
+		// Rule tooltips list the problems
+		if (problems.map(p => p.message).join('\n') !== previousMessages) {
+				if (userRulesProvider) userRulesProvider.refresh();
+				if (workspaceRulesProvider) workspaceRulesProvider.refresh();
+		}
+}
+
+/**
+ * @param {RuleScope} scope
+ * @param {number} ruleId
+ * @returns {RuleLintProblem[]} The problems found for a rule by the last lint run.
+ */
+function getRuleLintProblems(scope, ruleId) {
+		return ruleLintProblems.get(getRuleUri(scope, ruleId).toString()) || [];
+}
+
+/**
+ * Applies a lint quick fix.
+ * @param {RuleScope} scope
+ * @param {number} ruleId
+ * @param {RuleLintFix} fix
+ * @returns {Promise<boolean>} False if the rules changed so that the fix no longer applies.
+ */
+async function applyRuleLintFix(scope, ruleId, fix) {
+		const ctkRules = getCtkRuleSet(scope);
+		const rule = ctkRules.find(r => r.id === ruleId);
+		if (!rule) return false;
+		if (fix.kind === 'remove') {
+				noteRuleOperation(scope, `Remove rule "${rule.key}"`);
+				await removeRulesFromScope([ruleId], scope);
+				return true;
+		}
+		if (fix.kind === 'rename') {
+				if (ctkRules.some(r => r.key === fix.newKey)) return false;
+				return renameRule(scope, ruleId, fix.newKey);
+		}
+		// merge: the target keeps its place and gets both values
+		const targetRule = ctkRules.find(r => r.id === fix.otherId);
+		if (!targetRule) return false;
+		const valueMap = await getRuleValueMap(scope);
+		const mergedValue = `${valueMap.get(targetRule.key) || ""}\n\n${valueMap.get(rule.key) || ""}`.trim();
+		const updatedRules = ctkRules.filter(r => r.id !== ruleId).map(r => r.id === targetRule.id ? { ...withRuleTemplate(r, undefined), value: mergedValue } : r);
+		noteRuleOperation(scope, `Merge rule "${rule.key}" into "${targetRule.key}"`);
+		await updateCtkRuleSet(updatedRules, scope);
+		await syncRules(scope);
+		return true;
+}
+
+// --- TreeView Classes ---
+
+const EFFECTIVE_RULES_URI = vscode.Uri.parse('ctk-effective:/Effective Rules.md'); // Read-only document of what Gemini Code Assist receives
+
+/**
+ * Works out whose geminicodeassist.rules VS Code hands to Gemini Code Assist for files in a folder. Settings are not
+ * merged: the most specific scope that sets the value replaces the others completely.
+ * @param {vscode.WorkspaceFolder} [folder] Omit for files outside any folder setting.
+ * @returns {RuleScope | undefined} undefined if no scope sets it.
+ */
+function getEffectiveRuleScope(folder) {
+		const inspection = getConfigurationForScope(null, folder || vscode.ConfigurationTarget.Workspace).inspect(GEMINI_CODE_ASSIST_RULES_KEY);
+		if (!inspection) return undefined;
+		if (folder && isMultiRootWorkspace() && inspection.workspaceFolderValue !== undefined) return folder;
+		if (isWorkspaceOpen() && inspection.workspaceValue !== undefined) return vscode.ConfigurationTarget.Workspace;
+		if (inspection.globalValue !== undefined) return vscode.ConfigurationTarget.Global;
+		return undefined;
+}
+
+/**
+ * A heading of the effective rules document, for its outline.
+ * @typedef {object} EffectiveRulesSymbol
+ * @property {string} name
+ * @property {string} detail
+ * @property {number} startLine
+ * @property {number} endLine
+ * @property {EffectiveRulesSymbol[]} children
+ */
+
+/**
+ * Renders the effective rules document: which scope's geminicodeassist.rules is in effect where, and every scope's
+ * rules as written to it, with shadowed rules marked.
+ * @returns {Promise<{text: string, symbols: EffectiveRulesSymbol[]}>}
+ */
+async function buildEffectiveRulesDocument() {
+		const lines = [];
+		const symbols = [];
+		const targets = isMultiRootWorkspace()
+				? getWorkspaceFolderScopes().map(folder => ({ label: `Files in folder '${folder.name}'`, effectiveScope: getEffectiveRuleScope(folder) }))
+				: [{ label: isWorkspaceOpen() ? "Files in this workspace" : "All files", effectiveScope: getEffectiveRuleScope() }];
+		const ruleCounts = new Map();
+		for (const scope of getAllRuleScopes()) {
+				ruleCounts.set(getScopeId(scope), parseGeminiRulesString(await getGeminiRulesStringFromConfig(scope)).orderedKeyValues.length);
+		}
+		const describeScope = scope => {
+				if (scope === undefined) {
+						return "None (not set)";
+				}
+				const count = ruleCounts.get(getScopeId(scope)) || 0;
+				return `${getScopeNameProper(scope)} (${count} ${count === 1 ? 'rule' : 'rules'})`;
+		};
+
+		lines.push("# Effective Gemini Code Assist Rules", "");
+		lines.push("> Read-only. Generated by CTK GEE from `geminicodeassist.rules` and updated whenever the rules change.", "");
+		lines.push("VS Code does not merge `geminicodeassist.rules` across scopes: the most specific scope that sets it replaces the others completely.", "");
+		lines.push("| Where | Rules Gemini receives |", "| --- | --- |");
+		targets.forEach(target => lines.push(`| ${target.label} | ${describeScope(target.effectiveScope)} |`));
+		lines.push("");
+
+		for (const scope of getAllRuleScopes()) {
+				const winningTargets = targets.filter(t => t.effectiveScope !== undefined && isSameScope(t.effectiveScope, scope));
+				const shadowingScopes = [...new Map(targets
+						.filter(t => t.effectiveScope !== undefined && !isSameScope(t.effectiveScope, scope))
+						.map(t => [getScopeId(t.effectiveScope), t.effectiveScope])).values()];
+				const geminiString = await getGeminiRulesStringFromConfig(scope);
+				const inspection = getConfigurationForScope(null, scope).inspect(GEMINI_CODE_ASSIST_RULES_KEY);
+				let scopeValue;
+				if (scope === vscode.ConfigurationTarget.Global) scopeValue = inspection?.globalValue;
+				else if (scope === vscode.ConfigurationTarget.Workspace) scopeValue = inspection?.workspaceValue;
+				else scopeValue = inspection?.workspaceFolderValue;
+				const isSet = scopeValue !== undefined;
+
+				let status;
+				if (!isSet) status = "not set";
+				else if (winningTargets.length === targets.length) status = "in effect";
+				else if (winningTargets.length === 0) status = `shadowed by ${shadowingScopes.map(getScopeNameProper).join(", ")}`;
+				else status = `in effect for ${winningTargets.map(t => t.label.replace(/^Files in /, "")).join(", ")}; shadowed elsewhere`;
+				const fullyShadowed = isSet && winningTargets.length === 0;
+
+				const section = { name: getScopeNameProper(scope), detail: status, startLine: lines.length, endLine: lines.length, children: [] };
+				symbols.push(section);
+				lines.push(`## ${getScopeNameProper(scope)}: ${status}`, "");
+
+				const { orderedKeyValues } = parseGeminiRulesString(geminiString);
+				const disabledCount = getCtkRuleSet(scope).filter(r => !isRuleEnabled(r)).length;
+				const inactiveKeys = getCtkRuleSet(scope).filter(r => isRuleEnabled(r) && !isRuleActive(r)).map(r => `\`${r.key}\``);
+				if (orderedKeyValues.length === 0) lines.push("_No rules are written to `geminicodeassist.rules` in this scope._", "");
+				if (disabledCount > 0) lines.push(`_${disabledCount} disabled rule(s) are not sent._`, "");
+				if (inactiveKeys.length > 0) lines.push(`_Conditional rules not sent for the active editor: ${inactiveKeys.join(", ")}._`, "");
+
+				const shadowingKeys = new Set();
+				for (const shadowingScope of shadowingScopes) {
+						parseGeminiRulesString(await getGeminiRulesStringFromConfig(shadowingScope)).orderedKeyValues.forEach(kv => shadowingKeys.add(kv.key));
+				}
+				for (const kv of orderedKeyValues) {
+						let mark = "";
+						if (fullyShadowed) mark = shadowingKeys.has(kv.key) ? " (shadowed; replaced by a rule with the same key)" : " (shadowed)";
+						const ruleSymbol = { name: kv.key, detail: mark.replace(/^ \((.*)\)$/, '$1'), startLine: lines.length, endLine: lines.length, children: [] };
+						lines.push(`### ${kv.key}${mark}`, "", ...kv.value.split('\n'), "");
+						ruleSymbol.endLine = lines.length - 1;
+						section.children.push(ruleSymbol);
+				}
+				section.endLine = lines.length - 1;
+		}
+		return { text: lines.join('\n'), symbols };
+}
+
+class RuleTreeItem extends vscode.TreeItem {
+	/**
+	 * @param {object} ruleSpec The specification for the rule.
+	 * @param {number} ruleSpec.id Unique ID for the rule.
+	 * @param {string} ruleSpec.key The key for the rule.
+	 * @param {string} ruleSpec.value The value of the rule.
+	 * @param {boolean} [ruleSpec.enabled] Whether the rule is written to geminicodeassist.rules.
+	 * @param {string} [ruleSpec.group] The group path the rule is shown under.
+	 * @param {string[]} [ruleSpec.tags] Tags of the rule.
+	 * @param {RuleConditions} [ruleSpec.when] Files the rule is limited to.
+	 * @param {number} [ruleSpec.size] Characters the rule takes up in geminicodeassist.rules, if it is written there.
+	 * @param {[number, number][]} [ruleSpec.keyHighlights] Ranges of the key to highlight, e.g. filter matches.
+	 * @param {RuleScope} ruleSpec.scope The scope of the rule.
+	 * @param {vscode.TreeItemCollapsibleState} [collapsibleState=vscode.TreeItemCollapsibleState.None] The collapsible state of the tree item.
+	 */
+	constructor(
+		ruleSpec,
+		collapsibleState = vscode.TreeItemCollapsibleState.None
+	) {
+		super(`${ruleSpec.key}`, collapsibleState);
+		this.ruleSpec = ruleSpec; // Assign to instance property
+		if (ruleSpec.keyHighlights && ruleSpec.keyHighlights.length > 0) this.label = { label: ruleSpec.key, highlights: ruleSpec.keyHighlights };
+
+		// Remove or comment out the description to hide the value preview
+		// const valueSnippet = ruleSpec.value.substring(0, 70);
+		// this.description = `${valueSnippet}${ruleSpec.value.length > 70 ? '...' : ''}`;
+		const tags = Array.isArray(ruleSpec.tags) ? ruleSpec.tags : [];
+		const tagsLine = tags.length > 0 ? `**Tags:** ${tags.map(tag => `\`${tag}\``).join(', ')}\n\n` : "";
+		const sizeLine = ruleSpec.size !== undefined ? `**Size:** ${formatRuleSize(ruleSpec.size)}\n\n` : "";
+		const problems = getRuleLintProblems(ruleSpec.scope, ruleSpec.id);
+		const problemsLine = problems.length > 0 ? `**Problems:**\n${problems.map(p => `- ${p.message}`).join('\n')}\n\n` : "";
+		const teamLine = isRuleLocked(ruleSpec) ? `**Team rule:** locked, follows \`${ruleSpec.team.key}\` in the team library\n\n` : "";
+		const conditions = normalizeRuleConditions(ruleSpec.when);
+		const conditionsLine = conditions ? `**Applies to:** ${describeRuleConditions(conditions)} (${isRuleActive(ruleSpec) ? "active" : "inactive"} for the current editor)\n\n` : "";
+		this.tooltip = new vscode.MarkdownString(`**Key:** \`${ruleSpec.key}\`\n\n${teamLine}${conditionsLine}${problemsLine}${tagsLine}${sizeLine}**Value:**\n\`\`\`\n${ruleSpec.value}\n\`\`\``);
+		this.id = `${getScopeId(ruleSpec.scope)}-${ruleSpec.id}`; // Unique ID for the tree item
+		this.contextValue = isRuleLocked(ruleSpec) ? 'ctkTeamRuleItem' : 'ctkRuleItem'; // Used in package.json for menu contributions
+		this.resourceUri = getRuleUri(ruleSpec.scope, ruleSpec.id); // Lets RuleDecorationProvider grey out disabled and inactive rules
+		this.command = { command: 'ctk.tree.editRule', title: 'Edit Rule', arguments: [this] };
+		const descriptionParts = tags.map(tag => `#${tag}`);
+		if (isRuleEnabled(ruleSpec)) {
+			this.iconPath = new vscode.ThemeIcon(isRuleLocked(ruleSpec) ? 'lock' : conditions ? 'filter' : 'note');
+			if (ruleSpec.size !== undefined) descriptionParts.unshift(formatTokenCount(ruleSpec.size));
+			if (conditions) descriptionParts.unshift(isRuleActive(ruleSpec) ? 'active now' : 'inactive');
+		} else {
+			this.iconPath = new vscode.ThemeIcon('circle-slash', new vscode.ThemeColor('disabledForeground'));
+			descriptionParts.unshift('disabled');
+		}
+		const teamState = getTeamRuleState(ruleSpec);
+		if (teamState === 'updated') descriptionParts.push('team update available');
+		else if (teamState === 'removed') descriptionParts.push('removed from team library');
+		if (descriptionParts.length > 0) this.description = descriptionParts.join(' ');
+	}
+}
+
+class GroupTreeItem extends vscode.TreeItem {
+	/**
+	 * @param {string} groupPath The normalized path of the group (e.g. "Languages/Python").
+	 * @param {RuleScope} scope The scope whose rules the group contains.
+	 * @param {number} ruleCount The number of rules in the group and its subgroups.
+	 */
+	constructor(groupPath, scope, ruleCount) {
+		super(groupPath.split('/').pop(), vscode.TreeItemCollapsibleState.Expanded);
+		this.groupPath = groupPath;
+		this.scope = scope;
+		this.id = `${getScopeId(scope)}-group-${groupPath}`;
+		this.contextValue = 'ctkGroupItem';
+		this.iconPath = vscode.ThemeIcon.Folder;
+		this.description = `${ruleCount}`;
+		this.tooltip = `${groupPath} (${ruleCount} rule${ruleCount === 1 ? "" : "s"})`;
+	}
+}
+
+class ScopeTreeItem extends vscode.TreeItem {
+	/**
+	 * A node for the workspace or one of its folders, shown in the Workspace Rules view of a multi-root workspace.
+	 * @param {RuleScope} scope Workspace or a workspace folder.
+	 * @param {number} ruleCount The number of rules in the scope.
+	 * @param {number} size Characters of the scope's geminicodeassist.rules.
+	 */
+	constructor(scope, ruleCount, size) {
+		super(isFolderScope(scope) ? scope.name : "Workspace", vscode.TreeItemCollapsibleState.Expanded);
+		this.scope = scope;
+		this.id = `${getScopeId(scope)}-scope`;
+		this.contextValue = isFolderScope(scope) ? 'ctkFolderScopeItem' : 'ctkWorkspaceScopeItem';
+		this.iconPath = new vscode.ThemeIcon(isFolderScope(scope) ? 'root-folder' : 'multiple-windows');
+		const profileName = getActiveProfileName(scope);
+		const descriptionParts = [`${ruleCount}`, formatTokenCount(size)];
+		if (profileName) descriptionParts.push(`${profileName}${isActiveProfileModified(scope) ? "*" : ""}`);
+		this.description = descriptionParts.join(" · ");
+		this.tooltip = `${isFolderScope(scope) ? `Rules for folder ${scope.uri.fsPath}` : "Rules for the whole workspace"} (${formatRuleSize(size)})`;
+	}
+}
+
+class MessageTreeItem extends vscode.TreeItem {
+	constructor(message) {
+		super(message, vscode.TreeItemCollapsibleState.None);
+		this.contextValue = 'ctkMessageItem';
+	}
+}
+
+class RuleDecorationProvider { // implements vscode.FileDecorationProvider
+	_onDidChangeFileDecorations = new vscode.EventEmitter();
+	onDidChangeFileDecorations = this._onDidChangeFileDecorations.event;
+
+	refresh() {
+		this._onDidChangeFileDecorations.fire(undefined);
+	}
+
+	provideFileDecoration(uri) {
+		const parsed = parseRuleUri(uri);
+		if (!parsed) return undefined;
+		const rule = getCtkRuleSet(parsed.scope).find(r => r.id === parsed.id);
+		const problems = getRuleLintProblems(parsed.scope, parsed.id).filter(p => p.severity !== vscode.DiagnosticSeverity.Hint);
+		if (problems.length > 0) {
+			const hasError = problems.some(p => p.severity === vscode.DiagnosticSeverity.Error);
+			const hasWarning = problems.some(p => p.severity === vscode.DiagnosticSeverity.Warning);
+			// Disabled and inactive rules stay greyed out, with the badge still showing
+			const color = rule && !isRuleActive(rule) ? 'disabledForeground' : hasError ? 'list.errorForeground' : hasWarning ? 'list.warningForeground' : undefined;
+			return new vscode.FileDecoration(hasError || hasWarning ? '!' : 'i', problems.map(p => p.message).join('\n'), color ? new vscode.ThemeColor(color) : undefined);
+		}
+		if (rule && !isRuleActive(rule)) {
+			return new vscode.FileDecoration(undefined, isRuleEnabled(rule) ? 'Inactive for the current editor' : 'Disabled', new vscode.ThemeColor('disabledForeground'));
+		}
+		return undefined;
+	}
+}
+
+class RuleLintCodeActionProvider { // implements vscode.CodeActionProvider
+	/**
+	 * Offers the fixes of the CTK GEE problems at the cursor of a rule document.
+	 * @param {vscode.TextDocument} document
+	 * @param {vscode.Range} range
+	 * @param {vscode.CodeActionContext} context
+	 * @returns {vscode.CodeAction[]}
+	 */
+	provideCodeActions(document, range, context) {
+		const parsed = parseRuleUri(document.uri);
+		if (!parsed) return [];
+		const problems = getRuleLintProblems(parsed.scope, parsed.id);
+		const actions = [];
+		for (const diagnostic of context.diagnostics.filter(d => d.source === RULE_LINT_SOURCE)) {
+			const problem = problems.find(p => p.check === diagnostic.code && p.message === diagnostic.message);
+			if (!problem) continue;
+			for (const fix of problem.fixes) {
+				const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+				action.diagnostics = [diagnostic];
+				action.command = { command: 'ctk.lint.applyFix', title: fix.title, arguments: [getScopeId(parsed.scope), parsed.id, fix] };
+				actions.push(action);
+			}
+		}
+		return actions;
+	}
+}
+
+class RuleFileSystemProvider { // implements vscode.FileSystemProvider
+	_onDidChangeFile = new vscode.EventEmitter();
+	onDidChangeFile = this._onDidChangeFile.event;
+	_knownValues = new Map(); // uri string -> { value, mtime } of documents VS Code has read
+	_newRules = new Map(); // uri string -> { scope, key, id } of documents for new rules; id is set once saved
+	_newRuleCount = 0;
+
+	async _readRule(uri) {
+		const newRule = this._newRules.get(uri.toString());
+		if (newRule && newRule.id === undefined) {
+			if (!isScopeAvailable(newRule.scope)) throw vscode.FileSystemError.FileNotFound(uri);
+			return { scope: newRule.scope, id: undefined, value: "", locked: false };
+		}
+		const parsed = newRule || parseRuleUri(uri);
+		if (!parsed || !isScopeAvailable(parsed.scope)) {
+			throw vscode.FileSystemError.FileNotFound(uri);
+		}
+		const rule = getCtkRuleSet(parsed.scope).find(r => r.id === parsed.id);
+		if (!rule) throw vscode.FileSystemError.FileNotFound(uri);
+		const value = (await getRuleValueMap(parsed.scope)).get(rule.key) || "";
+		return { ...parsed, value, locked: isRuleLocked(rule) };
+	}
+
+	// A new mtime whenever the value changes lets VS Code detect saves that would overwrite a newer value
+	_track(uri, value) {
+		const uriString = uri.toString();
+		const known = this._knownValues.get(uriString);
+		if (known && known.value === value) return known;
+		const entry = { value, mtime: Math.max(Date.now(), known ? known.mtime + 1 : 0) };
+		this._knownValues.set(uriString, entry);
+		return entry;
+	}
+
+	/**
+	 * Creates the URI of an empty document for a new rule. The rule is added to the scope when the document
+	 * is first saved, so closing it unsaved leaves no empty rule behind.
+	 * @param {RuleScope} scope
+	 * @param {string} key
+	 * @returns {vscode.Uri}
+	 */
+	createNewRuleUri(scope, key) {
+		const uri = getRuleDocumentUri(scope, `new-${++this._newRuleCount}`, key);
+		this._newRules.set(uri.toString(), { scope, key });
+		return uri;
+	}
+
+	/**
+	 * Forgets a closed document.
+	 * @param {vscode.Uri} uri
+	 */
+	forgetDocument(uri) {
+		this._newRules.delete(uri.toString());
+		this._knownValues.delete(uri.toString());
+	}
+
+	/**
+	 * Notifies open rule documents whose value changed in the settings, so clean tabs reload
+	 * and dirty tabs report a conflict on save.
+	 */
+	async notifyRulesChanged() {
+		const changes = [];
+		for (const [uriString, known] of this._knownValues) {
+			const uri = vscode.Uri.parse(uriString);
+			try {
+				const { value } = await this._readRule(uri);
+				if (value !== known.value) {
+					this._track(uri, value);
+					changes.push({ type: vscode.FileChangeType.Changed, uri });
+				}
+			} catch {
+				this._knownValues.delete(uriString);
+				changes.push({ type: vscode.FileChangeType.Deleted, uri });
+			}
+		}
+		if (changes.length > 0) this._onDidChangeFile.fire(changes);
+	}
+
+	watch() {
+		return new vscode.Disposable(() => {});
+	}
+
+	async stat(uri) {
+		const { value, locked } = await this._readRule(uri);
+		const { mtime } = this._track(uri, value);
+		// Team rules open read-only
+		return { type: vscode.FileType.File, ctime: 0, mtime, size: new TextEncoder().encode(value).length, permissions: locked ? vscode.FilePermission.Readonly : undefined };
+	}
+
+	async readFile(uri) {
+		const { value } = await this._readRule(uri);
+		this._track(uri, value);
+		return new TextEncoder().encode(value);
+	}
+
+	async writeFile(uri, content) {
+		const { scope, id, locked } = await this._readRule(uri);
+		if (locked) throw vscode.FileSystemError.NoPermissions('CTK GEE: Team rules are locked. Detach the rule from the team library to edit it.');
+		const value = new TextDecoder().decode(content);
+		if (id === undefined) {
+			await this._addNewRule(uri, value);
+			return;
+		}
+		this._track(uri, value); // Before writing, so our own configuration change is not reported back as external
+		if (!await setRuleValue(scope, id, value)) throw vscode.FileSystemError.FileNotFound(uri);
+		refreshProviderForScope(scope);
+	}
+
+	// First save of a document from createNewRuleUri; later saves update the added rule by ID
+	async _addNewRule(uri, value) {
+		const newRule = this._newRules.get(uri.toString());
+		const scopeNameProper = getScopeNameProper(newRule.scope);
+		if (getCtkRuleSet(newRule.scope).some(r => r.key === newRule.key)) {
+			throw vscode.FileSystemError.FileExists(`CTK GEE: A rule with key "${newRule.key}" already exists in ${scopeNameProper} ctk.ruleSet. Keys must be unique.`);
+		}
+		this._track(uri, value);
+		// Found by its new ID, not its key: a rule added elsewhere with the same key makes cleanCtkRuleSet rename one of them
+		const idsBefore = new Set(getCtkRuleSet(newRule.scope).map(r => r.id));
+		await addRulesToScope([{ key: newRule.key, value }], newRule.scope);
+		const addedRule = getCtkRuleSet(newRule.scope).find(r => !idsBefore.has(r.id));
+		if (!addedRule) throw vscode.FileSystemError.Unavailable(uri);
+		newRule.id = addedRule.id;
+		newRule.key = addedRule.key;
+		refreshProviderForScope(newRule.scope);
+		vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule ID ${addedRule.id} (Key: ${addedRule.key}) added.`);
+	}
+
+	readDirectory() {
+		throw vscode.FileSystemError.NoPermissions('CTK GEE: Rule documents cannot be listed.');
+	}
+
+	createDirectory() {
+		throw vscode.FileSystemError.NoPermissions('CTK GEE: Rule documents cannot contain folders.');
+	}
+
+	delete() {
+		throw vscode.FileSystemError.NoPermissions('CTK GEE: Delete rules from the sidebar or with the delete commands.');
+	}
+
+	rename() {
+		throw vscode.FileSystemError.NoPermissions('CTK GEE: Rename rules from the sidebar or with the edit commands.');
+	}
+}
+
+class CtkRulesProvider { // implements vscode.TreeDataProvider<RuleTreeItem | GroupTreeItem | ScopeTreeItem | MessageTreeItem>
+	_onDidChangeTreeData = new vscode.EventEmitter();
+	onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+	constructor(scope) {
+		this.scope = scope;
+		this.scopeNameProper = scope === vscode.ConfigurationTarget.Global ? "User" : "Workspace";
+		this.tagFilter = undefined; // When set, only rules carrying this tag are shown
+		// When set, only rules whose key or value contains this text are shown. Kept across sessions.
+		this.textFilter = extensionContext ? extensionContext.workspaceState.get(this.getTextFilterStateKey()) : undefined;
+		this.sizeSummary = undefined; // Size of the view's geminicodeassist.rules, shown next to the title
+		this.view = undefined; // The vscode.TreeView showing this provider, set after it is created
+	}
+
+	refresh() {
+		this._onDidChangeTreeData.fire();
+		if (ruleDecorationProvider) ruleDecorationProvider.refresh();
+		this.updateViewDescription();
+		this.updateViewTitle();
+		this.updateSizeSummary().catch(error => console.error("CTK GEE: Error measuring rules:", error));
+	}
+
+	/**
+	 * Measures the view's rules for its description: the scope's own size and, for Workspace Rules, the size combined with User Rules.
+	 */
+	async updateSizeSummary() {
+		if (this.scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+			this.sizeSummary = undefined;
+		} else {
+			this.sizeSummary = formatTokenCount((await getRuleSizes(this.scope)).total);
+			if (this.scope !== vscode.ConfigurationTarget.Global) {
+				this.sizeSummary += ` (${formatTokenCount(await getCombinedRuleSize(this.scope))} with User)`;
+			}
+		}
+		this.updateViewDescription();
+	}
+
+	/**
+	 * Shows the active profile of the view's scope in the view title, marked with "*" once the rules differ from it.
+	 * Folder profiles are shown on the folder nodes instead.
+	 */
+	updateViewTitle() {
+		if (!this.view) return;
+		const baseTitle = `${this.scopeNameProper} Rules`;
+		const profileName = isScopeAvailable(this.scope) ? getActiveProfileName(this.scope) : undefined;
+		this.view.title = profileName ? `${baseTitle}: ${profileName}${isActiveProfileModified(this.scope) ? "*" : ""}` : baseTitle;
+	}
+
+	/**
+	 * Shows the size of the rules and the active filters next to the view title.
+	 */
+	updateViewDescription() {
+		if (!this.view) return;
+		const descriptionParts = [this.sizeSummary, this.tagFilter ? `#${this.tagFilter}` : undefined, this.textFilter ? `"${this.textFilter}"` : undefined].filter(Boolean);
+		this.view.description = descriptionParts.length > 0 ? descriptionParts.join(" · ") : undefined;
+	}
+
+	/**
+	 * @param {string | undefined} tag The tag to filter by, or undefined to show all rules.
+	 */
+	setTagFilter(tag) {
+		this.tagFilter = tag;
+		this.refresh();
+	}
+
+	/**
+	 * @returns {string} The workspace state key the text filter is kept under.
+	 */
+	getTextFilterStateKey() {
+		return `ctk.textFilter.${this.scope === vscode.ConfigurationTarget.Global ? 'user' : 'workspace'}`;
+	}
+
+	/**
+	 * @param {string | undefined} text The text to filter by, or undefined to show all rules.
+	 */
+	async setTextFilter(text) {
+		this.textFilter = text || undefined;
+		if (extensionContext) await extensionContext.workspaceState.update(this.getTextFilterStateKey(), this.textFilter);
+		await this.updateFilterContext();
+		this.refresh();
+	}
+
+	/**
+	 * Sets the context key that shows the view's "Clear Filter" button.
+	 */
+	async updateFilterContext() {
+		const contextKey = `ctk.${this.scope === vscode.ConfigurationTarget.Global ? 'user' : 'workspace'}RulesFiltered`;
+		await vscode.commands.executeCommand('setContext', contextKey, this.textFilter !== undefined);
+	}
+
+	/**
+	 * Returns the parent of a tree item, so rules can be revealed.
+	 * @param {RuleTreeItem | GroupTreeItem | ScopeTreeItem | MessageTreeItem} element
+	 * @returns {Promise<GroupTreeItem | ScopeTreeItem | undefined>}
+	 */
+	async getParent(element) {
+		if (element instanceof RuleTreeItem || element instanceof GroupTreeItem) {
+			const scope = element instanceof RuleTreeItem ? element.ruleSpec.scope : element.scope;
+			const groupPath = element instanceof RuleTreeItem
+				? normalizeGroupPath(getCtkRuleSet(scope).find(r => r.id === element.ruleSpec.id)?.group)
+				: element.groupPath.split('/').slice(0, -1).join('/');
+			if (groupPath) {
+				const ruleCount = getCtkRuleSet(scope).filter(r => isRuleInGroup(r, groupPath)).length;
+				return new GroupTreeItem(groupPath, scope, ruleCount);
+			}
+			if (this.scope === vscode.ConfigurationTarget.Workspace && isMultiRootWorkspace()) {
+				return new ScopeTreeItem(scope, getCtkRuleSet(scope).length, (await getRuleSizes(scope)).total);
+			}
+		}
+		return undefined;
+	}
+
+	/**
+	 * Checks whether a rule passes the view's tag and text filters.
+	 * @param {Rule} rule
+	 * @param {string} value The rule's raw value.
+	 * @returns {boolean}
+	 */
+	isRuleVisible(rule, value) {
+		if (this.tagFilter && !(Array.isArray(rule.tags) && rule.tags.includes(this.tagFilter))) return false;
+		if (this.textFilter && findTextRanges(rule.key, this.textFilter).length === 0 && findTextRanges(value, this.textFilter).length === 0) return false;
+		return true;
+	}
+
+	/**
+	 * Returns the scopes shown in this view: Global for User Rules; Workspace and, in a multi-root workspace, each folder for Workspace Rules.
+	 * @returns {RuleScope[]}
+	 */
+	getViewScopes() {
+		if (this.scope === vscode.ConfigurationTarget.Global) return [vscode.ConfigurationTarget.Global];
+		return isWorkspaceOpen() ? [vscode.ConfigurationTarget.Workspace, ...getWorkspaceFolderScopes()] : [];
+	}
+
+	getTreeItem(element) {
+		return element;
+	}
+
+	async getChildren(element) {
+		// RuleTreeItems and MessageTreeItems are leaf nodes and have no children.
+		if (element && !(element instanceof GroupTreeItem) && !(element instanceof ScopeTreeItem)) {
+			return [];
+		}
+
+		// Without an element we are at the root of this TreeView (either "User Rules" or "Workspace Rules").
+		// The root, each scope node and each group list their rules and subgroups.
+
+		if (this.scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+			return [new MessageTreeItem("No workspace open.")];
+		}
+
+		// A multi-root workspace gets one node for the workspace settings and one per folder
+		if (!element && this.scope === vscode.ConfigurationTarget.Workspace && isMultiRootWorkspace()) {
+			const scopeItems = [];
+			for (const scope of this.getViewScopes()) {
+				scopeItems.push(new ScopeTreeItem(scope, getCtkRuleSet(scope).length, (await getRuleSizes(scope)).total));
+			}
+			return scopeItems;
+		}
+
+		const scope = element ? element.scope : this.scope;
+		const scopeLabel = isFolderScope(scope) ? `folder '${scope.name}'` : this.scopeNameProper.toLowerCase();
+		const ctkRules = getCtkRuleSet(scope);
+		if (ctkRules.length === 0) {
+			return [new MessageTreeItem(`No ${scopeLabel} rules defined. Click '+' to add.`)];
+		}
+
+		const valueMap = await getRuleValueMap(scope);
+		const visibleRules = ctkRules.filter(rule => this.isRuleVisible(rule, valueMap.get(rule.key) || ""));
+		if (visibleRules.length === 0) {
+			const filters = [this.tagFilter ? `tagged "${this.tagFilter}"` : undefined, this.textFilter ? `matching "${this.textFilter}"` : undefined].filter(Boolean);
+			return [new MessageTreeItem(`No ${scopeLabel} rules ${filters.join(" and ")}.`)];
+		}
+
+		const { ruleSizes } = await getRuleSizes(scope);
+		const parentPath = element instanceof GroupTreeItem ? element.groupPath : "";
+		const childGroupPrefix = parentPath ? `${parentPath}/` : "";
+
+		// Keep ctk.ruleSet order, since it is the order of entries in geminicodeassist.rules.
+		// A subgroup is listed where its first rule appears.
+		const children = [];
+		const listedGroups = new Set();
+		for (const rule of visibleRules) {
+			const ruleGroup = normalizeGroupPath(rule.group);
+			if (ruleGroup === parentPath) {
+				const value = valueMap.get(rule.key) || "";
+				const size = isRuleEnabled(rule) ? ruleSizes.get(rule.key) : undefined;
+				const keyHighlights = this.textFilter ? findTextRanges(rule.key, this.textFilter) : undefined;
+				children.push(new RuleTreeItem({ ...rule, value, size, keyHighlights, scope }, vscode.TreeItemCollapsibleState.None));
+			} else if (ruleGroup.startsWith(childGroupPrefix)) {
+				const childGroup = childGroupPrefix + ruleGroup.slice(childGroupPrefix.length).split('/')[0];
+				if (!listedGroups.has(childGroup)) {
+					listedGroups.add(childGroup);
+					const ruleCount = visibleRules.filter(r => isRuleInGroup(r, childGroup)).length;
+					children.push(new GroupTreeItem(childGroup, scope, ruleCount));
+				}
+			}
+		}
+		return children;
+	}
+}
+
+const RULE_DRAG_MIME_TYPE = 'application/vnd.code.tree.ctk-gee-rules'; // Shared by both views so rules can be dragged between them
+
+class RuleDragAndDropController { // implements vscode.TreeDragAndDropController<RuleTreeItem | GroupTreeItem | ScopeTreeItem | MessageTreeItem>
+	dropMimeTypes = [RULE_DRAG_MIME_TYPE];
+	dragMimeTypes = [RULE_DRAG_MIME_TYPE];
+
+	constructor(scope) {
+		this.scope = scope;
+	}
+
+	handleDrag(source, dataTransfer) {
+		const draggedRules = source
+			.filter(item => item instanceof RuleTreeItem)
+			.map(item => ({ scopeId: getScopeId(item.ruleSpec.scope), id: item.ruleSpec.id }));
+		if (draggedRules.length > 0) {
+			dataTransfer.set(RULE_DRAG_MIME_TYPE, new vscode.DataTransferItem(JSON.stringify(draggedRules)));
+		}
+	}
+
+	async handleDrop(target, dataTransfer) {
+		const transferItem = dataTransfer.get(RULE_DRAG_MIME_TYPE);
+		if (!transferItem) return;
+		const draggedRules = JSON.parse(await transferItem.asString());
+		if (draggedRules.length === 0) return;
+
+		// Rules land in the scope of the item they are dropped on; in a multi-root workspace that can be a folder
+		let targetScope = this.scope;
+		if (target instanceof RuleTreeItem) {
+			targetScope = target.ruleSpec.scope;
+		} else if (target instanceof GroupTreeItem || target instanceof ScopeTreeItem) {
+			targetScope = target.scope;
+		}
+		const sourceScope = getScopeFromId(draggedRules[0].scopeId);
+		if (sourceScope === undefined || !isScopeAvailable(targetScope)) {
+			vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to move rules into ${getScopeNameProper(targetScope)} rules.`);
+			return;
+		}
+
+		// Dropping onto a rule places the dragged rules before it, in the rule's group.
+		// Dropping onto a group moves them into that group; dropping anywhere else appends them ungrouped.
+		const beforeId = target instanceof RuleTreeItem ? target.ruleSpec.id : undefined;
+		let targetGroup;
+		if (target instanceof RuleTreeItem) {
+			targetGroup = normalizeGroupPath(target.ruleSpec.group);
+		} else if (target instanceof GroupTreeItem) {
+			targetGroup = target.groupPath;
+		}
+		const groupChanges = { group: targetGroup || undefined };
+		const draggedIds = draggedRules.map(r => r.id);
+
+		try {
+			if (isSameScope(sourceScope, targetScope)) {
+				if (draggedIds.includes(beforeId)) return;
+				if (target instanceof GroupTreeItem) {
+					await updateRules(draggedIds, targetScope, groupChanges); // Keep positions, change the folder
+				} else {
+					await moveRulesWithinScope(draggedIds, targetScope, beforeId, groupChanges);
+				}
+			} else {
+				const sourceRules = getCtkRuleSet(sourceScope);
+				const sourceValueMap = await getRuleValueMap(sourceScope);
+				const movingRules = sourceRules
+					.filter(r => draggedIds.includes(r.id))
+					.map(r => applyRuleChanges({ ...r, value: sourceValueMap.get(r.key) || "" }, groupChanges));
+				if (movingRules.length === 0) return;
+
+				const targetRules = getCtkRuleSet(targetScope);
+				const insertIndex = beforeId === undefined ? targetRules.length : targetRules.findIndex(r => r.id === beforeId);
+				noteRuleOperation(targetScope, `Move rules from ${getScopeNameProper(sourceScope)}`);
+				noteRuleOperation(sourceScope, `Move rules to ${getScopeNameProper(targetScope)}`);
+				const keyRenames = await addRulesToScope(movingRules, targetScope, insertIndex === -1 ? undefined : insertIndex);
+				await removeRulesFromScope(draggedIds, sourceScope);
+
+				const renameNote = keyRenames.size > 0 ? ` ${keyRenames.size} key(s) were renamed to stay unique.` : "";
+				vscode.window.showInformationMessage(`CTK GEE: Moved ${movingRules.length} rule(s) from ${getScopeNameProper(sourceScope)} to ${getScopeNameProper(targetScope)}.${renameNote}`);
+				refreshProviderForScope(sourceScope);
+			}
+			refreshProviderForScope(targetScope);
+		} catch (error) {
+			console.error("CTK GEE: Error moving rules:", error);
+			vscode.window.showErrorMessage(`CTK GEE: Error moving rules: ${error.message}`);
+		}
+	}
+}
+
+// Store providers globally within the activate function's scope
+class HistoryScopeTreeItem extends vscode.TreeItem {
+	/**
+	 * @param {RuleScope} scope
+	 * @param {number} snapshotCount
+	 */
+	constructor(scope, snapshotCount) {
+		super(getScopeNameProper(scope), vscode.TreeItemCollapsibleState.Expanded);
+		this.scope = scope;
+		this.id = `history-${getScopeId(scope)}`;
+		this.contextValue = 'ctkHistoryScopeItem';
+		this.iconPath = new vscode.ThemeIcon(scope === vscode.ConfigurationTarget.Global ? 'settings-gear' : 'folder-active');
+		this.description = `${snapshotCount} snapshot(s)`;
+	}
+}
+
+class RuleSnapshotTreeItem extends vscode.TreeItem {
+	/**
+	 * @param {RuleScope} scope
+	 * @param {RuleSnapshot} snapshot
+	 */
+	constructor(scope, snapshot) {
+		super(snapshot.operation, vscode.TreeItemCollapsibleState.Collapsed);
+		this.scope = scope;
+		this.snapshot = snapshot;
+		this.id = `history-${getScopeId(scope)}-${snapshot.id}`;
+		this.contextValue = 'ctkHistorySnapshotItem';
+		this.iconPath = new vscode.ThemeIcon('history');
+		this.description = new Date(snapshot.timestamp).toLocaleString();
+		const activeCount = snapshot.ruleSet.filter(isRuleEnabled).length;
+		this.tooltip = `${snapshot.operation}\n${this.description}\n${activeCount} of ${snapshot.ruleSet.length} rules active`;
+		this.command = { command: 'ctk.history.compareWithCurrent', title: 'Compare with Current', arguments: [this] };
+	}
+}
+
+class RuleSnapshotRuleTreeItem extends vscode.TreeItem {
+	/**
+	 * A rule as stored in a snapshot.
+	 * @param {RuleScope} scope
+	 * @param {RuleSnapshot} snapshot
+	 * @param {Rule} rule
+	 */
+	constructor(scope, snapshot, rule) {
+		super(rule.key, vscode.TreeItemCollapsibleState.None);
+		this.scope = scope;
+		this.snapshot = snapshot;
+		this.ruleKey = rule.key;
+		this.id = `history-${getScopeId(scope)}-${snapshot.id}-${rule.id}`;
+		this.contextValue = 'ctkHistoryRuleItem';
+		this.iconPath = new vscode.ThemeIcon(isRuleEnabled(rule) ? 'note' : 'circle-slash');
+		if (!isRuleEnabled(rule)) this.description = 'disabled';
+		this.command = { command: 'ctk.history.compareWithCurrent', title: 'Compare with Current', arguments: [this] };
+	}
+}
+
+class RuleHistoryProvider { // implements vscode.TreeDataProvider<HistoryScopeTreeItem | RuleSnapshotTreeItem | RuleSnapshotRuleTreeItem | MessageTreeItem>
+	_onDidChangeTreeData = new vscode.EventEmitter();
+	onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+	refresh() {
+		this._onDidChangeTreeData.fire();
+	}
+
+	getTreeItem(element) {
+		return element;
+	}
+
+	async getChildren(element) {
+		if (element instanceof RuleSnapshotTreeItem) {
+			return element.snapshot.ruleSet.map(rule => new RuleSnapshotRuleTreeItem(element.scope, element.snapshot, rule));
+		}
+		if (element instanceof HistoryScopeTreeItem) {
+			const snapshots = await getRuleSnapshots(element.scope);
+			return snapshots.slice().reverse().map(snapshot => new RuleSnapshotTreeItem(element.scope, snapshot)); // Newest first
+		}
+		if (element) return [];
+
+		const scopeItems = [];
+		for (const scope of getAllRuleScopes()) {
+			const snapshots = await getRuleSnapshots(scope);
+			if (snapshots.length > 0) scopeItems.push(new HistoryScopeTreeItem(scope, snapshots.length));
+		}
+		return scopeItems.length > 0 ? scopeItems : [new MessageTreeItem("No rule history recorded yet.")];
+	}
+}
+
+class TeamRuleTreeItem extends vscode.TreeItem {
+	/**
+	 * An entry of the team library.
+	 * @param {TeamRuleEntry} entry
+	 */
+	constructor(entry) {
+		super(entry.key, vscode.TreeItemCollapsibleState.None);
+		this.entry = entry;
+		this.id = `team-${entry.key}`;
+		this.contextValue = 'ctkTeamLibraryRuleItem';
+		this.command = { command: 'vscode.open', title: 'Open Team Rule', arguments: [getTeamRuleUri(entry.key)] };
+
+		// Where the entry is subscribed, and whether those subscriptions are behind the library
+		const subscribedScopes = [];
+		let hasUpdate = false;
+		for (const scope of getAllRuleScopes()) {
+			const rule = getCtkRuleSet(scope).find(r => isRuleLocked(r) && r.team.key === entry.key);
+			if (!rule) continue;
+			subscribedScopes.push(getScopeNameProper(scope));
+			if (rule.team.version !== entry.version) hasUpdate = true;
+		}
+		const descriptionParts = [];
+		if (entry.group) descriptionParts.push(entry.group);
+		if (subscribedScopes.length > 0) descriptionParts.push(`in ${subscribedScopes.join(", ")}`);
+		if (hasUpdate) descriptionParts.push("update available");
+		if (descriptionParts.length > 0) this.description = descriptionParts.join(" · ");
+		this.iconPath = new vscode.ThemeIcon(hasUpdate ? 'cloud-download' : subscribedScopes.length > 0 ? 'pass' : 'library');
+		this.tooltip = new vscode.MarkdownString(`**Key:** \`${entry.key}\`\n\n**File:** ${vscode.workspace.asRelativePath(entry.uri)}\n\n**Value:**\n\`\`\`\n${entry.value}\n\`\`\``);
+	}
+}
+
+class TeamRulesProvider { // implements vscode.TreeDataProvider<TeamRuleTreeItem | MessageTreeItem>
+	_onDidChangeTreeData = new vscode.EventEmitter();
+	onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+	refresh() {
+		this._onDidChangeTreeData.fire();
+	}
+
+	getTreeItem(element) {
+		return element;
+	}
+
+	getChildren(element) {
+		// Without a library the view shows its welcome content
+		if (element || !teamLibrary.directory) return [];
+		if (teamLibrary.error) return [new MessageTreeItem(teamLibrary.error)];
+		if (teamLibrary.entries.length === 0) return [new MessageTreeItem(`No rules in ${teamLibrary.directory.fsPath}.`)];
+		return teamLibrary.entries.map(entry => new TeamRuleTreeItem(entry));
+	}
+}
+
+class TeamRuleDocumentProvider { // implements vscode.TextDocumentContentProvider
+	_onDidChange = new vscode.EventEmitter();
+	onDidChange = this._onDidChange.event;
+
+	/**
+	 * Re-renders open team rule documents, so open diffs show the latest library version.
+	 */
+	notifyLibraryChanged() {
+		for (const document of vscode.workspace.textDocuments) {
+			if (document.uri.scheme === TEAM_RULE_URI_SCHEME) this._onDidChange.fire(document.uri);
+		}
+	}
+
+	/**
+	 * @param {vscode.Uri} uri A URI from getTeamRuleUri.
+	 * @returns {string} The value of the team library entry, or an empty string if it no longer exists.
+	 */
+	provideTextDocumentContent(uri) {
+		const key = new URLSearchParams(uri.query).get('key');
+		const entry = teamLibrary.entries.find(e => e.key === key);
+		return entry ? entry.value : "";
+	}
+}
+
+class RuleHistoryDocumentProvider { // implements vscode.TextDocumentContentProvider
+	_onDidChange = new vscode.EventEmitter();
+	onDidChange = this._onDidChange.event;
+
+	/**
+	 * Re-renders open documents showing the current rules, so open diffs follow the settings.
+	 */
+	notifyCurrentChanged() {
+		for (const document of vscode.workspace.textDocuments) {
+			if (document.uri.scheme === RULE_HISTORY_URI_SCHEME && document.uri.path === '/current.md') this._onDidChange.fire(document.uri);
+		}
+	}
+
+	/**
+	 * Renders a snapshot, or the current rules, in the Markdown library format (one heading per rule),
+	 * or just one rule's value if the URI names a rule.
+	 * @param {vscode.Uri} uri A URI from getRuleHistoryUri.
+	 * @returns {Promise<string>}
+	 */
+	async provideTextDocumentContent(uri) {
+		const query = new URLSearchParams(uri.query);
+		const scope = getScopeFromId(query.get('scope') || "");
+		if (scope === undefined) return "";
+		const snapshotId = uri.path.replace(/^\//, '').replace(/\.md$/, '');
+
+		let ruleSet, valueMap;
+		if (snapshotId === 'current') {
+			ruleSet = getCtkRuleSet(scope);
+			valueMap = await getRuleValueMap(scope);
+		} else {
+			const snapshot = (await getRuleSnapshots(scope)).find(s => s.id === snapshotId);
+			if (!snapshot) return "";
+			ruleSet = snapshot.ruleSet;
+			valueMap = getSnapshotValueMap(snapshot);
+		}
+
+		const ruleKey = query.get('rule');
+		if (ruleKey !== null) return valueMap.get(ruleKey) || "";
+		return serializeRuleLibrary(ruleSet.map(rule => toRuleLibraryEntry(rule, valueMap.get(rule.key) || "")), 'markdown');
+	}
+}
+
+class EffectiveRulesDocumentProvider { // implements vscode.TextDocumentContentProvider, vscode.DocumentSymbolProvider
+	_onDidChange = new vscode.EventEmitter();
+	onDidChange = this._onDidChange.event;
+
+	/**
+	 * Re-renders the document, if it is open.
+	 */
+	refresh() {
+		if (vscode.workspace.textDocuments.some(document => document.uri.toString() === EFFECTIVE_RULES_URI.toString())) {
+			this._onDidChange.fire(EFFECTIVE_RULES_URI);
+		}
+	}
+
+	/**
+	 * @returns {Promise<string>}
+	 */
+	async provideTextDocumentContent() {
+		return (await buildEffectiveRulesDocument()).text;
+	}
+
+	/**
+	 * One symbol per scope with one child per rule.
+	 * @param {vscode.TextDocument} document
+	 * @returns {Promise<vscode.DocumentSymbol[]>}
+	 */
+	async provideDocumentSymbols(document) {
+		const toDocumentSymbol = (symbol, kind) => {
+			const endLine = Math.min(symbol.endLine, document.lineCount - 1);
+			const range = new vscode.Range(symbol.startLine, 0, endLine, document.lineAt(endLine).text.length);
+			const documentSymbol = new vscode.DocumentSymbol(symbol.name, symbol.detail, kind, range, document.lineAt(symbol.startLine).range);
+			documentSymbol.children = symbol.children.map(child => toDocumentSymbol(child, vscode.SymbolKind.String));
+			return documentSymbol;
+		};
+		return (await buildEffectiveRulesDocument()).symbols.map(symbol => toDocumentSymbol(symbol, vscode.SymbolKind.Namespace));
+	}
+}
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+		return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Webview listing the differences between ctk.ruleSet and geminicodeassist.rules of a scope, with a choice per rule.
+ * One panel is open per scope; a newer external change updates it.
+ */
+class RuleReconciliationPanel {
+	/** @type {Map<string, RuleReconciliationPanel>} Open panels by scope ID */
+	static panels = new Map();
+
+	/**
+	 * Shows the reconciliation in the scope's panel, opening it if needed.
+	 * @param {RuleReconciliation} reconciliation
+	 */
+	static show(reconciliation) {
+		const scopeId = getScopeId(reconciliation.scope);
+		const existing = RuleReconciliationPanel.panels.get(scopeId);
+		if (existing) {
+			existing.update(reconciliation);
+			existing.panel.reveal();
+			return;
+		}
+		const panel = vscode.window.createWebviewPanel(
+			'ctk-gee-reconcile',
+			`Reconcile ${getScopeNameProper(reconciliation.scope)} Rules`,
+			vscode.ViewColumn.Active,
+			{ enableScripts: true }
+		);
+		RuleReconciliationPanel.panels.set(scopeId, new RuleReconciliationPanel(panel, reconciliation));
+	}
+
+	/**
+	 * Brings the scope's panel to the front, if one is open.
+	 * @param {RuleScope} scope
+	 * @returns {boolean} Whether a panel was open.
+	 */
+	static revealForScope(scope) {
+		const existing = RuleReconciliationPanel.panels.get(getScopeId(scope));
+		if (existing) existing.panel.reveal();
+		return existing !== undefined;
+	}
+
+	/**
+	 * Closes the scope's panel, e.g. once both sides agree again.
+	 * @param {RuleScope} scope
+	 */
+	static closeForScope(scope) {
+		const existing = RuleReconciliationPanel.panels.get(getScopeId(scope));
+		if (existing) existing.panel.dispose();
+	}
+
+	/**
+	 * @param {vscode.WebviewPanel} panel
+	 * @param {RuleReconciliation} reconciliation
+	 */
+	constructor(panel, reconciliation) {
+		this.panel = panel;
+		this.scopeId = getScopeId(reconciliation.scope);
+		this.panel.onDidDispose(() => {
+			if (RuleReconciliationPanel.panels.get(this.scopeId) === this) RuleReconciliationPanel.panels.delete(this.scopeId);
+		});
+		this.panel.webview.onDidReceiveMessage(message => this.onMessage(message));
+		this.update(reconciliation);
+	}
+
+	/**
+	 * @param {RuleReconciliation} reconciliation
+	 * @param {string} [notice] Shown above the differences.
+	 */
+	update(reconciliation, notice) {
+		this.reconciliation = reconciliation;
+		this.panel.webview.html = this.render(notice);
+	}
+
+	/**
+	 * @param {{command: string, choices?: {id: string, side: 'ours' | 'theirs' | 'merged', mergedValue?: string}[]}} message
+	 */
+	async onMessage(message) {
+		if (message.command === 'cancel') {
+			this.panel.dispose();
+			return;
+		}
+		if (message.command !== 'apply') return;
+
+		const { scope, ctkRules, geminiRules, baseGeminiRules } = this.reconciliation;
+		// The choices were made against the sidebar rules shown; if those changed meanwhile, they have to be reviewed again
+		if (JSON.stringify(getCtkRuleSet(scope)) !== JSON.stringify(ctkRules)) {
+			const recomputed = computeRuleReconciliation(scope, getCtkRuleSet(scope), geminiRules, baseGeminiRules);
+			this.update(recomputed, "The sidebar rules changed while this view was open. Review the differences again.");
+			return;
+		}
+		const choices = new Map((message.choices || []).map(choice => [choice.id, choice]));
+		try {
+			await applyRuleReconciliation(this.reconciliation, choices);
+			refreshProviderForScope(scope);
+			vscode.window.showInformationMessage(`CTK GEE: ${getScopeNameProper(scope)} rules reconciled.`);
+			this.panel.dispose();
+		} catch (error) {
+			console.error(`CTK GEE: Reconciling ${getScopeNameProper(scope)} rules failed:`, error);
+			vscode.window.showErrorMessage(`CTK GEE: Could not apply the reconciliation: ${error.message}`);
+		}
+	}
+
+	/**
+	 * @param {string} [notice]
+	 * @returns {string}
+	 */
+	render(notice) {
+		const nonce = crypto.randomBytes(16).toString('base64');
+		const side = (difference, sideName) => {
+			const rule = difference[sideName];
+			if (!rule) return `<div class="side"><em>Not present</em></div>`;
+			return `<div class="side"><strong>${escapeHtml(rule.key)}</strong><pre>${escapeHtml(rule.value)}</pre></div>`;
+		};
+		const rows = this.reconciliation.differences.map(difference => {
+			const id = escapeHtml(difference.id);
+			const option = (value, label) => `<label><input type="radio" name="${id}" value="${value}"${difference.defaultSide === value ? ' checked' : ''}> ${label}</label>`;
+			const merged = difference.canMerge
+				? `${option('merged', "Merged")}<textarea data-merged-for="${id}" hidden>${escapeHtml((difference.theirs || difference.ours).value)}</textarea>`
+				: "";
+			return `<section class="difference" data-id="${id}">
+				<h3>${escapeHtml((difference.ours || difference.theirs).key)} <span class="label">${escapeHtml(difference.label)}</span></h3>
+				<div class="sides">${side(difference, 'ours')}${side(difference, 'theirs')}</div>
+				<div class="choices">${option('ours', "Use sidebar")}${option('theirs', "Use settings")}${merged}</div>
+			</section>`;
+		}).join('\n');
+
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+	<style nonce="${nonce}">
+		body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+		.notice { color: var(--vscode-editorWarning-foreground); }
+		.difference { border-bottom: 1px solid var(--vscode-panel-border); padding: 0.5em 0; }
+		.label { font-weight: normal; color: var(--vscode-descriptionForeground); }
+		.sides { display: flex; gap: 1em; }
+		.side { flex: 1; min-width: 0; }
+		.sides .side:first-child::before { content: "Sidebar"; display: block; color: var(--vscode-descriptionForeground); }
+		.sides .side:last-child::before { content: "geminicodeassist.rules"; display: block; color: var(--vscode-descriptionForeground); }
+		pre { white-space: pre-wrap; background: var(--vscode-textCodeBlock-background); padding: 0.5em; }
+		textarea { display: block; width: 100%; min-height: 6em; margin-top: 0.5em; font-family: var(--vscode-editor-font-family); }
+		.choices label { margin-right: 1em; }
+		.actions { margin-top: 1em; display: flex; gap: 0.5em; }
+		button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 0.4em 1em; cursor: pointer; }
+		button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+	</style>
+</head>
+<body>
+	<p>${escapeHtml(getScopeNameProper(this.reconciliation.scope))} geminicodeassist.rules was changed outside CTK GEE and no longer matches the sidebar rules. Choose which version to keep for each difference; nothing is written until you apply.</p>
+	${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ""}
+	${rows}
+	<div class="actions">
+		<button id="apply">Apply</button>
+		<button id="all-ours" class="secondary">Use Sidebar for All</button>
+		<button id="all-theirs" class="secondary">Use Settings for All</button>
+		<button id="cancel" class="secondary">Cancel</button>
+	</div>
+	<script nonce="${nonce}">
+		const vscode = acquireVsCodeApi();
+		const updateMergedEditors = () => {
+			for (const textarea of document.querySelectorAll('textarea[data-merged-for]')) {
+				const checked = document.querySelector('input[name="' + CSS.escape(textarea.dataset.mergedFor) + '"]:checked');
+				textarea.hidden = !checked || checked.value !== 'merged';
+			}
+		};
+		const selectAll = value => {
+			for (const input of document.querySelectorAll('input[type="radio"][value="' + value + '"]')) input.checked = true;
+			updateMergedEditors();
+		};
+		document.addEventListener('change', updateMergedEditors);
+		document.getElementById('all-ours').addEventListener('click', () => selectAll('ours'));
+		document.getElementById('all-theirs').addEventListener('click', () => selectAll('theirs'));
+		document.getElementById('cancel').addEventListener('click', () => vscode.postMessage({ command: 'cancel' }));
+		document.getElementById('apply').addEventListener('click', () => {
+			const choices = [...document.querySelectorAll('.difference')].map(section => {
+				const checked = section.querySelector('input[type="radio"]:checked');
+				const textarea = section.querySelector('textarea');
+				return { id: section.dataset.id, side: checked ? checked.value : undefined, mergedValue: textarea ? textarea.value : undefined };
+			}).filter(choice => choice.side);
+			vscode.postMessage({ command: 'apply', choices });
+		});
+	</script>
+</body>
+</html>`;
+	}
+}
+
+/**
+ * Renders markdown as HTML with VS Code's built-in markdown renderer, for previews in webviews.
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+async function renderMarkdownForWebview(markdown) {
+		try {
+				return await vscode.commands.executeCommand('markdown.api.render', markdown);
+		} catch (error) {
+				console.warn("CTK GEE: Markdown preview unavailable, showing plain text:", error);
+				return `<pre>${escapeHtml(markdown)}</pre>`;
+		}
+}
+
+/**
+ * Webview listing the rules of every scope in one table, read through the same accessors as the sidebar. Keys and
+ * values are edited in place, with a markdown preview; rules can be reordered, enabled and disabled, searched, and
+ * each scope synced or reconciled. One panel is open at a time and it follows configuration changes while open.
+ */
+class RuleManagerPanel {
+	/** @type {RuleManagerPanel | undefined} */
+	static current;
+
+	/**
+	 * Opens the panel, or brings it to the front.
+	 */
+	static show() {
+		if (RuleManagerPanel.current) {
+			RuleManagerPanel.current.panel.reveal();
+			return;
+		}
+		const panel = vscode.window.createWebviewPanel(
+			'ctk-gee-rule-manager',
+			"Rule Manager",
+			vscode.ViewColumn.Active,
+			{ enableScripts: true, retainContextWhenHidden: true }
+		);
+		RuleManagerPanel.current = new RuleManagerPanel(panel);
+	}
 
-		// If no element is provided, we are at the root of this TreeView
-		// (either "User Rules" or "Workspace Rules").
-		// We directly return the list of rules or relevant messages for the current scope.
+	/**
+	 * Sends the current rules to the open panel, if any. Rows with unsaved edits keep them.
+	 */
+	static async refresh() {
+		if (RuleManagerPanel.current) await RuleManagerPanel.current.postRules();
+	}
 
-		if (this.scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
-			return [new MessageTreeItem("No workspace open.")];
+	/**
+	 * @param {vscode.WebviewPanel} panel
+	 */
+	constructor(panel) {
+		this.panel = panel;
+		this.panel.onDidDispose(() => {
+			if (RuleManagerPanel.current === this) RuleManagerPanel.current = undefined;
+		});
+		this.panel.webview.onDidReceiveMessage(message => this.onMessage(message));
+		this.panel.webview.html = this.render();
+	}
+
+	/**
+	 * Sends the rules of every open scope to the webview.
+	 */
+	async postRules() {
+		const scopes = [];
+		for (const scope of getAllRuleScopes()) {
+			const valueMap = await getRuleValueMap(scope);
+			scopes.push({
+				scopeId: getScopeId(scope),
+				name: getScopeNameProper(scope),
+				inSync: await isScopeInSync(scope),
+				rules: getCtkRuleSet(scope).map(rule => ({
+					id: rule.id,
+					key: rule.key,
+					value: valueMap.get(rule.key) || "",
+					enabled: isRuleEnabled(rule),
+					active: isRuleActive(rule),
+					locked: isRuleLocked(rule),
+					group: rule.group || "",
+					tags: rule.tags || [],
+					conditions: normalizeRuleConditions(rule.when) ? describeRuleConditions(normalizeRuleConditions(rule.when)) : ""
+				}))
+			});
+		}
+		await this.panel.webview.postMessage({ command: 'rules', scopes });
+	}
+
+	/**
+	 * @param {{command: string, scopeId?: string, id?: number, rowId?: string, key?: string, value?: string, baseKey?: string, baseValue?: string, enabled?: boolean, offset?: number}} message
+	 */
+	async onMessage(message) {
+		if (message.command === 'ready') {
+			await this.postRules();
+			return;
+		}
+		if (message.command === 'preview') {
+			const html = await renderMarkdownForWebview(message.value || "");
+			await this.panel.webview.postMessage({ command: 'preview', rowId: message.rowId, html });
+			return;
+		}
+		const scope = getScopeFromId(message.scopeId);
+		if (scope === undefined || !isScopeAvailable(scope)) {
+			vscode.window.showErrorMessage("CTK GEE: That scope is no longer open.");
+			await this.postRules();
+			return;
+		}
+		try {
+			if (message.command === 'save') {
+				const saved = await this.saveRule(scope, message);
+				await this.panel.webview.postMessage({ command: 'saveResult', rowId: message.rowId, saved });
+			} else if (message.command === 'setEnabled') {
+				await setRulesEnabled(new Map([[message.id, message.enabled]]), scope);
+			} else if (message.command === 'move') {
+				await this.moveRule(scope, message.id, message.offset);
+			} else if (message.command === 'sync') {
+				const commandSuffix = isFolderScope(scope) ? "Folder" : (scope === vscode.ConfigurationTarget.Global ? "Global" : "Workspace");
+				await vscode.commands.executeCommand(`ctk.forceSync${commandSuffix}Rules`, { scope });
+			} else if (message.command === 'reconcile') {
+				if (!RuleReconciliationPanel.revealForScope(scope)) await reconcileCtkWithExternalGeminiChange(scope);
+			}
+		} catch (error) {
+			reportRuleError(`Rule Manager ${message.command} for ${getScopeNameProper(scope)}`, error);
 		}
+		refreshProviderForScope(scope);
+		await this.postRules();
+	}
 
-		const ctkRules = getCtkRuleSet(this.scope);
-		if (ctkRules.length === 0) {
-			return [new MessageTreeItem(`No ${this.scopeNameProper.toLowerCase()} rules defined. Click '+' to add.`)];
+	/**
+	 * Writes an edited key and value. The edit was made against the rule as the table showed it, so a rule changed
+	 * since then is not overwritten; the row shows the newer version next to the edit instead.
+	 * @param {RuleScope} scope
+	 * @param {{id: number, key: string, value: string, baseKey: string, baseValue: string}} edit
+	 * @returns {Promise<boolean>} True if the edit was written.
+	 */
+	async saveRule(scope, edit) {
+		const scopeNameProper = getScopeNameProper(scope);
+		const rule = getCtkRuleSet(scope).find(r => r.id === edit.id);
+		if (!rule) {
+			vscode.window.showErrorMessage(`CTK GEE: Rule ID ${edit.id} not found in ${scopeNameProper} ctk.ruleSet.`);
+			return false;
+		}
+		const currentValue = (await getRuleValueMap(scope)).get(rule.key) || "";
+		if (rule.key !== edit.baseKey || currentValue !== edit.baseValue) {
+			vscode.window.showWarningMessage(`CTK GEE: ${scopeNameProper} rule "${rule.key}" changed while you were editing it. Review the change in the Rule Manager and save again to overwrite it.`);
+			return false;
+		}
+		const newKey = edit.key.trim();
+		if (newKey !== rule.key) {
+			const keyProblem = validateRuleKey(newKey);
+			if (keyProblem) {
+				vscode.window.showErrorMessage(`CTK GEE: ${keyProblem}`);
+				return false;
+			}
+			if (getCtkRuleSet(scope).some(r => r.id !== rule.id && r.key === newKey)) {
+				vscode.window.showErrorMessage(`CTK GEE: A rule with key "${newKey}" already exists in ${scopeNameProper}.`);
+				return false;
+			}
 		}
+		if (!await confirmRuleEdit(scope, rule)) return false;
+
+		const changes = {};
+		if (newKey !== rule.key) changes.key = newKey;
+		if (edit.value !== currentValue) changes.value = edit.value;
+		if (Object.keys(changes).length === 0) return true;
+		noteRuleOperation(scope, `Edit rule "${rule.key}"`);
+		// Key and value in one write, so that neither a failure nor another window leaves the one without the other
+		return changeRule(scope, rule.id, changes);
+	}
 
-		const geminiString = await getGeminiRulesStringFromConfig(this.scope);
-		const { valueMap } = parseGeminiRulesString(geminiString);
+	/**
+	 * Moves a rule one or more places up (negative offset) or down within its scope.
+	 * @param {RuleScope} scope
+	 * @param {number} id
+	 * @param {number} offset
+	 */
+	async moveRule(scope, id, offset) {
+		const ctkRules = getCtkRuleSet(scope);
+		const index = ctkRules.findIndex(r => r.id === id);
+		const targetIndex = index + offset;
+		if (index === -1 || targetIndex < 0 || targetIndex >= ctkRules.length) return;
+		// moveRulesWithinScope inserts before a rule, so moving down goes before the rule after the target
+		const beforeRule = ctkRules[offset < 0 ? targetIndex : targetIndex + 1];
+		await moveRulesWithinScope([id], scope, beforeRule ? beforeRule.id : undefined);
+	}
 
-		return ctkRules.map(rule => {
-			const value = valueMap.get(rule.key) || "";
-			return new RuleTreeItem({ ...rule, value, scope: this.scope }, vscode.TreeItemCollapsibleState.None);
-		}).sort((a, b) => a.ruleSpec.key.localeCompare(b.ruleSpec.key)); // Sort by key for consistent display
+	/**
+	 * @returns {string}
+	 */
+	render() {
+		const nonce = crypto.randomBytes(16).toString('base64');
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${this.panel.webview.cspSource} data:; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+	<style nonce="${nonce}">
+		body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+		.toolbar { position: sticky; top: 0; background: var(--vscode-editor-background); padding: 0.5em 0; z-index: 1; }
+		input[type="search"], input[type="text"], textarea { box-sizing: border-box; width: 100%; background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); padding: 0.3em; }
+		textarea { min-height: 4em; resize: vertical; font-family: var(--vscode-editor-font-family); }
+		h2 { display: flex; align-items: center; gap: 0.5em; margin-top: 1.5em; }
+		.status { font-size: 0.8em; font-weight: normal; color: var(--vscode-descriptionForeground); }
+		.status.out-of-sync { color: var(--vscode-editorWarning-foreground); }
+		table { width: 100%; border-collapse: collapse; }
+		th { text-align: left; color: var(--vscode-descriptionForeground); font-weight: normal; }
+		td { vertical-align: top; padding: 0.4em 0.3em; border-top: 1px solid var(--vscode-panel-border); }
+		td.order { width: 4.5em; white-space: nowrap; }
+		td.key { width: 25%; }
+		td.enabled { width: 4em; text-align: center; }
+		tr.disabled input[type="text"], tr.disabled textarea { opacity: 0.6; }
+		tr.dirty td.key { border-left: 2px solid var(--vscode-editorGutter-modifiedBackground, var(--vscode-focusBorder)); }
+		.badge { display: inline-block; margin: 0.3em 0.3em 0 0; padding: 0 0.4em; border-radius: 0.6em; font-size: 0.85em; background: var(--vscode-badge-background); color: var(--vscode-badge-foreground); }
+		.conflict { color: var(--vscode-editorWarning-foreground); margin: 0.3em 0; }
+		.preview { border: 1px solid var(--vscode-panel-border); padding: 0 0.6em; margin-top: 0.3em; }
+		.row-actions { display: flex; gap: 0.4em; margin-top: 0.3em; }
+		.empty { color: var(--vscode-descriptionForeground); }
+		button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 0.3em 0.8em; cursor: pointer; }
+		button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+		button:disabled { opacity: 0.5; cursor: default; }
+		td.order button { padding: 0.1em 0.5em; }
+	</style>
+</head>
+<body>
+	<div class="toolbar"><input id="search" type="search" placeholder="Search keys, values, groups and tags" aria-label="Search rules"></div>
+	<div id="scopes"><p class="empty">Loading rules...</p></div>
+	<script nonce="${nonce}">
+		const vscode = acquireVsCodeApi();
+		const search = document.getElementById('search');
+		const container = document.getElementById('scopes');
+		let scopes = [];
+		const drafts = new Map(); // row ID -> { key, value, baseKey, baseValue, conflict, saving }
+		const previews = new Map(); // row ID -> rendered HTML of the open preview, or '' while rendering
+		const previewTimers = new Map();
+
+		const rowIdOf = (scope, rule) => scope.scopeId + '#' + rule.id;
+		const findRow = rowId => {
+			for (const scope of scopes) {
+				const rule = scope.rules.find(r => rowIdOf(scope, r) === rowId);
+				if (rule) return { scope, rule };
+			}
+			return undefined;
+		};
+		const isDirty = draft => draft.key !== draft.baseKey || draft.value !== draft.baseValue;
+		// An edit stays on its row; if the rule changed underneath it, the row says so before it is saved over
+		const rebaseDraft = (rowId, draft) => {
+			const row = findRow(rowId);
+			if (!row) {
+				drafts.delete(rowId);
+				return;
+			}
+			if (row.rule.key !== draft.baseKey || row.rule.value !== draft.baseValue) {
+				Object.assign(draft, { baseKey: row.rule.key, baseValue: row.rule.value, conflict: true });
+				if (!isDirty(draft)) drafts.delete(rowId);
+			}
+		};
+		const create = (tag, properties = {}, children = []) => {
+			const element = Object.assign(document.createElement(tag), properties);
+			element.append(...children);
+			return element;
+		};
+		const button = (text, action, properties = {}) => {
+			const element = create('button', { textContent: text, ...properties });
+			element.dataset.action = action;
+			return element;
+		};
+
+		const requestPreview = rowId => {
+			const row = findRow(rowId);
+			if (!row) return;
+			const draft = drafts.get(rowId);
+			vscode.postMessage({ command: 'preview', rowId, value: draft ? draft.value : row.rule.value });
+		};
+
+		const matches = (rule, draft, query) => {
+			if (!query) return true;
+			const text = [rule.key, rule.value, rule.group, ...rule.tags];
+			if (draft) text.push(draft.key, draft.value);
+			return text.some(part => part.toLowerCase().includes(query));
+		};
+
+		const renderRule = (scope, rule, index) => {
+			const rowId = rowIdOf(scope, rule);
+			const draft = drafts.get(rowId);
+			const keyInput = create('input', { type: 'text', value: draft ? draft.key : rule.key, spellcheck: false });
+			keyInput.dataset.field = 'key';
+			keyInput.setAttribute('aria-label', 'Key');
+			const badges = [];
+			if (rule.locked) badges.push(create('span', { className: 'badge', textContent: 'Team', title: 'Follows the team library; saving asks to detach it' }));
+			if (rule.group) badges.push(create('span', { className: 'badge', textContent: rule.group }));
+			rule.tags.forEach(tag => badges.push(create('span', { className: 'badge', textContent: '#' + tag })));
+			if (rule.conditions) badges.push(create('span', { className: 'badge', textContent: (rule.enabled && !rule.active ? 'inactive: ' : 'when: ') + rule.conditions }));
+
+			const value = draft ? draft.value : rule.value;
+			const valueInput = create('textarea', { value, rows: Math.min(12, Math.max(3, value.split('\\n').length)), spellcheck: false });
+			valueInput.dataset.field = 'value';
+			valueInput.setAttribute('aria-label', 'Value');
+			const valueCell = [valueInput];
+			if (draft && draft.conflict) {
+				valueCell.unshift(create('div', { className: 'conflict', textContent: 'This rule changed outside the Rule Manager while you were editing it. Saving overwrites that change; Revert shows it.' }));
+			}
+			if (previews.has(rowId)) {
+				const preview = create('div', { className: 'preview' });
+				preview.innerHTML = previews.get(rowId) || '<p class="empty">Rendering preview...</p>';
+				valueCell.push(preview);
+			}
+			const dirty = draft !== undefined && isDirty(draft);
+			valueCell.push(create('div', { className: 'row-actions' }, [
+				button('Save', 'save', { disabled: !dirty, title: 'Save (Ctrl+S)' }),
+				button('Revert', 'revert', { className: 'secondary', disabled: !dirty }),
+				button(previews.has(rowId) ? 'Hide Preview' : 'Preview', 'preview', { className: 'secondary' })
+			]));
+
+			const enabledInput = create('input', { type: 'checkbox', checked: rule.enabled, title: rule.enabled ? 'Enabled' : 'Disabled' });
+			enabledInput.dataset.action = 'setEnabled';
+			enabledInput.setAttribute('aria-label', 'Enabled');
+
+			const tr = create('tr', { className: (rule.enabled ? '' : 'disabled') + (dirty ? ' dirty' : '') }, [
+				create('td', { className: 'order' }, [
+					button('\\u2191', 'up', { className: 'secondary', disabled: index === 0, title: 'Move up' }),
+					button('\\u2193', 'down', { className: 'secondary', disabled: index === scope.rules.length - 1, title: 'Move down' })
+				]),
+				create('td', { className: 'key' }, [keyInput, create('div', {}, badges)]),
+				create('td', { className: 'value' }, valueCell),
+				create('td', { className: 'enabled' }, [enabledInput])
+			]);
+			tr.dataset.row = rowId;
+			return tr;
+		};
+
+		const renderScope = (scope, query) => {
+			const status = create('span', { className: 'status' + (scope.inSync ? '' : ' out-of-sync'), textContent: scope.inSync ? 'In sync' : 'Out of sync with geminicodeassist.rules' });
+			const syncButton = button('Sync', 'sync', { className: 'secondary', title: 'Rewrite geminicodeassist.rules from these rules' });
+			const reconcileButton = button('Reconcile...', 'reconcile', { className: 'secondary', disabled: scope.inSync, title: 'Review the differences with geminicodeassist.rules' });
+			const heading = create('h2', {}, [scope.name + ' Rules', status, syncButton, reconcileButton]);
+			heading.dataset.scope = scope.scopeId;
+
+			const rows = scope.rules.map((rule, index) => ({ rule, index })).filter(({ rule }) => matches(rule, drafts.get(rowIdOf(scope, rule)), query));
+			if (rows.length === 0) {
+				return create('section', {}, [heading, create('p', { className: 'empty', textContent: scope.rules.length === 0 ? 'No rules.' : 'No matching rules.' })]);
+			}
+			const header = create('tr', {}, ['Order', 'Key', 'Value', 'Enabled'].map(title => create('th', { textContent: title })));
+			const table = create('table', {}, [create('thead', {}, [header]), create('tbody', {}, rows.map(({ rule, index }) => renderRule(scope, rule, index)))]);
+			return create('section', {}, [heading, table]);
+		};
+
+		// Re-rendering replaces the inputs, so the focused one and its selection are restored afterwards
+		const render = () => {
+			const focused = document.activeElement;
+			const focusedRow = focused && focused.closest ? focused.closest('tr[data-row]') : null;
+			const focus = focusedRow && focused.dataset.field ? { rowId: focusedRow.dataset.row, field: focused.dataset.field, start: focused.selectionStart, end: focused.selectionEnd } : undefined;
+			const query = search.value.trim().toLowerCase();
+			container.replaceChildren(...scopes.map(scope => renderScope(scope, query)));
+			if (focus) {
+				const row = container.querySelector('tr[data-row="' + CSS.escape(focus.rowId) + '"]');
+				const input = row && row.querySelector('[data-field="' + focus.field + '"]');
+				if (input) {
+					input.focus();
+					input.setSelectionRange(focus.start, focus.end);
+				}
+			}
+		};
+
+		const save = rowId => {
+			const row = findRow(rowId);
+			const draft = drafts.get(rowId);
+			if (!row || !draft || !isDirty(draft) || draft.saving) return;
+			draft.saving = true; // The save's own setting changes are not conflicts
+			vscode.postMessage({ command: 'save', scopeId: row.scope.scopeId, id: row.rule.id, rowId, key: draft.key, value: draft.value, baseKey: draft.baseKey, baseValue: draft.baseValue });
+		};
+
+		container.addEventListener('input', event => {
+			const tr = event.target.closest('tr[data-row]');
+			if (!tr || !event.target.dataset.field) return;
+			const rowId = tr.dataset.row;
+			const row = findRow(rowId);
+			if (!row) return;
+			const draft = drafts.get(rowId) || { key: row.rule.key, value: row.rule.value, baseKey: row.rule.key, baseValue: row.rule.value, conflict: false };
+			draft[event.target.dataset.field] = event.target.value;
+			if (isDirty(draft)) drafts.set(rowId, draft);
+			else drafts.delete(rowId);
+			const dirty = drafts.has(rowId);
+			tr.classList.toggle('dirty', dirty);
+			tr.querySelector('[data-action="save"]').disabled = !dirty;
+			tr.querySelector('[data-action="revert"]').disabled = !dirty;
+			if (event.target.dataset.field === 'value' && previews.has(rowId)) {
+				clearTimeout(previewTimers.get(rowId));
+				previewTimers.set(rowId, setTimeout(() => requestPreview(rowId), 300));
+			}
+		});
+		container.addEventListener('keydown', event => {
+			if (event.key !== 's' || !(event.ctrlKey || event.metaKey)) return;
+			const tr = event.target.closest('tr[data-row]');
+			if (!tr) return;
+			event.preventDefault();
+			save(tr.dataset.row);
+		});
+		container.addEventListener('change', event => {
+			if (event.target.dataset.action !== 'setEnabled') return;
+			const row = findRow(event.target.closest('tr[data-row]').dataset.row);
+			if (row) vscode.postMessage({ command: 'setEnabled', scopeId: row.scope.scopeId, id: row.rule.id, enabled: event.target.checked });
+		});
+		container.addEventListener('click', event => {
+			const target = event.target.closest('button[data-action]');
+			if (!target) return;
+			const action = target.dataset.action;
+			const heading = target.closest('h2[data-scope]');
+			if (heading) {
+				vscode.postMessage({ command: action, scopeId: heading.dataset.scope });
+				return;
+			}
+			const rowId = target.closest('tr[data-row]').dataset.row;
+			const row = findRow(rowId);
+			if (!row) return;
+			if (action === 'save') {
+				save(rowId);
+			} else if (action === 'revert') {
+				drafts.delete(rowId);
+				if (previews.has(rowId)) requestPreview(rowId);
+				render();
+			} else if (action === 'preview') {
+				if (previews.has(rowId)) {
+					previews.delete(rowId);
+				} else {
+					previews.set(rowId, '');
+					requestPreview(rowId);
+				}
+				render();
+			} else if (action === 'up' || action === 'down') {
+				vscode.postMessage({ command: 'move', scopeId: row.scope.scopeId, id: row.rule.id, offset: action === 'up' ? -1 : 1 });
+			}
+		});
+		search.addEventListener('input', render);
+
+		window.addEventListener('message', event => {
+			const message = event.data;
+			if (message.command === 'rules') {
+				const previewedValues = new Map([...previews.keys()].map(rowId => {
+					const row = findRow(rowId);
+					return [rowId, row ? row.rule.value : undefined];
+				}));
+				scopes = message.scopes;
+				for (const [rowId, draft] of drafts) {
+					if (!draft.saving) rebaseDraft(rowId, draft);
+				}
+				for (const rowId of previews.keys()) {
+					if (!findRow(rowId)) previews.delete(rowId);
+					else if (!drafts.has(rowId) && findRow(rowId).rule.value !== previewedValues.get(rowId)) requestPreview(rowId);
+				}
+				render();
+			} else if (message.command === 'saveResult') {
+				const draft = drafts.get(message.rowId);
+				if (!draft) return;
+				if (message.saved) {
+					drafts.delete(message.rowId);
+				} else {
+					draft.saving = false;
+					rebaseDraft(message.rowId, draft);
+				}
+				render();
+			} else if (message.command === 'preview' && previews.has(message.rowId)) {
+				previews.set(message.rowId, message.html);
+				render();
+			}
+		});
+		vscode.postMessage({ command: 'ready' });
+	</script>
+</body>
+</html>`;
 	}
 }
 
-// Store providers globally within the activate function's scope
 let userRulesProvider;
 let workspaceRulesProvider;
+let ruleDecorationProvider;
+let ruleFileSystemProvider;
+let ruleHistoryProvider;
+let ruleHistoryDocumentProvider;
+let effectiveRulesDocumentProvider;
+let teamRulesProvider;
+let teamRuleDocumentProvider;
+/** @type {vscode.ExtensionContext | undefined} Set on activation; the rule history lives in its storage. */
+let extensionContext;
+/** @type {vscode.StatusBarItem | undefined} */
+let ruleStatusBarItem;
+
+/**
+ * Shows the active rule counts and whether each scope is in sync in the status bar.
+ */
+async function updateRuleStatusBar() {
+		if (!ruleStatusBarItem) return;
+		const tooltipLines = [];
+		const outOfSyncScopes = [];
+		let userCount = 0;
+		let workspaceCount = 0;
+		for (const scope of getAllRuleScopes()) {
+				const ctkRules = getCtkRuleSet(scope);
+				const activeCount = ctkRules.filter(isRuleActive).length;
+				if (scope === vscode.ConfigurationTarget.Global) userCount += activeCount;
+				else workspaceCount += activeCount;
+				const inSync = await isScopeInSync(scope);
+				if (!inSync) outOfSyncScopes.push(scope);
+				tooltipLines.push(`${inSync ? "$(check)" : "$(warning)"} **${getScopeNameProper(scope)}:** ${activeCount} of ${ctkRules.length} rules active, ${inSync ? "in sync" : "out of sync with geminicodeassist.rules"}`);
+		}
+
+		ruleStatusBarItem.text = `${outOfSyncScopes.length > 0 ? "$(warning)" : "$(law)"} ${userCount}${isWorkspaceOpen() ? ` · ${workspaceCount}` : ""}`;
+		ruleStatusBarItem.tooltip = new vscode.MarkdownString(`**CTK GEE rules** (User${isWorkspaceOpen() ? " · Workspace" : ""})\n\n${tooltipLines.join("\n\n")}\n\nClick for sync actions.`, true);
+		ruleStatusBarItem.backgroundColor = outOfSyncScopes.length > 0 ? new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+		ruleStatusBarItem.show();
+}
+
+/**
+ * Refreshes the tree view showing the given scope.
+ * @param {RuleScope} scope
+ */
+function refreshProviderForScope(scope) {
+		if (scope === vscode.ConfigurationTarget.Global && userRulesProvider) userRulesProvider.refresh();
+		// Folder scopes are shown as nodes in the Workspace Rules view
+		if (scope !== vscode.ConfigurationTarget.Global && workspaceRulesProvider) workspaceRulesProvider.refresh();
+}
+
+/**
+ * Opens the effective rules document at a scope's section.
+ * @param {RuleScope} [scope]
+ */
+async function showEffectiveRules(scope) {
+		const document = await vscode.workspace.openTextDocument(EFFECTIVE_RULES_URI);
+		const editor = await vscode.window.showTextDocument(document, { preview: false });
+		if (scope === undefined) return;
+		const headingPrefix = `## ${getScopeNameProper(scope)}:`;
+		for (let line = 0; line < document.lineCount; line++) {
+				if (!document.lineAt(line).text.startsWith(headingPrefix)) continue;
+				const position = new vscode.Position(line, 0);
+				editor.selection = new vscode.Selection(position, position);
+				editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.AtTop);
+				break;
+		}
+}
+
+/**
+ * Creates the tree item of a rule, as its view lists it.
+ * @param {RuleScope} scope
+ * @param {number} id
+ * @returns {Promise<RuleTreeItem | undefined>}
+ */
+async function createRuleTreeItem(scope, id) {
+		const rule = getCtkRuleSet(scope).find(r => r.id === id);
+		if (!rule) return undefined;
+		const value = (await getRuleValueMap(scope)).get(rule.key) || "";
+		const size = isRuleEnabled(rule) ? (await getRuleSizes(scope)).ruleSizes.get(rule.key) : undefined;
+		return new RuleTreeItem({ ...rule, value, size, scope });
+}
+
+/**
+ * Selects a rule in its view, clearing the view's filters if they hide it.
+ * @param {RuleScope} scope
+ * @param {number} id
+ */
+async function revealRule(scope, id) {
+		const provider = scope === vscode.ConfigurationTarget.Global ? userRulesProvider : workspaceRulesProvider;
+		const item = await createRuleTreeItem(scope, id);
+		if (!provider || !provider.view || !item) return;
+		if (!provider.isRuleVisible(item.ruleSpec, item.ruleSpec.value)) {
+				provider.tagFilter = undefined;
+				await provider.setTextFilter(undefined);
+		}
+		await provider.view.reveal(item, { select: true, focus: true, expand: true });
+}
+
+// --- Extension API ---
+// api.d.ts declares these types for extensions written in TypeScript; keep the two in step.
+
+/**
+ * A scope as named in the extension API: the User settings, the workspace settings, or a workspace folder.
+ * @typedef {'global' | 'workspace' | vscode.WorkspaceFolder} ApiRuleScope
+ */
+
+/**
+ * A rule as seen through the extension API.
+ * @typedef {object} ApiRule
+ * @property {number} id Unique within the scope; stays the same when the rule is renamed.
+ * @property {string} key
+ * @property {string} value The raw value, with placeholders unresolved.
+ * @property {boolean} enabled
+ * @property {boolean} active Whether the rule is written to geminicodeassist.rules right now (enabled and its conditions match).
+ * @property {boolean} locked Whether the rule follows the team library, which locks its key and value.
+ * @property {string} [group]
+ * @property {string[]} [tags]
+ * @property {RuleConditions} [when]
+ */
+
+/**
+ * Changes to a rule through the extension API. Properties left out are unchanged; group, tags and when set to null are removed.
+ * @typedef {object} ApiRuleChanges
+ * @property {string} [key]
+ * @property {string} [value]
+ * @property {boolean} [enabled]
+ * @property {string | null} [group]
+ * @property {string[] | null} [tags]
+ * @property {RuleConditions | null} [when]
+ */
+
+/**
+ * Rules contributed by another extension, offered by the "Add Rules from Extension..." command.
+ * @typedef {object} RuleSource
+ * @property {string} id Unique among sources, e.g. "publisher.extension.templates".
+ * @property {string} label Shown when picking a source.
+ * @property {string} [description]
+ * @property {() => RuleLibraryEntry[] | Thenable<RuleLibraryEntry[]>} provideRules
+ */
+
+/**
+ * The API returned by activate, for other extensions:
+ * `vscode.extensions.getExtension('ctk.ctk-gee').activate()` resolves to it.
+ * Writes go through the same code as the sidebar, so keys are kept unique and geminicodeassist.rules is synced.
+ * Methods reject with an Error when a scope is not open, a rule does not exist, a change is not allowed
+ * or the settings cannot be written.
+ * @typedef {object} CtkGeeApi
+ * @property {number} version Increases when the API gains features; existing members keep working.
+ * @property {(scope: ApiRuleScope) => Promise<ApiRule[]>} listRules Rules in geminicodeassist.rules order.
+ * @property {(scope: ApiRuleScope, key: string) => Promise<ApiRule | undefined>} getRule
+ * @property {(scope: ApiRuleScope, rules: RuleLibraryEntry[], index?: number) => Promise<ApiRule[]>} addRules Adds rules at `index`
+ * (default: the end). Keys that are taken get a _duplicate_N suffix; the returned rules carry the keys they got.
+ * @property {(scope: ApiRuleScope, key: string, changes: ApiRuleChanges) => Promise<ApiRule>} updateRule
+ * @property {(scope: ApiRuleScope, keys: string[]) => Promise<number>} deleteRules Resolves to the number of rules deleted.
+ * @property {(scope: ApiRuleScope, keys: string[]) => Promise<void>} reorderRules `keys` must list every rule of the scope once.
+ * @property {vscode.Event<{scope: ApiRuleScope}>} onDidChangeRules Fires after the rules of a scope changed, by any means,
+ * possibly more than once for one operation.
+ * @property {(source: RuleSource) => vscode.Disposable} registerRuleSource
+ */
+
+const RULE_API_VERSION = 1;
+
+/**
+ * Fires onDidChangeRules of the extension API.
+ * @type {vscode.EventEmitter<{scope: ApiRuleScope}>}
+ */
+const ruleApiChangeEmitter = new vscode.EventEmitter();
+
+/**
+ * Rule sources registered by other extensions, by ID.
+ * @type {Map<string, RuleSource>}
+ */
+const ruleSources = new Map();
+
+/**
+ * The last pending API write. Writes read and rewrite whole settings, so they run one after another.
+ * @type {Promise<any>}
+ */
+let pendingRuleApiWrite = Promise.resolve();
+
+/**
+ * @param {ApiRuleScope} apiScope
+ * @returns {RuleScope}
+ */
+function getScopeFromApiScope(apiScope) {
+		if (apiScope === 'global') return vscode.ConfigurationTarget.Global;
+		if (apiScope === 'workspace') {
+				if (!isWorkspaceOpen()) throw new Error("CTK GEE: No workspace is open.");
+				return vscode.ConfigurationTarget.Workspace;
+		}
+		if (!apiScope || !apiScope.uri) throw new Error(`CTK GEE: Unknown scope ${JSON.stringify(apiScope)}; use 'global', 'workspace' or a workspace folder.`);
+		const isOpenFolder = isWorkspaceOpen() && vscode.workspace.workspaceFolders.some(folder => folder.uri.toString() === apiScope.uri.toString());
+		if (!isOpenFolder) throw new Error(`CTK GEE: Folder '${apiScope.name}' is not open.`);
+		// In a single-folder workspace the folder settings are the workspace settings
+		return isMultiRootWorkspace() ? getScopeFromId(`folder:${apiScope.uri.toString()}`) : vscode.ConfigurationTarget.Workspace;
+}
+
+/**
+ * @param {RuleScope} scope
+ * @returns {ApiRuleScope}
+ */
+function toApiScope(scope) {
+		if (scope === vscode.ConfigurationTarget.Global) return 'global';
+		if (scope === vscode.ConfigurationTarget.Workspace) return 'workspace';
+		return scope;
+}
+
+/**
+ * @param {Rule} rule
+ * @param {string} value
+ * @returns {ApiRule}
+ */
+function toApiRule(rule, value) {
+		const { key, ...metadata } = toRuleLibraryEntry(rule, value);
+		delete metadata.enabled;
+		return { id: rule.id, key, ...metadata, enabled: isRuleEnabled(rule), active: isRuleActive(rule), locked: isRuleLocked(rule) };
+}
+
+/**
+ * Runs an API write after the writes before it.
+ * @template T
+ * @param {() => Promise<T>} write
+ * @returns {Promise<T>}
+ */
+function queueRuleApiWrite(write) {
+		const result = pendingRuleApiWrite.then(write);
+		pendingRuleApiWrite = result.catch(() => undefined);
+		return result;
+}
+
+/**
+ * @param {RuleScope} scope
+ * @param {string} key
+ * @returns {Rule}
+ */
+function getRuleForApi(scope, key) {
+		const rule = getCtkRuleSet(scope).find(r => r.key === key);
+		if (!rule) throw new Error(`CTK GEE: There is no ${getScopeNameProper(scope)} rule "${key}".`);
+		return rule;
+}
+
+/**
+ * Applies API changes to a rule with one ctk.ruleSet write, so they are stored together or not at all.
+ * @param {RuleScope} scope
+ * @param {Rule} rule
+ * @param {ApiRuleChanges} changes
+ * @throws {Error} If a change is not allowed, the rule was removed in the meantime or the settings could not be written.
+ */
+async function updateRuleFromApi(scope, rule, changes) {
+		const renaming = changes.key !== undefined && changes.key !== rule.key;
+		if (renaming) {
+				const keyProblem = validateRuleKey(changes.key);
+				if (keyProblem) throw new Error(`CTK GEE: ${keyProblem}`);
+				if (getCtkRuleSet(scope).some(r => r.key === changes.key)) throw new Error(`CTK GEE: A ${getScopeNameProper(scope)} rule "${changes.key}" already exists.`);
+		}
+		if (isRuleLocked(rule) && (renaming || changes.value !== undefined)) {
+				throw new Error(`CTK GEE: "${rule.key}" follows the team library; detach it before changing its key or value.`);
+		}
+
+		const ruleChanges = {};
+		if (renaming) ruleChanges.key = changes.key;
+		if (changes.value !== undefined) ruleChanges.value = String(changes.value);
+		if (changes.enabled !== undefined) ruleChanges.enabled = changes.enabled !== false;
+		if (changes.group !== undefined) ruleChanges.group = normalizeGroupPath(changes.group) || undefined;
+		if (changes.tags !== undefined) {
+				const tags = [...new Set((changes.tags || []).filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean))];
+				ruleChanges.tags = tags.length > 0 ? tags : undefined;
+		}
+		if (changes.when !== undefined) ruleChanges.when = normalizeRuleConditions(changes.when);
+		if (Object.keys(ruleChanges).length === 0) return;
+
+		noteRuleOperation(scope, `Update rule "${rule.key}"`);
+		if (!await changeRule(scope, rule.id, ruleChanges, { quiet: true })) {
+				throw new Error(`CTK GEE: The ${getScopeNameProper(scope)} rule "${rule.key}" no longer exists.`);
+		}
+}
+
+/**
+ * Builds the API returned by activate.
+ * @returns {CtkGeeApi}
+ */
+function createRuleApi() {
+		const listRules = async apiScope => {
+				const scope = getScopeFromApiScope(apiScope);
+				const valueMap = await getRuleValueMap(scope);
+				return getCtkRuleSet(scope).map(rule => toApiRule(rule, valueMap.get(rule.key) || ""));
+		};
+		const getRule = async (apiScope, key) => (await listRules(apiScope)).find(rule => rule.key === key);
+
+		return {
+				version: RULE_API_VERSION,
+				listRules,
+				getRule,
+				addRules: (apiScope, rules, index) => queueRuleApiWrite(async () => {
+						const scope = getScopeFromApiScope(apiScope);
+						const entries = (Array.isArray(rules) ? rules : []).map(validateRuleLibraryEntry);
+						if (entries.length === 0 || entries.some(entry => entry === undefined || validateRuleKey(entry.key))) {
+								throw new Error("CTK GEE: Every rule needs a key without line breaks.");
+						}
+						const idsBefore = new Set(getCtkRuleSet(scope).map(r => r.id));
+						await addRulesToScope(entries, scope, index, { quiet: true });
+						const valueMap = await getRuleValueMap(scope);
+						return getCtkRuleSet(scope).filter(r => !idsBefore.has(r.id)).map(rule => toApiRule(rule, valueMap.get(rule.key) || ""));
+				}),
+				updateRule: (apiScope, key, changes) => queueRuleApiWrite(async () => {
+						const scope = getScopeFromApiScope(apiScope);
+						const rule = getRuleForApi(scope, key);
+						await updateRuleFromApi(scope, rule, changes || {});
+						const updatedRule = getCtkRuleSet(scope).find(r => r.id === rule.id);
+						return toApiRule(updatedRule, (await getRuleValueMap(scope)).get(updatedRule.key) || "");
+				}),
+				deleteRules: (apiScope, keys) => queueRuleApiWrite(async () => {
+						const scope = getScopeFromApiScope(apiScope);
+						const ruleIds = getCtkRuleSet(scope).filter(r => keys.includes(r.key)).map(r => r.id);
+						if (ruleIds.length > 0) await removeRulesFromScope(ruleIds, scope, { quiet: true });
+						return ruleIds.length;
+				}),
+				reorderRules: (apiScope, keys) => queueRuleApiWrite(async () => {
+						const scope = getScopeFromApiScope(apiScope);
+						const ctkRules = getCtkRuleSet(scope);
+						if (keys.length !== ctkRules.length || new Set(keys).size !== keys.length || keys.some(key => !ctkRules.some(r => r.key === key))) {
+								throw new Error(`CTK GEE: The new order must list each of the ${ctkRules.length} ${getScopeNameProper(scope)} rules once.`);
+						}
+						const reorderedRules = keys.map(key => ctkRules.find(r => r.key === key));
+						if (reorderedRules.every((rule, index) => rule === ctkRules[index])) return;
+						noteRuleOperation(scope, "Reorder rules");
+						await updateCtkRuleSet(reorderedRules, scope);
+						await syncRules(scope, undefined, { quiet: true });
+				}),
+				onDidChangeRules: ruleApiChangeEmitter.event,
+				registerRuleSource: source => {
+						if (!source || typeof source.id !== 'string' || typeof source.provideRules !== 'function') {
+								throw new Error("CTK GEE: A rule source needs an id and a provideRules function.");
+						}
+						if (ruleSources.has(source.id)) throw new Error(`CTK GEE: A rule source "${source.id}" is already registered.`);
+						ruleSources.set(source.id, source);
+						vscode.commands.executeCommand('setContext', 'ctk.hasRuleSources', true);
+						console.log(`CTK GEE: Registered rule source "${source.id}".`);
+						return new vscode.Disposable(() => {
+								if (ruleSources.get(source.id) !== source) return;
+								ruleSources.delete(source.id);
+								vscode.commands.executeCommand('setContext', 'ctk.hasRuleSources', ruleSources.size > 0);
+						});
+				}
+		};
+}
+
+/**
+ * Logs an error of a rule operation and shows it, e.g. a settings write that failed.
+ * @param {string} operation What failed, for the log.
+ * @param {any} error
+ */
+function reportRuleError(operation, error) {
+		console.error(`CTK GEE: ${operation} failed:`, error);
+		const message = error instanceof Error ? error.message : String(error);
+		vscode.window.showErrorMessage(message.startsWith("CTK GEE: ") ? message : `CTK GEE: ${message}`);
+}
+
+/**
+ * Registers a command whose errors are shown instead of only rejecting the command's promise.
+ * The rule helpers throw, so that the extension API can reject; commands report the error to the user here.
+ * @param {string} command
+ * @param {(...args: any[]) => any} callback
+ * @returns {vscode.Disposable}
+ */
+function registerRuleCommand(command, callback) {
+		return vscode.commands.registerCommand(command, async (...args) => {
+				try {
+						return await callback(...args);
+				} catch (error) {
+						reportRuleError(`Command ${command}`, error);
+				}
+		});
+}
 
 /**
  * @param {vscode.ExtensionContext} context
+ * @returns {Promise<CtkGeeApi>}
  */
 async function activate(context) {
 		console.log('CTK GEE: Extension "ctk" is now active!');
+		extensionContext = context;
+		context.subscriptions.push(ruleApiChangeEmitter);
 
 		// --- DIAGNOSTIC LOGS FOR WORKSPACE ---
 		if (isWorkspaceOpen()) {
@@ -521,27 +4685,94 @@ async function activate(context) {
 		// --- END DIAGNOSTIC LOGS ---
 
 		// --- Initialize TreeView Providers ---
+		ruleDecorationProvider = new RuleDecorationProvider();
+		context.subscriptions.push(vscode.window.registerFileDecorationProvider(ruleDecorationProvider));
+		ruleFileSystemProvider = new RuleFileSystemProvider();
+		context.subscriptions.push(vscode.workspace.registerFileSystemProvider(RULE_URI_SCHEME, ruleFileSystemProvider, { isCaseSensitive: true }));
+		context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(document => {
+				if (document.uri.scheme === RULE_URI_SCHEME) ruleFileSystemProvider.forgetDocument(document.uri);
+		}));
+
+		ruleHistoryDocumentProvider = new RuleHistoryDocumentProvider();
+		context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(RULE_HISTORY_URI_SCHEME, ruleHistoryDocumentProvider));
+		effectiveRulesDocumentProvider = new EffectiveRulesDocumentProvider();
+		context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(EFFECTIVE_RULES_URI.scheme, effectiveRulesDocumentProvider));
+		context.subscriptions.push(vscode.languages.registerDocumentSymbolProvider({ scheme: EFFECTIVE_RULES_URI.scheme }, effectiveRulesDocumentProvider));
+		ruleDiagnostics = vscode.languages.createDiagnosticCollection('ctk-rules');
+		context.subscriptions.push(ruleDiagnostics);
+		context.subscriptions.push(vscode.languages.registerCodeActionsProvider({ scheme: RULE_URI_SCHEME }, new RuleLintCodeActionProvider(), { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }));
+		teamRuleDocumentProvider = new TeamRuleDocumentProvider();
+		context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(TEAM_RULE_URI_SCHEME, teamRuleDocumentProvider));
+		teamRulesProvider = new TeamRulesProvider();
+		context.subscriptions.push(vscode.window.createTreeView('ctk-gee-team-rules', { treeDataProvider: teamRulesProvider, canSelectMany: true }));
+		ruleHistoryProvider = new RuleHistoryProvider();
+		context.subscriptions.push(vscode.window.createTreeView('ctk-gee-rule-history', { treeDataProvider: ruleHistoryProvider }));
+
 		userRulesProvider = new CtkRulesProvider(vscode.ConfigurationTarget.Global);
-		context.subscriptions.push(vscode.window.createTreeView('ctk-gee-user-rules', { treeDataProvider: userRulesProvider, showCollapseAll: true }));
+		userRulesProvider.view = vscode.window.createTreeView('ctk-gee-user-rules', {
+				treeDataProvider: userRulesProvider,
+				showCollapseAll: true,
+				canSelectMany: true,
+				dragAndDropController: new RuleDragAndDropController(vscode.ConfigurationTarget.Global)
+		});
+		context.subscriptions.push(userRulesProvider.view);
 
 		workspaceRulesProvider = new CtkRulesProvider(vscode.ConfigurationTarget.Workspace);
-		context.subscriptions.push(vscode.window.createTreeView('ctk-gee-workspace-rules', { treeDataProvider: workspaceRulesProvider, showCollapseAll: true }));
+		workspaceRulesProvider.view = vscode.window.createTreeView('ctk-gee-workspace-rules', {
+				treeDataProvider: workspaceRulesProvider,
+				showCollapseAll: true,
+				canSelectMany: true,
+				dragAndDropController: new RuleDragAndDropController(vscode.ConfigurationTarget.Workspace)
+		});
+		context.subscriptions.push(workspaceRulesProvider.view);
 
 		try {
 				console.log('CTK GEE: Performing initial imports and data cleaning...');
+				// Kept to check, once set up, whether the rules were stored in a way that does not read back unchanged
+				const originalRuleStates = [];
+				for (const scope of getAllRuleScopes()) {
+						originalRuleStates.push({ scope, geminiRules: await getGeminiRulesStringFromConfig(scope), ctkRules: getCtkRuleSet(scope) });
+				}
+				// Conditional rules start out matched against the editor open at startup
+				const activeEditor = vscode.window.activeTextEditor;
+				if (activeEditor && isRuleConditionDocument(activeEditor.document)) ruleConditionDocument = activeEditor.document;
 				await performInitialGlobalImport();
 				let { cleanedCtkRules: globalClean, keyRenames: globalKeyRenames } = await ensureAndCleanCtkRuleSet(getCtkRuleSet(vscode.ConfigurationTarget.Global), "Global");
 				await updateCtkRuleSet(globalClean, vscode.ConfigurationTarget.Global);
 				await syncRules(vscode.ConfigurationTarget.Global, globalKeyRenames);
 
 				if (isWorkspaceOpen()) {
-						await performInitialWorkspaceImport();
-						let { cleanedCtkRules: wsClean, keyRenames: wsKeyRenames } = await ensureAndCleanCtkRuleSet(getCtkRuleSet(vscode.ConfigurationTarget.Workspace), "Workspace");
-						await updateCtkRuleSet(wsClean, vscode.ConfigurationTarget.Workspace);
-						await syncRules(vscode.ConfigurationTarget.Workspace, wsKeyRenames);
+						await initializeWorkspaceScope(vscode.ConfigurationTarget.Workspace);
+				}
+				for (const folder of getWorkspaceFolderScopes()) {
+						await initializeWorkspaceScope(folder);
+				}
+				for (const scope of getRuleFileScopes()) {
+						await initializeRuleFiles(scope);
+				}
+				updateRuleFileWatchers();
+				context.subscriptions.push(new vscode.Disposable(() => {
+						ruleFileWatchers.forEach(watcher => watcher.dispose());
+						ruleFileWatchers.clear();
+				}));
+				updateTeamLibraryWatcher();
+				context.subscriptions.push(new vscode.Disposable(() => {
+						if (teamLibraryWatcher) teamLibraryWatcher.dispose();
+						clearTimeout(pendingTeamLibraryReload);
+				}));
+				await loadTeamLibrary();
+				await detectChangedRuleScopes(); // Record the starting point for change detection
+				for (const scope of getAllRuleScopes()) {
+						const hasHistory = (await getRuleSnapshots(scope)).length > 0;
+						await recordRuleSnapshot(scope, hasHistory ? "Changed outside CTK GEE" : "Initial state");
 				}
 				if (userRulesProvider) userRulesProvider.refresh();
 				if (workspaceRulesProvider) workspaceRulesProvider.refresh();
+				await lintRules();
+				for (const { scope, geminiRules, ctkRules } of originalRuleStates) {
+						reportRoundTripProblems(scope, findRoundTripProblems(geminiRules, ctkRules, isRuleActive), geminiRules)
+								.catch(error => console.error("CTK GEE: Error reporting rule storage problems:", error));
+				}
 				console.log('CTK GEE: Initial setup completed.');
 
 		} catch (error) {
@@ -552,12 +4783,15 @@ async function activate(context) {
 		// --- Register Commands ---
 		try {
 				console.log('CTK GEE: Registering commands...');
-				// Helper to register CRUD commands for a given scope
-				const registerCrudCommandsForScope = (scope, scopeNameProper, commandSuffix) => {
-						const targetScope = scope;
+				// Helper to register CRUD commands for a scope. resolveScope receives the command arguments and
+				// returns the target scope, or undefined (after telling the user why) to cancel the command.
+				const registerCrudCommandsForScope = (resolveScope, commandSuffix) => {
 
 						// Add Rule Command
-						context.subscriptions.push(vscode.commands.registerCommand(`ctk.add${commandSuffix}Rule`, async () => {
+						context.subscriptions.push(registerRuleCommand(`ctk.add${commandSuffix}Rule`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
 								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
 										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to add a ${scopeNameProper} rule.`);
 										return;
@@ -565,71 +4799,42 @@ async function activate(context) {
 
 								const keyInput = await vscode.window.showInputBox({
 										prompt: `Enter the rule key for ${scopeNameProper} settings`,
-										validateInput: text => text && text.trim() !== "" ? null : "Key cannot be empty."
+										validateInput: validateRuleKey
 								});
 								if (keyInput === undefined) return;
 								const key = keyInput.trim();
 
-								let ctkRules = getCtkRuleSet(targetScope);
+								const ctkRules = getCtkRuleSet(targetScope);
 								if (ctkRules.some(r => r.key === key)) {
 										vscode.window.showErrorMessage(`CTK GEE: A rule with key "${key}" already exists in ${scopeNameProper} ctk.ruleSet. Keys must be unique.`);
 										return;
 								}
 
-								const value = await vscode.window.showInputBox({ prompt: `Enter the rule value for ${scopeNameProper} settings`, validateInput: text => text !== undefined ? null : "Value cannot be null (can be empty string)." });
-								if (value === undefined) return; // User cancelled
-
-								// Update ctk.ruleSet
-								const newId = ctkRules.length > 0 ? Math.max(0, ...ctkRules.map(r => r.id)) + 1 : 1;
-								ctkRules.push({ id: newId, key: key });
-								await updateCtkRuleSet(ctkRules, targetScope);
-
-								// Update geminicodeassist.rules
-								const currentGeminiString = await getGeminiRulesStringFromConfig(targetScope);
-								const { orderedKeyValues } = parseGeminiRulesString(currentGeminiString);
-								orderedKeyValues.push({ key, value }); // Add new rule at the end
-								const newGeminiString = buildGeminiRulesString(orderedKeyValues);
-								await updateGeminiRulesStringInConfig(newGeminiString, targetScope);
-
-								vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule ID ${newId} (Key: ${key}) added.`);
-								if (targetScope === vscode.ConfigurationTarget.Global && userRulesProvider) {
-									userRulesProvider.refresh();
-								} else if (targetScope === vscode.ConfigurationTarget.Workspace && workspaceRulesProvider) {
-									workspaceRulesProvider.refresh();
-								}
+								// The value is written in an editor tab, since values are often multi-line markdown.
+								// The rule is added when the tab is first saved.
+								const document = await vscode.workspace.openTextDocument(ruleFileSystemProvider.createNewRuleUri(targetScope, key));
+								await vscode.window.showTextDocument(document, { preview: false });
+								vscode.window.showInformationMessage(`CTK GEE: Write the value of ${scopeNameProper} rule "${key}" in the editor and save to add it.`);
 						}));
 
 						// View Rules Command
-						context.subscriptions.push(vscode.commands.registerCommand(`ctk.view${commandSuffix}Rules`, async () => {
+						context.subscriptions.push(registerRuleCommand(`ctk.view${commandSuffix}Rules`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
 								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
 										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to view ${scopeNameProper} rules.`);
 										return;
 								}
-								const ctkRules = getCtkRuleSet(targetScope);
-								if (ctkRules.length === 0) {
-										vscode.window.showInformationMessage(`CTK GEE: No rules configured in ${scopeNameProper} ctk.ruleSet.`);
-										return;
-								}
-
-								const geminiString = await getGeminiRulesStringFromConfig(targetScope);
-								const { valueMap } = parseGeminiRulesString(geminiString);
-
-								const ruleDisplayItems = ctkRules.map(r => {
-										const val = valueMap.get(r.key) || "[Value not found in geminicodeassist.rules]";
-										return `ID: ${r.id}\nKey: ${r.key}\nValue: ${val}`;
-								});
-
-								const ruleDisplay = ruleDisplayItems.join('\n----------\n');
-								vscode.window.showInformationMessage(`CTK GEE: Current ${scopeNameProper} Rules (see Output > CTK GEE for all):`);
-								console.log(`--- CTK GEE: Current ${scopeNameProper} Rules ---`);
-								ctkRules.forEach(r => console.log(`ID: ${r.id}, Key: ${r.key}, Value: ${valueMap.get(r.key) || "[N/A]"}`));
-								console.log("-----------------------------");
-								vscode.workspace.openTextDocument({ content: ruleDisplay, language: 'text' })
-										.then(doc => vscode.window.showTextDocument(doc));
+								// The effective rules document shows every scope, so this scope is seen next to the ones it shadows or is shadowed by
+								await showEffectiveRules(targetScope);
 						}));
 
 						// Edit Rule Command
-						context.subscriptions.push(vscode.commands.registerCommand(`ctk.edit${commandSuffix}Rule`, async () => {
+						context.subscriptions.push(registerRuleCommand(`ctk.edit${commandSuffix}Rule`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
 								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
 										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to edit a ${scopeNameProper} rule.`);
 										return;
@@ -640,8 +4845,7 @@ async function activate(context) {
 										return;
 								}
 
-								const geminiString = await getGeminiRulesStringFromConfig(targetScope);
-								const { valueMap: currentValuesMap } = parseGeminiRulesString(geminiString);
+								const currentValuesMap = await getRuleValueMap(targetScope);
 
 								const ruleItems = ctkRules.map(r => ({
 										label: `ID ${r.id}: ${r.key}`,
@@ -659,12 +4863,12 @@ async function activate(context) {
 								return;
 						}
 						const originalKey = ruleToEdit.key;
-						const originalValue = currentValuesMap.get(originalKey) || "";
+						if (!await confirmRuleEdit(targetScope, ruleToEdit)) return;
 
 						const newKeyInput = await vscode.window.showInputBox({
 								prompt: `Enter the new rule key for ${scopeNameProper} (Original: ${originalKey})`,
 								value: originalKey,
-								validateInput: text => text && text.trim() !== "" ? null : "Key cannot be empty."
+								validateInput: validateRuleKey
 						});
 						if (newKeyInput === undefined) return;
 						const newKey = newKeyInput.trim();
@@ -675,200 +4879,1153 @@ async function activate(context) {
 								return;
 						}
 
-						const newValue = await vscode.window.showInputBox({
-								prompt: `Enter the new rule value for ${scopeNameProper} (Original Value: ${originalValue.substring(0, 50)}...)`,
-								value: originalValue,
-								validateInput: text => text !== undefined ? null : "Value cannot be null."
-						});
-						if (newValue === undefined) return;
+						if (newKey !== originalKey) {
+								await renameRule(targetScope, ruleToEdit.id, newKey);
+								vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule ID ${ruleToEdit.id} renamed to "${newKey}".`);
+								refreshProviderForScope(targetScope);
+						}
+						// The value is edited in an editor tab and written back when the tab is saved
+						await openRuleEditor(targetScope, ruleToEdit.id);
+						}));
+
+						// Delete Rule Command
+						context.subscriptions.push(registerRuleCommand(`ctk.delete${commandSuffix}Rule`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
+								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to delete a ${scopeNameProper} rule.`);
+										return;
+								}
+								let ctkRules = getCtkRuleSet(targetScope);
+								if (ctkRules.length === 0) {
+										vscode.window.showInformationMessage(`CTK GEE: No ${scopeNameProper} rules to delete.`);
+										return;
+								}
+
+								const valueMap = await getRuleValueMap(targetScope);
+
+								const ruleItems = ctkRules.map(r => ({
+										label: `ID ${r.id}: ${r.key}`,
+										description: (valueMap.get(r.key) || "").substring(0, 50) + '...',
+										ruleId: r.id,
+										keyToDelete: r.key
+								}));
+								const selectedItem = await vscode.window.showQuickPick(ruleItems, { placeHolder: `Select a ${scopeNameProper} rule to delete` });
+
+						if (!selectedItem) return; // User cancelled
+
+								const confirm = await vscode.window.showWarningMessage(`Are you sure you want to delete ${scopeNameProper} rule ID ${selectedItem.ruleId} (Key: "${selectedItem.keyToDelete}")?`, { modal: true }, "Yes, delete it");
+						if (confirm !== "Yes, delete it") return;
 
 						// Update ctk.ruleSet
-						ruleToEdit.key = newKey;
-						await updateCtkRuleSet(ctkRules, targetScope);
+						const updatedCtkRules = ctkRules.filter(r => r.id !== selectedItem.ruleId);
+						noteRuleOperation(targetScope, `Delete rule "${selectedItem.keyToDelete}"`);
+						await updateCtkRuleSet(updatedCtkRules, targetScope);
 
 						// Update geminicodeassist.rules
-						const { orderedKeyValues } = parseGeminiRulesString(await getGeminiRulesStringFromConfig(targetScope)); // Re-fetch to be safe
-						const updatedOrderedKeyValues = orderedKeyValues.map(kv => {
-								if (kv.key === originalKey) { // Find by original key
-										return { key: newKey, value: newValue };
-								}
-								return kv;
-						});
-						const newGeminiString = buildGeminiRulesString(updatedOrderedKeyValues);
+						const { orderedKeyValues } = parseGeminiRulesString(await getGeminiRulesStringFromConfig(targetScope)); // Re-fetch
+						const filteredGeminiKeyValues = orderedKeyValues.filter(kv => kv.key !== selectedItem.keyToDelete);
+						const newGeminiString = buildGeminiRulesString(filteredGeminiKeyValues);
 						await updateGeminiRulesStringInConfig(newGeminiString, targetScope);
 
-						vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule ID ${ruleToEdit.id} updated.`);
-						if (targetScope === vscode.ConfigurationTarget.Global && userRulesProvider) {
-							userRulesProvider.refresh();
-						} else if (targetScope === vscode.ConfigurationTarget.Workspace && workspaceRulesProvider) {
-							workspaceRulesProvider.refresh();
-						}
+						vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule ID ${selectedItem.ruleId} (Key: ${selectedItem.keyToDelete}) deleted.`);
+						refreshProviderForScope(targetScope);
+						}));
+
+						// Force Sync Command
+						context.subscriptions.push(registerRuleCommand(`ctk.forceSync${commandSuffix}Rules`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
+								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to sync ${scopeNameProper} rules.`);
+										return;
+								}
+								// Ensure ctk.ruleSet is clean first, then sync
+								const currentCtkRules = getCtkRuleSet(targetScope);
+								const { cleanedCtkRules, keyRenames } = await ensureAndCleanCtkRuleSet(currentCtkRules, scopeNameProper);
+								noteRuleOperation(targetScope, "Force sync");
+								await updateCtkRuleSet(cleanedCtkRules, targetScope); // Save cleaned ctk.ruleSet
+								await syncRules(targetScope, keyRenames); // Sync to geminicodeassist.rules
+								vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} rules manually synced.`);
+								refreshProviderForScope(targetScope);
+						}));
+
+						// Toggle Active Rules Command
+						context.subscriptions.push(registerRuleCommand(`ctk.toggle${commandSuffix}Rules`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
+								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to toggle ${scopeNameProper} rules.`);
+										return;
+								}
+								const ctkRules = getCtkRuleSet(targetScope);
+								if (ctkRules.length === 0) {
+										vscode.window.showInformationMessage(`CTK GEE: No ${scopeNameProper} rules to toggle.`);
+										return;
+								}
+
+								const valueMap = await getRuleValueMap(targetScope);
+								const ruleItems = ctkRules.map(r => ({
+										label: r.key,
+										description: `ID ${r.id}`,
+										detail: (valueMap.get(r.key) || "").substring(0, 80),
+										picked: isRuleEnabled(r),
+										ruleId: r.id
+								}));
+								const selectedItems = await vscode.window.showQuickPick(ruleItems, {
+										placeHolder: `Select the ${scopeNameProper} rules that should be active`,
+										canPickMany: true
+								});
+								if (!selectedItems) return; // User cancelled
+
+								const activeIds = new Set(selectedItems.map(item => item.ruleId));
+								const changedCount = await setRulesEnabled(new Map(ctkRules.map(r => [r.id, activeIds.has(r.id)])), targetScope);
+								if (changedCount === 0) return;
+
+								vscode.window.showInformationMessage(`CTK GEE: ${activeIds.size} of ${ctkRules.length} ${scopeNameProper} rules active.`);
+								refreshProviderForScope(targetScope);
 						}));
 
-						// Delete Rule Command
-						context.subscriptions.push(vscode.commands.registerCommand(`ctk.delete${commandSuffix}Rule`, async () => {
+						// Export Rules Command
+						context.subscriptions.push(registerRuleCommand(`ctk.export${commandSuffix}Rules`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
 								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
-										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to delete a ${scopeNameProper} rule.`);
+										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to export ${scopeNameProper} rules.`);
 										return;
 								}
-								let ctkRules = getCtkRuleSet(targetScope);
+								const ctkRules = getCtkRuleSet(targetScope);
 								if (ctkRules.length === 0) {
-										vscode.window.showInformationMessage(`CTK GEE: No ${scopeNameProper} rules to delete.`);
+										vscode.window.showInformationMessage(`CTK GEE: No ${scopeNameProper} rules to export.`);
 										return;
 								}
+								const valueMap = await getRuleValueMap(targetScope);
+								await exportRuleLibrary(ctkRules.map(r => toRuleLibraryEntry(r, valueMap.get(r.key) || "")), `ctk-${scopeNameProper.toLowerCase().replace(/[^\w-]+/g, '-').replace(/-+$/, '')}-rules`);
+						}));
 
-								const geminiString = await getGeminiRulesStringFromConfig(targetScope);
-								const { valueMap } = parseGeminiRulesString(geminiString);
+						// Import Rules Command
+						context.subscriptions.push(registerRuleCommand(`ctk.import${commandSuffix}Rules`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
+								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to import ${scopeNameProper} rules.`);
+										return;
+								}
+								await importRuleLibrary(targetScope);
+						}));
 
-								const ruleItems = ctkRules.map(r => ({
-										label: `ID ${r.id}: ${r.key}`,
-										description: (valueMap.get(r.key) || "").substring(0, 50) + '...',
-										ruleId: r.id,
-										keyToDelete: r.key
-								}));
-								const selectedItem = await vscode.window.showQuickPick(ruleItems, { placeHolder: `Select a ${scopeNameProper} rule to delete` });
+						// Switch Profile Command
+						context.subscriptions.push(registerRuleCommand(`ctk.switch${commandSuffix}Profile`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
+								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to switch ${scopeNameProper} profiles.`);
+										return;
+								}
+								const profiles = getRuleProfiles(targetScope);
+								if (profiles.length === 0) {
+										const choice = await vscode.window.showInformationMessage(`CTK GEE: No ${scopeNameProper} profiles saved yet.`, "Save Current Rules as Profile");
+										if (choice === "Save Current Rules as Profile") await vscode.commands.executeCommand(`ctk.save${commandSuffix}Profile`, ...args);
+										return;
+								}
 
-						if (!selectedItem) return; // User cancelled
+								const activeProfileName = getActiveProfileName(targetScope);
+								const profileItems = profiles.map(p => ({
+										label: p.name,
+										description: p.name === activeProfileName ? "active" : undefined,
+										detail: `${p.rules.filter(r => r.enabled).length} of ${p.rules.length} rules active: ${p.rules.filter(r => r.enabled).map(r => r.key).join(", ")}`,
+										profile: p
+								}));
+								const selectedItem = await vscode.window.showQuickPick(profileItems, { placeHolder: `Select the ${scopeNameProper} profile to switch to` });
+								if (!selectedItem) return;
 
-								const confirm = await vscode.window.showWarningMessage(`Are you sure you want to delete ${scopeNameProper} rule ID ${selectedItem.ruleId} (Key: "${selectedItem.keyToDelete}")?`, { modal: true }, "Yes, delete it");
-						if (confirm !== "Yes, delete it") return;
+								const missingKeys = await applyRuleProfile(selectedItem.profile, targetScope);
+								refreshProviderForScope(targetScope);
+								if (missingKeys.length > 0) {
+										vscode.window.showWarningMessage(`CTK GEE: Switched to ${scopeNameProper} profile "${selectedItem.profile.name}". These rules are no longer in the library and were skipped: ${missingKeys.join(", ")}`);
+								} else {
+										vscode.window.showInformationMessage(`CTK GEE: Switched to ${scopeNameProper} profile "${selectedItem.profile.name}".`);
+								}
+						}));
 
-						// Update ctk.ruleSet
-						const updatedCtkRules = ctkRules.filter(r => r.id !== selectedItem.ruleId);
-						await updateCtkRuleSet(updatedCtkRules, targetScope);
+						// Save Profile Command
+						context.subscriptions.push(registerRuleCommand(`ctk.save${commandSuffix}Profile`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
+								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to save ${scopeNameProper} profiles.`);
+										return;
+								}
+								const ctkRules = getCtkRuleSet(targetScope);
+								if (ctkRules.length === 0) {
+										vscode.window.showInformationMessage(`CTK GEE: No ${scopeNameProper} rules to save as a profile.`);
+										return;
+								}
 
-						// Update geminicodeassist.rules
-						const { orderedKeyValues } = parseGeminiRulesString(await getGeminiRulesStringFromConfig(targetScope)); // Re-fetch
-						const filteredGeminiKeyValues = orderedKeyValues.filter(kv => kv.key !== selectedItem.keyToDelete);
-						const newGeminiString = buildGeminiRulesString(filteredGeminiKeyValues);
-						await updateGeminiRulesStringInConfig(newGeminiString, targetScope);
+								const nameInput = await vscode.window.showInputBox({
+										prompt: `Enter a name for the ${scopeNameProper} profile. It saves which rules are active and their order.`,
+										value: getActiveProfileName(targetScope) || "",
+										validateInput: text => text && text.trim() !== "" ? null : "Name cannot be empty."
+								});
+								if (nameInput === undefined) return;
+								const name = nameInput.trim();
 
-						vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule ID ${selectedItem.ruleId} (Key: ${selectedItem.keyToDelete}) deleted.`);
-						if (targetScope === vscode.ConfigurationTarget.Global && userRulesProvider) {
-							userRulesProvider.refresh();
-						} else if (targetScope === vscode.ConfigurationTarget.Workspace && workspaceRulesProvider) {
-							workspaceRulesProvider.refresh();
-						}
+								if (getRuleProfiles(targetScope).some(p => p.name === name)) {
+										const confirm = await vscode.window.showWarningMessage(`CTK GEE: A ${scopeNameProper} profile named "${name}" already exists. Overwrite it with the current rules?`, { modal: true }, "Overwrite");
+										if (confirm !== "Overwrite") return;
+								}
+								await saveRuleProfile(createRuleProfile(name, ctkRules), targetScope);
+								refreshProviderForScope(targetScope);
+								vscode.window.showInformationMessage(`CTK GEE: Saved ${scopeNameProper} profile "${name}" (${ctkRules.filter(isRuleEnabled).length} of ${ctkRules.length} rules active).`);
 						}));
 
-						// Force Sync Command
-						context.subscriptions.push(vscode.commands.registerCommand(`ctk.forceSync${commandSuffix}Rules`, async () => {
+						// Delete Profile Command
+						context.subscriptions.push(registerRuleCommand(`ctk.delete${commandSuffix}Profile`, async (...args) => {
+								const targetScope = await resolveScope(...args);
+								if (targetScope === undefined) return;
+								const scopeNameProper = getScopeNameProper(targetScope);
 								if (targetScope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
-										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to sync ${scopeNameProper} rules.`);
+										vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to delete ${scopeNameProper} profiles.`);
 										return;
 								}
-								// Ensure ctk.ruleSet is clean first, then sync
-								const currentCtkRules = getCtkRuleSet(targetScope);
-								const { cleanedCtkRules, keyRenames } = await ensureAndCleanCtkRuleSet(currentCtkRules, scopeNameProper);
-								await updateCtkRuleSet(cleanedCtkRules, targetScope); // Save cleaned ctk.ruleSet
-								await syncRules(targetScope, keyRenames); // Sync to geminicodeassist.rules
-								vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} rules manually synced.`);
-								if (targetScope === vscode.ConfigurationTarget.Global && userRulesProvider) {
-									userRulesProvider.refresh();
-								} else if (targetScope === vscode.ConfigurationTarget.Workspace && workspaceRulesProvider) {
-									workspaceRulesProvider.refresh();
+								const profiles = getRuleProfiles(targetScope);
+								if (profiles.length === 0) {
+										vscode.window.showInformationMessage(`CTK GEE: No ${scopeNameProper} profiles to delete.`);
+										return;
 								}
+								const selectedItem = await vscode.window.showQuickPick(profiles.map(p => ({ label: p.name })), { placeHolder: `Select a ${scopeNameProper} profile to delete` });
+								if (!selectedItem) return;
+
+								const confirm = await vscode.window.showWarningMessage(`Are you sure you want to delete ${scopeNameProper} profile "${selectedItem.label}"? Its rules are kept.`, { modal: true }, "Yes, delete it");
+								if (confirm !== "Yes, delete it") return;
+								await deleteRuleProfile(selectedItem.label, targetScope);
+								refreshProviderForScope(targetScope);
+								vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} profile "${selectedItem.label}" deleted.`);
 						}));
 				};
 
 				// Register commands for Global scope
-				registerCrudCommandsForScope(vscode.ConfigurationTarget.Global, "Global", "Global");
+				registerCrudCommandsForScope(() => vscode.ConfigurationTarget.Global, "Global");
 
 				// Register commands for Workspace scope
-				registerCrudCommandsForScope(vscode.ConfigurationTarget.Workspace, "Workspace", "Workspace");
+				registerCrudCommandsForScope(() => vscode.ConfigurationTarget.Workspace, "Workspace");
+
+				// Register commands for a folder of a multi-root workspace, taken from a folder node or picked
+				registerCrudCommandsForScope(resolveFolderScope, "Folder");
+				// Turns on repository rule files for the workspace, or for a folder of a multi-root workspace
+				context.subscriptions.push(registerRuleCommand('ctk.storeRulesAsFiles', async (item) => {
+						if (!isWorkspaceOpen()) {
+								vscode.window.showInformationMessage("CTK GEE: A workspace must be open to store rules as files.");
+								return;
+						}
+						const scope = isMultiRootWorkspace() ? await resolveFolderScope(item) : vscode.ConfigurationTarget.Workspace;
+						if (scope === undefined) return;
+						const folder = getRuleFilesFolder(scope);
+						const config = vscode.workspace.getConfiguration(CONFIG_SECTION_CTK, folder.uri);
+						if (config.get('ruleFiles.enabled', false)) {
+								vscode.window.showInformationMessage(`CTK GEE: ${getScopeNameProper(scope)} rules are already stored in ${getRuleFilesDirectory(scope).fsPath}.`);
+								return;
+						}
+						// The configuration listener writes the files (or imports existing ones) once the setting changes
+						await config.update('ruleFiles.enabled', true, getScopeConfigurationTarget(scope));
+						vscode.window.showInformationMessage(`CTK GEE: ${getScopeNameProper(scope)} rules are now stored as one file per rule in ${getRuleFilesDirectory(scope).fsPath}.`);
+				}));
+				// Picks which sync targets a scope's rules are written to
+				context.subscriptions.push(registerRuleCommand('ctk.configureSyncTargets', async () => {
+						const scopes = getAllRuleScopes();
+						const selectedScope = scopes.length === 1 ? { scope: scopes[0] } : await vscode.window.showQuickPick(
+								scopes.map(scope => ({ label: getScopeNameProper(scope), description: getActiveSyncTargetIds(scope).join(", "), scope })),
+								{ placeHolder: "Select the rules to configure sync targets for" }
+						);
+						if (!selectedScope) return;
+						const scope = selectedScope.scope;
+						const activeIds = getActiveSyncTargetIds(scope);
+						const targetItems = getSyncTargets(scope).map(target => {
+								const location = resolveSyncTargetLocation(target, scope);
+								return {
+										label: target.label,
+										description: location.reason ? `not available: ${location.reason}` : location.setting || vscode.workspace.asRelativePath(location.uri),
+										picked: activeIds.includes(target.id),
+										targetId: target.id
+								};
+						});
+						const selectedItems = await vscode.window.showQuickPick(targetItems, {
+								canPickMany: true,
+								placeHolder: `Select where ${getScopeNameProper(scope)} rules are written besides geminicodeassist.rules`
+						});
+						if (!selectedItems) return;
+						// Keep active IDs without a definition, they may be defined in another settings file
+						const knownIds = new Set(targetItems.map(i => i.targetId));
+						const newIds = [...activeIds.filter(id => !knownIds.has(id)), ...selectedItems.map(i => i.targetId)];
+						// The configuration listener writes the newly active targets
+						await updateCtkScopeSetting(CTK_ACTIVE_SYNC_TARGETS_KEY, newIds.length > 0 ? newIds : undefined, scope);
+				}));
+				// Lists the active sync targets of all scopes and resolves drift
+				context.subscriptions.push(registerRuleCommand('ctk.checkSyncTargets', async () => {
+						const stateLabels = {
+								inSync: "$(check) up to date",
+								outdated: "$(sync) out of date",
+								missing: "$(add) not written yet",
+								edited: "$(warning) edited outside CTK GEE",
+								unavailable: "$(circle-slash) not available"
+						};
+						const statusItems = [];
+						for (const scope of getAllRuleScopes()) {
+								for (const status of await getSyncTargetStatuses(scope)) {
+										statusItems.push({
+												label: status.target.label,
+												description: `${getScopeNameProper(scope)} · ${stateLabels[status.state]}`,
+												detail: status.reason || (status.uri ? status.uri.fsPath : resolveSyncTargetLocation(status.target, scope).setting),
+												scope, status
+										});
+								}
+						}
+						if (statusItems.length === 0) {
+								vscode.window.showInformationMessage("CTK GEE: No sync targets are active. Use 'Configure Sync Targets...' to write rules to files such as GEMINI.md or AGENTS.md.");
+								return;
+						}
+						const selectedItem = await vscode.window.showQuickPick(statusItems, { placeHolder: "Select a sync target to update or compare it" });
+						if (!selectedItem || selectedItem.status.state === 'unavailable') return;
+						const { scope, status } = selectedItem;
+						const actions = [];
+						if (status.state !== 'inSync') actions.push(status.state === 'edited' ? "Overwrite" : "Update");
+						if (status.state !== 'inSync' && status.state !== 'missing') actions.push("Show Differences");
+						if (status.uri && status.currentText !== undefined) actions.push("Open");
+						actions.push("Stop Syncing");
+						const action = await vscode.window.showQuickPick(actions, { placeHolder: `${status.target.label} (${getScopeNameProper(scope)} rules)` });
+						if (action === "Overwrite" || action === "Update") {
+								await writeSyncTarget(scope, status);
+						} else if (action === "Show Differences") {
+								await showSyncTargetDifferences(status);
+						} else if (action === "Open") {
+								await vscode.window.showTextDocument(status.uri);
+						} else if (action === "Stop Syncing") {
+								await deactivateSyncTarget(scope, status.target.id);
+						}
+				}));
+				// Adds rules that other extensions offer through registerRuleSource
+				context.subscriptions.push(registerRuleCommand('ctk.addRulesFromSource', async () => {
+						if (ruleSources.size === 0) {
+								vscode.window.showInformationMessage("CTK GEE: No installed extension offers rules.");
+								return;
+						}
+						const sources = [...ruleSources.values()];
+						const selectedSource = sources.length === 1 ? { source: sources[0] } : await vscode.window.showQuickPick(
+								sources.map(source => ({ label: source.label || source.id, description: source.description, source })),
+								{ placeHolder: "Select the extension rules to add from" }
+						);
+						if (!selectedSource) return;
+						const source = selectedSource.source;
+						const sourceLabel = source.label || source.id;
+
+						let entries;
+						try {
+								const provided = await source.provideRules();
+								entries = (Array.isArray(provided) ? provided : []).map(validateRuleLibraryEntry).filter(Boolean);
+						} catch (error) {
+								console.error(`CTK GEE: Error getting rules from source "${source.id}":`, error);
+								vscode.window.showErrorMessage(`CTK GEE: Could not get rules from ${sourceLabel}: ${error.message}`);
+								return;
+						}
+						if (entries.length === 0) {
+								vscode.window.showInformationMessage(`CTK GEE: ${sourceLabel} offers no rules.`);
+								return;
+						}
+						const entryItems = entries.map(entry => ({ label: entry.key, description: entry.group, detail: entry.value.split('\n')[0], entry }));
+						const selectedEntries = await vscode.window.showQuickPick(entryItems, { canPickMany: true, placeHolder: `Select the rules to add from ${sourceLabel}` });
+						if (!selectedEntries || selectedEntries.length === 0) return;
+						const scopes = getAllRuleScopes();
+						const selectedScope = scopes.length === 1 ? { scope: scopes[0] } : await vscode.window.showQuickPick(
+								scopes.map(scope => ({ label: getScopeNameProper(scope), scope })),
+								{ placeHolder: `Select the scope to add ${selectedEntries.length} rule(s) to` }
+						);
+						if (!selectedScope) return;
+
+						const scope = selectedScope.scope;
+						noteRuleOperation(scope, `Add ${selectedEntries.length} rule(s) from ${sourceLabel}`);
+						const keyRenames = await addRulesToScope(selectedEntries.map(item => item.entry), scope);
+						const renameNote = keyRenames.size > 0 ? ` ${keyRenames.size} key(s) were renamed to stay unique.` : "";
+						vscode.window.showInformationMessage(`CTK GEE: Added ${selectedEntries.length} rule(s) from ${sourceLabel} to ${getScopeNameProper(scope)} rules.${renameNote}`);
+						refreshProviderForScope(scope);
+				}));
+				// Points the Team Rules view at a library directory, such as a cloned repository
+				context.subscriptions.push(registerRuleCommand('ctk.team.setLibraryPath', async () => {
+						const selected = await vscode.window.showOpenDialog({ canSelectFiles: false, canSelectFolders: true, canSelectMany: false, openLabel: "Use as Team Library", defaultUri: getTeamLibraryDirectory() });
+						if (!selected || selected.length === 0) return;
+						// The configuration listener loads the library and watches it
+						await vscode.workspace.getConfiguration(CONFIG_SECTION_CTK).update('teamLibrary.path', selected[0].fsPath, vscode.ConfigurationTarget.Global);
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.team.refresh', () => loadTeamLibrary()));
+				// Subscribes a scope to the selected team rules, or to team rules picked from the palette
+				context.subscriptions.push(registerRuleCommand('ctk.team.pullRules', async (item, selectedItems) => {
+						if (!teamLibrary.directory) {
+								vscode.window.showInformationMessage("CTK GEE: No team library is configured. Set 'ctk.teamLibrary.path' or use 'Set Team Library Folder...'.");
+								return;
+						}
+						let entries = (selectedItems && selectedItems.length > 0 ? selectedItems : [item]).filter(i => i instanceof TeamRuleTreeItem).map(i => i.entry);
+						if (entries.length === 0) {
+								if (teamLibrary.entries.length === 0) {
+										vscode.window.showInformationMessage(`CTK GEE: ${teamLibrary.error || `There are no rules in ${teamLibrary.directory.fsPath}.`}`);
+										return;
+								}
+								const entryItems = teamLibrary.entries.map(entry => ({ label: entry.key, description: entry.group, detail: entry.value.split('\n')[0], entry }));
+								const selectedEntries = await vscode.window.showQuickPick(entryItems, { canPickMany: true, placeHolder: "Select the team rules to pull" });
+								if (!selectedEntries || selectedEntries.length === 0) return;
+								entries = selectedEntries.map(i => i.entry);
+						}
+						const scopes = getAllRuleScopes();
+						const selectedScope = scopes.length === 1 ? { scope: scopes[0] } : await vscode.window.showQuickPick(
+								scopes.map(scope => ({ label: getScopeNameProper(scope), scope })),
+								{ placeHolder: `Select the scope to pull ${entries.length} team rule(s) into` }
+						);
+						if (!selectedScope) return;
+						const scope = selectedScope.scope;
+						const scopeNameProper = getScopeNameProper(scope);
+
+						let onCollision = 'rename';
+						const localKeys = new Set(getCtkRuleSet(scope).filter(r => !isRuleLocked(r)).map(r => r.key));
+						const collidingKeys = entries.filter(e => localKeys.has(e.key)).map(e => e.key);
+						if (collidingKeys.length > 0) {
+								const choice = await vscode.window.showWarningMessage(
+										`${collidingKeys.length} of the team rules already exist as local ${scopeNameProper} rules: ${collidingKeys.join(", ")}. Keep both (the team rules are renamed), replace the local rules, or skip them?`,
+										{ modal: true }, "Keep Both", "Replace", "Skip"
+								);
+								if (!choice) return;
+								onCollision = choice === "Replace" ? 'replace' : choice === "Skip" ? 'skip' : 'rename';
+						}
+						const { pulledCount, skippedCount, keyRenames } = await pullTeamRules(entries, scope, onCollision);
+						const renameNote = keyRenames.size > 0 ? ` ${keyRenames.size} key(s) were renamed to stay unique.` : "";
+						const skipNote = skippedCount > 0 ? ` ${skippedCount} skipped (already subscribed or kept local).` : "";
+						vscode.window.showInformationMessage(`CTK GEE: Pulled ${pulledCount} team rule(s) into ${scopeNameProper}.${renameNote}${skipNote}`);
+						refreshProviderForScope(scope);
+						if (teamRulesProvider) teamRulesProvider.refresh();
+				}));
+				// Lists changed and removed team rules, with a diff per rule, and accepts the selected ones
+				context.subscriptions.push(registerRuleCommand('ctk.team.reviewUpdates', async () => {
+						const updates = findTeamRuleUpdates();
+						if (updates.length === 0) {
+								vscode.window.showInformationMessage("CTK GEE: All subscribed team rules are up to date.");
+								return;
+						}
+						const compareButton = { iconPath: new vscode.ThemeIcon('diff'), tooltip: "Compare with Team Library" };
+						const quickPick = vscode.window.createQuickPick();
+						quickPick.title = "Team Rule Updates";
+						quickPick.placeholder = "Select the updates to accept. The compare button shows what changes.";
+						quickPick.canSelectMany = true;
+						quickPick.ignoreFocusOut = true; // Stays open while a diff is shown
+						quickPick.items = updates.map(update => ({
+								label: update.rule.key,
+								description: `${getScopeNameProper(update.scope)} · ${update.entry ? "changed in the team library" : "removed from the team library; accepting keeps it as a local rule"}`,
+								buttons: update.entry ? [compareButton] : [],
+								update
+						}));
+						quickPick.selectedItems = quickPick.items;
+						quickPick.onDidTriggerItemButton(({ item }) => {
+								const { scope, rule, entry } = item.update;
+								vscode.commands.executeCommand('vscode.diff', getRuleDocumentUri(scope, rule.id, rule.key), getTeamRuleUri(entry.key), `${rule.key}: ${getScopeNameProper(scope)} ↔ Team Library`, { preview: true, preserveFocus: true });
+						});
+						quickPick.onDidAccept(async () => {
+								const acceptedUpdates = quickPick.selectedItems.map(i => i.update);
+								quickPick.hide();
+								if (acceptedUpdates.length === 0) return;
+								await applyTeamRuleUpdates(acceptedUpdates);
+								vscode.window.showInformationMessage(`CTK GEE: Accepted ${acceptedUpdates.length} team rule update(s).`);
+								acceptedUpdates.forEach(update => refreshProviderForScope(update.scope));
+								if (teamRulesProvider) teamRulesProvider.refresh();
+						});
+						quickPick.onDidHide(() => quickPick.dispose());
+						quickPick.show();
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.showEffectiveRules', () => showEffectiveRules()));
+				context.subscriptions.push(registerRuleCommand('ctk.openRuleManager', () => RuleManagerPanel.show()));
+
+				context.subscriptions.push(registerRuleCommand('ctk.searchRules', async () => {
+						const quickPick = vscode.window.createQuickPick();
+						quickPick.placeholder = "Search rule keys and values in all scopes";
+						quickPick.matchOnDescription = true;
+						quickPick.matchOnDetail = true;
+						const editButton = { iconPath: new vscode.ThemeIcon('edit'), tooltip: "Edit Value" };
+						const toggleButton = { iconPath: new vscode.ThemeIcon('circle-slash'), tooltip: "Enable/Disable" };
+						const deleteButton = { iconPath: new vscode.ThemeIcon('trash'), tooltip: "Delete" };
+
+						// The quick pick highlights the query in the label and the snippet
+						const updateItems = async () => {
+								const query = quickPick.value;
+								quickPick.busy = true;
+								const results = await searchRules(query);
+								if (query !== quickPick.value) return; // A newer search is under way
+								quickPick.items = results.map(result => ({
+										label: result.rule.key,
+										description: `${getScopeNameProper(result.scope)}${isRuleEnabled(result.rule) ? "" : " · disabled"} · ${result.keyRanges.length + result.valueRanges.length} match(es)`,
+										detail: getSearchSnippet(result.value, result.valueRanges),
+										buttons: [editButton, toggleButton, deleteButton],
+										result
+								}));
+								quickPick.busy = false;
+						};
+						quickPick.onDidChangeValue(() => updateItems().catch(error => console.error("CTK GEE: Error searching rules:", error)));
+						quickPick.onDidTriggerItemButton(async ({ item, button }) => {
+								const treeItem = await createRuleTreeItem(item.result.scope, item.result.rule.id);
+								if (!treeItem) return;
+								if (button === editButton) {
+										quickPick.hide();
+										await openRuleEditor(item.result.scope, item.result.rule.id);
+										return;
+								}
+								await vscode.commands.executeCommand(button === toggleButton ? 'ctk.tree.toggleRule' : 'ctk.tree.deleteRule', treeItem);
+								await updateItems();
+						});
+						quickPick.onDidAccept(async () => {
+								const [selectedItem] = quickPick.selectedItems;
+								quickPick.hide();
+								if (selectedItem) await revealRule(selectedItem.result.scope, selectedItem.result.rule.id);
+						});
+						quickPick.onDidHide(() => quickPick.dispose());
+						quickPick.show();
+				}));
+
+				context.subscriptions.push(registerRuleCommand('ctk.showLargestRules', async () => {
+						const scopes = getAllRuleScopes();
+						const ruleItems = [];
+						const scopeTotals = [];
+						for (const scope of scopes) {
+								const { total, ruleSizes } = await getRuleSizes(scope);
+								scopeTotals.push(`${getScopeNameProper(scope)} ${formatTokenCount(total)}`);
+								for (const rule of getCtkRuleSet(scope).filter(isRuleActive)) {
+										const size = ruleSizes.get(rule.key) || 0;
+										ruleItems.push({
+												label: rule.key,
+												description: `${getScopeNameProper(scope)} · ${formatRuleSize(size)}`,
+												detail: total > 0 ? `${Math.round(size / total * 100)}% of ${getScopeNameProper(scope)} geminicodeassist.rules` : undefined,
+												size, scope, ruleId: rule.id
+										});
+								}
+						}
+						if (ruleItems.length === 0) {
+								vscode.window.showInformationMessage("CTK GEE: There are no enabled rules to measure.");
+								return;
+						}
+						ruleItems.sort((a, b) => b.size - a.size);
+						const combinedSize = await getCombinedRuleSize(isWorkspaceOpen() ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global);
+						const selectedItem = await vscode.window.showQuickPick(ruleItems, {
+								title: `Largest Rules (${scopeTotals.join(", ")}; combined ${formatTokenCount(combinedSize)})`,
+								placeHolder: "Select a rule to edit it",
+								matchOnDescription: true
+						});
+						if (selectedItem) await openRuleEditor(selectedItem.scope, selectedItem.ruleId);
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.showStatusMenu', async () => {
+						const menuItems = [];
+						for (const scope of getAllRuleScopes()) {
+								if (!(await isScopeInSync(scope))) {
+										menuItems.push({ label: `$(git-merge) Reconcile ${getScopeNameProper(scope)} Rules...`, run: async () => {
+												if (!RuleReconciliationPanel.revealForScope(scope)) await reconcileCtkWithExternalGeminiChange(scope);
+												refreshProviderForScope(scope);
+										} });
+								}
+						}
+						menuItems.push({ label: "$(sync) Force Sync Global Rules", run: () => vscode.commands.executeCommand('ctk.forceSyncGlobalRules') });
+						if (isWorkspaceOpen()) {
+								menuItems.push({ label: "$(sync) Force Sync Workspace Rules", run: () => vscode.commands.executeCommand('ctk.forceSyncWorkspaceRules') });
+						}
+						if (isMultiRootWorkspace()) {
+								menuItems.push({ label: "$(sync) Force Sync Folder Rules...", run: () => vscode.commands.executeCommand('ctk.forceSyncFolderRules') });
+						}
+						if (findTeamRuleUpdates().length > 0) {
+								menuItems.push({ label: "$(cloud-download) Review Team Rule Updates...", run: () => vscode.commands.executeCommand('ctk.team.reviewUpdates') });
+						}
+						if (getAllRuleScopes().some(scope => getActiveSyncTargetIds(scope).length > 0)) {
+								menuItems.push({ label: "$(references) Check Sync Targets...", run: () => vscode.commands.executeCommand('ctk.checkSyncTargets') });
+						}
+						menuItems.push({ label: "$(table) Open Rule Manager", run: () => vscode.commands.executeCommand('ctk.openRuleManager') });
+						menuItems.push({ label: "$(list-tree) Open User Rules", run: () => vscode.commands.executeCommand('ctk-gee-user-rules.focus') });
+						menuItems.push({ label: "$(list-tree) Open Workspace Rules", run: () => vscode.commands.executeCommand('ctk-gee-workspace-rules.focus') });
+						const selectedItem = await vscode.window.showQuickPick(menuItems, { placeHolder: "CTK GEE rules" });
+						if (selectedItem) await selectedItem.run();
+						await updateRuleStatusBar();
+				}));
+				ruleStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+				ruleStatusBarItem.name = "CTK GEE Rules";
+				ruleStatusBarItem.command = 'ctk.showStatusMenu';
+				context.subscriptions.push(ruleStatusBarItem);
+				await updateRuleStatusBar();
 				console.log('CTK GEE: All commands registered.');
 
 				// --- Register TreeView specific commands ---
-				context.subscriptions.push(vscode.commands.registerCommand('ctk.tree.refreshUserRules', () => {
+				context.subscriptions.push(registerRuleCommand('ctk.tree.refreshUserRules', () => {
 					if (userRulesProvider) userRulesProvider.refresh();
 				}));
-				context.subscriptions.push(vscode.commands.registerCommand('ctk.tree.addUserRule', () => {
+				context.subscriptions.push(registerRuleCommand('ctk.tree.addUserRule', () => {
 					vscode.commands.executeCommand('ctk.addGlobalRule'); // Existing command handles logic and refresh
 				}));
 
-				context.subscriptions.push(vscode.commands.registerCommand('ctk.tree.refreshWorkspaceRules', () => {
+				context.subscriptions.push(registerRuleCommand('ctk.tree.toggleUserRules', () => {
+					vscode.commands.executeCommand('ctk.toggleGlobalRules');
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.tree.switchUserProfile', () => {
+					vscode.commands.executeCommand('ctk.switchGlobalProfile');
+				}));
+
+				context.subscriptions.push(registerRuleCommand('ctk.tree.refreshWorkspaceRules', () => {
 					if (workspaceRulesProvider) workspaceRulesProvider.refresh();
 				}));
-				context.subscriptions.push(vscode.commands.registerCommand('ctk.tree.addWorkspaceRule', () => {
+				context.subscriptions.push(registerRuleCommand('ctk.tree.addWorkspaceRule', () => {
 					vscode.commands.executeCommand('ctk.addWorkspaceRule'); // Existing command handles logic and refresh
 				}));
+				// --- Rule History commands ---
+				context.subscriptions.push(registerRuleCommand('ctk.history.refresh', () => {
+					if (ruleHistoryProvider) ruleHistoryProvider.refresh();
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.history.compareWithCurrent', async (item) => {
+					if (!(item instanceof RuleSnapshotTreeItem || item instanceof RuleSnapshotRuleTreeItem)) {
+						vscode.window.showErrorMessage("CTK GEE: No snapshot selected from the Rule History view.");
+						return;
+					}
+					const ruleKey = item instanceof RuleSnapshotRuleTreeItem ? item.ruleKey : undefined;
+					const subject = ruleKey !== undefined ? `"${ruleKey}"` : `${getScopeNameProper(item.scope)} Rules`;
+					await vscode.commands.executeCommand('vscode.diff',
+						getRuleHistoryUri(item.scope, item.snapshot.id, ruleKey),
+						getRuleHistoryUri(item.scope, 'current', ruleKey),
+						`${subject}: ${item.snapshot.operation} (${new Date(item.snapshot.timestamp).toLocaleString()}) ↔ Current`);
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.history.compareSnapshots', async (item) => {
+					if (!(item instanceof RuleSnapshotTreeItem)) {
+						vscode.window.showErrorMessage("CTK GEE: No snapshot selected from the Rule History view.");
+						return;
+					}
+					const otherSnapshots = (await getRuleSnapshots(item.scope)).filter(s => s.id !== item.snapshot.id).reverse();
+					if (otherSnapshots.length === 0) {
+						vscode.window.showInformationMessage(`CTK GEE: No other ${getScopeNameProper(item.scope)} snapshots to compare with.`);
+						return;
+					}
+					const selected = await vscode.window.showQuickPick(
+						otherSnapshots.map(snapshot => ({ label: snapshot.operation, description: new Date(snapshot.timestamp).toLocaleString(), snapshot })),
+						{ placeHolder: "Select the snapshot to compare with" }
+					);
+					if (!selected) return;
+					// Older snapshot on the left
+					const [older, newer] = selected.snapshot.timestamp < item.snapshot.timestamp ? [selected.snapshot, item.snapshot] : [item.snapshot, selected.snapshot];
+					const describe = snapshot => `${snapshot.operation} (${new Date(snapshot.timestamp).toLocaleString()})`;
+					await vscode.commands.executeCommand('vscode.diff',
+						getRuleHistoryUri(item.scope, older.id),
+						getRuleHistoryUri(item.scope, newer.id),
+						`${getScopeNameProper(item.scope)} Rules: ${describe(older)} ↔ ${describe(newer)}`);
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.history.restoreSnapshot', async (item) => {
+					if (!(item instanceof RuleSnapshotTreeItem)) {
+						vscode.window.showErrorMessage("CTK GEE: No snapshot selected from the Rule History view.");
+						return;
+					}
+					if (!isScopeAvailable(item.scope)) {
+						vscode.window.showErrorMessage(`CTK GEE: ${getScopeNameProper(item.scope)} is not open.`);
+						return;
+					}
+					const scopeNameProper = getScopeNameProper(item.scope);
+					const confirm = await vscode.window.showWarningMessage(
+						`Replace all ${scopeNameProper} rules with the snapshot "${item.snapshot.operation}" from ${new Date(item.snapshot.timestamp).toLocaleString()}? The current state stays in the history.`,
+						{ modal: true }, "Restore Snapshot");
+					if (confirm !== "Restore Snapshot") return;
+					await restoreRuleSnapshot(item.scope, item.snapshot);
+					refreshProviderForScope(item.scope);
+					vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} rules restored (${item.snapshot.ruleSet.length} rules).`);
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.history.restoreRule', async (item) => {
+					if (!(item instanceof RuleSnapshotRuleTreeItem)) {
+						vscode.window.showErrorMessage("CTK GEE: No rule selected from the Rule History view.");
+						return;
+					}
+					if (!isScopeAvailable(item.scope)) {
+						vscode.window.showErrorMessage(`CTK GEE: ${getScopeNameProper(item.scope)} is not open.`);
+						return;
+					}
+					if (!(await restoreRuleFromSnapshot(item.scope, item.snapshot, item.ruleKey))) return;
+					refreshProviderForScope(item.scope);
+					vscode.window.showInformationMessage(`CTK GEE: ${getScopeNameProper(item.scope)} rule "${item.ruleKey}" restored.`);
+				}));
+
+				context.subscriptions.push(registerRuleCommand('ctk.tree.addRuleToScope', (item) => {
+					// Invoked from a Workspace or folder node in a multi-root workspace
+					if (item && isFolderScope(item.scope)) vscode.commands.executeCommand('ctk.addFolderRule', item);
+					else vscode.commands.executeCommand('ctk.addWorkspaceRule');
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.tree.toggleWorkspaceRules', () => {
+					vscode.commands.executeCommand('ctk.toggleWorkspaceRules');
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.tree.switchWorkspaceProfile', () => {
+					vscode.commands.executeCommand('ctk.switchWorkspaceProfile');
+				}));
 
-				context.subscriptions.push(vscode.commands.registerCommand('ctk.tree.editRule', async (item) => {
+				context.subscriptions.push(registerRuleCommand('ctk.tree.editRule', async (item) => {
 					if (!item || !item.ruleSpec) {
 						vscode.window.showErrorMessage("CTK GEE: No rule selected for editing from tree.");
 						return;
 					}
-					const { id: ruleId, key: originalKey, value: originalValue, scope } = item.ruleSpec;
-					const scopeNameProper = scope === vscode.ConfigurationTarget.Global ? "Global" : "Workspace";
+					const { id: ruleId, scope } = item.ruleSpec;
+					const scopeNameProper = getScopeNameProper(scope);
 
 					if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
 						vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to edit a ${scopeNameProper} rule.`);
 						return;
 					}
+					await openRuleEditor(scope, ruleId);
+				}));
+
+				context.subscriptions.push(registerRuleCommand('ctk.tree.renameRule', async (item) => {
+					if (!item || !item.ruleSpec) {
+						vscode.window.showErrorMessage("CTK GEE: No rule selected for renaming from tree.");
+						return;
+					}
+					const { id: ruleId, key: originalKey, scope } = item.ruleSpec;
+					const scopeNameProper = getScopeNameProper(scope);
 
-					// Delegate to existing edit command by finding the rule and then calling a modified version
-					// Or, replicate logic here:
-					let ctkRules = getCtkRuleSet(scope);
-					const ruleToEdit = ctkRules.find(r => r.id === ruleId);
-					if (!ruleToEdit) {
-						vscode.window.showErrorMessage(`CTK GEE: Rule ID ${ruleId} not found in ${scopeNameProper} ctk.ruleSet.`);
+					if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
+						vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to rename a ${scopeNameProper} rule.`);
 						return;
 					}
+					const rule = getCtkRuleSet(scope).find(r => r.id === ruleId);
+					if (rule && !await confirmRuleEdit(scope, rule)) return;
 
-					const newKeyInput = await vscode.window.showInputBox({ prompt: `Enter new key for '${originalKey}'`, value: originalKey, validateInput: text => text && text.trim() !== "" ? null : "Key cannot be empty." });
+					const newKeyInput = await vscode.window.showInputBox({ prompt: `Enter new key for '${originalKey}'`, value: originalKey, validateInput: validateRuleKey });
 					if (newKeyInput === undefined) return;
 					const newKey = newKeyInput.trim();
 
-					if (newKey !== originalKey && ctkRules.some(r => r.id !== ruleId && r.key === newKey)) {
+					if (newKey !== originalKey && getCtkRuleSet(scope).some(r => r.id !== ruleId && r.key === newKey)) {
 						vscode.window.showErrorMessage(`CTK GEE: A rule with key "${newKey}" already exists in ${scopeNameProper}.`);
 						return;
 					}
+					if (!await renameRule(scope, ruleId, newKey)) {
+						vscode.window.showErrorMessage(`CTK GEE: Rule ID ${ruleId} not found in ${scopeNameProper} ctk.ruleSet.`);
+						return;
+					}
+
+					vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule ID ${ruleId} renamed via tree.`);
+					refreshProviderForScope(scope);
+				}));
+
+				// The rules a bulk command acts on, from the tree selection (or the clicked rule), grouped by scope
+				const getSelectedRulesByScope = (item, selectedItems) => {
+					const treeItems = (selectedItems && selectedItems.length > 0 ? selectedItems : [item]).filter(i => i instanceof RuleTreeItem);
+					const selections = [];
+					for (const treeItem of treeItems) {
+						let selection = selections.find(s => isSameScope(s.scope, treeItem.ruleSpec.scope));
+						if (!selection) selections.push(selection = { scope: treeItem.ruleSpec.scope, rules: [] });
+						const rule = getCtkRuleSet(selection.scope).find(r => r.id === treeItem.ruleSpec.id);
+						if (rule) selection.rules.push(rule);
+					}
+					return selections.filter(s => s.rules.length > 0);
+				};
+
+				// Lists the selected rules for a confirmation, with their scope when the selection spans several
+				const describeSelectedRules = (selections) => {
+					const keys = selections.flatMap(({ scope, rules }) => rules.map(r => selections.length > 1 ? `${getScopeNameProper(scope)}: "${r.key}"` : `"${r.key}"`));
+					const listedKeys = keys.length > 10 ? [...keys.slice(0, 10), `and ${keys.length - 10} more`] : keys;
+					return `${keys.length} ${selections.length > 1 ? "" : `${getScopeNameProper(selections[0].scope)} `}rules (${listedKeys.join(", ")})`;
+				};
+
+				// Reports a change made in one pass and offers to undo it. `before` holds the states captured before the change.
+				const reportUndoableChange = async (message, before, operation) => {
+					const after = await captureRuleStates(before.map(s => s.scope));
+					const choice = await vscode.window.showInformationMessage(message, "Undo");
+					if (choice !== "Undo") return;
+					const changedScopes = await undoRuleOperation(before, after, operation);
+					before.forEach(({ scope }) => refreshProviderForScope(scope));
+					if (changedScopes.length > 0) {
+						vscode.window.showWarningMessage(`CTK GEE: ${changedScopes.map(getScopeNameProper).join(", ")} rules changed again since, so the change was not undone there. Use the Rule History view to restore an earlier state.`);
+					}
+				};
+
+				context.subscriptions.push(registerRuleCommand('ctk.tree.deleteRule', async (item, selectedItems) => {
+					const selections = getSelectedRulesByScope(item, selectedItems);
+					if (selections.length === 0) {
+						vscode.window.showErrorMessage("CTK GEE: No rule selected for deletion from tree.");
+						return;
+					}
+					const ruleCount = selections.reduce((count, s) => count + s.rules.length, 0);
+					const scopeNames = selections.map(s => getScopeNameProper(s.scope)).join(", ");
 
-					const newValue = await vscode.window.showInputBox({ prompt: `Enter new value for '${newKey}'`, value: originalValue, validateInput: text => text !== undefined ? null : "Value cannot be null." });
-					if (newValue === undefined) return;
+					const question = ruleCount === 1 ? `Delete ${scopeNames} rule "${selections[0].rules[0].key}"?` : `Delete ${describeSelectedRules(selections)}?`;
+					const confirm = await vscode.window.showWarningMessage(question, { modal: true }, "Yes");
+					if (confirm !== "Yes") return;
 
-					ruleToEdit.key = newKey;
-					await updateCtkRuleSet(ctkRules, scope);
+					const operation = ruleCount === 1 ? `Delete rule "${selections[0].rules[0].key}"` : `Delete ${ruleCount} rules`;
+					const before = await captureRuleStates(selections.map(s => s.scope));
+					for (const { scope, rules } of selections) {
+						noteRuleOperation(scope, operation);
+						await removeRulesFromScope(rules.map(r => r.id), scope);
+						refreshProviderForScope(scope);
+					}
+					await reportUndoableChange(ruleCount === 1 ? `CTK GEE: ${scopeNames} Rule "${selections[0].rules[0].key}" deleted via tree.` : `CTK GEE: Deleted ${ruleCount} rules from ${scopeNames}.`, before, operation);
+				}));
 
-					const geminiKVs = parseGeminiRulesString(await getGeminiRulesStringFromConfig(scope)).orderedKeyValues;
-					const updatedGeminiKVs = geminiKVs.map(kv => (kv.key === originalKey ? { key: newKey, value: newValue } : kv));
-					if (!updatedGeminiKVs.find(kv => kv.key === newKey) && originalKey !== newKey) { // If originalKey wasn't found, add new one
-						updatedGeminiKVs.push({ key: newKey, value: newValue });
+				context.subscriptions.push(registerRuleCommand('ctk.tree.detachTeamRule', async (item, selectedItems) => {
+					const treeItems = (selectedItems && selectedItems.length > 0 ? selectedItems : [item]).filter(i => i instanceof RuleTreeItem && isRuleLocked(i.ruleSpec));
+					if (treeItems.length === 0) {
+						vscode.window.showErrorMessage("CTK GEE: No team rule selected from tree.");
+						return;
+					}
+					const scopes = [];
+					for (const treeItem of treeItems) {
+						if (!scopes.some(scope => isSameScope(scope, treeItem.ruleSpec.scope))) scopes.push(treeItem.ruleSpec.scope);
 					}
-					await updateGeminiRulesStringInConfig(buildGeminiRulesString(updatedGeminiKVs), scope);
+					for (const scope of scopes) {
+						await detachTeamRules(treeItems.filter(i => isSameScope(i.ruleSpec.scope, scope)).map(i => i.ruleSpec.id), scope);
+						refreshProviderForScope(scope);
+					}
+					vscode.window.showInformationMessage(`CTK GEE: Detached ${treeItems.length} rule(s) from the team library. They can be edited and no longer receive team updates.`);
+					if (teamRulesProvider) teamRulesProvider.refresh();
+				}));
 
-					vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule ID ${ruleId} updated via tree.`);
-					if (scope === vscode.ConfigurationTarget.Global && userRulesProvider) userRulesProvider.refresh();
-					if (scope === vscode.ConfigurationTarget.Workspace && workspaceRulesProvider) workspaceRulesProvider.refresh();
+				context.subscriptions.push(registerRuleCommand('ctk.lint.applyFix', async (scopeId, ruleId, fix) => {
+					const scope = getScopeFromId(scopeId);
+					if (scope === undefined || !await applyRuleLintFix(scope, ruleId, fix)) {
+						vscode.window.showWarningMessage(`CTK GEE: "${fix.title}" no longer applies; the rules have changed.`);
+						return;
+					}
+					refreshProviderForScope(scope);
+				}));
+				context.subscriptions.push(registerRuleCommand('ctk.tree.fixRuleProblems', async (item) => {
+					if (!item || !item.ruleSpec) {
+						vscode.window.showErrorMessage("CTK GEE: No rule selected from tree.");
+						return;
+					}
+					const { id: ruleId, key, scope } = item.ruleSpec;
+					const problems = getRuleLintProblems(scope, ruleId);
+					if (problems.length === 0) {
+						vscode.window.showInformationMessage(`CTK GEE: No problems found in "${key}".`);
+						return;
+					}
+					const fixItems = problems.flatMap(problem => problem.fixes.map(fix => ({ label: fix.title, detail: problem.message, fix })));
+					if (fixItems.length === 0) {
+						vscode.window.showInformationMessage(`CTK GEE: The problems in "${key}" have no automatic fix: ${problems.map(p => p.message).join(" ")}`);
+						return;
+					}
+					const selectedItem = await vscode.window.showQuickPick(fixItems, { placeHolder: `Fix a problem in "${key}"` });
+					if (selectedItem) await vscode.commands.executeCommand('ctk.lint.applyFix', getScopeId(scope), ruleId, selectedItem.fix);
 				}));
 
-				context.subscriptions.push(vscode.commands.registerCommand('ctk.tree.deleteRule', async (item) => {
+				// --- Groups and tags ---
+				context.subscriptions.push(registerRuleCommand('ctk.tree.setRuleGroup', async (item) => {
 					if (!item || !item.ruleSpec) {
-						vscode.window.showErrorMessage("CTK GEE: No rule selected for deletion from tree.");
+						vscode.window.showErrorMessage("CTK GEE: No rule selected from tree.");
 						return;
 					}
-					const { id: ruleId, key: keyToDelete, scope } = item.ruleSpec;
-					const scopeNameProper = scope === vscode.ConfigurationTarget.Global ? "Global" : "Workspace";
+					const { id: ruleId, key, group, scope } = item.ruleSpec;
+					const groupInput = await vscode.window.showInputBox({
+						prompt: `Enter the group for '${key}' (use '/' for nested groups, leave empty to ungroup)`,
+						value: normalizeGroupPath(group),
+						placeHolder: "e.g. Languages/Python"
+					});
+					if (groupInput === undefined) return;
+
+					await updateRules([ruleId], scope, { group: normalizeGroupPath(groupInput) || undefined });
+					refreshProviderForScope(scope);
+				}));
 
-					if (scope === vscode.ConfigurationTarget.Workspace && !isWorkspaceOpen()) {
-						vscode.window.showInformationMessage(`CTK GEE: A workspace must be open to delete a ${scopeNameProper} rule.`);
+				context.subscriptions.push(registerRuleCommand('ctk.tree.editRuleTags', async (item) => {
+					if (!item || !item.ruleSpec) {
+						vscode.window.showErrorMessage("CTK GEE: No rule selected from tree.");
 						return;
 					}
+					const { id: ruleId, key, tags, scope } = item.ruleSpec;
+					const tagsInput = await vscode.window.showInputBox({
+						prompt: `Enter comma-separated tags for '${key}'`,
+						value: Array.isArray(tags) ? tags.join(', ') : "",
+						placeHolder: "e.g. review, python"
+					});
+					if (tagsInput === undefined) return;
+
+					const newTags = [...new Set(tagsInput.split(',').map(tag => tag.trim()).filter(Boolean))];
+					await updateRules([ruleId], scope, { tags: newTags.length > 0 ? newTags : undefined });
+					refreshProviderForScope(scope);
+				}));
 
-					const confirm = await vscode.window.showWarningMessage(`Delete ${scopeNameProper} rule "${keyToDelete}"?`, { modal: true }, "Yes");
-					if (confirm !== "Yes") return;
+				context.subscriptions.push(registerRuleCommand('ctk.tree.setRuleConditions', async (item) => {
+					if (!item || !item.ruleSpec) {
+						vscode.window.showErrorMessage("CTK GEE: No rule selected from tree.");
+						return;
+					}
+					const { id: ruleId, key, when, scope } = item.ruleSpec;
+					const conditions = normalizeRuleConditions(when) || {};
+					const currentLanguage = ruleConditionDocument ? ruleConditionDocument.languageId : undefined;
+					const languageIds = [...new Set([...(conditions.languages || []), ...(currentLanguage ? [currentLanguage] : []), ...(await vscode.languages.getLanguages()).sort()])];
+					const languageItems = languageIds.map(id => ({
+						label: id,
+						description: id === currentLanguage ? "current editor" : undefined,
+						picked: (conditions.languages || []).includes(id)
+					}));
+					const selectedLanguages = await vscode.window.showQuickPick(languageItems, {
+						placeHolder: `Select the languages '${key}' applies to (none for any language)`,
+						canPickMany: true
+					});
+					if (!selectedLanguages) return;
+
+					const filesInput = await vscode.window.showInputBox({
+						prompt: `Enter comma-separated glob patterns on the workspace-relative path of the files '${key}' applies to (leave empty for any file)`,
+						value: (conditions.files || []).join(', '),
+						placeHolder: "e.g. tests/**, **/*.tf"
+					});
+					if (filesInput === undefined) return;
+
+					let folders = conditions.folders || [];
+					if (isMultiRootWorkspace()) {
+						const folderItems = vscode.workspace.workspaceFolders.map(folder => ({ label: folder.name, picked: folders.includes(folder.name) }));
+						const selectedFolders = await vscode.window.showQuickPick(folderItems, {
+							placeHolder: `Select the workspace folders '${key}' applies to (none for any folder)`,
+							canPickMany: true
+						});
+						if (!selectedFolders) return;
+						folders = selectedFolders.map(folderItem => folderItem.label);
+					}
+
+					const newConditions = normalizeRuleConditions({
+						languages: selectedLanguages.map(languageItem => languageItem.label),
+						files: filesInput.split(/,(?![^{]*\})/), // Commas inside {a,b} belong to the glob
+						folders
+					});
+					await updateRules([ruleId], scope, { when: newConditions });
+					refreshProviderForScope(scope);
+				}));
+
+				const registerTagFilterCommand = (commandId, provider) => {
+					context.subscriptions.push(registerRuleCommand(commandId, async () => {
+						if (!provider) return;
+						const viewRules = provider.getViewScopes().flatMap(scope => getCtkRuleSet(scope));
+						const tags = [...new Set(viewRules.flatMap(r => (Array.isArray(r.tags) ? r.tags : [])))].sort();
+						if (tags.length === 0 && !provider.tagFilter) {
+							vscode.window.showInformationMessage(`CTK GEE: No ${provider.scopeNameProper} rules have tags.`);
+							return;
+						}
+						const items = [
+							{ label: "$(clear-all) Show all rules", tag: undefined },
+							...tags.map(tag => ({ label: `#${tag}`, description: tag === provider.tagFilter ? "current filter" : undefined, tag }))
+						];
+						const selected = await vscode.window.showQuickPick(items, { placeHolder: `Filter ${provider.scopeNameProper} rules by tag` });
+						if (!selected) return;
+						provider.setTagFilter(selected.tag);
+					}));
+				};
+				registerTagFilterCommand('ctk.tree.filterUserRulesByTag', userRulesProvider);
+				registerTagFilterCommand('ctk.tree.filterWorkspaceRulesByTag', workspaceRulesProvider);
+
+				const registerTextFilterCommands = (commandSuffix, provider) => {
+					context.subscriptions.push(registerRuleCommand(`ctk.tree.filter${commandSuffix}Rules`, async () => {
+						if (!provider) return;
+						const text = await vscode.window.showInputBox({
+							prompt: `Show only ${provider.scopeNameProper} rules whose key or value contains this text (empty shows all)`,
+							value: provider.textFilter || ""
+						});
+						if (text === undefined) return;
+						await provider.setTextFilter(text.trim());
+					}));
+					context.subscriptions.push(registerRuleCommand(`ctk.tree.clear${commandSuffix}RulesFilter`, async () => {
+						if (provider) await provider.setTextFilter(undefined);
+					}));
+					if (provider) provider.updateFilterContext();
+				};
+				registerTextFilterCommands('User', userRulesProvider);
+				registerTextFilterCommands('Workspace', workspaceRulesProvider);
+
+				context.subscriptions.push(registerRuleCommand('ctk.tree.toggleRule', async (item, selectedItems) => {
+					const selections = getSelectedRulesByScope(item, selectedItems);
+					if (selections.length === 0) {
+						vscode.window.showErrorMessage("CTK GEE: No rule selected from tree.");
+						return;
+					}
+					const ruleCount = selections.reduce((count, s) => count + s.rules.length, 0);
+					if (ruleCount === 1) {
+						const { scope, rules: [rule] } = selections[0];
+						await setRulesEnabled(new Map([[rule.id, !isRuleEnabled(rule)]]), scope);
+						refreshProviderForScope(scope);
+						return;
+					}
+
+					// A mixed selection is enabled, so that toggling it twice disables all of it
+					const enabled = selections.some(s => s.rules.some(r => !isRuleEnabled(r)));
+					const verb = enabled ? "Enable" : "Disable";
+					const confirm = await vscode.window.showWarningMessage(`${verb} ${describeSelectedRules(selections)}?`, { modal: true }, verb);
+					if (confirm !== verb) return;
+
+					const operation = `${verb} ${ruleCount} rules`;
+					const before = await captureRuleStates(selections.map(s => s.scope));
+					let changedCount = 0;
+					for (const { scope, rules } of selections) {
+						noteRuleOperation(scope, operation);
+						changedCount += await setRulesEnabled(new Map(rules.map(r => [r.id, enabled])), scope);
+						refreshProviderForScope(scope);
+					}
+					await reportUndoableChange(`CTK GEE: ${changedCount} rule(s) ${enabled ? "enabled" : "disabled"}.`, before, operation);
+				}));
+
+				context.subscriptions.push(registerRuleCommand('ctk.tree.exportRules', async (item, selectedItems) => {
+					const selections = getSelectedRulesByScope(item, selectedItems);
+					if (selections.length === 0) {
+						vscode.window.showErrorMessage("CTK GEE: No rule selected for export from tree.");
+						return;
+					}
+					const entries = [];
+					for (const { scope, rules } of selections) {
+						const valueMap = await getRuleValueMap(scope);
+						entries.push(...rules.map(r => toRuleLibraryEntry(r, valueMap.get(r.key) || "")));
+					}
+					const scopeName = selections.length === 1 ? getScopeNameProper(selections[0].scope).toLowerCase().replace(/[^\w-]+/g, '-').replace(/-+$/, '') : "selected";
+					await exportRuleLibrary(entries, `ctk-${scopeName}-rules`);
+				}));
+
+				// The rules a transfer command acts on: the tree selection (or the clicked rule), or, from the palette, rules picked from a scope
+				const resolveTransferSource = async (item, selectedItems, verb) => {
+					const treeItems = (selectedItems && selectedItems.length > 0 ? selectedItems : [item]).filter(i => i instanceof RuleTreeItem);
+					if (treeItems.length > 0) {
+						const sourceScope = treeItems[0].ruleSpec.scope;
+						if (treeItems.some(i => !isSameScope(i.ruleSpec.scope, sourceScope))) {
+							vscode.window.showInformationMessage(`CTK GEE: Select rules of one scope to ${verb.toLowerCase()} them.`);
+							return undefined;
+						}
+						return { sourceScope, ruleIds: treeItems.map(i => i.ruleSpec.id) };
+					}
+					const scopeItems = getAllRuleScopes().filter(scope => getCtkRuleSet(scope).length > 0).map(scope => ({ label: getScopeNameProper(scope), scope }));
+					if (scopeItems.length === 0) {
+						vscode.window.showInformationMessage("CTK GEE: There are no rules to transfer.");
+						return undefined;
+					}
+					const selectedScope = scopeItems.length === 1 ? scopeItems[0] : await vscode.window.showQuickPick(scopeItems, { placeHolder: `Select the scope to ${verb.toLowerCase()} rules from` });
+					if (!selectedScope) return undefined;
+					const ruleItems = getCtkRuleSet(selectedScope.scope).map(rule => ({ label: rule.key, description: isRuleEnabled(rule) ? undefined : "disabled", ruleId: rule.id }));
+					const selectedRules = await vscode.window.showQuickPick(ruleItems, { canPickMany: true, placeHolder: `Select the ${selectedScope.label} rules to ${verb.toLowerCase()}` });
+					if (!selectedRules || selectedRules.length === 0) return undefined;
+					return { sourceScope: selectedScope.scope, ruleIds: selectedRules.map(r => r.ruleId) };
+				};
+
+				// Asks for the target scope unless there is only one candidate
+				const pickTargetScope = async (scopes, verb) => {
+					if (scopes.length <= 1) return scopes[0];
+					const selected = await vscode.window.showQuickPick(scopes.map(scope => ({ label: getScopeNameProper(scope), scope })), { placeHolder: `Select the scope to ${verb.toLowerCase()} the rules to` });
+					return selected ? selected.scope : undefined;
+				};
+
+				const registerTransferCommand = (commandId, move, getTargetScopes) => {
+					context.subscriptions.push(registerRuleCommand(commandId, async (item, selectedItems) => {
+						const verb = move ? "Move" : "Copy";
+						const source = await resolveTransferSource(item, selectedItems, verb);
+						if (!source) return;
+						const { sourceScope, ruleIds } = source;
+						const candidateScopes = getTargetScopes(sourceScope).filter(scope => isScopeAvailable(scope) && !isSameScope(scope, sourceScope));
+						if (candidateScopes.length === 0) {
+							vscode.window.showInformationMessage(`CTK GEE: There is no other scope to ${verb.toLowerCase()} ${getScopeNameProper(sourceScope)} rules to.`);
+							return;
+						}
+						const targetScope = await pickTargetScope(candidateScopes, verb);
+						if (targetScope === undefined) return;
+						const sourceName = getScopeNameProper(sourceScope);
+						const targetName = getScopeNameProper(targetScope);
+
+						let onCollision = 'rename';
+						const targetKeys = new Set(getCtkRuleSet(targetScope).map(r => r.key));
+						const collidingKeys = getCtkRuleSet(sourceScope).filter(r => ruleIds.includes(r.id) && targetKeys.has(r.key)).map(r => r.key);
+						if (collidingKeys.length > 0) {
+							const choice = await vscode.window.showWarningMessage(
+								`${collidingKeys.length} of the rules already exist in ${targetName}: ${collidingKeys.join(", ")}. Keep both (the incoming ones are renamed), replace the ${targetName} rules, or skip them?`,
+								{ modal: true }, "Keep Both", "Replace", "Skip"
+							);
+							if (!choice) return;
+							onCollision = choice === "Replace" ? 'replace' : choice === "Skip" ? 'skip' : 'rename';
+						} else if (ruleIds.length > 1) {
+							// The collision question doubles as the confirmation, so a bulk transfer asks once
+							const confirm = await vscode.window.showWarningMessage(`${verb} ${ruleIds.length} rules from ${sourceName} to ${targetName}?`, { modal: true }, verb);
+							if (confirm !== verb) return;
+						}
 
-					let ctkRules = getCtkRuleSet(scope);
-					const updatedCtkRules = ctkRules.filter(r => r.id !== ruleId);
-					await updateCtkRuleSet(updatedCtkRules, scope);
+						const before = await captureRuleStates(move ? [targetScope, sourceScope] : [targetScope]);
+						let report;
+						try {
+							const { transferredCount, skippedCount, keyRenames } = await transferRules(ruleIds, sourceScope, targetScope, { move, onCollision });
+							const renameNote = keyRenames.size > 0 ? ` ${keyRenames.size} key(s) were renamed to stay unique.` : "";
+							const skipNote = skippedCount > 0 ? ` ${skippedCount} skipped.` : "";
+							if (transferredCount > 0) report = `CTK GEE: ${move ? "Moved" : "Copied"} ${transferredCount} rule(s) from ${sourceName} to ${targetName}.${renameNote}${skipNote}`;
+							else vscode.window.showInformationMessage(`CTK GEE: No rules were ${move ? "moved" : "copied"} to ${targetName}.${skipNote}`);
+						} catch (error) {
+							vscode.window.showErrorMessage(`CTK GEE: Could not ${verb.toLowerCase()} the rules to ${targetName}. ${error.message}`);
+						}
+						refreshProviderForScope(sourceScope);
+						refreshProviderForScope(targetScope);
+						if (report) await reportUndoableChange(report, before, `${verb} ${ruleIds.length === 1 ? "rule" : `${ruleIds.length} rules`} to ${targetName}`);
+					}));
+				};
+				const getOtherScopes = () => getAllRuleScopes();
+				const getWorkspaceScopes = () => isMultiRootWorkspace() ? [vscode.ConfigurationTarget.Workspace, ...getWorkspaceFolderScopes()] : [vscode.ConfigurationTarget.Workspace];
+				registerTransferCommand('ctk.copyRulesToScope', false, getOtherScopes);
+				registerTransferCommand('ctk.moveRulesToScope', true, getOtherScopes);
+				registerTransferCommand('ctk.promoteRules', true, () => [vscode.ConfigurationTarget.Global]);
+				registerTransferCommand('ctk.demoteRules', true, getWorkspaceScopes);
+
+				const registerGroupEnableCommand = (commandId, enabled) => {
+					context.subscriptions.push(registerRuleCommand(commandId, async (item) => {
+						if (!(item instanceof GroupTreeItem)) {
+							vscode.window.showErrorMessage("CTK GEE: No group selected from tree.");
+							return;
+						}
+						const groupRules = getCtkRuleSet(item.scope).filter(r => isRuleInGroup(r, item.groupPath));
+						const changedCount = await setRulesEnabled(new Map(groupRules.map(r => [r.id, enabled])), item.scope);
+						vscode.window.showInformationMessage(`CTK GEE: ${changedCount} rule(s) in group "${item.groupPath}" ${enabled ? "enabled" : "disabled"}.`);
+						refreshProviderForScope(item.scope);
+					}));
+				};
+				registerGroupEnableCommand('ctk.tree.enableGroup', true);
+				registerGroupEnableCommand('ctk.tree.disableGroup', false);
 
-					const geminiKVs = parseGeminiRulesString(await getGeminiRulesStringFromConfig(scope)).orderedKeyValues;
-					const filteredGeminiKVs = geminiKVs.filter(kv => kv.key !== keyToDelete);
-					await updateGeminiRulesStringInConfig(buildGeminiRulesString(filteredGeminiKVs), scope);
+				context.subscriptions.push(registerRuleCommand('ctk.tree.renameGroup', async (item) => {
+					if (!(item instanceof GroupTreeItem)) {
+						vscode.window.showErrorMessage("CTK GEE: No group selected from tree.");
+						return;
+					}
+					const groupInput = await vscode.window.showInputBox({
+						prompt: `Enter the new path for group '${item.groupPath}'`,
+						value: item.groupPath,
+						validateInput: text => normalizeGroupPath(text) ? null : "Group path cannot be empty."
+					});
+					if (groupInput === undefined) return;
+					const newGroupPath = normalizeGroupPath(groupInput);
+					if (newGroupPath === item.groupPath) return;
+
+					// Subgroups keep their position under the renamed group
+					const updatedCtkRules = getCtkRuleSet(item.scope).map(r => {
+						if (!isRuleInGroup(r, item.groupPath)) return r;
+						return { ...r, group: newGroupPath + normalizeGroupPath(r.group).slice(item.groupPath.length) };
+					});
+					await updateCtkRuleSet(updatedCtkRules, item.scope);
+					refreshProviderForScope(item.scope);
+				}));
 
-					vscode.window.showInformationMessage(`CTK GEE: ${scopeNameProper} Rule "${keyToDelete}" deleted via tree.`);
-					if (scope === vscode.ConfigurationTarget.Global && userRulesProvider) userRulesProvider.refresh();
-					if (scope === vscode.ConfigurationTarget.Workspace && workspaceRulesProvider) workspaceRulesProvider.refresh();
+				context.subscriptions.push(registerRuleCommand('ctk.tree.deleteGroup', async (item) => {
+					if (!(item instanceof GroupTreeItem)) {
+						vscode.window.showErrorMessage("CTK GEE: No group selected from tree.");
+						return;
+					}
+					const scopeNameProper = getScopeNameProper(item.scope);
+					const groupRules = getCtkRuleSet(item.scope).filter(r => isRuleInGroup(r, item.groupPath));
+					const choice = await vscode.window.showWarningMessage(
+						`Delete ${scopeNameProper} group "${item.groupPath}"? It contains ${groupRules.length} rule(s).`,
+						{ modal: true },
+						"Delete Group and Rules",
+						"Ungroup Rules"
+					);
+
+					if (choice === "Delete Group and Rules") {
+						await removeRulesFromScope(groupRules.map(r => r.id), item.scope);
+						vscode.window.showInformationMessage(`CTK GEE: Deleted group "${item.groupPath}" and ${groupRules.length} rule(s).`);
+					} else if (choice === "Ungroup Rules") {
+						await updateRules(groupRules.map(r => r.id), item.scope, { group: undefined });
+						vscode.window.showInformationMessage(`CTK GEE: Ungrouped ${groupRules.length} rule(s) from "${item.groupPath}".`);
+					} else {
+						return;
+					}
+					refreshProviderForScope(item.scope);
 				}));
 
 		} catch (error) {
@@ -881,61 +6038,123 @@ async function activate(context) {
 		try {
 				console.log('CTK GEE: Registering configuration listener...');
 				context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(async event => {
-						const ctkRuleSetKeyScoped = `${CONFIG_SECTION_CTK}.${CTK_RULE_SET_KEY}`;
-						const geminiRulesKey = GEMINI_CODE_ASSIST_RULES_KEY;
-						
-						// Determine if the change affects global or workspace settings
-						let affectedScope = null;
-						// Check if the event affects the configuration in the global scope or any workspace scope
-						if (event.affectsConfiguration(ctkRuleSetKeyScoped, null) || event.affectsConfiguration(geminiRulesKey, null)) {
-								 // If a workspace is open, check if the change is specific to the workspace
-								if (isWorkspaceOpen() && (event.affectsConfiguration(ctkRuleSetKeyScoped, vscode.workspace.workspaceFolders[0].uri) || event.affectsConfiguration(geminiRulesKey, vscode.workspace.workspaceFolders[0].uri))) {
-										affectedScope = vscode.ConfigurationTarget.Workspace;
-								} else if (!isWorkspaceOpen() || 
-													!(event.affectsConfiguration(ctkRuleSetKeyScoped, vscode.workspace.workspaceFolders?.[0].uri) || 
-														event.affectsConfiguration(geminiRulesKey, vscode.workspace.workspaceFolders?.[0].uri))
-													) {
-										// If no workspace is open, or if the change is not specific to the workspace (when one is open),
-										// assume it's a global change.
-										affectedScope = vscode.ConfigurationTarget.Global;
+						try {
+								const ctkRuleSetKeyScoped = `${CONFIG_SECTION_CTK}.${CTK_RULE_SET_KEY}`;
+								const geminiRulesKey = GEMINI_CODE_ASSIST_RULES_KEY;
+								if (event.affectsConfiguration(`${CONFIG_SECTION_CTK}.${CTK_PROFILES_KEY}`) || event.affectsConfiguration(`${CONFIG_SECTION_CTK}.${CTK_ACTIVE_PROFILE_KEY}`)) {
+										// Profiles only show in view titles and folder nodes
+										if (userRulesProvider) userRulesProvider.refresh();
+										if (workspaceRulesProvider) workspaceRulesProvider.refresh();
 								}
-						}
-
-						if (!affectedScope) return; // Change didn't affect our settings or relevant scope
-
-						const scopeNameProper = affectedScope === vscode.ConfigurationTarget.Global ? "Global" : "Workspace";
-
-						if (event.affectsConfiguration(ctkRuleSetKeyScoped, affectedScope === vscode.ConfigurationTarget.Workspace ? vscode.workspace.workspaceFolders[0].uri : undefined)) {
-								console.log(`CTK GEE: ${ctkRuleSetKeyScoped} changed for ${scopeNameProper}. Ensuring integrity and syncing.`);
-								const currentCtkRules = getCtkRuleSet(affectedScope);
-								const { cleanedCtkRules, keyRenames, madeChanges } = await ensureAndCleanCtkRuleSet(currentCtkRules, scopeNameProper);
-
-								if (madeChanges) { // If ensureAndCleanCtkRuleSet modified the ctkRules (e.g. deduped keys/ids)
-										await updateCtkRuleSet(cleanedCtkRules, affectedScope); // Persist cleaned ctk.ruleSet
+								if (event.affectsConfiguration(`${CONFIG_SECTION_CTK}.${CTK_SYNC_TARGETS_KEY}`) || event.affectsConfiguration(`${CONFIG_SECTION_CTK}.${CTK_ACTIVE_SYNC_TARGETS_KEY}`)) {
+										for (const scope of getAllRuleScopes()) {
+												await syncRuleTargets(scope);
+										}
 								}
-								// Always sync, as order might have changed or keys might have been cleaned
-								await syncRules(affectedScope, keyRenames);
-
-								if (affectedScope === vscode.ConfigurationTarget.Global && userRulesProvider) userRulesProvider.refresh();
-								if (affectedScope === vscode.ConfigurationTarget.Workspace && workspaceRulesProvider) workspaceRulesProvider.refresh();
-
-						} else if (event.affectsConfiguration(geminiRulesKey, affectedScope === vscode.ConfigurationTarget.Workspace ? vscode.workspace.workspaceFolders[0].uri : undefined)) {
-								console.log(`CTK GEE: ${geminiRulesKey} changed for ${scopeNameProper}. Reconciling with ctk.ruleSet.`);
-								await reconcileCtkWithExternalGeminiChange(affectedScope);
-								// Reconcile might change ctk.ruleSet and gemini.rules, so refresh
-								if (affectedScope === vscode.ConfigurationTarget.Global && userRulesProvider) userRulesProvider.refresh();
-								if (affectedScope === vscode.ConfigurationTarget.Workspace && workspaceRulesProvider) workspaceRulesProvider.refresh();
+								if (event.affectsConfiguration(`${CONFIG_SECTION_CTK}.lint`)) await lintRules();
+								if (event.affectsConfiguration(`${CONFIG_SECTION_CTK}.teamLibrary`)) {
+										updateTeamLibraryWatcher();
+										await loadTeamLibrary();
+								}
+								if (event.affectsConfiguration(`${CONFIG_SECTION_CTK}.ruleFiles`)) {
+										updateRuleFileWatchers();
+										for (const scope of getRuleFileScopes()) {
+												await initializeRuleFiles(scope);
+										}
+								}
+								// Rules with ${config:...} placeholders follow the settings they refer to
+								for (const scope of getAllRuleScopes()) {
+										const settingNames = getCtkRuleSet(scope).flatMap(r => [...getReferencedSettingNames(r.template), ...getReferencedSettingNames(r.value)]);
+										if (settingNames.some(name => event.affectsConfiguration(name))) await syncRules(scope);
+								}
+								if (!event.affectsConfiguration(ctkRuleSetKeyScoped) && !event.affectsConfiguration(geminiRulesKey)) return;
+
+								// The event does not say which scope changed (and folder settings overlap the workspace ones), so compare snapshots
+								const changedScopes = await detectChangedRuleScopes();
+								for (const { scope: affectedScope, ruleSetChanged, geminiRulesChanged, previousGeminiRules } of changedScopes) {
+										const scopeNameProper = getScopeNameProper(affectedScope);
+
+										if (ruleSetChanged) {
+												console.log(`CTK GEE: ${ctkRuleSetKeyScoped} changed for ${scopeNameProper}. Ensuring integrity and syncing.`);
+												const currentCtkRules = getCtkRuleSet(affectedScope);
+												const { cleanedCtkRules, keyRenames, madeChanges } = await ensureAndCleanCtkRuleSet(currentCtkRules, scopeNameProper);
+
+												if (madeChanges) { // If ensureAndCleanCtkRuleSet modified the ctkRules (e.g. deduped keys/ids)
+														await updateCtkRuleSet(cleanedCtkRules, affectedScope); // Persist cleaned ctk.ruleSet
+												}
+												// Always sync, as order might have changed or keys might have been cleaned
+												await syncRules(affectedScope, keyRenames);
+												refreshProviderForScope(affectedScope);
+
+										} else if (geminiRulesChanged) {
+												console.log(`CTK GEE: ${geminiRulesKey} changed for ${scopeNameProper}. Reconciling with ctk.ruleSet.`);
+												await reconcileCtkWithExternalGeminiChange(affectedScope, previousGeminiRules);
+												// Reconcile might change ctk.ruleSet and gemini.rules, so refresh
+												refreshProviderForScope(affectedScope);
+										}
+										// Sidebar and command edits flow back into the repository rule files, if enabled
+										await writeRuleFilesFromScope(affectedScope);
+										scheduleRuleSnapshot(affectedScope);
+										ruleApiChangeEmitter.fire({ scope: toApiScope(affectedScope) });
+								}
+								// Open rule documents follow the settings; dirty ones get a save conflict instead of being overwritten
+								if (ruleFileSystemProvider) await ruleFileSystemProvider.notifyRulesChanged();
+								if (ruleHistoryDocumentProvider) ruleHistoryDocumentProvider.notifyCurrentChanged();
+								if (effectiveRulesDocumentProvider) effectiveRulesDocumentProvider.refresh();
+								await RuleManagerPanel.refresh();
+								// Subscriptions show in the Team Rules view, and pulling or updating changes what is outdated
+								if (teamRulesProvider) teamRulesProvider.refresh();
+								await notifyTeamRuleUpdates();
+								await lintRules();
+								await updateRuleStatusBar();
+						} catch (error) {
+								// Keep the views and the status bar showing the settings as they are, whatever did not get handled
+								reportRuleError("Handling a settings change", error);
+								if (userRulesProvider) userRulesProvider.refresh();
+								if (workspaceRulesProvider) workspaceRulesProvider.refresh();
+								updateRuleStatusBar().catch(statusError => console.error("CTK GEE: Error updating the status bar:", statusError));
+						}
+				}));
+				context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(async event => {
+						for (const folder of event.added) {
+								if (isMultiRootWorkspace()) await initializeWorkspaceScope(folder);
 						}
+						updateRuleFileWatchers();
+						for (const folder of event.added) {
+								if (isMultiRootWorkspace()) await initializeRuleFiles(folder);
+						}
+						await detectChangedRuleScopes(); // Start tracking added folders, forget removed ones
+						// A relative team library path belongs to the first folder
+						updateTeamLibraryWatcher();
+						await loadTeamLibrary();
+						if (workspaceRulesProvider) workspaceRulesProvider.refresh(); // Refresh when workspace folders change
+						if (effectiveRulesDocumentProvider) effectiveRulesDocumentProvider.refresh();
+						await RuleManagerPanel.refresh();
+						await updateRuleStatusBar();
+				}));
+				// Conditional rules follow the active editor. Focus moving to a panel or the chat keeps the last file.
+				context.subscriptions.push(vscode.window.onDidChangeActiveTextEditor(editor => {
+						if (editor && isRuleConditionDocument(editor.document)) scheduleRuleConditionUpdate(editor.document);
 				}));
-				context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(() => {
-					if (workspaceRulesProvider) workspaceRulesProvider.refresh(); // Refresh when workspace folders change
+				// A window that was in the background catches up with its own editor
+				context.subscriptions.push(vscode.window.onDidChangeWindowState(state => {
+						if (state.focused && ruleConditionDocument) scheduleRuleConditionUpdate(ruleConditionDocument);
+				}));
+				// Changing the language of a document reopens it
+				context.subscriptions.push(vscode.workspace.onDidOpenTextDocument(document => {
+						const activeEditor = vscode.window.activeTextEditor;
+						if (activeEditor && activeEditor.document.uri.toString() === document.uri.toString() && isRuleConditionDocument(document)) {
+								scheduleRuleConditionUpdate(document);
+						}
 				}));
+				context.subscriptions.push(new vscode.Disposable(() => clearTimeout(pendingRuleConditionUpdate)));
 				console.log('CTK GEE: Configuration listener registered.');
 		} catch (error) {
 				console.error("CTK GEE: Error registering configuration listener:", error);
 				vscode.window.showErrorMessage("CTK GEE: Error registering configuration listener. Auto-sync on config change might be affected. Check Developer Tools Console.");
 		}
 		console.log('CTK GEE: Activation fully completed.');
+		return createRuleApi();
 }
 
 // This method is called when your extension is deactivated
@@ -943,5 +6162,20 @@ function deactivate() {}
 
 module.exports = {
 		activate,
-		deactivate
+		deactivate,
+		// Exported for the tests of what needs the extension host; the rule logic is tested through rule-core.js
+		syncRules,
+		transferRules,
+		applyRuleProfile,
+		restoreRuleSnapshot,
+		captureRuleStates,
+		undoRuleOperation,
+		computeRuleReconciliation,
+		applyRuleReconciliation,
+		importRuleFilesIntoScope,
+		buildEffectiveRulesDocument,
+		applyRuleConditionDocument,
+		createRuleApi,
+		RuleFileSystemProvider,
+		RuleManagerPanel
 }
@@ -0,0 +1,1319 @@
+// Rule logic shared by the extension and the ctk-gee command line tool. Nothing here may depend on the vscode
+// module, so the tool runs where VS Code does not and the logic is tested in plain mocha.
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+const CONFIG_SECTION_CTK = 'ctk'; // The configuration section identifier
+const CTK_RULE_SET_KEY = 'ruleSet';	 // The key for the ruleSet *within* the CONFIG_SECTION_CTK
+const GEMINI_CODE_ASSIST_RULES_KEY = 'geminicodeassist.rules';
+// For geminicodeassist.rules, since it's defined as a root property in package.json,
+// we use getConfiguration() without a section or getConfiguration(null)
+// and update it directly.
+
+/**
+ * @typedef {object} Rule
+ * @property {number} id
+ * @property {string} key
+ * @property {boolean} [enabled] When false, the rule is left out of geminicodeassist.rules.
+ * @property {string} [value] The value of a disabled rule, held here because it is absent from geminicodeassist.rules.
+ * @property {string} [group] Slash-separated folder path the rule is shown under (e.g. "Languages/Python").
+ * @property {string[]} [tags] Free-form tags used to filter the rule views.
+ * @property {string} [template] The raw value of an enabled rule containing placeholders; geminicodeassist.rules holds it resolved.
+ * @property {TeamRuleLink} [team] Set on rules pulled from the team library, whose key and value are locked.
+ * @property {RuleConditions} [when] Limits the rule to some files; it is only written while the active editor matches.
+ */
+
+/**
+ * Files a conditional rule applies to, matched against the active editor. Every listed kind must match,
+ * and within a kind one entry is enough.
+ * @typedef {object} RuleConditions
+ * @property {string[]} [languages] Language IDs, e.g. "python".
+ * @property {string[]} [files] Glob patterns on the workspace-relative path, e.g. "tests/**" or "*.tf".
+ * @property {string[]} [folders] Names of workspace folders.
+ */
+
+/**
+ * Links a rule to the team library entry it was pulled from.
+ * @typedef {object} TeamRuleLink
+ * @property {string} key Key of the entry in the team library.
+ * @property {string} version Version of the entry the rule's value was last taken from.
+ */
+
+/**
+ * A rule as written to and read from library files, without its scope-local ID.
+ * @typedef {object} RuleLibraryEntry
+ * @property {string} key
+ * @property {string} value
+ * @property {boolean} [enabled]
+ * @property {string} [group]
+ * @property {string[]} [tags]
+ * @property {RuleConditions} [when]
+ */
+
+/**
+ * Checks whether a rule should be written to geminicodeassist.rules.
+ * Rules without an explicit enabled flag are treated as enabled.
+ * @param {Rule} rule
+ * @returns {boolean}
+ */
+function isRuleEnabled(rule) {
+		return rule.enabled !== false;
+}
+
+/**
+ * Returns a copy of the rule marked as enabled, without a held value.
+ * @param {Rule} rule
+ * @returns {Rule}
+ */
+function asEnabledRule(rule) {
+		const copy = { ...rule };
+		delete copy.enabled;
+		delete copy.value;
+		return copy;
+}
+
+/**
+ * @param {Rule} rule
+ * @returns {boolean} True if the rule is subscribed from the team library, which locks its key and value.
+ */
+function isRuleLocked(rule) {
+		return !!(rule && rule.team);
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function getTeamRuleVersion(value) {
+		return crypto.createHash('sha256').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * Normalizes a group path by trimming its segments and dropping empty ones.
+ * @param {string} [groupPath]
+ * @returns {string} The normalized path, or "" for ungrouped rules.
+ */
+function normalizeGroupPath(groupPath) {
+		if (typeof groupPath !== 'string') return "";
+		return groupPath.split('/').map(segment => segment.trim()).filter(Boolean).join('/');
+}
+
+/**
+ * Checks whether a rule belongs to a group or one of its subgroups.
+ * @param {Rule} rule
+ * @param {string} groupPath A normalized group path.
+ * @returns {boolean}
+ */
+function isRuleInGroup(rule, groupPath) {
+		const ruleGroup = normalizeGroupPath(rule.group);
+		return ruleGroup === groupPath || ruleGroup.startsWith(`${groupPath}/`);
+}
+
+const RULE_CONDITION_KINDS = ['languages', 'files', 'folders'];
+
+/**
+ * Validates rule conditions read from settings, rule files or libraries. A single string is accepted for a list.
+ * @param {any} candidate
+ * @returns {RuleConditions | undefined} The conditions without empty entries, or undefined if none are left.
+ */
+function normalizeRuleConditions(candidate) {
+		if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) return undefined;
+		const conditions = {};
+		for (const kind of RULE_CONDITION_KINDS) {
+				const values = typeof candidate[kind] === 'string' ? [candidate[kind]] : candidate[kind];
+				if (!Array.isArray(values)) continue;
+				const entries = [...new Set(values.filter(v => typeof v === 'string').map(v => v.trim()).filter(Boolean))];
+				if (entries.length > 0) conditions[kind] = entries;
+		}
+		return Object.keys(conditions).length > 0 ? conditions : undefined;
+}
+
+/**
+ * Checks a rule key typed into an input box or given on the command line.
+ * Colons and quotes are allowed; buildGeminiRulesString writes such keys quoted.
+ * @param {string} text
+ * @returns {string | null} The problem, or null if the key is valid.
+ */
+function validateRuleKey(text) {
+		if (!text || text.trim() === "") return "Key cannot be empty.";
+		if (/[\r\n]/.test(text)) return "Key cannot contain line breaks.";
+		return null;
+}
+
+const GEMINI_RULES_SEPARATOR = '\n\n\n\n'; // Between rules in geminicodeassist.rules
+const QUOTED_RULE_KEY_PATTERN = /^\s*("(?:[^"\\\n]|\\.)*")[ \t]*:/;
+
+/**
+ * Writes a rule key for geminicodeassist.rules. Keys that the parser would split or trim are written as a JSON string.
+ * @param {string} key
+ * @returns {string}
+ */
+function encodeGeminiRuleKey(key) {
+		return /[:\n"]|^\s|\s$/.test(key) || key === "" ? JSON.stringify(key) : key;
+}
+
+/**
+ * Writes a rule value for geminicodeassist.rules so that it reads back unchanged. The text stays as written, except:
+ * a line made only of backslashes gets one more, and an empty line that would run into the rule separator
+ * (a third empty line in a row, or a trailing one) is written as a single backslash.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeGeminiRuleValue(value) {
+		const lines = value.split('\n');
+		let emptyLineRun = 0;
+		return lines.map((line, index) => {
+				if (/^\\+$/.test(line)) {
+						emptyLineRun = 0;
+						return `\\${line}`;
+				}
+				if (line !== "") {
+						emptyLineRun = 0;
+						return line;
+				}
+				emptyLineRun++;
+				if (emptyLineRun >= 3 || (index > 0 && index === lines.length - 1)) {
+						emptyLineRun = 0;
+						return '\\';
+				}
+				return line;
+		}).join('\n');
+}
+
+/**
+ * Reverses encodeGeminiRuleValue.
+ * @param {string} encodedValue
+ * @returns {string}
+ */
+function decodeGeminiRuleValue(encodedValue) {
+		return encodedValue.split('\n').map(line => /^\\+$/.test(line) ? line.substring(1) : line).join('\n');
+}
+
+/**
+ * Parses the geminicodeassist.rules string.
+ * Entries without a key are taken as the continuation of the previous rule's value, which an older version split
+ * at blank lines; they are reported in `problems`, as are duplicate keys.
+ * @param {string} rulesString
+ * @returns {{orderedKeyValues: {key: string, value: string}[], valueMap: Map<string, string>, problems: string[]}}
+ */
+function parseGeminiRulesString(rulesString) {
+		const orderedKeyValues = [];
+		const valueMap = new Map();
+		const problems = [];
+		if (typeof rulesString !== 'string' || rulesString.trim() === "") {
+				return { orderedKeyValues, valueMap, problems };
+		}
+
+		for (const entry of rulesString.split(GEMINI_RULES_SEPARATOR)) {
+				if (entry.trim() === "") continue;
+				let key;
+				let encodedValue;
+				const quotedKeyMatch = entry.match(QUOTED_RULE_KEY_PATTERN);
+				if (quotedKeyMatch) {
+						try {
+								key = JSON.parse(quotedKeyMatch[1]);
+								encodedValue = entry.substring(quotedKeyMatch[0].length);
+						} catch {
+								key = undefined;
+						}
+				}
+				if (key === undefined) {
+						const colonIndex = entry.indexOf(':');
+						if (colonIndex > 0 && entry.substring(0, colonIndex).trim() !== "") {
+								key = entry.substring(0, colonIndex).trim();
+								encodedValue = entry.substring(colonIndex + 1);
+						}
+				}
+
+				if (key === undefined) {
+						const previous = orderedKeyValues[orderedKeyValues.length - 1];
+						if (previous) {
+								previous.value += GEMINI_RULES_SEPARATOR + decodeGeminiRuleValue(entry);
+								valueMap.set(previous.key, previous.value);
+								problems.push(`Text without a key after "${previous.key}" was taken as part of its value.`);
+						} else {
+								let untitledKey = 'untitled';
+								for (let n = 2; valueMap.has(untitledKey); n++) untitledKey = `untitled_${n}`;
+								orderedKeyValues.push({ key: untitledKey, value: decodeGeminiRuleValue(entry.trim()) });
+								valueMap.set(untitledKey, decodeGeminiRuleValue(entry.trim()));
+								problems.push(`Text without a key at the start was taken as rule "${untitledKey}".`);
+						}
+						continue;
+				}
+
+				// "key: value" is written with one space after the colon
+				const value = decodeGeminiRuleValue(encodedValue.replace(/^ /, ''));
+				if (valueMap.has(key)) problems.push(`Key "${key}" appears more than once; only the last value is kept.`);
+				orderedKeyValues.push({ key, value });
+				valueMap.set(key, value);
+		}
+		return { orderedKeyValues, valueMap, problems };
+}
+
+// ${workspaceFolder}, ${workspaceFolderBasename}, ${env:NAME}, ${config:section.key} and ${rule:key}.
+// Other ${...} text (e.g. template literals in code samples) is not a placeholder and is left alone.
+const RULE_PLACEHOLDER_PATTERN = /\$\{(workspaceFolder|workspaceFolderBasename|env:[^}]+|config:[^}]+|rule:[^}]+)\}/g;
+
+/**
+ * Values and state used to resolve rule placeholders while building geminicodeassist.rules.
+ * @typedef {object} RuleSubstitutionContext
+ * @property {{name: string, uri: {fsPath: string}} | undefined} folder Workspace folder for ${workspaceFolder...}.
+ * @property {Map<string, string>} ruleValues Raw values by key, including disabled rules, for ${rule:key}.
+ * @property {(name: string) => any} getSetting Reads a setting for ${config:...}, as seen from the folder.
+ * @property {{key: string, placeholder: string, reason: string}[]} problems Placeholders that could not be resolved.
+ */
+
+/**
+ * @param {string} value
+ * @returns {boolean} True if the value contains placeholders resolved by resolveRuleValue.
+ */
+function hasRulePlaceholders(value) {
+		return typeof value === 'string' && new RegExp(RULE_PLACEHOLDER_PATTERN.source).test(value);
+}
+
+/**
+ * @param {string} value
+ * @returns {string[]} Names of the settings referenced with ${config:...}.
+ */
+function getReferencedSettingNames(value) {
+		return [...(value || "").matchAll(RULE_PLACEHOLDER_PATTERN)].map(match => match[1]).filter(name => name.startsWith('config:')).map(name => name.slice('config:'.length));
+}
+
+/**
+ * Replaces the placeholders in a rule value. A placeholder that cannot be resolved is left as written and recorded
+ * in context.problems, so nothing is silently replaced by an empty string.
+ * @param {string} value
+ * @param {RuleSubstitutionContext} context
+ * @param {string[]} includeStack Keys of the rules being resolved, outermost first; the last one owns `value`.
+ * @returns {string}
+ */
+function resolveRuleValue(value, context, includeStack) {
+		const ownerKey = includeStack[includeStack.length - 1];
+		return value.replace(RULE_PLACEHOLDER_PATTERN, (placeholder, name) => {
+				const unresolved = reason => {
+						context.problems.push({ key: ownerKey, placeholder, reason });
+						return placeholder;
+				};
+
+				if (name === 'workspaceFolder' || name === 'workspaceFolderBasename') {
+						if (!context.folder) return unresolved("no workspace folder is open");
+						return name === 'workspaceFolder' ? context.folder.uri.fsPath : context.folder.name;
+				}
+				if (name.startsWith('env:')) {
+						const envValue = process.env[name.slice('env:'.length)];
+						return envValue === undefined ? unresolved("the environment variable is not set") : envValue;
+				}
+				if (name.startsWith('config:')) {
+						const settingName = name.slice('config:'.length);
+						if (settingName === GEMINI_CODE_ASSIST_RULES_KEY || settingName.startsWith(`${CONFIG_SECTION_CTK}.`)) {
+								return unresolved("the setting is managed by CTK GEE");
+						}
+						const settingValue = context.getSetting(settingName);
+						if (settingValue === undefined || settingValue === null) return unresolved("the setting is not set");
+						return typeof settingValue === 'object' ? JSON.stringify(settingValue) : String(settingValue);
+				}
+				// rule:key
+				const includedKey = name.slice('rule:'.length);
+				if (includeStack.includes(includedKey)) return unresolved(`include cycle ${[...includeStack, includedKey].join(" -> ")}`);
+				if (!context.ruleValues.has(includedKey)) return unresolved("no rule with this key in the same scope");
+				return resolveRuleValue(context.ruleValues.get(includedKey), context, [...includeStack, includedKey]);
+		});
+}
+
+/**
+ * Builds the geminicodeassist.rules string from ordered key-value pairs.
+ * @param {{key: string, value: string}[]} orderedKeyValues
+ * @param {RuleSubstitutionContext} [substitution] When given, placeholders in the values are resolved.
+ * @returns {string}
+ */
+function buildGeminiRulesString(orderedKeyValues, substitution) {
+		if (!Array.isArray(orderedKeyValues) || orderedKeyValues.length === 0) {
+				return "";
+		}
+		return orderedKeyValues.map(kv => {
+				const value = substitution ? resolveRuleValue(kv.value, substitution, [kv.key]) : kv.value;
+				return `${encodeGeminiRuleKey(kv.key)}: ${encodeGeminiRuleValue(value)}`;
+		}).join(GEMINI_RULES_SEPARATOR);
+}
+
+/**
+ * Returns a copy of an enabled rule that keeps its raw value as template if the value has placeholders.
+ * @param {Rule} rule
+ * @param {string | undefined} rawValue The rule's raw value, or undefined to drop the template.
+ * @returns {Rule}
+ */
+function withRuleTemplate(rule, rawValue) {
+		const updatedRule = { ...rule };
+		delete updatedRule.template;
+		if (rawValue !== undefined && hasRulePlaceholders(rawValue)) updatedRule.template = rawValue;
+		return updatedRule;
+}
+
+/**
+ * Ensures unique IDs and keys in a ctk.ruleSet array. Duplicate keys get a `_duplicate_<n>` suffix.
+ * @param {Rule[]} ctkRulesArray The array of ctk rules ({id, key}) to process.
+ * @param {string} scopeNameProper User-friendly scope name (e.g., "Global", "Workspace"), for the log.
+ * @returns {{cleanedCtkRules: Rule[], keyRenames: Map<string, string>, madeChanges: boolean}}
+ */
+function cleanCtkRuleSet(ctkRulesArray, scopeNameProper) {
+		if (!Array.isArray(ctkRulesArray)) return { cleanedCtkRules: [], keyRenames: new Map(), madeChanges: false };
+
+		const rules = JSON.parse(JSON.stringify(ctkRulesArray)); // Deep copy
+		let madeChanges = false;
+		const keyRenames = new Map(); // Map<originalKey, newKey>
+
+		// 1. Ensure unique and sequential IDs
+		const idSet = new Set();
+		let reassignIds = false;
+		for (const rule of rules) {
+				if (typeof rule.id !== 'number' || idSet.has(rule.id) || rule.id <= 0) {
+						reassignIds = true;
+						break;
+				}
+				idSet.add(rule.id);
+		}
+
+		if (reassignIds) {
+				madeChanges = true;
+				console.warn(`CTK GEE: Re-assigning IDs for ${scopeNameProper} ctk.ruleSet.`);
+				rules.forEach((rule, index) => {
+						rule.id = index + 1;
+				});
+		}
+
+		// 2. Ensure unique keys in ctk.ruleSet
+		const finalKeySet = new Set(); // Tracks keys already processed and finalized
+
+		for (const rule of rules) {
+				const originalRuleKey = rule.key; // Keep track of the key as it was when this rule was first encountered in this loop
+				let currentKey = rule.key;
+				let occurrences = 0;
+				// Count occurrences of this key *before* potential renaming
+				for(const r of rules) {
+						if (r.key === currentKey) occurrences++;
+				}
+				
+				if (finalKeySet.has(currentKey) || occurrences > 1) { // If it's a duplicate among remaining rules or conflicts with an already processed one
+						madeChanges = true;
+						let newKey;
+						let duplicateIndex = 0;
+						// Find a unique name based on the original key to avoid long chains like key_dup_1_dup_1
+						const baseKeyForDuplicates = originalRuleKey; 
+						do {
+								duplicateIndex++;
+								newKey = `${baseKeyForDuplicates}_duplicate_${duplicateIndex}`;
+						} while (rules.some(r => r.key === newKey && r !== rule) || finalKeySet.has(newKey) ); // Check against other rules and already finalized keys
+						
+						console.warn(`CTK GEE: Modifying duplicate key "${currentKey}" to "${newKey}" in ${scopeNameProper} ctk.ruleSet.`);
+						rule.key = newKey;
+						if (originalRuleKey !== newKey) {
+								 // If originalRuleKey was already a renamed key, we need to trace back
+								let ultimateOriginalKey = originalRuleKey;
+								for(const [o, n] of keyRenames.entries()){
+										if(n === originalRuleKey) {
+												ultimateOriginalKey = o;
+												break;
+										}
+								}
+								keyRenames.set(ultimateOriginalKey, newKey);
+						}
+				}
+				finalKeySet.add(rule.key);
+		}
+		return { cleanedCtkRules: rules, keyRenames, madeChanges };
+}
+
+/**
+ * The outcome of syncing a ctk.ruleSet with its geminicodeassist.rules, as computed by computeRuleSync.
+ * @typedef {object} RuleSyncResult
+ * @property {Rule[]} ctkRules ctk.ruleSet with held values moved in or out and templates updated.
+ * @property {string} geminiRules The geminicodeassist.rules to write.
+ * @property {boolean} heldValuesChanged Whether ctkRules differs from the ctk.ruleSet passed in and must be written too.
+ * @property {{key: string, placeholder: string, reason: string}[]} substitutionProblems Placeholders that could not be resolved.
+ */
+
+/**
+ * Computes the sync of a ctk.ruleSet (keys and order) with geminicodeassist.rules (values) without writing anything.
+ * Inactive rules are left out of geminicodeassist.rules and hold their value in ctk.ruleSet; a value held by an
+ * active rule is pending (re-enabled or moved in) and is moved into geminicodeassist.rules.
+ * @param {Rule[]} ctkRules
+ * @param {string} geminiRules The current geminicodeassist.rules.
+ * @param {object} [options]
+ * @param {Map<string, string>} [options.keyRenames] Map of oldKey -> newKey, for values still stored under a rule's old key.
+ * @param {(rule: Rule) => boolean} [options.isActive] Whether a rule is written to geminicodeassist.rules.
+ * Defaults to enabled rules without conditions, as when no editor is open.
+ * @param {(ruleValues: Map<string, string>) => RuleSubstitutionContext} [options.createSubstitution] Builds the context
+ * to resolve placeholders with. Defaults to one without a folder or settings.
+ * @returns {RuleSyncResult}
+ */
+function computeRuleSync(ctkRules, geminiRules, options = {}) {
+		const keyRenames = options.keyRenames || new Map();
+		const isActive = options.isActive || (rule => isRuleEnabled(rule) && !normalizeRuleConditions(rule.when));
+		const createSubstitution = options.createSubstitution || (ruleValues => ({ folder: undefined, ruleValues, problems: [], getSetting: () => undefined }));
+		const { valueMap: currentGeminiValueMap } = parseGeminiRulesString(geminiRules);
+
+		const newOrderedKeyValues = [];
+		let heldValuesChanged = false;
+		const updatedCtkRules = ctkRules.map(ctkRule => {
+				let valueToUse = currentGeminiValueMap.get(ctkRule.key);
+
+				// If ctkRule.key might be a renamed key, try to find its original value
+				if (valueToUse === undefined) {
+						for (const [originalKey, renamedKey] of keyRenames.entries()) {
+								if (renamedKey === ctkRule.key) {
+										valueToUse = currentGeminiValueMap.get(originalKey);
+										break;
+								}
+						}
+				}
+
+				if (!isActive(ctkRule)) {
+						// Hold the value in ctk.ruleSet so it survives being left out of geminicodeassist.rules.
+						// The held value is raw, so a template is no longer needed.
+						if (ctkRule.value === undefined || ctkRule.template !== undefined) {
+								heldValuesChanged = true;
+								return withRuleTemplate({ ...ctkRule, value: ctkRule.value !== undefined ? ctkRule.value : (ctkRule.template || valueToUse || "") }, undefined);
+						}
+						return ctkRule;
+				}
+
+				// A held value on an enabled rule is pending (re-enabled or moved in) and takes precedence,
+				// then the raw template, since geminicodeassist.rules only holds its resolved text
+				if (ctkRule.template !== undefined) valueToUse = ctkRule.template;
+				if (ctkRule.value !== undefined) valueToUse = ctkRule.value;
+				newOrderedKeyValues.push({ key: ctkRule.key, value: valueToUse || "" }); // Default to empty string if no value found
+				if (normalizeRuleConditions(ctkRule.when)) {
+						// Conditional rules keep holding their value, so following the active editor only rewrites geminicodeassist.rules
+						if (ctkRule.value === undefined || ctkRule.template !== undefined) {
+								heldValuesChanged = true;
+								return withRuleTemplate({ ...ctkRule, value: valueToUse || "" }, undefined);
+						}
+						return ctkRule;
+				}
+				const updatedRule = withRuleTemplate(asEnabledRule(ctkRule), valueToUse || "");
+				if (updatedRule.template !== ctkRule.template || ctkRule.value !== undefined) {
+						heldValuesChanged = true;
+						return updatedRule;
+				}
+				return ctkRule;
+		});
+
+		const ruleValues = new Map(newOrderedKeyValues.map(kv => [kv.key, kv.value]));
+		updatedCtkRules.filter(r => !isActive(r)).forEach(r => ruleValues.set(r.key, r.value || ""));
+		const substitution = createSubstitution(ruleValues);
+		return {
+				ctkRules: updatedCtkRules,
+				geminiRules: buildGeminiRulesString(newOrderedKeyValues, substitution),
+				heldValuesChanged,
+				substitutionProblems: substitution.problems
+		};
+}
+
+/**
+ * Checks whether geminicodeassist.rules holds exactly the active rules of a ctk.ruleSet, in order.
+ * Values are not compared, since geminicodeassist.rules is where they are kept, except for rules with placeholders
+ * and conditional rules, which hold their value: given createSubstitution, their resolved value must match,
+ * so a value edited outside CTK GEE is not in sync.
+ * @param {Rule[]} ctkRules
+ * @param {string} geminiRules
+ * @param {(rule: Rule) => boolean} isActive
+ * @param {(ruleValues: Map<string, string>) => RuleSubstitutionContext} [createSubstitution] As for computeRuleSync.
+ * @returns {boolean}
+ */
+function isRuleSetInSync(ctkRules, geminiRules, isActive, createSubstitution) {
+		const { valueMap: geminiValueMap } = parseGeminiRulesString(geminiRules);
+		let substitution;
+		if (createSubstitution) {
+				// Raw values, as computeRuleSync resolves ${rule:key} with
+				substitution = createSubstitution(new Map(ctkRules.map(r => [r.key, r.value !== undefined ? r.value : (r.template !== undefined ? r.template : geminiValueMap.get(r.key) || "")])));
+		}
+		// Construct what gemini.rules *should* look like based on current ctk.ruleSet and current gemini values
+		const ctkDerivedGeminiString = buildGeminiRulesString(
+				ctkRules.filter(isActive).map(r => ({
+						key: r.key,
+						value: substitution && r.template !== undefined ? resolveRuleValue(r.template, substitution, [r.key])
+								: substitution && normalizeRuleConditions(r.when) && r.value !== undefined ? resolveRuleValue(r.value, substitution, [r.key])
+								: geminiValueMap.get(r.key) || ""
+				}))
+		);
+		return ctkDerivedGeminiString === geminiRules;
+}
+
+/**
+ * Finds rules in a geminicodeassist.rules string that the earlier format (split at every blank-line run and
+ * at the first colon) did not store faithfully: values split into several entries, duplicate keys,
+ * and rules whose key contains a colon.
+ * @param {string} geminiRules
+ * @param {Rule[]} ctkRules ctk.ruleSet of the same scope. When empty, every entry is taken as a rule.
+ * @param {(rule: Rule) => boolean} isActive Whether a rule is written to geminicodeassist.rules.
+ * @returns {string[]} One description per problem.
+ */
+function findRoundTripProblems(geminiRules, ctkRules, isActive) {
+		const { orderedKeyValues, valueMap, problems } = parseGeminiRulesString(geminiRules);
+		if (ctkRules.length === 0) return problems;
+
+		const ctkKeys = new Set(ctkRules.map(r => r.key));
+		// Both formats write a rule as "key: value", so an entry in another form (e.g. a multi-line key or no space after
+		// the colon) was not written as a rule: it is a part of the previous value that contained the separator.
+		// Entries in the written form are rules added outside CTK GEE, which reconciliation offers to keep.
+		const entries = new Set(geminiRules.split(GEMINI_RULES_SEPARATOR));
+		orderedKeyValues.forEach((kv, index) => {
+				if (ctkKeys.has(kv.key) || index === 0 || entries.has(buildGeminiRulesString([kv]))) return;
+				problems.push(`"${kv.key}" is not a rule; it may be part of the value of "${orderedKeyValues[index - 1].key}" that was split at blank lines.`);
+		});
+		for (const rule of ctkRules) {
+				if (isActive(rule) && rule.key.includes(':') && !valueMap.has(rule.key)) {
+						problems.push(`Rule "${rule.key}" has a colon in its key, so its value could not be stored.`);
+				}
+		}
+		return problems;
+}
+
+/**
+ * One difference between the sidebar rules (ctk.ruleSet) and geminicodeassist.rules, as listed in the reconciliation view.
+ * @typedef {object} RuleDifference
+ * @property {string} id
+ * @property {'added' | 'removed' | 'renamed' | 'changed' | 'reordered'} kind
+ * @property {string} label What happened, e.g. "Changed in settings".
+ * @property {{key: string, value: string} | undefined} ours The rule as the sidebar has it, if it has it.
+ * @property {{key: string, value: string} | undefined} theirs The rule as geminicodeassist.rules has it, if it has it.
+ * @property {'ours' | 'theirs'} defaultSide The side that changed since the last sync, or the side that keeps the rule.
+ * @property {boolean} canMerge Whether a merged value can be written for it.
+ */
+
+/**
+ * Compares ctk.ruleSet with geminicodeassist.rules rule by rule. The last synced geminicodeassist.rules serves as the
+ * common base, which tells which side changed. It also supplies the sidebar's values, since ctk.ruleSet does not hold
+ * the values of enabled rules; rules with placeholders use their template, resolved.
+ * @param {Rule[]} ctkRules
+ * @param {string} geminiRules
+ * @param {string | undefined} baseGeminiRules
+ * @param {(rule: Rule) => boolean} isActive Whether a rule is written to geminicodeassist.rules.
+ * @param {(ruleValues: Map<string, string>) => RuleSubstitutionContext} createSubstitution As for computeRuleSync.
+ * @returns {RuleDifference[]}
+ */
+function computeRuleDifferences(ctkRules, geminiRules, baseGeminiRules, isActive, createSubstitution) {
+		const theirs = parseGeminiRulesString(geminiRules);
+		const base = baseGeminiRules !== undefined ? parseGeminiRulesString(baseGeminiRules) : undefined;
+		const theirsKeyValues = theirs.orderedKeyValues.filter((kv, index, all) => all.findIndex(other => other.key === kv.key) === index);
+		const enabledRules = ctkRules.filter(isActive);
+		const substitution = createSubstitution(new Map(ctkRules.map(r => [r.key, r.value !== undefined ? r.value : (r.template !== undefined ? r.template : theirs.valueMap.get(r.key) || "")])));
+		const ourValue = rule => {
+				if (rule.value !== undefined) return rule.value;
+				// What the template resolves to now, so an edit of the resolved text shows even without a base
+				if (rule.template !== undefined) return resolveRuleValue(rule.template, substitution, [rule.key]);
+				if (base && base.valueMap.has(rule.key)) return base.valueMap.get(rule.key);
+				return theirs.valueMap.get(rule.key) || "";
+		};
+		const inBase = key => base !== undefined && base.valueMap.has(key);
+		const differences = [];
+
+		const oursOnly = enabledRules.filter(r => !theirs.valueMap.has(r.key));
+		const theirsOnly = theirsKeyValues.filter(kv => !enabledRules.some(r => r.key === kv.key));
+
+		// A key that disappeared on one side while a key with the same value appeared on the other was renamed
+		const renamedOurKeys = new Set();
+		const renamedTheirKeys = new Set();
+		for (const kv of theirsOnly) {
+				if (kv.value === "" || ctkRules.some(r => r.key === kv.key)) continue;
+				const rule = oursOnly.find(r => !renamedOurKeys.has(r.key) && ourValue(r) === kv.value);
+				if (!rule) continue;
+				renamedOurKeys.add(rule.key);
+				renamedTheirKeys.add(kv.key);
+				const renamedInSidebar = inBase(kv.key);
+				differences.push({
+						id: `renamed:${rule.key}`, kind: 'renamed', label: renamedInSidebar ? "Renamed in sidebar" : "Renamed in settings",
+						ours: { key: rule.key, value: ourValue(rule) }, theirs: { key: kv.key, value: kv.value },
+						defaultSide: renamedInSidebar ? 'ours' : 'theirs', canMerge: false
+				});
+		}
+
+		for (const rule of oursOnly) {
+				if (renamedOurKeys.has(rule.key)) continue;
+				// Missing rules are kept by default, whichever side dropped them, so no value is lost unasked
+				differences.push({
+						id: `ours:${rule.key}`, kind: inBase(rule.key) ? 'removed' : 'added', label: inBase(rule.key) ? "Removed in settings" : "Added in sidebar",
+						ours: { key: rule.key, value: ourValue(rule) }, theirs: undefined, defaultSide: 'ours', canMerge: true
+				});
+		}
+		for (const kv of theirsOnly) {
+				if (renamedTheirKeys.has(kv.key)) continue;
+				const disabledInSidebar = ctkRules.some(r => r.key === kv.key);
+				const label = inBase(kv.key) ? (disabledInSidebar ? "Disabled in sidebar" : "Removed in sidebar") : (disabledInSidebar ? "Enabled in settings" : "Added in settings");
+				differences.push({
+						id: `theirs:${kv.key}`, kind: inBase(kv.key) ? 'removed' : 'added', label,
+						ours: undefined, theirs: { key: kv.key, value: kv.value }, defaultSide: inBase(kv.key) ? 'ours' : 'theirs', canMerge: true
+				});
+		}
+
+		for (const rule of enabledRules) {
+				if (!theirs.valueMap.has(rule.key)) continue;
+				const ours = ourValue(rule);
+				const theirValue = theirs.valueMap.get(rule.key);
+				if (ours === theirValue) continue;
+				const baseValue = base ? base.valueMap.get(rule.key) : undefined;
+				let label = "Changed on both sides";
+				let defaultSide = 'theirs';
+				if (baseValue === ours) label = "Changed in settings";
+				else if (baseValue === theirValue) {
+						label = "Changed in sidebar";
+						defaultSide = 'ours';
+				}
+				differences.push({
+						id: `changed:${rule.key}`, kind: 'changed', label,
+						ours: { key: rule.key, value: ours }, theirs: { key: rule.key, value: theirValue }, defaultSide, canMerge: true
+				});
+		}
+
+		// Order of the rules both sides have, with renamed keys mapped to the sidebar key
+		const theirKeyToOurKey = new Map(differences.filter(d => d.kind === 'renamed').map(d => [d.theirs.key, d.ours.key]));
+		const sharedOurKeys = enabledRules.map(r => r.key).filter(key => theirs.valueMap.has(key) || renamedOurKeys.has(key));
+		const sharedTheirOrder = theirsKeyValues.map(kv => theirKeyToOurKey.get(kv.key) || kv.key).filter(key => sharedOurKeys.includes(key));
+		if (sharedOurKeys.join('\n') !== sharedTheirOrder.join('\n')) {
+				const baseOrder = base ? base.orderedKeyValues.map(kv => kv.key).filter(key => sharedOurKeys.includes(key)).join('\n') : undefined;
+				const changedInSidebar = baseOrder === sharedTheirOrder.join('\n');
+				differences.push({
+						id: 'order', kind: 'reordered', label: changedInSidebar ? "Reordered in sidebar" : "Reordered in settings",
+						ours: { key: "Rule order", value: sharedOurKeys.join('\n') }, theirs: { key: "Rule order", value: sharedTheirOrder.join('\n') },
+						defaultSide: changedInSidebar ? 'ours' : 'theirs', canMerge: false
+				});
+		}
+
+		return differences;
+}
+
+/**
+ * Merges two orderings: the primary order is kept, and items only in the secondary one are inserted after
+ * the item they follow there.
+ * @param {string[]} primary
+ * @param {string[]} secondary
+ * @returns {string[]}
+ */
+function mergeRuleOrders(primary, secondary) {
+		const result = [...primary];
+		secondary.forEach((item, index) => {
+				if (result.includes(item)) return;
+				let position = 0;
+				for (let i = index - 1; i >= 0; i--) {
+						const previousPosition = result.indexOf(secondary[i]);
+						if (previousPosition !== -1) {
+								position = previousPosition + 1;
+								break;
+						}
+				}
+				result.splice(position, 0, item);
+		});
+		return result;
+}
+
+/**
+ * Estimates the tokens a text takes up as model context, at about four characters per token.
+ * @param {string | number} textOrLength The text, or its length.
+ * @returns {number}
+ */
+function estimateTokenCount(textOrLength) {
+		const length = typeof textOrLength === 'number' ? textOrLength : textOrLength.length;
+		return Math.ceil(length / 4);
+}
+
+/**
+ * @param {number} characters
+ * @returns {string} E.g. "~309 tokens".
+ */
+function formatTokenCount(characters) {
+		const tokens = estimateTokenCount(characters);
+		return `~${tokens.toLocaleString('en-US')} ${tokens === 1 ? "token" : "tokens"}`;
+}
+
+/**
+ * @param {number} characters
+ * @returns {string} E.g. "1,234 chars · ~309 tokens".
+ */
+function formatRuleSize(characters) {
+		return `${characters.toLocaleString('en-US')} chars · ${formatTokenCount(characters)}`;
+}
+
+/**
+ * @param {string} geminiRules
+ * @returns {{total: number, ruleSizes: Map<string, number>}} Characters in total and per rule key.
+ */
+function measureRuleSizes(geminiRules) {
+		const ruleSizes = new Map();
+		for (const kv of parseGeminiRulesString(geminiRules).orderedKeyValues) {
+				ruleSizes.set(kv.key, buildGeminiRulesString([kv]).length);
+		}
+		return { total: geminiRules.length, ruleSizes };
+}
+
+/**
+ * Finds the case-insensitive occurrences of a query in a text.
+ * @param {string} text
+ * @param {string} query
+ * @returns {[number, number][]} Start and end offset of each occurrence.
+ */
+function findTextRanges(text, query) {
+		const ranges = [];
+		if (!query) return ranges;
+		const lowerText = text.toLowerCase();
+		const lowerQuery = query.toLowerCase();
+		for (let start = lowerText.indexOf(lowerQuery); start !== -1; start = lowerText.indexOf(lowerQuery, start + lowerQuery.length)) {
+				ranges.push([start, start + lowerQuery.length]);
+		}
+		return ranges;
+}
+
+/**
+ * Cuts a one-line snippet out of a text around its first match.
+ * @param {string} text
+ * @param {[number, number][]} ranges Matches, from findTextRanges.
+ * @param {number} [length=100] Approximate snippet length.
+ * @returns {string}
+ */
+function getSearchSnippet(text, ranges, length = 100) {
+		const matchStart = ranges.length > 0 ? ranges[0][0] : 0;
+		const start = Math.max(0, matchStart - Math.floor(length / 3));
+		const end = Math.min(text.length, start + length);
+		const snippet = text.substring(start, end).replace(/\s+/g, " ");
+		return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * A rule of a rule set whose key or value matched a search.
+ * @typedef {object} RuleSearchMatch
+ * @property {Rule} rule
+ * @property {string} value The rule's raw value.
+ * @property {[number, number][]} keyRanges
+ * @property {[number, number][]} valueRanges
+ */
+
+/**
+ * Searches the keys and raw values of a rule set, including disabled rules.
+ * @param {string} query Matched case-insensitively as plain text.
+ * @param {Rule[]} ctkRules
+ * @param {Map<string, string>} valueMap Raw values by key.
+ * @returns {RuleSearchMatch[]} In ctk.ruleSet order.
+ */
+function searchRuleSet(query, ctkRules, valueMap) {
+		const results = [];
+		if (!query) return results;
+		for (const rule of ctkRules) {
+				const value = valueMap.get(rule.key) || "";
+				const keyRanges = findTextRanges(rule.key, query);
+				const valueRanges = findTextRanges(value, query);
+				if (keyRanges.length > 0 || valueRanges.length > 0) results.push({ rule, value, keyRanges, valueRanges });
+		}
+		return results;
+}
+
+const RULE_LIBRARY_FORMATS = {
+		json: { label: "JSON", extensions: ['json'] },
+		yaml: { label: "YAML", extensions: ['yaml', 'yml'] },
+		markdown: { label: "Markdown", extensions: ['md', 'markdown'] }
+};
+const RULE_LIBRARY_MARKDOWN_MARKER = 'ctk-rule'; // HTML comment after each rule heading, carrying its metadata
+
+/**
+ * Detects the library format of a file from its extension.
+ * @param {string} filePath
+ * @returns {'json' | 'yaml' | 'markdown' | undefined}
+ */
+function getRuleLibraryFormat(filePath) {
+		const extension = filePath.split('.').pop().toLowerCase();
+		return Object.keys(RULE_LIBRARY_FORMATS).find(format => RULE_LIBRARY_FORMATS[format].extensions.includes(extension));
+}
+
+/**
+ * Converts a rule and its value into a library entry, leaving out default metadata.
+ * @param {Rule} rule
+ * @param {string} value
+ * @returns {RuleLibraryEntry}
+ */
+function toRuleLibraryEntry(rule, value) {
+		const entry = { key: rule.key, value };
+		if (!isRuleEnabled(rule)) entry.enabled = false;
+		if (normalizeGroupPath(rule.group)) entry.group = normalizeGroupPath(rule.group);
+		if (Array.isArray(rule.tags) && rule.tags.length > 0) entry.tags = [...rule.tags];
+		if (normalizeRuleConditions(rule.when)) entry.when = normalizeRuleConditions(rule.when);
+		return entry;
+}
+
+/**
+ * Serializes library entries, in order, as JSON, YAML or Markdown (one heading per rule). Markdown values are
+ * written between blank lines that are not part of the value, so the value's own leading and trailing newlines
+ * are counted in the metadata comment (`leadingNewlines`, `trailingNewlines`) for parseRuleLibrary to restore.
+ * @param {RuleLibraryEntry[]} entries
+ * @param {'json' | 'yaml' | 'markdown'} format
+ * @returns {string}
+ */
+function serializeRuleLibrary(entries, format) {
+		if (format === 'json') {
+				return JSON.stringify({ rules: entries }, null, 2) + '\n';
+		}
+		if (format === 'yaml') {
+				return yaml.dump({ rules: entries }, { lineWidth: -1 });
+		}
+		return entries.map(entry => {
+				const { key, value, ...metadata } = entry;
+				const text = value.replace(/^\n+/, '');
+				const trimmedText = text.replace(/\n+$/, '');
+				if (value.length > text.length) metadata.leadingNewlines = value.length - text.length;
+				if (text.length > trimmedText.length) metadata.trailingNewlines = text.length - trimmedText.length;
+				return `# ${key}\n<!-- ${RULE_LIBRARY_MARKDOWN_MARKER} ${JSON.stringify(metadata)} -->\n\n${trimmedText}\n`;
+		}).join('\n');
+}
+
+/**
+ * Validates a parsed library entry.
+ * @param {any} candidate
+ * @returns {RuleLibraryEntry | undefined} The entry, or undefined if it is not a valid rule.
+ */
+function validateRuleLibraryEntry(candidate) {
+		if (!candidate || typeof candidate !== 'object' || typeof candidate.key !== 'string' || candidate.key.trim() === "") {
+				return undefined;
+		}
+		const entry = { key: candidate.key.trim(), value: typeof candidate.value === 'string' ? candidate.value : "" };
+		if (candidate.enabled === false) entry.enabled = false;
+		if (normalizeGroupPath(candidate.group)) entry.group = normalizeGroupPath(candidate.group);
+		if (Array.isArray(candidate.tags)) {
+				const tags = candidate.tags.filter(tag => typeof tag === 'string' && tag.trim() !== "").map(tag => tag.trim());
+				if (tags.length > 0) entry.tags = tags;
+		}
+		if (normalizeRuleConditions(candidate.when)) entry.when = normalizeRuleConditions(candidate.when);
+		return entry;
+}
+
+/**
+ * Parses Markdown with one heading per rule. Headings followed by a ctk-rule comment mark rule boundaries;
+ * files without such comments (written by hand) treat every top-level heading as a rule.
+ * @param {string} text
+ * @returns {any[]}
+ */
+function parseRuleLibraryMarkdown(text) {
+		const lines = text.replace(/\r\n/g, '\n').split('\n');
+		const markerPattern = new RegExp(`^<!--\\s*${RULE_LIBRARY_MARKDOWN_MARKER}\\s+(.*?)\\s*-->$`);
+		const hasMarkers = lines.some(line => markerPattern.test(line.trim()));
+		const candidates = [];
+		let current;
+
+		for (let index = 0; index < lines.length; index++) {
+				const headingMatch = /^# (.+)$/.exec(lines[index]);
+				const markerMatch = index + 1 < lines.length ? markerPattern.exec(lines[index + 1].trim()) : null;
+				if (headingMatch && (!hasMarkers || markerMatch)) {
+						let metadata = {};
+						if (markerMatch) {
+								try {
+										metadata = JSON.parse(markerMatch[1]);
+								} catch {
+										metadata = {};
+								}
+								index++;
+						}
+						current = { ...metadata, key: headingMatch[1].trim(), valueLines: [] };
+						candidates.push(current);
+				} else if (current) {
+						current.valueLines.push(lines[index]);
+				}
+		}
+
+		const newlines = count => '\n'.repeat(Number.isInteger(count) && count > 0 ? count : 0);
+		return candidates.map(({ valueLines, leadingNewlines, trailingNewlines, ...candidate }) => ({
+				...candidate,
+				value: newlines(leadingNewlines) + valueLines.join('\n').replace(/^\n+/, '').replace(/\n+$/, '') + newlines(trailingNewlines)
+		}));
+}
+
+/**
+ * Parses a rule library file.
+ * @param {string} text
+ * @param {'json' | 'yaml' | 'markdown'} format
+ * @returns {{entries: RuleLibraryEntry[], invalidCount: number}}
+ * @throws {Error} If the JSON or YAML cannot be parsed.
+ */
+function parseRuleLibrary(text, format) {
+		let candidates;
+		if (format === 'markdown') {
+				candidates = parseRuleLibraryMarkdown(text);
+		} else {
+				const parsed = format === 'json' ? JSON.parse(text) : yaml.load(text);
+				// Accept both { rules: [...] } and a bare array
+				candidates = Array.isArray(parsed) ? parsed : parsed?.rules;
+				if (!Array.isArray(candidates)) {
+						throw new Error("Expected a list of rules or an object with a 'rules' list.");
+				}
+		}
+		const entries = candidates.map(validateRuleLibraryEntry).filter(Boolean);
+		return { entries, invalidCount: candidates.length - entries.length };
+}
+
+/**
+ * A rule as stored in a repository rule file (one markdown file per rule, with front matter).
+ * @typedef {object} RuleFileContent
+ * @property {string} key
+ * @property {number} order Position relative to the other files; files without an order come last.
+ * @property {boolean} enabled
+ * @property {string} [group]
+ * @property {string[]} [tags]
+ * @property {RuleConditions} [when]
+ * @property {string} value
+ */
+
+const RULE_FILE_FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n?---(?:\r?\n|$)([\s\S]*)$/;
+
+/**
+ * Parses a rule file. Without front matter, the file name is the key and the whole file is the value.
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {RuleFileContent}
+ */
+function parseRuleFile(text, fileName) {
+		const match = RULE_FILE_FRONT_MATTER_PATTERN.exec(text);
+		const meta = match ? yaml.load(match[1]) || {} : {};
+		if (typeof meta !== 'object' || Array.isArray(meta)) throw new Error("front matter must be a mapping");
+		const body = match ? match[2] : text;
+		const key = meta.key === undefined ? fileName.replace(/\.md$/i, '') : String(meta.key).trim();
+		if (key === "") throw new Error("key must not be empty");
+		if (meta.order !== undefined && typeof meta.order !== 'number') throw new Error("order must be a number");
+		if (meta.enabled !== undefined && typeof meta.enabled !== 'boolean') throw new Error("enabled must be true or false");
+
+		const entry = {
+				key,
+				order: meta.order === undefined ? Number.MAX_SAFE_INTEGER : meta.order,
+				enabled: meta.enabled !== false,
+				value: body.replace(/^\r?\n/, '').replace(/\r?\n$/, '')
+		};
+		if (normalizeGroupPath(meta.group)) entry.group = normalizeGroupPath(meta.group);
+		if (Array.isArray(meta.tags) && meta.tags.length > 0) entry.tags = meta.tags.map(String);
+		const when = normalizeRuleConditions(meta.when);
+		if (meta.when !== undefined && !when) throw new Error("when must list languages, files or folders");
+		if (when) entry.when = when;
+		return entry;
+}
+
+/**
+ * Serializes a rule as a rule file: front matter with key, order, enabled state, group, tags and conditions, then the value.
+ * @param {RuleFileContent} entry
+ * @returns {string}
+ */
+function serializeRuleFile(entry) {
+		const meta = { key: entry.key, order: entry.order, enabled: entry.enabled };
+		if (entry.group) meta.group = entry.group;
+		if (entry.tags && entry.tags.length > 0) meta.tags = entry.tags;
+		if (entry.when) meta.when = entry.when;
+		return `---\n${yaml.dump(meta)}---\n\n${entry.value}\n`;
+}
+
+/**
+ * @param {Omit<RuleFileContent, 'order'>} a
+ * @param {Omit<RuleFileContent, 'order'>} b
+ * @returns {boolean} True if both describe the same rule content, ignoring order and formatting.
+ */
+function isSameRuleFileContent(a, b) {
+		return a.key === b.key && a.enabled === b.enabled && (a.group || "") === (b.group || "")
+				&& JSON.stringify(a.tags || []) === JSON.stringify(b.tags || []) && JSON.stringify(a.when || {}) === JSON.stringify(b.when || {})
+				&& a.value === b.value;
+}
+
+const DUPLICATE_KEY_PATTERN = /^(.*)_duplicate_\d+$/; // Keys made unique by cleanCtkRuleSet
+const LEFTOVER_PLACEHOLDER_PATTERN = /\{\{\s*[\w.-]+\s*\}\}|[<[]insert[^>\]\n]*[>\]]/gi;
+const TODO_MARKER_PATTERN = /\b(?:TODO|FIXME|TBD)\b/g; // Often meant literally (e.g. "resolve TODO comments"), hence its own check
+const SIMILAR_VALUE_THRESHOLD = 0.9; // Share of common character pairs above which two values count as near-identical
+const SIMILAR_VALUE_MIN_LENGTH = 20; // Shorter values are too often alike to be worth reporting
+
+/**
+ * A way to fix a lint problem, applied by applyRuleLintFix in the extension.
+ * @typedef {object} RuleLintFix
+ * @property {string} title
+ * @property {'remove' | 'merge' | 'rename'} kind Remove the rule, merge its value into `otherId` and remove it, or rename it to `newKey`.
+ * @property {number} [otherId]
+ * @property {string} [newKey]
+ */
+
+/**
+ * @param {string} value
+ * @returns {string} The value lowercased with whitespace collapsed, for comparing values.
+ */
+function normalizeRuleValueForComparison(value) {
+		return value.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compares two normalized values by their character pairs (Dice coefficient).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 1 for identical values, 0 for values without a common pair.
+ */
+function getRuleValueSimilarity(a, b) {
+		if (a === b) return 1;
+		if (a.length < 2 || b.length < 2) return 0;
+		const pairCounts = new Map();
+		for (let i = 0; i < a.length - 1; i++) {
+				const pair = a.slice(i, i + 2);
+				pairCounts.set(pair, (pairCounts.get(pair) || 0) + 1);
+		}
+		let commonPairs = 0;
+		for (let i = 0; i < b.length - 1; i++) {
+				const pair = b.slice(i, i + 2);
+				const count = pairCounts.get(pair) || 0;
+				if (count > 0) {
+						pairCounts.set(pair, count - 1);
+						commonPairs++;
+				}
+		}
+		return (2 * commonPairs) / (a.length + b.length - 2);
+}
+
+/**
+ * The rules of one scope, as checked by lintRuleSets.
+ * @typedef {object} RuleLintInput
+ * @property {string} scopeName Names the scope in messages about rules of two scopes, e.g. "Global".
+ * @property {Rule[]} ctkRules
+ * @property {Map<string, string>} valueMap Raw values by key.
+ * @property {RuleSubstitutionContext} substitution For finding placeholders that cannot be resolved.
+ */
+
+/**
+ * A problem found by lintRuleSets.
+ * @typedef {object} RuleLintFinding
+ * @property {string} check ID of the check, e.g. "emptyValue".
+ * @property {number} ruleSetIndex Index of the rule's scope in the checked rule sets.
+ * @property {Rule} rule
+ * @property {string} message
+ * @property {[number, number]} [range] Start and end offset in the rule's value; the first line if not given.
+ * @property {RuleLintFix[]} fixes
+ */
+
+/**
+ * Runs every check over the rules of some scopes. Values are checked as written, with placeholders unresolved.
+ * @param {RuleLintInput[]} ruleSets In scope order, from User to the most specific scope.
+ * @param {number} maxRuleTokens Rules estimated to take more tokens are reported as large.
+ * @returns {RuleLintFinding[]}
+ */
+function lintRuleSets(ruleSets, maxRuleTokens) {
+		const findings = [];
+		const report = (check, ruleSetIndex, rule, message, fixes = [], range = undefined) => {
+				findings.push({ check, ruleSetIndex, rule, message, range, fixes });
+		};
+		const comparableRules = [];
+
+		for (const [ruleSetIndex, { ctkRules, valueMap, substitution }] of ruleSets.entries()) {
+				for (const rule of ctkRules) {
+						const value = valueMap.get(rule.key) || "";
+						const removeFix = { title: `Remove rule "${rule.key}"`, kind: 'remove' };
+
+						if (isRuleEnabled(rule) && value.trim() === "") {
+								report('emptyValue', ruleSetIndex, rule, `Rule "${rule.key}" has no value; it is sent to Gemini as "${rule.key}: ".`, [removeFix]);
+						}
+
+						const duplicateMatch = DUPLICATE_KEY_PATTERN.exec(rule.key);
+						if (duplicateMatch) {
+								const baseKey = duplicateMatch[1];
+								const baseRule = ctkRules.find(r => r.key === baseKey);
+								const fixes = [];
+								if (!baseRule) {
+										fixes.push({ title: `Rename to "${baseKey}"`, kind: 'rename', newKey: baseKey });
+								} else if (normalizeRuleValueForComparison(valueMap.get(baseKey) || "") === normalizeRuleValueForComparison(value)) {
+										fixes.push({ title: `Remove duplicate of "${baseKey}"`, kind: 'remove' });
+								} else {
+										if (!isRuleLocked(baseRule)) fixes.push({ title: `Merge into "${baseKey}"`, kind: 'merge', otherId: baseRule.id });
+										fixes.push(removeFix);
+								}
+								const message = baseRule
+										? `Rule "${rule.key}" looks like a copy of "${baseKey}", made when two rules had the same key.`
+										: `Rule "${rule.key}" was renamed to avoid a clash with "${baseKey}", which no longer exists.`;
+								report('duplicateKey', ruleSetIndex, rule, message, fixes);
+						}
+
+						const tokens = estimateTokenCount(value);
+						if (tokens > maxRuleTokens) {
+								report('largeValue', ruleSetIndex, rule, `Rule "${rule.key}" takes up ${formatTokenCount(value.length)}, more than ctk.lint.maxRuleTokens (${maxRuleTokens}).`);
+						}
+
+						// Placeholders that will not resolve, and template markers nobody filled in
+						substitution.problems = [];
+						resolveRuleValue(value, substitution, [rule.key]);
+						for (const problem of substitution.problems.filter(p => p.key === rule.key)) {
+								const start = value.indexOf(problem.placeholder);
+								report('leftoverPlaceholder', ruleSetIndex, rule, `${problem.placeholder} in "${rule.key}" cannot be resolved: ${problem.reason}.`, [], start >= 0 ? [start, start + problem.placeholder.length] : undefined);
+						}
+						for (const match of value.matchAll(LEFTOVER_PLACEHOLDER_PATTERN)) {
+								report('leftoverPlaceholder', ruleSetIndex, rule, `"${rule.key}" contains the leftover placeholder ${match[0]}.`, [], [match.index, match.index + match[0].length]);
+						}
+						for (const match of value.matchAll(TODO_MARKER_PATTERN)) {
+								report('todoMarker', ruleSetIndex, rule, `"${rule.key}" contains ${match[0]}; remove it if the rule is finished.`, [], [match.index, match.index + match[0].length]);
+						}
+
+						const normalizedValue = normalizeRuleValueForComparison(value);
+						if (normalizedValue.length >= SIMILAR_VALUE_MIN_LENGTH) comparableRules.push({ ruleSetIndex, rule, normalizedValue });
+				}
+		}
+
+		// Each pair is reported once, on the later rule (the more specific scope for rules of two scopes)
+		for (const [index, later] of comparableRules.entries()) {
+				// Values whose lengths differ too much cannot reach the threshold, which skips most pairs cheaply
+				const earlier = comparableRules.slice(0, index).find(other => {
+						const [shorter, longer] = [other.normalizedValue.length, later.normalizedValue.length].sort((a, b) => a - b);
+						return 2 * shorter / (shorter + longer) >= SIMILAR_VALUE_THRESHOLD && getRuleValueSimilarity(other.normalizedValue, later.normalizedValue) >= SIMILAR_VALUE_THRESHOLD;
+				});
+				if (!earlier) continue;
+				const sameScope = earlier.ruleSetIndex === later.ruleSetIndex;
+				// Already reported as a duplicate key
+				if (sameScope && DUPLICATE_KEY_PATTERN.exec(later.rule.key)?.[1] === earlier.rule.key) continue;
+				const where = sameScope ? `"${earlier.rule.key}"` : `"${earlier.rule.key}" in ${ruleSets[earlier.ruleSetIndex].scopeName} rules`;
+				const fixes = sameScope ? [{ title: `Remove rule "${later.rule.key}" (keep "${earlier.rule.key}")`, kind: 'remove' }] : [];
+				report('similarValue', later.ruleSetIndex, later.rule, `The value of "${later.rule.key}" is nearly the same as ${where}.`, fixes);
+		}
+		return findings;
+}
+
+/**
+ * Another place the active rules of a scope are written to, for assistants that read instruction files or their own
+ * settings. File targets keep the rules in a marked block, so the rest of the file is left alone.
+ * @typedef {object} SyncTarget
+ * @property {string} id
+ * @property {string} label
+ * @property {string} [path] Folder-relative file for Workspace and folder rules.
+ * @property {string} [userPath] File for User rules; `~/` is the home directory.
+ * @property {string} [setting] String setting to write instead of a file, in the same scope as the rules.
+ * @property {string} template Text of the whole target; `{{rules}}` and `{{scope}}` are replaced.
+ * @property {string} ruleTemplate Text of each rule; `{{key}}`, `{{value}}` and `{{scope}}` are replaced.
+ * @property {string} separator Between the rendered rules.
+ */
+
+const SYNC_TARGET_BLOCK_PATTERN = /<!-- ctk-gee:begin(?: ([0-9a-f]+))?[^\n]*?-->\r?\n([\s\S]*?)\r?\n?<!-- ctk-gee:end -->/;
+
+/** @type {Omit<SyncTarget, 'template' | 'ruleTemplate' | 'separator'>[]} */
+const BUILT_IN_SYNC_TARGETS = [
+		{ id: 'geminiMd', label: "GEMINI.md", path: 'GEMINI.md', userPath: '~/.gemini/GEMINI.md' },
+		{ id: 'copilotInstructions', label: "Copilot instructions", path: '.github/copilot-instructions.md' },
+		{ id: 'agentsMd', label: "AGENTS.md", path: 'AGENTS.md', userPath: '~/.codex/AGENTS.md' }
+];
+
+/**
+ * @param {string} text
+ * @returns {string} A short hash identifying the text.
+ */
+function hashSyncTargetText(text) {
+		return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+/**
+ * Merges `ctk.syncTargets` definitions over the built-in targets by ID and fills in the default templates.
+ * @param {unknown} definitions The setting's value.
+ * @returns {{targets: SyncTarget[], problems: string[]}} `problems` describes the definitions that were ignored.
+ */
+function mergeSyncTargets(definitions) {
+		const targets = BUILT_IN_SYNC_TARGETS.map(target => ({ ...target }));
+		const problems = [];
+		for (const definition of Array.isArray(definitions) ? definitions : []) {
+				if (!definition || typeof definition.id !== 'string' || definition.id.trim() === "") {
+						problems.push(`Ignored a ctk.syncTargets entry without an ID: ${JSON.stringify(definition)}`);
+						continue;
+				}
+				const index = targets.findIndex(t => t.id === definition.id);
+				const target = { ...(index >= 0 ? targets[index] : {}), ...definition };
+				if (definition.setting !== undefined && index >= 0 && definition.path === undefined) {
+						// A built-in file target redefined as a setting target
+						delete target.path;
+						delete target.userPath;
+				}
+				if (typeof target.setting !== 'string' && typeof target.path !== 'string' && typeof target.userPath !== 'string') {
+						problems.push(`Ignored sync target "${definition.id}": it needs a "path", "userPath" or "setting".`);
+						continue;
+				}
+				if (index >= 0) targets[index] = target;
+				else targets.push(target);
+		}
+		return {
+				targets: targets.map(target => ({
+						...target,
+						label: typeof target.label === 'string' && target.label !== "" ? target.label : target.id,
+						template: typeof target.template === 'string' ? target.template : "{{rules}}",
+						ruleTemplate: typeof target.ruleTemplate === 'string' ? target.ruleTemplate : "## {{key}}\n\n{{value}}",
+						separator: typeof target.separator === 'string' ? target.separator : "\n\n"
+				})),
+				problems
+		};
+}
+
+/**
+ * Renders rules with a target's templates.
+ * @param {SyncTarget} target
+ * @param {string} scopeNameProper Replaces `{{scope}}`, e.g. "Global".
+ * @param {{key: string, value: string}[]} orderedKeyValues Resolved values, as in geminicodeassist.rules.
+ * @returns {string}
+ */
+function renderSyncTarget(target, scopeNameProper, orderedKeyValues) {
+		// One pass per template, so placeholders inside rule values are not replaced
+		const fill = (template, values) => template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder);
+		const rules = orderedKeyValues.map(kv => fill(target.ruleTemplate, { key: kv.key, value: kv.value, scope: scopeNameProper })).join(target.separator);
+		return fill(target.template, { rules, scope: scopeNameProper });
+}
+
+/**
+ * Places generated text in the marked block of a file target. The begin marker carries the hash of the block,
+ * so drift is found the same way on every machine.
+ * @param {string | undefined} currentText The file as it is now, undefined if it does not exist.
+ * @param {string} generatedText From renderSyncTarget.
+ * @param {string} scopeNameProper Named in the begin marker, e.g. "Global".
+ * @returns {{state: 'inSync' | 'outdated' | 'edited' | 'missing', nextText: string}} `edited` means the block
+ * was changed since it was written.
+ */
+function placeSyncTargetBlock(currentText, generatedText, scopeNameProper) {
+		const block = `<!-- ctk-gee:begin ${hashSyncTargetText(generatedText)} Generated from the ${scopeNameProper} rules by CTK GEE; edit the rules instead. -->\n${generatedText}\n<!-- ctk-gee:end -->`;
+		const match = currentText === undefined ? null : SYNC_TARGET_BLOCK_PATTERN.exec(currentText);
+		if (!match) {
+				const nextText = currentText === undefined || currentText.trim() === "" ? `${block}\n` : `${currentText.replace(/\s*$/, "")}\n\n${block}\n`;
+				return { state: 'missing', nextText };
+		}
+		if (match[2] === generatedText) return { state: 'inSync', nextText: currentText };
+		const nextText = currentText.slice(0, match.index) + block + currentText.slice(match.index + match[0].length);
+		return { state: match[1] === hashSyncTargetText(match[2]) ? 'outdated' : 'edited', nextText };
+}
+
+module.exports = {
+		CONFIG_SECTION_CTK,
+		CTK_RULE_SET_KEY,
+		GEMINI_CODE_ASSIST_RULES_KEY,
+		GEMINI_RULES_SEPARATOR,
+		RULE_LIBRARY_FORMATS,
+		RULE_LIBRARY_MARKDOWN_MARKER,
+		isRuleEnabled,
+		asEnabledRule,
+		isRuleLocked,
+		getTeamRuleVersion,
+		normalizeGroupPath,
+		isRuleInGroup,
+		normalizeRuleConditions,
+		validateRuleKey,
+		parseGeminiRulesString,
+		getReferencedSettingNames,
+		resolveRuleValue,
+		buildGeminiRulesString,
+		withRuleTemplate,
+		cleanCtkRuleSet,
+		computeRuleSync,
+		isRuleSetInSync,
+		findRoundTripProblems,
+		computeRuleDifferences,
+		mergeRuleOrders,
+		estimateTokenCount,
+		formatTokenCount,
+		formatRuleSize,
+		measureRuleSizes,
+		findTextRanges,
+		getSearchSnippet,
+		searchRuleSet,
+		getRuleLibraryFormat,
+		toRuleLibraryEntry,
+		serializeRuleLibrary,
+		validateRuleLibraryEntry,
+		parseRuleLibrary,
+		parseRuleFile,
+		serializeRuleFile,
+		isSameRuleFileContent,
+		lintRuleSets,
+		hashSyncTargetText,
+		mergeSyncTargets,
+		renderSyncTarget,
+		placeSyncTargetBlock
+};
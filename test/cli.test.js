@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The CLI runs as its own process. Under the test runner process.execPath is VS Code, which runs scripts as Node with ELECTRON_RUN_AS_NODE.
+const CLI_PATH = path.join(__dirname, '..', 'cli.js');
+
+/**
+ * Runs the CLI.
+ * @param {string[]} args
+ * @returns {{status: number | null, stdout: string, stderr: string}}
+ */
+function runCli(args) {
+	const result = spawnSync(process.execPath, [CLI_PATH, ...args], { encoding: 'utf8', env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' } });
+	return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+suite('CLI Test Suite', () => {
+	let directory;
+	let settingsPath;
+	setup(() => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ctk-gee-cli-'));
+		settingsPath = path.join(directory, 'settings.json');
+		fs.writeFileSync(settingsPath, '{\n\t// Editor settings\n\t"editor.tabSize": 4, // Four spaces\n\t/* Rules */\n\t"geminicodeassist.rules": "style: Use tabs."\n}\n');
+	});
+	teardown(() => {
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	test('add keeps the comments of the settings file and syncs the rules', () => {
+		const result = runCli(['add', 'tests', 'Write tests.', '--tags', 'ci', '--settings', settingsPath]);
+		assert.strictEqual(result.status, 0, result.stderr);
+
+		const text = fs.readFileSync(settingsPath, 'utf8');
+		assert.ok(text.startsWith('{\n\t// Editor settings\n\t"editor.tabSize": 4, // Four spaces\n\t/* Rules */\n\t"geminicodeassist.rules": "style: Use tabs.\\n\\n\\n\\ntests: Write tests.",\n'), text);
+		const settings = JSON.parse(text.replace(/\/\/.*|\/\*.*?\*\//g, ""));
+		assert.deepStrictEqual(settings['ctk.ruleSet'], [{ id: 1, key: 'style' }, { id: 2, key: 'tests', tags: ['ci'] }]);
+	});
+
+	test('check exits with 1 on drift until sync fixes it', () => {
+		assert.strictEqual(runCli(['add', 'tests', 'Write tests.', '--settings', settingsPath]).status, 0);
+		assert.strictEqual(runCli(['check', '--settings', settingsPath]).status, 0);
+
+		fs.writeFileSync(settingsPath, fs.readFileSync(settingsPath, 'utf8').replace('"style: Use tabs.\\n\\n\\n\\n', '"'));
+		const drift = runCli(['check', '--settings', settingsPath]);
+		assert.strictEqual(drift.status, 1);
+		assert.match(drift.stdout, /out of sync/);
+
+		assert.strictEqual(runCli(['sync', '--settings', settingsPath]).status, 0);
+		assert.strictEqual(runCli(['check', '--settings', settingsPath]).status, 0);
+	});
+
+	test('Commands exit with 2 on errors', () => {
+		const missing = runCli(['remove', 'tests', '--settings', settingsPath]);
+		assert.strictEqual(missing.status, 2);
+		assert.match(missing.stderr, /No rule with key "tests"/);
+		assert.strictEqual(runCli(['export', '--format', 'xml', '--settings', settingsPath]).status, 2);
+		assert.strictEqual(runCli(['list', '--settings', path.join(directory, 'missing.json')]).status, 2);
+
+		const exported = runCli(['export', '--settings', settingsPath]);
+		assert.strictEqual(exported.status, 0);
+		assert.deepStrictEqual(JSON.parse(exported.stdout), { rules: [{ key: 'style', value: 'Use tabs.' }] });
+		assert.strictEqual(runCli(['remove', 'style', '--settings', settingsPath]).status, 0);
+		assert.strictEqual(runCli(['list', '--settings', settingsPath]).stdout.trim(), `No rules in ${settingsPath}.`);
+	});
+});
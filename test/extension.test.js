@@ -3,13 +3,431 @@ const assert = require('assert');
 // You can import and use all API from the 'vscode' module
 // as well as import your extension to test it
 const vscode = require('vscode');
-// const myExtension = require('../extension');
+const myExtension = require('../extension');
+const ruleCore = require('../rule-core');
+
+const GLOBAL = vscode.ConfigurationTarget.Global;
+const WORKSPACE = vscode.ConfigurationTarget.Workspace; // .vscode-test.mjs opens an empty folder
+
+/**
+ * @param {vscode.ConfigurationTarget} scope
+ * @returns {object[]} ctk.ruleSet as written in the scope.
+ */
+function getRuleSet(scope) {
+	const { globalValue, workspaceValue } = vscode.workspace.getConfiguration('ctk').inspect('ruleSet');
+	return (scope === GLOBAL ? globalValue : workspaceValue) || [];
+}
+
+/**
+ * @param {vscode.ConfigurationTarget} scope
+ * @returns {string} geminicodeassist.rules as written in the scope.
+ */
+function getGeminiRules(scope) {
+	const { globalValue, workspaceValue } = vscode.workspace.getConfiguration().inspect('geminicodeassist.rules');
+	return (scope === GLOBAL ? globalValue : workspaceValue) || "";
+}
+
+/**
+ * Writes rules whose values are pending in ctk.ruleSet, and lets the sync move them into geminicodeassist.rules.
+ * @param {object[]} rules Rules with their values.
+ * @param {vscode.ConfigurationTarget} [scope]
+ */
+async function seedRules(rules, scope = GLOBAL) {
+	await vscode.workspace.getConfiguration().update('geminicodeassist.rules', "", scope);
+	await vscode.workspace.getConfiguration('ctk').update('ruleSet', rules, scope);
+	await myExtension.syncRules(scope);
+}
 
 suite('Extension Test Suite', () => {
 	vscode.window.showInformationMessage('Start all tests.');
 
+	// Most tests use the Global scope; the settings of both scopes are put back afterwards
+	const settingNames = ['ctk.ruleSet', 'ctk.profiles', 'ctk.activeProfile', 'ctk.ruleFiles.enabled', 'geminicodeassist.rules'];
+	const savedSettings = new Map();
+	suiteSetup(() => {
+		for (const name of settingNames) {
+			const { globalValue, workspaceValue } = vscode.workspace.getConfiguration().inspect(name);
+			savedSettings.set(name, { globalValue, workspaceValue });
+		}
+	});
+	teardown(async () => {
+		for (const name of settingNames) {
+			await vscode.workspace.getConfiguration().update(name, savedSettings.get(name).globalValue, GLOBAL);
+			await vscode.workspace.getConfiguration().update(name, savedSettings.get(name).workspaceValue, WORKSPACE);
+		}
+	});
+
 	test('Sample test', () => {
 		assert.strictEqual(-1, [1, 2, 3].indexOf(5));
 		assert.strictEqual(-1, [1, 2, 3].indexOf(0));
 	});
+
+	test('Reordering rules reorders geminicodeassist.rules', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }, { id: 2, key: 'b', value: 'B' }, { id: 3, key: 'c', value: 'C' }]);
+		await myExtension.createRuleApi().reorderRules('global', ['c', 'a', 'b']);
+
+		assert.deepStrictEqual(getRuleSet(GLOBAL).map(r => r.key), ['c', 'a', 'b']);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'c: C\n\n\n\na: A\n\n\n\nb: B');
+	});
+
+	test('A new rule is only added when its editor is first saved', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }]);
+		const provider = new myExtension.RuleFileSystemProvider();
+		const uri = provider.createNewRuleUri(GLOBAL, 'b');
+
+		assert.strictEqual(new TextDecoder().decode(await provider.readFile(uri)), "");
+		assert.deepStrictEqual(getRuleSet(GLOBAL).map(r => r.key), ['a'], "Opening the editor adds nothing");
+
+		await provider.writeFile(uri, new TextEncoder().encode('B'));
+		await provider.writeFile(uri, new TextEncoder().encode('B2'));
+		assert.deepStrictEqual(getRuleSet(GLOBAL).map(r => r.key), ['a', 'b'], "Saving again updates the added rule");
+		assert.strictEqual(getGeminiRules(GLOBAL), 'a: A\n\n\n\nb: B2');
+	});
+
+	test('A new rule whose key is taken by the time it is saved stays attached to its own rule', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }, { id: 2, key: 'b', value: 'B' }]);
+		const provider = new myExtension.RuleFileSystemProvider();
+		const uri = provider.createNewRuleUri(GLOBAL, 'b');
+
+		// The key check on save still sees the rules from before "b" was added elsewhere
+		let hideAddedRule = true;
+		const getConfiguration = vscode.workspace.getConfiguration;
+		vscode.workspace.getConfiguration = (...args) => {
+			const config = getConfiguration(...args);
+			return new Proxy(config, {
+				get: (target, property) => property !== 'inspect' ? Reflect.get(target, property) : key => {
+					const inspection = target.inspect(key);
+					if (key !== 'ruleSet' || !hideAddedRule) return inspection;
+					hideAddedRule = false;
+					return { ...inspection, globalValue: inspection.globalValue.filter(r => r.key !== 'b') };
+				}
+			});
+		};
+		try {
+			await provider.writeFile(uri, new TextEncoder().encode('New'));
+		} finally {
+			vscode.workspace.getConfiguration = getConfiguration;
+		}
+		await provider.writeFile(uri, new TextEncoder().encode('New2'));
+
+		assert.deepStrictEqual(getRuleSet(GLOBAL).map(r => [r.id, r.key]), [[1, 'a'], [2, 'b_duplicate_1'], [3, 'b']]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'a: A\n\n\n\nb_duplicate_1: B\n\n\n\nb: New2', "The other rule keeps its value");
+	});
+
+	test('Rules can be given a group and have their tags removed', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A', tags: ['x'] }, { id: 2, key: 'b', value: 'B', group: 'Languages' }]);
+		await myExtension.createRuleApi().updateRule('global', 'a', { group: 'Languages/Python', tags: null });
+
+		assert.deepStrictEqual(getRuleSet(GLOBAL).map(r => [r.key, r.group, r.tags]), [['a', 'Languages/Python', undefined], ['b', 'Languages', undefined]]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'a: A\n\n\n\nb: B');
+	});
+
+	test('Rule documents are found by scope and ID, and documents of closed folders are not', async () => {
+		await seedRules([{ id: 3, key: 'my key', value: 'Mine' }]);
+		const provider = new myExtension.RuleFileSystemProvider();
+		const { scheme } = provider.createNewRuleUri(GLOBAL, 'unused');
+
+		assert.strictEqual(new TextDecoder().decode(await provider.readFile(vscode.Uri.from({ scheme, path: '/global/3/my_key.md' }))), 'Mine');
+		await assert.rejects(provider.readFile(vscode.Uri.from({ scheme, path: '/global/4/my_key.md' })));
+		await assert.rejects(provider.readFile(vscode.Uri.from({ scheme, path: '/folder/3/my_key.md', query: 'file:///not/open' })));
+	});
+
+	test('Switching to a profile reorders rules and disables the ones it leaves out', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }, { id: 2, key: 'b', value: 'B', enabled: false }]);
+		const missingKeys = await myExtension.applyRuleProfile({ name: 'review', rules: [{ key: 'b', enabled: true }, { key: 'gone', enabled: true }] }, GLOBAL);
+
+		assert.deepStrictEqual(missingKeys, ['gone']);
+		assert.deepStrictEqual(getRuleSet(GLOBAL), [{ id: 2, key: 'b' }, { id: 1, key: 'a', enabled: false, value: 'A' }]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'b: B');
+	});
+
+	test('Restoring a snapshot brings back its values, order and enabled states', async () => {
+		await seedRules([{ id: 1, key: 'b', value: 'New B' }, { id: 2, key: 'c', value: 'C' }]);
+		const snapshot = { id: '1', timestamp: 1, operation: "Delete rule", ruleSet: [{ id: 1, key: 'a' }, { id: 2, key: 'b', enabled: false, value: 'Old B' }], geminiRules: 'a: Old A' };
+		await myExtension.restoreRuleSnapshot(GLOBAL, snapshot);
+
+		assert.deepStrictEqual(getRuleSet(GLOBAL), [{ id: 1, key: 'a' }, { id: 2, key: 'b', enabled: false, value: 'Old B' }]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'a: Old A');
+	});
+
+	test('Reconciliation finds the changes made in the settings and applies the chosen sides', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }, { id: 2, key: 'b', value: 'B' }, { id: 3, key: 'c', value: 'C' }, { id: 4, key: 'e', value: 'E' }]);
+		const baseGeminiRules = getGeminiRules(GLOBAL);
+		const geminiRules = 'a: A2\n\n\n\nc: C\n\n\n\nd: D\n\n\n\ne2: E';
+		const reconciliation = myExtension.computeRuleReconciliation(GLOBAL, getRuleSet(GLOBAL), geminiRules, baseGeminiRules);
+
+		const summary = reconciliation.differences.map(d => [d.id, d.label, d.defaultSide]).sort();
+		assert.deepStrictEqual(summary, [
+			['changed:a', "Changed in settings", 'theirs'],
+			['ours:b', "Removed in settings", 'ours'],
+			['renamed:e', "Renamed in settings", 'theirs'],
+			['theirs:d', "Added in settings", 'theirs']
+		]);
+
+		await myExtension.applyRuleReconciliation(reconciliation, new Map([['changed:a', { side: 'merged', mergedValue: 'A3' }]]));
+		assert.deepStrictEqual(getRuleSet(GLOBAL).map(r => r.key), ['a', 'b', 'c', 'd', 'e2']);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'a: A3\n\n\n\nb: B\n\n\n\nc: C\n\n\n\nd: D\n\n\n\ne2: E');
+	});
+
+	test('A move that fails half-way leaves both scopes as they were', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }, { id: 2, key: 'b', value: 'B' }]);
+		await seedRules([], WORKSPACE);
+
+		// Removing the moved rule from the Global geminicodeassist.rules fails, after the Workspace got it
+		const getConfiguration = vscode.workspace.getConfiguration;
+		vscode.workspace.getConfiguration = (...args) => {
+			const config = getConfiguration(...args);
+			return new Proxy(config, {
+				get: (target, property) => property !== 'update' ? Reflect.get(target, property) : (key, value, configurationTarget) => {
+					if (key === 'geminicodeassist.rules' && configurationTarget === GLOBAL) return Promise.reject(new Error("Settings file is read-only"));
+					return target.update(key, value, configurationTarget);
+				}
+			});
+		};
+		try {
+			await assert.rejects(myExtension.transferRules([1], GLOBAL, WORKSPACE, { move: true, onCollision: 'rename' }), /Global geminicodeassist.rules could not be updated: Settings file is read-only The Workspace and Global rules were restored./);
+		} finally {
+			vscode.workspace.getConfiguration = getConfiguration;
+		}
+
+		assert.deepStrictEqual(getRuleSet(GLOBAL), [{ id: 1, key: 'a' }, { id: 2, key: 'b' }]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'a: A\n\n\n\nb: B');
+		assert.deepStrictEqual(getRuleSet(WORKSPACE), []);
+		assert.strictEqual(getGeminiRules(WORKSPACE), "");
+	});
+
+	test('A move whose rollback fails says which scope was not restored', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }, { id: 2, key: 'b', value: 'B' }]);
+		await seedRules([], WORKSPACE);
+
+		// The Global ctk.ruleSet takes the removal of the moved rule, then neither geminicodeassist.rules nor the rollback
+		let globalRuleSetWrites = 0;
+		const getConfiguration = vscode.workspace.getConfiguration;
+		vscode.workspace.getConfiguration = (...args) => {
+			const config = getConfiguration(...args);
+			return new Proxy(config, {
+				get: (target, property) => property !== 'update' ? Reflect.get(target, property) : (key, value, configurationTarget) => {
+					const failing = configurationTarget === GLOBAL && (key === 'geminicodeassist.rules' || (key === 'ruleSet' && ++globalRuleSetWrites > 1));
+					if (failing) return Promise.reject(new Error("Settings file is read-only"));
+					return target.update(key, value, configurationTarget);
+				}
+			});
+		};
+		try {
+			await assert.rejects(myExtension.transferRules([1], GLOBAL, WORKSPACE, { move: true, onCollision: 'rename' }), /The Global rules could not be restored either/);
+		} finally {
+			vscode.workspace.getConfiguration = getConfiguration;
+		}
+
+		assert.deepStrictEqual(getRuleSet(WORKSPACE), [], "The scope that could be restored was");
+		assert.deepStrictEqual(getRuleSet(GLOBAL).map(r => r.key), ['b']);
+	});
+
+	test('The effective rules document shows which scope Gemini receives and what it shadows', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'Global A' }, { id: 2, key: 'b', value: 'Global B' }]);
+		await seedRules([{ id: 1, key: 'a', value: 'Workspace A' }], WORKSPACE);
+		const { text, symbols } = await myExtension.buildEffectiveRulesDocument();
+
+		assert.ok(text.includes("| Files in this workspace | Workspace (1 rule) |"));
+		assert.ok(text.includes("## Global: shadowed by Workspace"));
+		assert.ok(text.includes("### a (shadowed; replaced by a rule with the same key)\n\nGlobal A"));
+		assert.ok(text.includes("### b (shadowed)\n"));
+		assert.deepStrictEqual(symbols.map(s => [s.name, s.children.map(c => c.name)]), [['Global', ['a', 'b']], ['Workspace', ['a']]]);
+	});
+
+	test('Team rules changed in geminicodeassist.rules are detached from the library', async () => {
+		const team = value => ({ key: value.toLowerCase(), version: ruleCore.getTeamRuleVersion(value) });
+		await seedRules([{ id: 1, key: 'a', value: 'A', team: team('A') }, { id: 2, key: 'b', value: 'B', team: team('B') }]);
+		const reconciliation = myExtension.computeRuleReconciliation(GLOBAL, getRuleSet(GLOBAL), 'b: B\n\n\n\na: Changed', getGeminiRules(GLOBAL));
+		await myExtension.applyRuleReconciliation(reconciliation, new Map());
+
+		assert.deepStrictEqual(getRuleSet(GLOBAL), [{ id: 2, key: 'b', team: team('B') }, { id: 1, key: 'a' }]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'b: B\n\n\n\na: Changed');
+	});
+
+	test('Team rules changed in their rule files are detached from the library', async () => {
+		const team = value => ({ key: value.toLowerCase(), version: ruleCore.getTeamRuleVersion(value) });
+		await seedRules([{ id: 1, key: 'a', value: 'A', team: team('A') }, { id: 2, key: 'b', value: 'B', team: team('B') }], WORKSPACE);
+
+		const directory = vscode.Uri.joinPath(vscode.workspace.workspaceFolders[0].uri, '.gemini');
+		const writeRuleFile = (order, key, value) => vscode.workspace.fs.writeFile(vscode.Uri.joinPath(directory, 'rules', `${key}.md`), new TextEncoder().encode(ruleCore.serializeRuleFile({ key, order, enabled: true, value })));
+		try {
+			await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(directory, 'rules'));
+			await writeRuleFile(1, 'a', 'Changed');
+			await writeRuleFile(2, 'b', 'B');
+			await vscode.workspace.getConfiguration('ctk').update('ruleFiles.enabled', true, WORKSPACE);
+			await myExtension.importRuleFilesIntoScope(WORKSPACE);
+
+			assert.deepStrictEqual(getRuleSet(WORKSPACE), [{ id: 1, key: 'a' }, { id: 2, key: 'b', team: team('B') }]);
+			assert.strictEqual(getGeminiRules(WORKSPACE), 'a: Changed\n\n\n\nb: B');
+		} finally {
+			await vscode.workspace.fs.delete(directory, { recursive: true });
+		}
+	});
+
+	test('Conditions match the language, files and folder of a document', async () => {
+		const folder = vscode.workspace.workspaceFolders[0];
+		await seedRules([
+			{ id: 1, key: 'python', value: 'P', when: { languages: ['python'], files: ['src/**'], folders: [folder.name] } },
+			{ id: 2, key: 'javascript', value: 'J', when: { languages: ['javascript'] } },
+			{ id: 3, key: 'tests', value: 'T', when: { files: ['tests/**'] } },
+			{ id: 4, key: 'other', value: 'O', when: { folders: ['other'] } }
+		]);
+		const uri = vscode.Uri.joinPath(folder.uri, 'src', 'main.py');
+		await vscode.workspace.fs.writeFile(uri, new TextEncoder().encode("print('hi')\n"));
+		try {
+			await myExtension.applyRuleConditionDocument(await vscode.workspace.openTextDocument(uri));
+			assert.strictEqual(getGeminiRules(GLOBAL), 'python: P');
+			await myExtension.applyRuleConditionDocument(undefined);
+			assert.strictEqual(getGeminiRules(GLOBAL), "", "Nothing matches without an editor");
+		} finally {
+			await myExtension.applyRuleConditionDocument(undefined);
+			await vscode.workspace.fs.delete(vscode.Uri.joinPath(folder.uri, 'src'), { recursive: true });
+		}
+	});
+
+	test('Switching editors only rewrites geminicodeassist.rules for conditional rules', async () => {
+		const conditionalRule = { id: 2, key: 'python', value: 'Use type hints.', when: { languages: ['python'] } };
+		await seedRules([{ id: 1, key: 'style', value: 'Use tabs.' }, conditionalRule]);
+		const pythonDocument = await vscode.workspace.openTextDocument({ language: 'python', content: "" });
+		const javascriptDocument = await vscode.workspace.openTextDocument({ language: 'javascript', content: "" });
+
+		const writtenKeys = [];
+		const getConfiguration = vscode.workspace.getConfiguration;
+		vscode.workspace.getConfiguration = (...args) => {
+			const config = getConfiguration(...args);
+			return new Proxy(config, {
+				get: (target, property) => property !== 'update' ? Reflect.get(target, property) : (key, value, configurationTarget) => {
+					writtenKeys.push(key);
+					return target.update(key, value, configurationTarget);
+				}
+			});
+		};
+		try {
+			await myExtension.applyRuleConditionDocument(pythonDocument);
+			assert.strictEqual(getGeminiRules(GLOBAL), 'style: Use tabs.\n\n\n\npython: Use type hints.');
+			await myExtension.applyRuleConditionDocument(javascriptDocument);
+			assert.strictEqual(getGeminiRules(GLOBAL), 'style: Use tabs.');
+		} finally {
+			vscode.workspace.getConfiguration = getConfiguration;
+			await myExtension.applyRuleConditionDocument(undefined);
+		}
+
+		assert.deepStrictEqual(writtenKeys, ['geminicodeassist.rules', 'geminicodeassist.rules']);
+		assert.deepStrictEqual(getRuleSet(GLOBAL), [{ id: 1, key: 'style' }, conditionalRule]);
+	});
+
+	test('Updating a rule through the API renames it, and fails for a rule that no longer exists', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }]);
+		const api = myExtension.createRuleApi();
+
+		const updatedRule = await api.updateRule('global', 'a', { key: 'b', value: 'B', tags: ['api'] });
+		assert.deepStrictEqual(updatedRule, { id: 1, key: 'b', value: 'B', tags: ['api'], enabled: true, active: true, locked: false });
+		assert.strictEqual(getGeminiRules(GLOBAL), 'b: B');
+		await assert.rejects(api.updateRule('global', 'a', { value: 'A' }), /There is no Global rule "a"/);
+
+		// The rule is removed elsewhere after the API found it
+		let ruleSetReads = 0;
+		const getConfiguration = vscode.workspace.getConfiguration;
+		vscode.workspace.getConfiguration = (...args) => {
+			const config = getConfiguration(...args);
+			return new Proxy(config, {
+				get: (target, property) => property !== 'inspect' ? Reflect.get(target, property) : key => {
+					const inspection = target.inspect(key);
+					return key === 'ruleSet' && ++ruleSetReads > 1 ? { ...inspection, globalValue: [] } : inspection;
+				}
+			});
+		};
+		try {
+			await assert.rejects(api.updateRule('global', 'b', { value: 'C' }), /rule "b" no longer exists/);
+		} finally {
+			vscode.workspace.getConfiguration = getConfiguration;
+		}
+	});
+
+	test('API writes reject when the settings cannot be written, leaving the rules as they were', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }]);
+		const api = myExtension.createRuleApi();
+
+		const getConfiguration = vscode.workspace.getConfiguration;
+		vscode.workspace.getConfiguration = (...args) => {
+			const config = getConfiguration(...args);
+			return new Proxy(config, {
+				get: (target, property) => property !== 'update' ? Reflect.get(target, property) : () => Promise.reject(new Error("Settings file is read-only"))
+			});
+		};
+		try {
+			await assert.rejects(api.updateRule('global', 'a', { key: 'b', value: 'B' }), /Global ctk.ruleSet could not be updated: Settings file is read-only/);
+			await assert.rejects(api.addRules('global', [{ key: 'c', value: 'C' }]), /could not be updated/);
+			await assert.rejects(api.deleteRules('global', ['a']), /could not be updated/);
+		} finally {
+			vscode.workspace.getConfiguration = getConfiguration;
+		}
+
+		assert.deepStrictEqual(getRuleSet(GLOBAL), [{ id: 1, key: 'a' }]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'a: A');
+	});
+
+	test('A bulk change is undone as one, unless the rules changed again since', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }, { id: 2, key: 'b', value: 'B' }, { id: 3, key: 'c', value: 'C' }]);
+		const api = myExtension.createRuleApi();
+		const beforeDisable = await myExtension.captureRuleStates([GLOBAL]);
+		await api.updateRule('global', 'a', { enabled: false });
+		await api.updateRule('global', 'c', { enabled: false });
+		assert.strictEqual(getGeminiRules(GLOBAL), 'b: B');
+		const afterDisable = await myExtension.captureRuleStates([GLOBAL]);
+
+		assert.deepStrictEqual(await myExtension.undoRuleOperation(beforeDisable, afterDisable, "Disable 2 rules"), []);
+		assert.deepStrictEqual(getRuleSet(GLOBAL).map(r => [r.key, r.enabled]), [['a', undefined], ['b', undefined], ['c', undefined]]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'a: A\n\n\n\nb: B\n\n\n\nc: C');
+
+		const beforeDelete = await myExtension.captureRuleStates([GLOBAL]);
+		await api.deleteRules('global', ['a', 'b']);
+		const afterDelete = await myExtension.captureRuleStates([GLOBAL]);
+		await api.updateRule('global', 'c', { value: 'Changed since' });
+
+		assert.deepStrictEqual(await myExtension.undoRuleOperation(beforeDelete, afterDelete, "Delete 2 rules"), [GLOBAL]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'c: Changed since');
+	});
+
+	test('Saving a new key and value in the rule manager writes them together', async () => {
+		await seedRules([{ id: 1, key: 'a', value: 'A' }]);
+		myExtension.RuleManagerPanel.show();
+		const manager = myExtension.RuleManagerPanel.current;
+
+		const writtenKeys = [];
+		const getConfiguration = vscode.workspace.getConfiguration;
+		vscode.workspace.getConfiguration = (...args) => {
+			const config = getConfiguration(...args);
+			return new Proxy(config, {
+				get: (target, property) => property !== 'update' ? Reflect.get(target, property) : (key, value, configurationTarget) => {
+					writtenKeys.push(key);
+					return target.update(key, value, configurationTarget);
+				}
+			});
+		};
+		try {
+			assert.strictEqual(await manager.saveRule(GLOBAL, { id: 1, key: 'b', value: 'B', baseKey: 'a', baseValue: 'A' }), true);
+		} finally {
+			vscode.workspace.getConfiguration = getConfiguration;
+			manager.panel.dispose();
+		}
+
+		assert.deepStrictEqual(writtenKeys.filter(key => key === 'geminicodeassist.rules'), ['geminicodeassist.rules'], "geminicodeassist.rules never holds only one of the changes");
+		assert.deepStrictEqual(getRuleSet(GLOBAL), [{ id: 1, key: 'b' }]);
+		assert.strictEqual(getGeminiRules(GLOBAL), 'b: B');
+	});
+
+	test('The rule manager only loads images from the extension and data URIs', () => {
+		myExtension.RuleManagerPanel.show();
+		const panel = myExtension.RuleManagerPanel.current.panel;
+		try {
+			const csp = /<meta http-equiv="Content-Security-Policy" content="([^"]*)">/.exec(panel.webview.html)[1];
+			assert.ok(csp.includes(`img-src ${panel.webview.cspSource} data:;`), csp);
+			assert.ok(!csp.includes('https:'), csp);
+		} finally {
+			panel.dispose();
+		}
+		assert.strictEqual(myExtension.RuleManagerPanel.current, undefined);
+	});
 });
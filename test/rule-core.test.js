@@ -0,0 +1,234 @@
+const assert = require('assert');
+
+// The rule core does not depend on the vscode module, so these tests also run in plain mocha
+const ruleCore = require('../rule-core');
+
+suite('Rule Core Test Suite', () => {
+	test('Disabled rules hold their value and are left out of geminicodeassist.rules', () => {
+		const ctkRules = [{ id: 1, key: 'style' }, { id: 2, key: 'tests', enabled: false }];
+		const result = ruleCore.computeRuleSync(ctkRules, 'style: Use tabs.\n\n\n\ntests: Write tests.');
+
+		assert.strictEqual(result.geminiRules, 'style: Use tabs.');
+		assert.deepStrictEqual(result.ctkRules, [{ id: 1, key: 'style' }, { id: 2, key: 'tests', enabled: false, value: 'Write tests.' }]);
+		assert.strictEqual(result.heldValuesChanged, true);
+	});
+
+	test('Re-enabled rules move their held value back into geminicodeassist.rules', () => {
+		const ctkRules = [{ id: 1, key: 'style' }, { id: 2, key: 'tests', enabled: true, value: 'Write tests.' }];
+		const result = ruleCore.computeRuleSync(ctkRules, 'style: Use tabs.');
+
+		assert.strictEqual(result.geminiRules, 'style: Use tabs.\n\n\n\ntests: Write tests.');
+		assert.deepStrictEqual(result.ctkRules, [{ id: 1, key: 'style' }, { id: 2, key: 'tests' }]);
+		assert.strictEqual(result.heldValuesChanged, true);
+	});
+
+	test('A synced rule set is left unchanged', () => {
+		const ctkRules = [{ id: 1, key: 'style' }, { id: 2, key: 'tests', enabled: false, value: 'Write tests.' }];
+		const result = ruleCore.computeRuleSync(ctkRules, 'style: Use tabs.');
+
+		assert.strictEqual(result.geminiRules, 'style: Use tabs.');
+		assert.strictEqual(result.heldValuesChanged, false);
+		assert.ok(ruleCore.isRuleSetInSync(ctkRules, 'style: Use tabs.', ruleCore.isRuleEnabled));
+		assert.ok(!ruleCore.isRuleSetInSync(ctkRules, 'style: Use tabs.\n\n\n\ntests: Write tests.', ruleCore.isRuleEnabled));
+	});
+
+	test('Conditional rules keep holding their value while they apply', () => {
+		const ctkRules = [{ id: 1, key: 'python', when: { languages: ['python'] }, value: 'Use type hints.' }];
+		const result = ruleCore.computeRuleSync(ctkRules, "", { isActive: ruleCore.isRuleEnabled });
+
+		assert.strictEqual(result.geminiRules, 'python: Use type hints.');
+		assert.deepStrictEqual(result.ctkRules, ctkRules);
+		assert.strictEqual(result.heldValuesChanged, false);
+	});
+
+	test('Cleaning a rule set gives duplicate IDs new ones and duplicate keys a suffix', () => {
+		const { cleanedCtkRules, keyRenames, madeChanges } = ruleCore.cleanCtkRuleSet([{ id: 1, key: 'a' }, { id: 1, key: 'b' }, { id: 3, key: 'a' }], 'Test');
+		assert.deepStrictEqual(cleanedCtkRules, [{ id: 1, key: 'a_duplicate_1' }, { id: 2, key: 'b' }, { id: 3, key: 'a' }]);
+		assert.deepStrictEqual([...keyRenames], [['a', 'a_duplicate_1']]);
+		assert.strictEqual(madeChanges, true);
+		assert.strictEqual(ruleCore.cleanCtkRuleSet(cleanedCtkRules, 'Test').madeChanges, false);
+	});
+
+	test('Group paths are trimmed and lose empty segments', () => {
+		assert.strictEqual(ruleCore.normalizeGroupPath(' Languages / /Python/ '), 'Languages/Python');
+		assert.strictEqual(ruleCore.normalizeGroupPath('/'), "");
+		assert.strictEqual(ruleCore.normalizeGroupPath(undefined), "");
+	});
+
+	test('Rule libraries read back as written in every format', () => {
+		const entries = [
+			{ key: 'style', value: 'Use tabs.\n\n\n\n- Not spaces', enabled: false, group: 'Code/Style', tags: ['format'] },
+			{ key: 'tests', value: '\n# Heading in a value\n\nWrite tests.\n\n', when: { languages: ['python'] } },
+			{ key: 'empty', value: "" }
+		];
+		for (const format of Object.keys(ruleCore.RULE_LIBRARY_FORMATS)) {
+			const { entries: parsedEntries, invalidCount } = ruleCore.parseRuleLibrary(ruleCore.serializeRuleLibrary(entries, format), format);
+			assert.deepStrictEqual(parsedEntries, entries, format);
+			assert.strictEqual(invalidCount, 0);
+		}
+	});
+
+	test('Hand-written Markdown libraries take every heading as a rule', () => {
+		const { entries } = ruleCore.parseRuleLibrary('# style\n\nUse tabs.\n\n# tests\nWrite tests.\n', 'markdown');
+		assert.deepStrictEqual(entries, [{ key: 'style', value: 'Use tabs.' }, { key: 'tests', value: 'Write tests.' }]);
+	});
+
+	test('Rules with placeholders are only in sync while they hold their resolved template', () => {
+		const ctkRules = [{ id: 1, key: 'name', value: 'Ada', enabled: false }, { id: 2, key: 'greeting', template: 'Hello ${rule:name}.' }];
+		const createSubstitution = ruleValues => ({ folder: undefined, ruleValues, problems: [], getSetting: () => undefined });
+
+		const synced = ruleCore.computeRuleSync(ctkRules, "", { createSubstitution });
+		assert.strictEqual(synced.geminiRules, 'greeting: Hello Ada.');
+		assert.ok(ruleCore.isRuleSetInSync(ctkRules, 'greeting: Hello Ada.', ruleCore.isRuleEnabled, createSubstitution));
+		assert.ok(!ruleCore.isRuleSetInSync(ctkRules, 'greeting: Hello Bob.', ruleCore.isRuleEnabled, createSubstitution));
+		assert.ok(ruleCore.isRuleSetInSync(ctkRules, 'greeting: Hello Bob.', ruleCore.isRuleEnabled), "Without a substitution only keys are compared");
+	});
+
+	test('geminicodeassist.rules reads back every key and value as written', () => {
+		const keyValues = [
+			{ key: 'style: tabs', value: 'Use "tabs": always.' },
+			{ key: '"quoted"', value: '\n\n\n\nThree blank lines above,\n\n\n\n\n\nfive here and one below\n' },
+			{ key: ' padded ', value: '\\\n\\\\\n' },
+			{ key: 'plain', value: "" },
+			{ key: 'last', value: 'key: not a rule\n\n\n' }
+		];
+		const rulesString = ruleCore.buildGeminiRulesString(keyValues);
+		const { orderedKeyValues, problems } = ruleCore.parseGeminiRulesString(rulesString);
+		assert.deepStrictEqual(orderedKeyValues, keyValues);
+		assert.deepStrictEqual(problems, []);
+		assert.ok(rulesString.startsWith('"style: tabs": Use "tabs": always.'));
+	});
+
+	test('Text without a key continues the previous value', () => {
+		const { orderedKeyValues, problems } = ruleCore.parseGeminiRulesString('style: Use tabs.\n\n\n\nNo key here');
+		assert.deepStrictEqual(orderedKeyValues, [{ key: 'style', value: 'Use tabs.\n\n\n\nNo key here' }]);
+		assert.strictEqual(problems.length, 1);
+	});
+
+	test('Groups contain the rules of their subgroups', () => {
+		const rules = [{ id: 1, key: 'a', group: 'Languages/Python' }, { id: 2, key: 'b', group: 'Languages' }, { id: 3, key: 'c', group: 'Languages2' }];
+		assert.deepStrictEqual(rules.filter(r => ruleCore.isRuleInGroup(r, 'Languages')).map(r => r.key), ['a', 'b']);
+		assert.deepStrictEqual(rules.filter(r => ruleCore.isRuleInGroup(r, 'Languages/Python')).map(r => r.key), ['a']);
+	});
+
+	test('Editing the resolved value of a rule with placeholders is a difference', () => {
+		const ctkRules = [{ id: 1, key: 'name', enabled: false, value: 'Ada' }, { id: 2, key: 'greeting', template: 'Hello ${rule:name}.' }];
+		const createSubstitution = ruleValues => ({ folder: undefined, ruleValues, getSetting: () => undefined, problems: [] });
+		const differences = ruleCore.computeRuleDifferences(ctkRules, 'greeting: Hello Bob.', undefined, ruleCore.isRuleEnabled, createSubstitution);
+
+		assert.deepStrictEqual(differences.map(d => [d.kind, d.ours.value, d.theirs.value]), [['changed', 'Hello Ada.', 'Hello Bob.']]);
+	});
+
+	test('Merged rule orders keep the primary order and place new items after their predecessor', () => {
+		assert.deepStrictEqual(ruleCore.mergeRuleOrders(['a', 'b', 'c'], ['x', 'a', 'c', 'y']), ['x', 'a', 'b', 'c', 'y']);
+		assert.deepStrictEqual(ruleCore.mergeRuleOrders(['c', 'a'], ['a', 'b', 'c']), ['c', 'a', 'b']);
+	});
+
+	test('Only entries that were not written as rules are reported as split values', () => {
+		const ctkRules = [{ id: 1, key: 'style' }];
+		assert.deepStrictEqual(ruleCore.findRoundTripProblems('style: Use tabs.\n\n\n\nadded: A rule added in the settings.', ctkRules, ruleCore.isRuleEnabled), []);
+
+		const problems = ruleCore.findRoundTripProblems('style: Use tabs.\n\n\n\nExcept in\nmakefiles: they need tabs.', ctkRules, ruleCore.isRuleEnabled);
+		assert.strictEqual(problems.length, 1);
+		assert.match(problems[0], /part of the value of "style"/);
+	});
+
+	test('A rule set is out of sync when geminicodeassist.rules has rules it does not write', () => {
+		const ctkRules = [{ id: 1, key: 'a' }, { id: 2, key: 'b', enabled: false, value: 'B' }];
+		assert.strictEqual(ruleCore.isRuleSetInSync(ctkRules, 'a: A', ruleCore.isRuleEnabled), true);
+		assert.strictEqual(ruleCore.isRuleSetInSync(ctkRules, 'a: A\n\n\n\nb: B', ruleCore.isRuleEnabled), false);
+	});
+
+	test('Rule sizes count the characters each rule adds to geminicodeassist.rules', () => {
+		const { total, ruleSizes } = ruleCore.measureRuleSizes(`a: ${'x'.repeat(2000)}\n\n\n\nb: B`);
+
+		assert.strictEqual(total, 2011);
+		assert.deepStrictEqual([...ruleSizes], [['a', 2003], ['b', 4]]);
+		assert.strictEqual(ruleCore.formatRuleSize(2003), "2,003 chars · ~501 tokens");
+	});
+
+	test('Search finds rules by key and value, ignoring case, including disabled rules', () => {
+		const ctkRules = [{ id: 1, key: 'python-style' }, { id: 2, key: 'tests', enabled: false }, { id: 3, key: 'docs' }];
+		const valueMap = new Map([['python-style', 'Use Black.'], ['tests', 'Run pytest, in PYTHON 3.'], ['docs', 'Write docs.']]);
+		const results = ruleCore.searchRuleSet('python', ctkRules, valueMap);
+
+		assert.deepStrictEqual(results.map(r => [r.rule.key, r.keyRanges, r.valueRanges]), [['python-style', [[0, 6]], []], ['tests', [], [[15, 21]]]]);
+		assert.strictEqual(ruleCore.getSearchSnippet('a'.repeat(50) + ' python\n' + 'b'.repeat(100), [[51, 57]], 30), "…aaaaaaaaa python bbbbbbbbbbbbb…");
+	});
+
+	test('Rule files read back as written, and files without front matter take their name as key', () => {
+		const entry = { key: 'style: tabs', order: 2, enabled: false, value: '# Style\n\nUse tabs.\n', group: 'Code', tags: ['format'], when: { languages: ['python'] } };
+		assert.deepStrictEqual(ruleCore.parseRuleFile(ruleCore.serializeRuleFile(entry), 'ignored.md'), entry);
+
+		assert.deepStrictEqual(ruleCore.parseRuleFile('Use tabs.\n', 'style.md'), { key: 'style', order: Number.MAX_SAFE_INTEGER, enabled: true, value: 'Use tabs.' });
+		assert.throws(() => ruleCore.parseRuleFile('---\norder: first\n---\nUse tabs.', 'style.md'), /order must be a number/);
+	});
+
+	test('Template markers and TODO markers are reported by separate checks', () => {
+		const ctkRules = [{ id: 1, key: 'greeting' }, { id: 2, key: 'cleanup' }, { id: 3, key: 'empty' }];
+		const valueMap = new Map([
+			['greeting', 'Address the user as {{name}}. [Insert tone here]'],
+			['cleanup', 'Resolve TODO comments before committing; todo lists are fine.'],
+			['empty', ""]
+		]);
+		const substitution = { folder: undefined, ruleValues: valueMap, getSetting: () => undefined, problems: [] };
+		const findings = ruleCore.lintRuleSets([{ scopeName: 'Global', ctkRules, valueMap, substitution }], 2000);
+
+		assert.deepStrictEqual(findings.map(f => [f.rule.key, f.check, f.range]), [
+			['greeting', 'leftoverPlaceholder', [20, 28]],
+			['greeting', 'leftoverPlaceholder', [30, 48]],
+			['cleanup', 'todoMarker', [8, 12]],
+			['empty', 'emptyValue', undefined]
+		]);
+	});
+
+	test('Nearly identical values are reported once, on the rule of the later scope', () => {
+		const ruleSet = (scopeName, key, value) => {
+			const valueMap = new Map([[key, value]]);
+			return { scopeName, ctkRules: [{ id: 1, key }], valueMap, substitution: { folder: undefined, ruleValues: valueMap, getSetting: () => undefined, problems: [] } };
+		};
+		const findings = ruleCore.lintRuleSets([ruleSet('Global', 'style', 'Indent with tabs, not spaces.'), ruleSet('Workspace', 'indent', 'Indent with tabs, not  spaces!')], 2000);
+
+		assert.deepStrictEqual(findings.map(f => [f.ruleSetIndex, f.check, f.fixes]), [[1, 'similarValue', []]]);
+		assert.match(findings[0].message, /"style" in Global rules/);
+	});
+
+	test('Sync targets render each rule with their templates, leaving placeholders in values alone', () => {
+		const geminiMd = ruleCore.mergeSyncTargets(undefined).targets.find(t => t.id === 'geminiMd');
+		const rules = [{ key: 'style', value: 'Use {{tabs}}.' }, { key: 'tests', value: 'Write tests.' }];
+		assert.strictEqual(ruleCore.renderSyncTarget(geminiMd, 'Global', rules), "## style\n\nUse {{tabs}}.\n\n## tests\n\nWrite tests.");
+
+		const custom = { ...geminiMd, template: "# {{scope}} rules\n\n{{rules}}\n", ruleTemplate: "- {{key}}: {{value}}", separator: "\n" };
+		assert.strictEqual(ruleCore.renderSyncTarget(custom, 'Global', rules), "# Global rules\n\n- style: Use {{tabs}}.\n- tests: Write tests.\n");
+	});
+
+	test('Sync target definitions override built-in targets by ID and invalid ones are reported', () => {
+		const { targets, problems } = ruleCore.mergeSyncTargets([
+			{ id: 'geminiMd', setting: 'other.instructions' },
+			{ id: 'cursor', path: '.cursorrules', separator: "\n" },
+			{ id: 'nowhere' },
+			{ label: "No ID" }
+		]);
+
+		assert.deepStrictEqual(targets.map(t => [t.id, t.label, t.path, t.setting]), [
+			['geminiMd', "GEMINI.md", undefined, 'other.instructions'],
+			['copilotInstructions', "Copilot instructions", '.github/copilot-instructions.md', undefined],
+			['agentsMd', "AGENTS.md", 'AGENTS.md', undefined],
+			['cursor', 'cursor', '.cursorrules', undefined]
+		]);
+		assert.strictEqual(targets[3].separator, "\n");
+		assert.strictEqual(problems.length, 2);
+	});
+
+	test('Sync target blocks replace only their own part of a file and detect edits', () => {
+		const added = ruleCore.placeSyncTargetBlock("# Notes\n\n", "Rules", 'Global');
+		assert.strictEqual(added.state, 'missing');
+		assert.match(added.nextText, /^# Notes\n\n<!-- ctk-gee:begin [0-9a-f]{12} Generated from the Global rules by CTK GEE; edit the rules instead. -->\nRules\n<!-- ctk-gee:end -->\n$/);
+		assert.deepStrictEqual(ruleCore.placeSyncTargetBlock(added.nextText, "Rules", 'Global'), { state: 'inSync', nextText: added.nextText });
+
+		const outdated = ruleCore.placeSyncTargetBlock(added.nextText, "New rules", 'Global');
+		assert.strictEqual(outdated.state, 'outdated');
+		assert.ok(outdated.nextText.startsWith("# Notes\n\n<!-- ctk-gee:begin") && outdated.nextText.endsWith("\nNew rules\n<!-- ctk-gee:end -->\n"));
+		assert.strictEqual(ruleCore.placeSyncTargetBlock(added.nextText.replace("\nRules\n", "\nEdited\n"), "Rules", 'Global').state, 'edited');
+	});
+});